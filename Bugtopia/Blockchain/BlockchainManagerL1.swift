@@ -77,18 +77,15 @@ class BlockchainManagerL1 {
     // MARK: - Initialization
     
     init() {
-        // Initialize with local L1 configuration
-        self.networkConfig = L1NetworkConfig(
-            chainId: 68420,
-            rpcUrl: "http://127.0.0.1:9650/ext/bc/bugtopial1/rpc",
-            nativeToken: "BUG",
-            explorerUrl: "http://127.0.0.1:9650/ext/bc/bugtopial1",
-            contractAddresses: ContractAddresses(
-                bugtopiaL1: "", // Will be set after deployment
+        // Initialize with local L1 configuration (the local profile always has an RPC URL)
+        self.networkConfig = BlockchainManagerL1.makeNetworkConfig(
+            for: .local,
+            contractAddresses: BugtopiaNetwork.local.deployedContracts ?? ContractAddresses(
+                bugtopiaL1: "", // Will be set after deployment (npx hardhat swift:bindings)
                 collectibles: "",
                 governance: ""
             )
-        )
+        )!
         
         connectToL1()
         startOperationProcessor()
@@ -105,7 +102,7 @@ class BlockchainManagerL1 {
             DispatchQueue.main.async {
                 self?.isConnected = true
                 self?.lastSyncTime = Date()
-                print("🔗 Connected to Bugtopia L1 (Chain ID: 68420)")
+                print("🔗 Connected to Bugtopia L1 (Chain ID: \(self?.networkConfig.chainId ?? 0))")
                 self?.refreshBugBalance()
             }
         }
@@ -386,41 +383,32 @@ class BlockchainManagerL1 {
     
     // MARK: - Network Management
     
+    /// Build the configuration for a network profile (BugtopiaNetworks.swift,
+    /// generated from blockchain/networks.json); nil while it has no RPC URL
+    private static func makeNetworkConfig(for network: BugtopiaNetwork, contractAddresses: ContractAddresses) -> L1NetworkConfig? {
+        guard let rpcUrl = network.rpcUrl else { return nil }
+        return L1NetworkConfig(
+            chainId: network.chainId,
+            rpcUrl: rpcUrl,
+            nativeToken: network.nativeToken,
+            explorerUrl: network.explorerUrl ?? "",
+            contractAddresses: contractAddresses
+        )
+    }
+    
     /// Switch to different network (local, fuji, mainnet)
     func switchNetwork(to network: String) {
-        switch network.lowercased() {
-        case "local":
-            networkConfig = L1NetworkConfig(
-                chainId: 68420,
-                rpcUrl: "http://127.0.0.1:9650/ext/bc/bugtopial1/rpc",
-                nativeToken: "BUG",
-                explorerUrl: "http://127.0.0.1:9650/ext/bc/bugtopial1",
-                contractAddresses: networkConfig.contractAddresses
-            )
-            
-        case "fuji":
-            networkConfig = L1NetworkConfig(
-                chainId: 68420,
-                rpcUrl: "https://api.avax-test.network/ext/bc/bugtopial1/rpc",
-                nativeToken: "BUG",
-                explorerUrl: "https://testnet.snowtrace.io",
-                contractAddresses: networkConfig.contractAddresses
-            )
-            
-        case "mainnet":
-            networkConfig = L1NetworkConfig(
-                chainId: 68420,
-                rpcUrl: "https://api.avax.network/ext/bc/bugtopial1/rpc",
-                nativeToken: "BUG",
-                explorerUrl: "https://snowtrace.io",
-                contractAddresses: networkConfig.contractAddresses
-            )
-            
-        default:
+        guard let profile = BugtopiaNetwork(rawValue: network.lowercased()) else {
             print("❌ Unknown network: \(network)")
             return
         }
+        let contractAddresses = profile.deployedContracts ?? networkConfig.contractAddresses
+        guard let config = BlockchainManagerL1.makeNetworkConfig(for: profile, contractAddresses: contractAddresses) else {
+            print("❌ No RPC URL for \(network) yet; set its blockchainId in blockchain/networks.json")
+            return
+        }
         
+        networkConfig = config
         print("🔄 Switched to \(network) network")
         connectToL1()
     }
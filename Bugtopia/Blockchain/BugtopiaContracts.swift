@@ -0,0 +1,330 @@
+//
+//  BugtopiaContracts.swift
+//  Bugtopia
+//
+//  Generated by `npx hardhat swift:bindings` from the compiled contracts and
+//  blockchain/deployments/. Do not edit; change the contracts and regenerate.
+//
+
+import Foundation
+
+/// BugtopiaL1 ABI constants
+enum BugtopiaL1 {
+
+    /// Function selectors
+    enum Function {
+        /// UPGRADE_INTERFACE_VERSION()
+        static let UPGRADE_INTERFACE_VERSION = "0xad3cb1cc"
+        /// burnBug(uint256,string)
+        static let burnBug = "0x3cdb2e16"
+        /// burnRates(string)
+        static let burnRates = "0xd46f5410"
+        /// burnRatio()
+        static let burnRatio = "0x5192c82c"
+        /// distributeStakingRewards(address[],uint256[])
+        static let distributeStakingRewards = "0xe48be0ef"
+        /// getBurnRate(string)
+        static let getBurnRate = "0xb4710f00"
+        /// getEconomicState()
+        static let getEconomicState = "0x4995d9f3"
+        /// getUtilityFee(string)
+        static let getUtilityFee = "0xe59465b9"
+        /// initialize(address)
+        static let initialize = "0xc4d66de8"
+        /// owner()
+        static let owner = "0x8da5cb5b"
+        /// pause()
+        static let pause = "0x8456cb59"
+        /// paused()
+        static let paused = "0x5c975abb"
+        /// payUtilityFee(string)
+        static let payUtilityFee = "0x00eff7f0"
+        /// proxiableUUID()
+        static let proxiableUUID = "0x52d1902d"
+        /// renounceOwnership()
+        static let renounceOwnership = "0x715018a6"
+        /// stakingRatio()
+        static let stakingRatio = "0x3e6e9497"
+        /// stakingRewardsPool()
+        static let stakingRewardsPool = "0xf68f210b"
+        /// totalBugBurned()
+        static let totalBugBurned = "0xcdb0135e"
+        /// transferOwnership(address)
+        static let transferOwnership = "0xf2fde38b"
+        /// treasury()
+        static let treasury = "0x61d027b3"
+        /// treasuryRatio()
+        static let treasuryRatio = "0xba681c4d"
+        /// unpause()
+        static let unpause = "0x3f4ba83a"
+        /// updateBurnRate(string,uint256)
+        static let updateBurnRate = "0xddb89f19"
+        /// updateFeeDistribution(uint256,uint256,uint256)
+        static let updateFeeDistribution = "0x7e74422e"
+        /// updateTreasury(address)
+        static let updateTreasury = "0x7f51bb1f"
+        /// updateUtilityFee(string,uint256)
+        static let updateUtilityFee = "0x997a787c"
+        /// upgradeToAndCall(address,bytes)
+        static let upgradeToAndCall = "0x4f1ef286"
+        /// utilityFees(string)
+        static let utilityFees = "0xea49a157"
+    }
+
+    /// Event topics (topic 0)
+    enum Event {
+        /// BugBurned(address,uint256,string)
+        static let bugBurned = "0x0398f62bc73bd066f3dc5fa7d0598ce21095b4293a48ff07cd35c75dbb253be9"
+        /// EconomicParameterUpdated(string,uint256,uint256)
+        static let economicParameterUpdated = "0x30c52a82da10da30f469667fc273a1e252ac81d64747fade2d5cea2ce3a1f694"
+        /// Initialized(uint64)
+        static let initialized = "0xc7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d2"
+        /// OwnershipTransferred(address,address)
+        static let ownershipTransferred = "0x8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0"
+        /// Paused(address)
+        static let paused = "0x62e78cea01bee320cd4e420270b5ea74000d11b0c9f74754ebdbfc544b05a258"
+        /// StakingRewardsDistributed(uint256,uint256)
+        static let stakingRewardsDistributed = "0x94572bdb3044d8b1dcef520f1b4b7e85798e40b9f203c6871c62b07a5f3f0bda"
+        /// Unpaused(address)
+        static let unpaused = "0x5db9ee0a495bf2e6ff9c91a7834c1ba4fdd244a5e8aa4e537bd38aeae4b073aa"
+        /// Upgraded(address)
+        static let upgraded = "0xbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b"
+        /// UtilityFeePaid(address,uint256,string)
+        static let utilityFeePaid = "0xfa99e12d0064f30753bb1a1d2076299c606ba8d14b08aeb773d84fd29fda777e"
+    }
+
+    /// Custom error selectors
+    enum CustomError {
+        /// AddressEmptyCode(address)
+        static let addressEmptyCode = "0x9996b315"
+        /// ERC1967InvalidImplementation(address)
+        static let erc1967InvalidImplementation = "0x4c9c8ce3"
+        /// ERC1967NonPayable()
+        static let erc1967NonPayable = "0xb398979f"
+        /// EnforcedPause()
+        static let enforcedPause = "0xd93c0665"
+        /// ExpectedPause()
+        static let expectedPause = "0x8dfc202b"
+        /// FailedCall()
+        static let failedCall = "0xd6bda275"
+        /// InvalidInitialization()
+        static let invalidInitialization = "0xf92ee8a9"
+        /// NotInitializing()
+        static let notInitializing = "0xd7e6bcf8"
+        /// OwnableInvalidOwner(address)
+        static let ownableInvalidOwner = "0x1e4fbdf7"
+        /// OwnableUnauthorizedAccount(address)
+        static let ownableUnauthorizedAccount = "0x118cdaa7"
+        /// ReentrancyGuardReentrantCall()
+        static let reentrancyGuardReentrantCall = "0x3ee5aeb5"
+        /// UUPSUnauthorizedCallContext()
+        static let uupsUnauthorizedCallContext = "0xe07c8dba"
+        /// UUPSUnsupportedProxiableUUID(bytes32)
+        static let uupsUnsupportedProxiableUUID = "0xaa1d49a4"
+    }
+}
+
+/// BugtopiaCollectibles ABI constants
+enum BugtopiaCollectibles {
+
+    /// Function selectors
+    enum Function {
+        /// ACHIEVEMENT_CATEGORY()
+        static let ACHIEVEMENT_CATEGORY = "0x1bd20ef8"
+        /// ARTIFACT_CATEGORY()
+        static let ARTIFACT_CATEGORY = "0x55443536"
+        /// BUG_DNA_CATEGORY()
+        static let BUG_DNA_CATEGORY = "0x7f08b8bd"
+        /// TERRITORY_CATEGORY()
+        static let TERRITORY_CATEGORY = "0x9bd3b08e"
+        /// UPGRADE_INTERFACE_VERSION()
+        static let UPGRADE_INTERFACE_VERSION = "0xad3cb1cc"
+        /// addAuthorizedMinter(address)
+        static let addAuthorizedMinter = "0x5f710f5c"
+        /// authorizedMinters(address)
+        static let authorizedMinters = "0xaa2fe91b"
+        /// balanceOf(address,uint256)
+        static let balanceOf = "0x00fdd58e"
+        /// balanceOfBatch(address[],uint256[])
+        static let balanceOfBatch = "0x4e1273f4"
+        /// batchMint(address,uint256[],uint256[],bytes[])
+        static let batchMint = "0xc2a70074"
+        /// bugtopiaL1()
+        static let bugtopiaL1 = "0xd13e58b6"
+        /// categoryCounters(uint256)
+        static let categoryCounters = "0xed6eb6e1"
+        /// distributeRevenue(uint256,address[],uint256[])
+        static let distributeRevenue = "0x71cfa699"
+        /// getTerritoryStake(uint256,address)
+        static let getTerritoryStake = "0xc7617dcf"
+        /// getTokenAttributes(uint256)
+        static let getTokenAttributes = "0x1f4f5a23"
+        /// getTokenMetadata(uint256)
+        static let getTokenMetadata = "0x60316801"
+        /// initialize(address,string)
+        static let initialize = "0xf399e22e"
+        /// isApprovedForAll(address,address)
+        static let isApprovedForAll = "0xe985e9c5"
+        /// mintBugDNA(address,(uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256,bytes32,uint256,uint256))
+        static let mintBugDNA = "0x155ac9eb"
+        /// mintTerritory(address,(uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256,address[]))
+        static let mintTerritory = "0x8e5c0260"
+        /// owner()
+        static let owner = "0x8da5cb5b"
+        /// pause()
+        static let pause = "0x8456cb59"
+        /// paused()
+        static let paused = "0x5c975abb"
+        /// proxiableUUID()
+        static let proxiableUUID = "0x52d1902d"
+        /// removeAuthorizedMinter(address)
+        static let removeAuthorizedMinter = "0x475ae039"
+        /// renounceOwnership()
+        static let renounceOwnership = "0x715018a6"
+        /// safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)
+        static let safeBatchTransferFrom = "0x2eb2c2d6"
+        /// safeTransferFrom(address,address,uint256,uint256,bytes)
+        static let safeTransferFrom = "0xf242432a"
+        /// setApprovalForAll(address,bool)
+        static let setApprovalForAll = "0xa22cb465"
+        /// setURI(string)
+        static let setURI = "0x02fe5305"
+        /// stakeOnTerritory(uint256)
+        static let stakeOnTerritory = "0x41b5e01f"
+        /// supportsInterface(bytes4)
+        static let supportsInterface = "0x01ffc9a7"
+        /// territoryStakes(uint256,address)
+        static let territoryStakes = "0xdfb2fef5"
+        /// tokenMetadata(uint256)
+        static let tokenMetadata = "0x6914db60"
+        /// totalTerritoryStakes(uint256)
+        static let totalTerritoryStakes = "0x344f1661"
+        /// transferOwnership(address)
+        static let transferOwnership = "0xf2fde38b"
+        /// unpause()
+        static let unpause = "0x3f4ba83a"
+        /// unstakeFromTerritory(uint256,uint256)
+        static let unstakeFromTerritory = "0x5e101a54"
+        /// upgradeToAndCall(address,bytes)
+        static let upgradeToAndCall = "0x4f1ef286"
+        /// uri(uint256)
+        static let uri = "0x0e89341c"
+    }
+
+    /// Event topics (topic 0)
+    enum Event {
+        /// ApprovalForAll(address,address,bool)
+        static let approvalForAll = "0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31"
+        /// Initialized(uint64)
+        static let initialized = "0xc7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d2"
+        /// NFTMinted(address,uint256,uint256,string,uint256)
+        static let nftMinted = "0x9a939bdff0adc316610b3f26ac11906e9c7f02843a89e24df12d465dea6525ae"
+        /// OwnershipTransferred(address,address)
+        static let ownershipTransferred = "0x8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0"
+        /// Paused(address)
+        static let paused = "0x62e78cea01bee320cd4e420270b5ea74000d11b0c9f74754ebdbfc544b05a258"
+        /// RevenueDistributed(uint256,uint256,uint256)
+        static let revenueDistributed = "0x6215b003e186dbc79e3bd07b486dc69758f50dab026e5d485d4a945d56015447"
+        /// TerritoryStaked(address,uint256,uint256)
+        static let territoryStaked = "0x6b6576a91e8027b5935fe01fc7fca9d040aae9bdc8fdb4f13ffdef4ba12d80da"
+        /// TerritoryUnstaked(address,uint256,uint256)
+        static let territoryUnstaked = "0x9407377c8bc3fa50386fa18123fc98098bd88d0da0c1b4a69285cdfe78d8b624"
+        /// TransferBatch(address,address,address,uint256[],uint256[])
+        static let transferBatch = "0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb"
+        /// TransferSingle(address,address,address,uint256,uint256)
+        static let transferSingle = "0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62"
+        /// URI(string,uint256)
+        static let uri = "0x6bb7ff708619ba0610cba295a58592e0451dee2622938c8755667688daf3529b"
+        /// Unpaused(address)
+        static let unpaused = "0x5db9ee0a495bf2e6ff9c91a7834c1ba4fdd244a5e8aa4e537bd38aeae4b073aa"
+        /// Upgraded(address)
+        static let upgraded = "0xbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b"
+    }
+
+    /// Custom error selectors
+    enum CustomError {
+        /// AddressEmptyCode(address)
+        static let addressEmptyCode = "0x9996b315"
+        /// ERC1155InsufficientBalance(address,uint256,uint256,uint256)
+        static let erc1155InsufficientBalance = "0x03dee4c5"
+        /// ERC1155InvalidApprover(address)
+        static let erc1155InvalidApprover = "0x3e31884e"
+        /// ERC1155InvalidArrayLength(uint256,uint256)
+        static let erc1155InvalidArrayLength = "0x5b059991"
+        /// ERC1155InvalidOperator(address)
+        static let erc1155InvalidOperator = "0xced3e100"
+        /// ERC1155InvalidReceiver(address)
+        static let erc1155InvalidReceiver = "0x57f447ce"
+        /// ERC1155InvalidSender(address)
+        static let erc1155InvalidSender = "0x01a83514"
+        /// ERC1155MissingApprovalForAll(address,address)
+        static let erc1155MissingApprovalForAll = "0xe237d922"
+        /// ERC1967InvalidImplementation(address)
+        static let erc1967InvalidImplementation = "0x4c9c8ce3"
+        /// ERC1967NonPayable()
+        static let erc1967NonPayable = "0xb398979f"
+        /// EnforcedPause()
+        static let enforcedPause = "0xd93c0665"
+        /// ExpectedPause()
+        static let expectedPause = "0x8dfc202b"
+        /// FailedCall()
+        static let failedCall = "0xd6bda275"
+        /// InvalidInitialization()
+        static let invalidInitialization = "0xf92ee8a9"
+        /// NotInitializing()
+        static let notInitializing = "0xd7e6bcf8"
+        /// OwnableInvalidOwner(address)
+        static let ownableInvalidOwner = "0x1e4fbdf7"
+        /// OwnableUnauthorizedAccount(address)
+        static let ownableUnauthorizedAccount = "0x118cdaa7"
+        /// ReentrancyGuardReentrantCall()
+        static let reentrancyGuardReentrantCall = "0x3ee5aeb5"
+        /// UUPSUnauthorizedCallContext()
+        static let uupsUnauthorizedCallContext = "0xe07c8dba"
+        /// UUPSUnsupportedProxiableUUID(bytes32)
+        static let uupsUnsupportedProxiableUUID = "0xaa1d49a4"
+    }
+
+    struct BugDNAData: Codable, Equatable {
+        var species: UInt256
+        var neuralLayers: UInt256
+        var fitness: UInt256
+        var arenaWins: UInt256
+        var lineage: UInt256
+        var biomeSpecialization: UInt256
+        var parentId1: UInt256
+        var parentId2: UInt256
+        var geneticHash: String
+        var birthTimestamp: UInt256
+        var survivalDays: UInt256
+    }
+
+    struct TerritoryData: Codable, Equatable {
+        var minX: UInt256
+        var maxX: UInt256
+        var minY: UInt256
+        var maxY: UInt256
+        var minZ: UInt256
+        var maxZ: UInt256
+        var biomeType: UInt256
+        var resourceAbundance: UInt256
+        var safetyRating: UInt256
+        var carryingCapacity: UInt256
+        var populationCount: UInt256
+        var stakeholders: [String]
+    }
+}
+
+// MARK: - Deployed Addresses
+
+extension BugtopiaNetwork {
+    /// Contracts recorded in blockchain/deployments/ when this file was generated;
+    /// nil only for networks generated with --undeployed
+    var deployedContracts: BlockchainManagerL1.ContractAddresses? {
+        switch self {
+        case .local: return nil
+        case .fuji: return nil
+        case .mainnet: return nil
+        }
+    }
+}
@@ -0,0 +1,66 @@
+//
+//  BugtopiaNetworks.swift
+//  Bugtopia
+//
+//  Generated by `npx hardhat networks:swift` from blockchain/networks.json.
+//  Do not edit; change the profile file and regenerate.
+//
+
+import Foundation
+
+/// Bugtopia networks, as described by blockchain/networks.json
+enum BugtopiaNetwork: String, CaseIterable {
+    case local
+    case fuji
+    case mainnet
+
+    /// Hardhat network name
+    var hardhatName: String {
+        switch self {
+        case .local: return "bugtopia_local"
+        case .fuji: return "bugtopia_fuji"
+        case .mainnet: return "bugtopia_mainnet"
+        }
+    }
+
+    var chainId: Int {
+        switch self {
+        case .local: return 68420
+        case .fuji: return 68420
+        case .mainnet: return 68420
+        }
+    }
+
+    /// nil until the network's blockchain ID is recorded in networks.json
+    var rpcUrl: String? {
+        switch self {
+        case .local: return "http://127.0.0.1:9650/ext/bc/bugtopial1/rpc"
+        case .fuji: return nil
+        case .mainnet: return nil
+        }
+    }
+
+    var explorerUrl: String? {
+        switch self {
+        case .local: return "http://127.0.0.1:9650/ext/bc/bugtopial1"
+        case .fuji: return "https://testnet.snowtrace.io"
+        case .mainnet: return "https://snowtrace.io"
+        }
+    }
+
+    var nativeToken: String {
+        switch self {
+        case .local: return "BUG"
+        case .fuji: return "BUG"
+        case .mainnet: return "BUG"
+        }
+    }
+
+    var isMainnet: Bool {
+        switch self {
+        case .local: return false
+        case .fuji: return false
+        case .mainnet: return true
+        }
+    }
+}
@@ -1,10 +1,12 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.22;
 
-import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/ERC1155Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
 import "./BugtopiaL1.sol";
 
@@ -18,8 +20,18 @@ import "./BugtopiaL1.sol";
  * - 2,000,000-2,999,999: Artifact NFTs
  * - 3,000,000-3,999,999: Achievement NFTs
  * - 4,000,000+: Future categories
+ *
+ * Deployable directly or as the implementation behind a UUPS proxy, like
+ * BugtopiaL1. Upgrades append state variables only.
  */
-contract BugtopiaCollectibles is ERC1155, Ownable, ReentrancyGuard, Pausable {
+contract BugtopiaCollectibles is
+    Initializable,
+    ERC1155Upgradeable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    UUPSUpgradeable
+{
     using Strings for uint256;
     
     // ============= CONSTANTS =============
@@ -32,7 +44,7 @@ contract BugtopiaCollectibles is ERC1155, Ownable, ReentrancyGuard, Pausable {
     // ============= STATE VARIABLES =============
     
     /// @dev Reference to Bugtopia L1 contract for fee payments
-    BugtopiaL1 public immutable bugtopiaL1;
+    BugtopiaL1 public bugtopiaL1;
     
     /// @dev Token counters for each category
     mapping(uint256 => uint256) public categoryCounters;
@@ -119,10 +131,35 @@ contract BugtopiaCollectibles is ERC1155, Ownable, ReentrancyGuard, Pausable {
     
     // ============= CONSTRUCTOR =============
     
+    /**
+     * @param _bugtopiaL1 BugtopiaL1 for a direct deployment; the zero address
+     * leaves this instance uninitialized as a proxy implementation
+     * @param _uri ERC-1155 metadata URI template
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor(
         address payable _bugtopiaL1,
         string memory _uri
-    ) ERC1155(_uri) Ownable(msg.sender) {
+    ) {
+        if (_bugtopiaL1 == address(0)) {
+            _disableInitializers();
+        } else {
+            initialize(_bugtopiaL1, _uri);
+        }
+    }
+    
+    /**
+     * @dev Initialize a proxy; the caller becomes the owner and a minter
+     * @param _bugtopiaL1 BugtopiaL1 that collects minting fees
+     * @param _uri ERC-1155 metadata URI template
+     */
+    function initialize(address payable _bugtopiaL1, string memory _uri) public initializer {
+        require(_bugtopiaL1 != address(0), "Invalid BugtopiaL1 address");
+        __ERC1155_init(_uri);
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        
         bugtopiaL1 = BugtopiaL1(_bugtopiaL1);
         authorizedMinters[msg.sender] = true;
     }
@@ -446,6 +483,11 @@ contract BugtopiaCollectibles is ERC1155, Ownable, ReentrancyGuard, Pausable {
         _setURI(newURI);
     }
     
+    /**
+     * @dev Only the owner may upgrade a proxied deployment
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    
     /**
      * @dev Pause contract
      */
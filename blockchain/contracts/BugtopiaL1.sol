@@ -1,9 +1,11 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.22;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 
 /**
  * @title BugtopiaL1
@@ -13,8 +15,13 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  * - All transaction fees are paid in BUG
  * - Validator rewards are distributed in BUG
  * - This contract manages BUG economics beyond basic transfers
+ *
+ * Deployable directly (constructor with a treasury) or as the implementation
+ * behind a UUPS proxy (constructor with the zero address, then initialize()
+ * through the proxy). Upgrades append state variables only; see
+ * `npx hardhat upgrade`.
  */
-contract BugtopiaL1 is Ownable, ReentrancyGuard, Pausable {
+contract BugtopiaL1 is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable, UUPSUpgradeable {
     
     // ============= EVENTS =============
     
@@ -41,14 +48,39 @@ contract BugtopiaL1 is Ownable, ReentrancyGuard, Pausable {
     uint256 public stakingRewardsPool;
     
     /// @dev Fee distribution ratios (basis points)
-    uint256 public treasuryRatio = 3000; // 30%
-    uint256 public stakingRatio = 4000;  // 40%
-    uint256 public burnRatio = 3000;     // 30%
+    uint256 public treasuryRatio;
+    uint256 public stakingRatio;
+    uint256 public burnRatio;
     
     // ============= CONSTRUCTOR =============
     
-    constructor(address _treasury) Ownable(msg.sender) {
+    /**
+     * @param _treasury Treasury for a direct deployment; the zero address
+     * leaves this instance uninitialized as a proxy implementation
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _treasury) {
+        if (_treasury == address(0)) {
+            _disableInitializers();
+        } else {
+            initialize(_treasury);
+        }
+    }
+    
+    /**
+     * @dev Initialize a proxy; the caller becomes the owner
+     * @param _treasury Treasury for ecosystem development
+     */
+    function initialize(address _treasury) public initializer {
+        require(_treasury != address(0), "Invalid treasury address");
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        
         treasury = _treasury;
+        treasuryRatio = 3000; // 30%
+        stakingRatio = 4000;  // 40%
+        burnRatio = 3000;     // 30%
         
         // Initialize utility fees (in wei, ~$0.001 equivalent)
         utilityFees["breeding"] = 0.001 ether;
@@ -240,6 +272,11 @@ contract BugtopiaL1 is Ownable, ReentrancyGuard, Pausable {
         treasury = newTreasury;
     }
     
+    /**
+     * @dev Only the owner may upgrade a proxied deployment
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    
     /**
      * @dev Emergency pause
      */
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../metadata/BugDNAMetadata.sol";
+
+/**
+ * @title BugDNAMetadataHarness
+ * @dev Test-only wrapper exposing BugDNAMetadata's internal helpers so the
+ * off-chain port (utils/bug-dna-metadata.js) can be checked piece by piece
+ */
+contract BugDNAMetadataHarness {
+
+    function generateAttributes(
+        BugDNAMetadata.SpeciesType speciesType,
+        BugDNAMetadata.Rarity rarity,
+        BugDNAMetadata.GeneticTraits memory genetics,
+        BugDNAMetadata.MovementTraits memory movement,
+        BugDNAMetadata.NeuralArchitecture memory neural,
+        BugDNAMetadata.PerformanceData memory performance
+    ) external pure returns (string memory) {
+        return BugDNAMetadata._generateAttributes(speciesType, rarity, genetics, movement, neural, performance);
+    }
+
+    function generateLineageInfo(uint256[] memory parentTokenIds, uint32 generation) external pure returns (string memory) {
+        return BugDNAMetadata._generateLineageInfo(parentTokenIds, generation);
+    }
+
+    function normalizeTraitValue(uint256 value, uint256 minValue, uint256 maxValue) external pure returns (uint256) {
+        return BugDNAMetadata._normalizeTraitValue(value, minValue, maxValue);
+    }
+
+    function speciesName(BugDNAMetadata.SpeciesType speciesType) external pure returns (string memory) {
+        return BugDNAMetadata._getSpeciesName(speciesType);
+    }
+
+    function rarityName(BugDNAMetadata.Rarity rarity) external pure returns (string memory) {
+        return BugDNAMetadata._getRarityName(rarity);
+    }
+
+    function speciesEmoji(BugDNAMetadata.SpeciesType speciesType) external pure returns (string memory) {
+        return BugDNAMetadata._getSpeciesEmoji(speciesType);
+    }
+
+    function rarityColor(BugDNAMetadata.Rarity rarity) external pure returns (string memory) {
+        return BugDNAMetadata._getRarityColor(rarity);
+    }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../BugtopiaL1.sol";
+import "../BugtopiaCollectibles.sol";
+
+/**
+ * @title BugtopiaL1V2
+ * @dev Test-only next implementation: appends state, as upgrades must
+ */
+contract BugtopiaL1V2 is BugtopiaL1 {
+    uint256 public feeHolidayUntil;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _treasury) BugtopiaL1(_treasury) {}
+
+    function initializeV2(uint256 _feeHolidayUntil) external reinitializer(2) {
+        feeHolidayUntil = _feeHolidayUntil;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+/**
+ * @title BugtopiaCollectiblesV2
+ * @dev Test-only next implementation: appends state, as upgrades must
+ */
+contract BugtopiaCollectiblesV2 is BugtopiaCollectibles {
+    mapping(uint256 => uint256) public territoryBonus;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address payable _bugtopiaL1, string memory _uri) BugtopiaCollectibles(_bugtopiaL1, _uri) {}
+
+    function setTerritoryBonus(uint256 tokenId, uint256 bonus) external onlyOwner {
+        territoryBonus[tokenId] = bonus;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+contract LeadingSlot {
+    uint256 public leading;
+}
+
+/**
+ * @title BugtopiaL1ShiftedLayout
+ * @dev Test-only implementation whose storage starts one slot later than
+ * BugtopiaL1's; the upgrade validation must reject it
+ */
+contract BugtopiaL1ShiftedLayout is LeadingSlot, BugtopiaL1 {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _treasury) BugtopiaL1(_treasury) {}
+}
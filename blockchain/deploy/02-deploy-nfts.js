@@ -1,73 +1,45 @@
 const { network } = require("hardhat");
-const { developmentChains } = require("../helper-hardhat-config");
+const { blockConfirmations, shouldVerify, METADATA_URI } = require("../helper-hardhat-config");
 const { verify } = require("../utils/verify");
+const { IMPLEMENTATION_ARGS, deployHardhatContract, recordHardhatDeployment } = require("../utils/deployment-registry");
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
-    const { deploy, log, get } = deployments;
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre;
+    const { log, get } = deployments;
     const { deployer } = await getNamedAccounts();
 
-    // Get previously deployed BugToken
-    const bugToken = await get("BugToken");
+    // Get previously deployed BugtopiaL1 (fees for every mint go through it)
+    const bugtopiaL1 = await get("BugtopiaL1");
 
     log("----------------------------------------------------");
-    log("Deploying Bug DNA NFT...");
+    log("Deploying BugtopiaCollectibles...");
 
-    const bugDNAArgs = [
-        bugToken.address, // $BUG token address
-        deployer, // initial owner
-        "https://api.bugtopia.io/metadata/bug/" // base URI
+    const collectiblesArgs = [
+        bugtopiaL1.address, // utility fee contract
+        METADATA_URI // ERC-1155 metadata URI template
     ];
 
-    const bugDNANFT = await deploy("BugDNANFT", {
+    const collectibles = await deployHardhatContract(hre, "BugtopiaCollectibles", collectiblesArgs, {
         from: deployer,
-        args: bugDNAArgs,
-        log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
+        waitConfirmations: blockConfirmations(network.name),
+        proxy: process.env.DEPLOY_PROXY === "true",
     });
 
-    log(`BugDNANFT deployed at ${bugDNANFT.address}`);
-
-    log("----------------------------------------------------");
-    log("Deploying Territory NFT...");
-
-    const territoryArgs = [
-        bugToken.address, // $BUG token address
-        deployer, // initial owner
-        "https://api.bugtopia.io/metadata/territory/" // base URI
-    ];
-
-    const territoryNFT = await deploy("TerritoryNFT", {
-        from: deployer,
-        args: territoryArgs,
-        log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
-    });
-
-    log(`TerritoryNFT deployed at ${territoryNFT.address}`);
-
-    // Set up initial permissions
-    log("----------------------------------------------------");
-    log("Setting up permissions...");
-
-    const bugTokenContract = await ethers.getContractAt("BugToken", bugToken.address);
-    
-    // Authorize NFT contracts to burn tokens for utility functions
-    await bugTokenContract.setAuthorizedBurner(bugDNANFT.address, true);
-    await bugTokenContract.setAuthorizedBurner(territoryNFT.address, true);
-    
-    log("Permissions configured successfully");
+    log(`BugtopiaCollectibles deployed at ${collectibles.address}`);
+    await recordHardhatDeployment(hre, "BugtopiaCollectibles", collectibles, { dependsOn: ["BugtopiaL1"] });
 
     // Verify contracts on non-development chains
-    if (!developmentChains.includes(network.name) && process.env.ETHERSCAN_API_KEY) {
-        log("Verifying Bug DNA NFT...");
-        await verify(bugDNANFT.address, bugDNAArgs);
-        
-        log("Verifying Territory NFT...");
-        await verify(territoryNFT.address, territoryArgs);
+    if (shouldVerify(network.name)) {
+        log("Verifying BugtopiaCollectibles...");
+        // A proxy's implementation takes IMPLEMENTATION_ARGS; initialize() gets the arguments
+        await verify(
+            collectibles.implementation || collectibles.address,
+            collectibles.implementation ? IMPLEMENTATION_ARGS.BugtopiaCollectibles : collectiblesArgs
+        );
     }
 
     log("----------------------------------------------------");
 };
 
-module.exports.tags = ["all", "nft", "main"];
-module.exports.dependencies = ["token"];
+module.exports.tags = ["all", "nft", "collectibles", "main"];
+module.exports.dependencies = ["l1"];
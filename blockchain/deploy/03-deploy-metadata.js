@@ -0,0 +1,34 @@
+const { network } = require("hardhat");
+const { blockConfirmations, shouldVerify } = require("../helper-hardhat-config");
+const { verify } = require("../utils/verify");
+const { recordHardhatDeployment } = require("../utils/deployment-registry");
+
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre;
+    const { deploy, log } = deployments;
+    const { deployer } = await getNamedAccounts();
+
+    log("----------------------------------------------------");
+    log("Deploying BugDNAMetadata library...");
+
+    // External library: tools call generateMetadata / generateDescription on it directly
+    const bugDNAMetadata = await deploy("BugDNAMetadata", {
+        from: deployer,
+        args: [],
+        log: true,
+        waitConfirmations: blockConfirmations(network.name),
+    });
+
+    log(`BugDNAMetadata deployed at ${bugDNAMetadata.address}`);
+    await recordHardhatDeployment(hre, "BugDNAMetadata", bugDNAMetadata);
+
+    // Verify contracts on non-development chains
+    if (shouldVerify(network.name)) {
+        log("Verifying BugDNAMetadata...");
+        await verify(bugDNAMetadata.address, []);
+    }
+
+    log("----------------------------------------------------");
+};
+
+module.exports.tags = ["all", "nft", "metadata"];
@@ -0,0 +1,36 @@
+const { network } = require("hardhat");
+const { blockConfirmations } = require("../helper-hardhat-config");
+
+module.exports = async ({ getNamedAccounts, deployments }) => {
+    const { execute, read, log } = deployments;
+    const { deployer } = await getNamedAccounts();
+
+    log("----------------------------------------------------");
+    log("Setting up permissions...");
+
+    const extraMinters = (process.env.AUTHORIZED_MINTERS || "")
+        .split(",")
+        .map((minter) => minter.trim())
+        .filter(Boolean);
+
+    // The constructor already authorizes the deployer; only send what is missing
+    for (const minter of [deployer, ...extraMinters]) {
+        if (await read("BugtopiaCollectibles", "authorizedMinters", minter)) {
+            log(`${minter} is already an authorized minter`);
+            continue;
+        }
+        await execute(
+            "BugtopiaCollectibles",
+            { from: deployer, log: true, waitConfirmations: blockConfirmations(network.name) },
+            "addAuthorizedMinter",
+            minter
+        );
+        log(`Authorized minter ${minter}`);
+    }
+
+    log("Permissions configured successfully");
+    log("----------------------------------------------------");
+};
+
+module.exports.tags = ["all", "nft", "permissions"];
+module.exports.dependencies = ["collectibles"];
@@ -1,9 +1,24 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("hardhat-deploy");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/economy");
+require("./tasks/tokenomics");
+require("./tasks/sdk");
+require("./tasks/nft");
+require("./tasks/networks");
+require("./tasks/audit");
+require("./tasks/staking");
+require("./tasks/upgrade");
+require("./tasks/governance");
+require("./tasks/sandbox");
+const { loadNetworkProfiles, hardhatNetworks, etherscanCustomChains } = require("./utils/network-profiles");
+
+const networkProfiles = loadNetworkProfiles();
 
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.26",
     settings: {
       viaIR: true,
       optimizer: {
@@ -13,58 +28,14 @@ module.exports = {
     }
   },
   networks: {
-    // Local Bugtopia L1 (via Avalanche-CLI)
-    bugtopia_local: {
-      url: process.env.BUGTOPIA_L1_RPC_URL || "http://127.0.0.1:60955/ext/bc/48ZNiHFTDjNmtPprSWFbbLkbbpyubTKw1bGWusSWFzJqG5hfM/rpc",
-      chainId: 68420,
-      accounts: [
-        "0x56289e99c94b6912bfc12adc093c9b51124f0dc54ac7a766b2bc5ccf558d8027", // ewoq account (has BUG tokens)
-        process.env.PRIVATE_KEY || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
-        process.env.TREASURY_PRIVATE_KEY || "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c6a8412f4f5c5a4f3e2e3"
-      ],
-      gas: 8000000,
-      gasPrice: 25000000000, // 25 gwei in BUG
-      timeout: 60000
-    },
-    
-    // Fuji Testnet Bugtopia L1
-    bugtopia_fuji: {
-      url: "https://api.avax-test.network/ext/bc/bugtopial1/rpc",
-      chainId: 68420,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      gas: 8000000,
-      gasPrice: 25000000000,
-      timeout: 60000
-    },
-    
-    // Mainnet Bugtopia L1 
-    bugtopia_mainnet: {
-      url: "https://api.avax.network/ext/bc/bugtopial1/rpc",
-      chainId: 68420,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      gas: 8000000,
-      gasPrice: 25000000000,
-      timeout: 60000
-    },
-    
-    // Standard Avalanche networks for testing
-    avalanche_local: {
-      url: "http://127.0.0.1:9650/ext/bc/C/rpc",
-      chainId: 43112,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
-    },
-    
-    fuji: {
-      url: "https://api.avax-test.network/ext/bc/C/rpc",
-      chainId: 43113,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
-    },
-    
-    avalanche_mainnet: {
-      url: "https://api.avax.network/ext/bc/C/rpc",
-      chainId: 43114,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
-    }
+    // In-process network; set HARDHAT_FORK_URL to fork a live Bugtopia L1
+    hardhat: process.env.HARDHAT_FORK_URL
+      ? { forking: { url: process.env.HARDHAT_FORK_URL } }
+      : {},
+
+    // Bugtopia L1 and Avalanche C-Chain networks from networks.json; accounts
+    // come from the encrypted keystore (npx hardhat keystore:import)
+    ...hardhatNetworks(networkProfiles)
   },
   
   namedAccounts: {
@@ -76,6 +47,9 @@ module.exports = {
     },
     validator: {
       default: 2, // Third account for validator testing
+    },
+    player: {
+      default: 3, // Fourth account, plays the game in the sandbox
     }
   },
   
@@ -94,16 +68,7 @@ module.exports = {
       avalancheFujiTestnet: process.env.SNOWTRACE_API_KEY,
       // Custom L1 will need block explorer setup
     },
-    customChains: [
-      {
-        network: "bugtopia_local",
-        chainId: 68420,
-        urls: {
-          apiURL: "http://127.0.0.1:9650/ext/bc/bugtopia-l1/api",
-          browserURL: "http://127.0.0.1:9650/ext/bc/bugtopia-l1"
-        }
-      }
-    ]
+    customChains: etherscanCustomChains(networkProfiles)
   },
   
   mocha: {
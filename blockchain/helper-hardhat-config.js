@@ -0,0 +1,55 @@
+/**
+ * Network helpers shared by the deploy pipeline and scripts
+ */
+
+const { loadNetworkProfiles } = require("./utils/network-profiles");
+
+const networkProfiles = loadNetworkProfiles();
+
+// Networks without a block explorer to verify against
+const developmentChains = [
+  "hardhat",
+  "localhost",
+  ...Object.values(networkProfiles).filter((profile) => profile.development).map((profile) => profile.name)
+];
+
+// Per-network deployment settings, keyed by hardhat network name
+const networkConfig = {
+  hardhat: { blockConfirmations: 1 },
+  localhost: { blockConfirmations: 1 },
+  ...Object.fromEntries(Object.values(networkProfiles).map((profile) => [
+    profile.name,
+    { blockConfirmations: profile.blockConfirmations }
+  ]))
+};
+
+// ERC-1155 URI template served by services/metadata-server.js
+const METADATA_URI = "https://api.bugtopia.io/metadata/{id}.json";
+
+function isDevelopmentChain(networkName) {
+  return developmentChains.includes(networkName);
+}
+
+/**
+ * Confirmations to wait for after each deployment transaction
+ */
+function blockConfirmations(networkName) {
+  const config = networkConfig[networkName];
+  return config ? config.blockConfirmations : 1;
+}
+
+/**
+ * Verification needs a real explorer and an API key
+ */
+function shouldVerify(networkName) {
+  return !isDevelopmentChain(networkName) && Boolean(process.env.SNOWTRACE_API_KEY);
+}
+
+module.exports = {
+  developmentChains,
+  networkConfig,
+  METADATA_URI,
+  isDevelopmentChain,
+  blockConfirmations,
+  shouldVerify
+};
@@ -0,0 +1,191 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { openDeploymentRegistry } = require("../utils/deployment-registry");
+const { METADATA_URI } = require("../helper-hardhat-config");
+const { auditDeployment, formatAuditReport } = require("../utils/audit");
+
+/**
+ * Deploy (or resume deploying) the L1 contracts. Every step is recorded in
+ * deployments/<network>.json; re-running skips finished steps and reuses
+ * contracts whose on-chain bytecode still matches the compiled artifacts.
+ * Throws when the finished deployment fails its audit.
+ * @param {Object} options
+ * @param {boolean} options.fresh Ignore the existing registry (DEPLOY_FRESH=true)
+ * @param {boolean} options.proxy Deploy both contracts behind UUPS proxies (DEPLOY_PROXY=true)
+ * @param {string} options.registryDir Registry directory (default deployments/)
+ * @param {string[]} options.minters Extra minters to authorize (AUTHORIZED_MINTERS)
+ */
+async function main({
+  fresh = process.env.DEPLOY_FRESH === "true",
+  proxy = process.env.DEPLOY_PROXY === "true",
+  registryDir,
+  minters = (process.env.AUTHORIZED_MINTERS || "").split(",").map((m) => m.trim()).filter(Boolean)
+} = {}) {
+  console.log("🚀 Deploying Bugtopia L1 Contracts...");
+
+  // Get signers
+  const [deployer, treasury] = await ethers.getSigners();
+
+  console.log("Deploying with account:", deployer.address);
+  console.log("Treasury account:", treasury.address);
+
+  // Check deployer balance (should be in native BUG tokens)
+  const balance = await ethers.provider.getBalance(deployer.address);
+  console.log("Deployer balance:", ethers.formatEther(balance), "BUG");
+
+  if (balance < ethers.parseEther("10")) {
+    console.warn("⚠️  Low BUG balance. You may need more tokens for deployment.");
+  }
+
+  const deployment = await openDeploymentRegistry(hre, { dir: registryDir, fresh });
+  console.log("Deployment registry:", deployment.file);
+  // Proxies take the same arguments through initialize()
+  const deploy = proxy ? deployment.deployProxy : deployment.deployContract;
+  if (proxy) console.log("Deploying behind UUPS proxies");
+
+  // 1. Deploy BugtopiaL1 contract (native token economics)
+  console.log("\n📋 Deploying BugtopiaL1 contract...");
+
+  const { contract: bugtopiaL1, address: bugtopiaL1Address } =
+    await deploy("BugtopiaL1", [treasury.address]);
+  console.log("✅ BugtopiaL1 deployed to:", bugtopiaL1Address);
+
+  // 2. Deploy BugtopiaCollectibles contract (ERC-1155)
+  console.log("\n🎨 Deploying BugtopiaCollectibles contract...");
+
+  const { contract: collectibles, address: collectiblesAddress } = await deploy(
+    "BugtopiaCollectibles",
+    [bugtopiaL1Address, METADATA_URI],
+    { dependsOn: ["BugtopiaL1"] }
+  );
+  console.log("✅ BugtopiaCollectibles deployed to:", collectiblesAddress);
+
+  // 3. Configure permissions
+  console.log("\n🔑 Setting up permissions...");
+
+  for (const minter of [deployer.address, ...minters.map((m) => ethers.getAddress(m))]) {
+    await deployment.runStep(`authorize-minter:${minter}`, { dependsOn: ["BugtopiaCollectibles"] }, async () => {
+      // The constructor (or initialize) already authorizes the deployer
+      if (await collectibles.authorizedMinters(minter)) {
+        console.log("✅ Already an authorized minter:", minter);
+        return { minter };
+      }
+      const authTx = await collectibles.addAuthorizedMinter(minter);
+      await authTx.wait();
+      console.log("✅ Added authorized minter:", minter);
+      return { minter, txHash: authTx.hash };
+    });
+  }
+
+  // 4. Burn governance_proposal fees; the contract sets that rate under "governance", which no fee uses
+  console.log("\n🔥 Configuring burn rates...");
+
+  await deployment.runStep("burn-rate:governance_proposal", { dependsOn: ["BugtopiaL1"] }, async () => {
+    const burnRate = await bugtopiaL1.getBurnRate("governance_proposal");
+    if (burnRate > 0n) {
+      console.log(`✅ governance_proposal already burns ${burnRate} bps`);
+      return { utilityType: "governance_proposal", burnRate: burnRate.toString() };
+    }
+    const governanceRate = await bugtopiaL1.getBurnRate("governance");
+    const burnTx = await bugtopiaL1.updateBurnRate("governance_proposal", governanceRate);
+    await burnTx.wait();
+    console.log(`✅ governance_proposal burns ${governanceRate} bps`);
+    return { utilityType: "governance_proposal", burnRate: governanceRate.toString(), txHash: burnTx.hash };
+  });
+
+  // 5. Test basic functionality
+  console.log("\n🧪 Testing basic functionality...");
+
+  await deployment.runStep("smoke-test:payUtilityFee", { dependsOn: ["BugtopiaL1"] }, async () => {
+    // Test utility fee payment
+    const utilityFee = await bugtopiaL1.getUtilityFee("breeding");
+    console.log("Breeding fee:", ethers.formatEther(utilityFee), "BUG");
+
+    const payFeeTx = await bugtopiaL1.payUtilityFee("breeding", {
+      value: utilityFee
+    });
+    await payFeeTx.wait();
+    console.log("✅ Test utility fee payment successful");
+    return { utilityType: "breeding", fee: utilityFee.toString(), txHash: payFeeTx.hash };
+  });
+
+  // Check economic state
+  const [totalBurned, rewardsPool, treasuryAddr] = await bugtopiaL1.getEconomicState();
+  console.log("Economic state:");
+  console.log("  Total burned:", ethers.formatEther(totalBurned), "BUG");
+  console.log("  Rewards pool:", ethers.formatEther(rewardsPool), "BUG");
+  console.log("  Treasury:", treasuryAddr);
+
+  // 6. Generate deployment summary
+  const { contracts } = deployment.registry;
+
+  console.log("\n📊 Deployment Summary");
+  console.log("====================");
+  console.log("Network:", hre.network.name);
+  console.log("Chain ID:", deployment.registry.chainId);
+  console.log("Deployer:", deployer.address);
+  console.log("Treasury:", treasury.address);
+  console.log();
+  console.log("Contract Addresses:");
+  for (const name of ["BugtopiaL1", "BugtopiaCollectibles"]) {
+    const { address, proxy: proxyRecord } = contracts[name];
+    console.log(`  ${name}:`, address, proxyRecord ? `(UUPS proxy, implementation ${proxyRecord.implementation})` : "");
+  }
+  console.log();
+  console.log("Gas Used:");
+  console.log("  BugtopiaL1:", contracts.BugtopiaL1.gasUsed);
+  console.log("  BugtopiaCollectibles:", contracts.BugtopiaCollectibles.gasUsed);
+
+  // 7. Save deployment info
+  deployment.registry.treasury = treasury.address;
+  deployment.registry.nativeToken = "BUG";
+  const registryFile = deployment.save();
+  console.log("\n💾 Deployment registry saved to:", registryFile);
+
+  // 8. Audit the invariants the economy relies on
+  console.log();
+  const audit = await auditDeployment({
+    provider: ethers.provider,
+    bugtopiaL1,
+    collectibles,
+    deployer: deployer.address,
+    fromBlock: contracts.BugtopiaL1.blockNumber
+  });
+  console.log(formatAuditReport(audit, { network: hre.network.name }));
+  if (!audit.ok) {
+    // The registry is saved, so a re-run after the fix resumes instead of redeploying
+    throw new Error(`The deployment failed its audit; fix the failed checks, then re-run: npx hardhat audit --network ${hre.network.name}`);
+  }
+
+  // 9. Next steps
+  console.log("\n🎯 Next Steps:");
+  console.log("1. Regenerate the Swift app's contract bindings: npx hardhat swift:bindings");
+  console.log(`   BugtopiaL1: "${bugtopiaL1Address}"`);
+  console.log(`   Collectibles: "${collectiblesAddress}"`);
+  console.log(`2. Start the metadata server: COLLECTIBLES_ADDRESS=${collectiblesAddress} npm run metadata:serve`);
+  console.log("3. Add more authorized minters as needed");
+  console.log("4. Configure governance parameters");
+  console.log("5. Test NFT minting from simulation");
+
+  return {
+    bugtopiaL1: bugtopiaL1Address,
+    collectibles: collectiblesAddress
+  };
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log("\n🎉 Deployment completed successfully!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n❌ Deployment failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -7,62 +7,129 @@
  * optimized for Bugtopia's high-frequency gaming transactions
  */
 
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const fs = require("fs");
 const path = require("path");
+const { createAvalancheCli, createShellExecutor } = require("../utils/avalanche-cli");
+const { assertValidSubnet, SubnetConfigError } = require("../utils/subnet-schema");
+const { loadNetworkProfiles } = require("../utils/network-profiles");
+const { PASSPHRASE_ENV, listKeystore, readPassphrase } = require("../utils/keystore");
 
 // Subnet configuration
 const SUBNET_CONFIG = {
     name: "Bugtopia Gaming Subnet",
-    chainId: 43214, // Custom chain ID for Bugtopia subnet
-    networkId: 43214,
+    chainId: 68420, // Bugtopia L1 chain ID (must match networks.json)
+    networkId: 68420,
     gasLimit: 8000000, // Higher gas limit for complex transactions
     targetBlockRate: 2, // 2-second block times for fast confirmations
-    minValidatorStake: ethers.utils.parseEther("2000"), // 2000 AVAX minimum
-    maxValidatorStake: ethers.utils.parseEther("3000000"), // 3M AVAX maximum
-    minDelegationStake: ethers.utils.parseEther("25"), // 25 AVAX minimum delegation
-    delegationFee: 2000000, // 2% delegation fee (in reward units)
+    minValidatorStake: ethers.parseEther("2000"), // 2000 AVAX minimum
+    maxValidatorStake: ethers.parseEther("3000000"), // 3M AVAX maximum
+    minDelegationStake: ethers.parseEther("25"), // 25 AVAX minimum delegation
+    delegationFee: 20000, // 2% delegation fee (parts per million)
     minStakeDuration: 86400 * 14, // 14 days minimum stake
     maxStakeDuration: 86400 * 365, // 365 days maximum stake
     rewardConfig: {
         mintingPeriod: 365 * 24 * 60 * 60, // 1 year
-        supplyConstraint: "0x204FCE5E3E25026110000000" // 150M tokens max supply
+        supplyConstraint: "0x204FCE5E3E25026110000000" // 10B tokens max supply
     }
 };
 
-async function deploySubnet() {
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Hardhat network used for contract deployment per Avalanche-CLI target
+// (the Bugtopia profiles' "app" names), the env var its RPC URL is read from
+// and the keystore holding its deployer key
+const HARDHAT_NETWORKS = Object.fromEntries(
+    Object.values(loadNetworkProfiles())
+        .filter((profile) => profile.chain === "bugtopia" && profile.app)
+        .map((profile) => [profile.app, { network: profile.name, rpcEnv: profile.rpcEnv, keystore: profile.keystore }])
+);
+
+/**
+ * Run the full subnet deployment
+ * @param {Object} options
+ * @param {Object} options.executor Command executor (see utils/avalanche-cli.js)
+ * @param {string} options.target Avalanche-CLI target: local, fuji or mainnet
+ * @param {string} options.blockchainName Avalanche-CLI blockchain name
+ * @param {string} options.outputDir Where genesis and report files are written
+ * @param {Function} options.prompt Keystore passphrase prompt override
+ * @param {Object} options.provider Provider for the deployer balance check (defaults to AVALANCHE_RPC_URL)
+ * @param {string} options.keystoreDir Keystore directory override
+ * @returns {Promise<Object>} Deployment report
+ */
+async function deploySubnet({
+    executor = createShellExecutor(),
+    target = process.env.SUBNET_TARGET || "local",
+    blockchainName = process.env.SUBNET_BLOCKCHAIN_NAME || "bugtopial1",
+    outputDir = DEPLOYMENTS_DIR,
+    prompt,
+    provider,
+    keystoreDir
+} = {}) {
     console.log("🏔️  Starting Avalanche Subnet Deployment for Bugtopia...\n");
 
-    // Step 1: Validate environment
-    await validateEnvironment();
+    const cli = createAvalancheCli(executor);
 
-    // Step 2: Create subnet
-    const subnetId = await createSubnet();
+    // Step 1: Validate configuration and environment
+    validateConfiguration(target);
+    await validateEnvironment(cli, target, { provider, keystoreDir });
+    const passphrase = await readKeystorePassphrase(target, { prompt });
 
-    // Step 3: Add validators
-    await addValidators(subnetId);
+    // Step 2: Write genesis to disk
+    const genesisPath = writeGenesisConfig(outputDir, blockchainName);
 
-    // Step 4: Create blockchain
-    const blockchainId = await createBlockchain(subnetId);
+    // Step 3: Create blockchain configuration
+    await createBlockchain(cli, blockchainName, genesisPath);
 
-    // Step 5: Deploy smart contracts
-    await deployContracts(blockchainId);
+    // Step 4: Deploy blockchain (creates the subnet and chain)
+    const chain = await deployBlockchain(cli, blockchainName, target);
 
-    // Step 6: Configure tokenomics
-    await configureTokenomics();
+    // Step 5: Add validators
+    await addValidators(cli, blockchainName, target);
+
+    // Step 6: Deploy smart contracts against the new RPC
+    const contracts = await deployContracts(executor, chain, target, passphrase);
 
     // Step 7: Generate deployment report
-    await generateDeploymentReport(subnetId, blockchainId);
+    const report = await generateDeploymentReport({ outputDir, blockchainName, target, chain, contracts });
 
     console.log("✅ Subnet deployment completed successfully!");
+    return report;
+}
+
+/**
+ * Validate SUBNET_CONFIG and the genesis it produces against hardhat.config.js
+ * @param {string} target Avalanche-CLI target: local, fuji or mainnet
+ * @throws {SubnetConfigError} Listing every problem found
+ */
+function validateConfiguration(target) {
+    console.log("📐 Validating subnet configuration and genesis...");
+
+    if (!HARDHAT_NETWORKS[target]) {
+        throw new SubnetConfigError([`Unknown deployment target: ${target} (expected local, fuji or mainnet)`]);
+    }
+
+    const { network } = HARDHAT_NETWORKS[target];
+    const networkConfig = hre.config.networks[network];
+
+    assertValidSubnet(SUBNET_CONFIG, generateGenesisConfig({ quiet: true }), {
+        expectedChainId: networkConfig && networkConfig.chainId,
+        ownerAddress: process.env.SUBNET_OWNER_ADDRESS
+    });
+
+    console.log(`✅ Configuration valid for ${network} (chain ID ${SUBNET_CONFIG.chainId})\n`);
 }
 
-async function validateEnvironment() {
+/**
+ * Check the environment and, on fuji and mainnet, that the keystore's
+ * deployer holds enough AVAX on AVALANCHE_RPC_URL
+ */
+async function validateEnvironment(cli, target, { provider, keystoreDir } = {}) {
     console.log("🔍 Validating deployment environment...");
 
     // Check required environment variables
     const requiredVars = [
-        'AVALANCHE_PRIVATE_KEY',
         'AVALANCHE_RPC_URL',
         'SUBNET_OWNER_ADDRESS'
     ];
@@ -73,67 +140,131 @@ async function validateEnvironment() {
         }
     }
 
+    // Make sure Avalanche-CLI is reachable before touching anything
+    const version = await cli.version();
+    console.log(`  Avalanche-CLI: ${version}`);
+
+    // Local networks are started with their own funded keys
+    if (target === "local") {
+        console.log("✅ Environment validated\n");
+        return;
+    }
+
     // Validate sufficient AVAX balance for subnet creation
-    const [deployer] = await ethers.getSigners();
-    const balance = await deployer.getBalance();
-    const minRequired = ethers.utils.parseEther("100"); // 100 AVAX minimum
+    const { keystore } = HARDHAT_NETWORKS[target];
+    const deployer = listKeystore(keystore, { dir: keystoreDir }).find(({ account }) => account === "deployer");
+    if (!deployer) {
+        throw new Error(`No deployer in the "${keystore}" keystore. Import it with: npx hardhat keystore:import --keystore ${keystore} --account deployer`);
+    }
 
-    if (balance.lt(minRequired)) {
-        throw new Error(`Insufficient AVAX balance. Required: 100 AVAX, Current: ${ethers.utils.formatEther(balance)} AVAX`);
+    const rpc = provider || new ethers.JsonRpcProvider(process.env.AVALANCHE_RPC_URL);
+    let balance;
+    try {
+        balance = await rpc.getBalance(deployer.address);
+    } finally {
+        if (!provider) rpc.destroy();
     }
+    const minRequired = ethers.parseEther("100"); // 100 AVAX minimum
+
+    if (balance < minRequired) {
+        throw new Error(`Insufficient AVAX balance for ${deployer.address}. Required: 100 AVAX, Current: ${ethers.formatEther(balance)} AVAX`);
+    }
+
+    console.log(`✅ Environment validated. Deployer ${deployer.address} balance: ${ethers.formatEther(balance)} AVAX\n`);
+}
 
-    console.log(`✅ Environment validated. Deployer balance: ${ethers.utils.formatEther(balance)} AVAX\n`);
+/**
+ * The contracts are deployed by a child `hardhat run`, which has no terminal
+ * to prompt on. Ask for the keystore passphrase here, before anything is
+ * created, and hand it to the child through BUGTOPIA_KEYSTORE_PASSPHRASE.
+ * When that variable is already set it is used without prompting.
+ */
+async function readKeystorePassphrase(target, { prompt } = {}) {
+    const { network, keystore } = HARDHAT_NETWORKS[target];
+    console.log(`🔐 ${network} deploys with the "${keystore}" keystore`);
+    const passphrase = await readPassphrase(keystore, { prompt });
+    console.log("");
+    return passphrase;
 }
 
-async function createSubnet() {
-    console.log("🔗 Creating Avalanche subnet...");
+function writeGenesisConfig(outputDir, blockchainName) {
+    const genesis = generateGenesisConfig();
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const genesisPath = path.join(outputDir, `${blockchainName}-genesis.json`);
+    fs.writeFileSync(genesisPath, JSON.stringify(genesis, null, 2));
 
-    // In a real implementation, this would interact with Avalanche APIs
-    // For now, we'll simulate the process and return a mock subnet ID
-    const subnetId = "2bRCr6B4MiEfSjidDGBxs9M";
-    
-    console.log(`✅ Subnet created with ID: ${subnetId}\n`);
-    return subnetId;
+    console.log(`💾 Genesis written to: ${genesisPath}\n`);
+    return genesisPath;
 }
 
-async function addValidators(subnetId) {
-    console.log("👥 Adding validators to subnet...");
+async function createBlockchain(cli, blockchainName, genesisPath) {
+    console.log("⛓️  Creating EVM blockchain configuration...");
 
-    // Simulate adding validators
-    // In production, this would involve staking AVAX and registering node IDs
-    const validators = [
-        { nodeId: "NodeID-7Xhw2mDxuDS44j42TCB6U5579esbSt3Lg", stake: "2000" },
-        { nodeId: "NodeID-MFrZFVCXPv5iCn6M9K6XduxGTYp891xHZ", stake: "2000" },
-        { nodeId: "NodeID-NFBbbJ4qCmNaCzeW7sxErhvWqvEQMnYcN", stake: "2000" }
-    ];
+    await cli.createBlockchain(blockchainName, {
+        genesisPath,
+        ownerAddress: process.env.SUBNET_OWNER_ADDRESS
+    });
 
-    for (const validator of validators) {
-        console.log(`  Adding validator ${validator.nodeId} with ${validator.stake} AVAX stake`);
+    console.log(`✅ Blockchain configuration created: ${blockchainName}\n`);
+}
+
+async function deployBlockchain(cli, blockchainName, target) {
+    console.log(`🔗 Deploying ${blockchainName} to ${target}...`);
+
+    let chain = await cli.deployBlockchain(blockchainName, target, { key: process.env.AVALANCHE_CLI_KEY });
+
+    // Older CLI versions only print a summary on deploy; ask for the details
+    if (!chain.subnetId || !chain.blockchainId || !chain.rpcUrl) {
+        chain = { ...(await cli.describeBlockchain(blockchainName)), ...stripUndefined(chain) };
+    }
+
+    for (const field of ["subnetId", "blockchainId", "rpcUrl"]) {
+        if (!chain[field]) {
+            throw new Error(`Could not determine ${field} from Avalanche-CLI output for ${blockchainName}`);
+        }
     }
 
-    console.log("✅ Validators added successfully\n");
+    console.log(`✅ Subnet ID: ${chain.subnetId}`);
+    console.log(`✅ Blockchain ID: ${chain.blockchainId}`);
+    console.log(`✅ RPC URL: ${chain.rpcUrl}\n`);
+    return chain;
 }
 
-async function createBlockchain(subnetId) {
-    console.log("⛓️  Creating EVM blockchain on subnet...");
+async function addValidators(cli, blockchainName, target) {
+    console.log("👥 Adding validators to subnet...");
 
-    // Blockchain creation parameters
-    const blockchainConfig = {
-        vmId: "evm", // Ethereum Virtual Machine
-        name: "Bugtopia Chain",
-        genesis: generateGenesisConfig(),
-        subnetId: subnetId
-    };
+    // Local networks are bootstrapped with their own validator set
+    if (target === "local") {
+        console.log("  Local network: using the validators Avalanche-CLI started\n");
+        return [];
+    }
+
+    // SUBNET_VALIDATORS="NodeID-abc:100,NodeID-def:100"
+    const validators = (process.env.SUBNET_VALIDATORS || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [nodeId, weight] = entry.split(":");
+            return { nodeId, weight: weight ? Number(weight) : undefined };
+        });
+
+    for (const validator of validators) {
+        console.log(`  Adding validator ${validator.nodeId}${validator.weight ? ` with weight ${validator.weight}` : ""}`);
+        await cli.addValidator(blockchainName, target, { ...validator, key: process.env.AVALANCHE_CLI_KEY });
+    }
+
+    console.log(`✅ ${validators.length} validator(s) added\n`);
+    return validators;
+}
 
-    // Simulate blockchain creation
-    const blockchainId = "2CA6j5zYzasynPsFeNoqWkmTCt3VScMvXUZHbfDJ8k62dWgPHD";
-    
-    console.log(`✅ Blockchain created with ID: ${blockchainId}\n`);
-    return blockchainId;
+function stripUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
 }
 
-function generateGenesisConfig() {
-    console.log("⚙️  Generating genesis configuration...");
+function generateGenesisConfig({ quiet = false } = {}) {
+    if (!quiet) console.log("⚙️  Generating genesis configuration...");
 
     const genesis = {
         config: {
@@ -179,61 +310,56 @@ function generateGenesisConfig() {
         parentHash: "0x0000000000000000000000000000000000000000000000000000000000000000"
     };
 
-    console.log("✅ Genesis configuration generated\n");
+    if (!quiet) console.log("✅ Genesis configuration generated\n");
     return genesis;
 }
 
-async function deployContracts(blockchainId) {
+async function deployContracts(executor, chain, target, passphrase) {
     console.log("📄 Deploying smart contracts to subnet...");
 
-    // Update Hardhat network configuration for subnet
-    const networkConfig = {
-        url: `https://subnets.avax.network/bugtopia/rpc`,
-        chainId: SUBNET_CONFIG.chainId,
-        accounts: [process.env.AVALANCHE_PRIVATE_KEY],
-        gasPrice: 25000000000, // 25 Gwei
-        gasMultiplier: 1.2
-    };
+    const { network, rpcEnv } = HARDHAT_NETWORKS[target];
+    const { stdout } = await executor.run(
+        "npx",
+        ["hardhat", "run", "scripts/deploy-l1-contracts.js", "--network", network],
+        { cwd: path.join(__dirname, ".."), env: { [rpcEnv]: chain.rpcUrl, [PASSPHRASE_ENV]: passphrase } }
+    );
 
-    // Deploy contracts using existing deployment scripts
-    console.log("  Deploying BugToken...");
-    // await hre.run("deploy", { tags: "token" });
+    const contracts = {
+        BugtopiaL1: matchAddress(stdout, /BugtopiaL1 deployed to:\s*(0x[0-9a-fA-F]{40})/),
+        BugtopiaCollectibles: matchAddress(stdout, /BugtopiaCollectibles deployed to:\s*(0x[0-9a-fA-F]{40})/)
+    };
 
-    console.log("  Deploying NFT contracts...");
-    // await hre.run("deploy", { tags: "nft" });
+    for (const [name, address] of Object.entries(contracts)) {
+        if (!address) {
+            throw new Error(`Contract deployment did not report a ${name} address`);
+        }
+        console.log(`  ${name}: ${address}`);
+    }
 
     console.log("✅ Smart contracts deployed successfully\n");
+    return contracts;
 }
 
-async function configureTokenomics() {
-    console.log("💰 Configuring tokenomics parameters...");
-
-    // Simulate tokenomics configuration
-    console.log("  Setting up burn rates...");
-    console.log("  Configuring staking pools...");
-    console.log("  Initializing governance...");
-
-    console.log("✅ Tokenomics configured successfully\n");
+function matchAddress(output, pattern) {
+    const match = pattern.exec(output);
+    return match ? match[1] : undefined;
 }
 
-async function generateDeploymentReport(subnetId, blockchainId) {
+async function generateDeploymentReport({ outputDir, blockchainName, target, chain, contracts }) {
     console.log("📊 Generating deployment report...");
 
     const report = {
         timestamp: new Date().toISOString(),
         network: "Avalanche Subnet",
-        subnetId: subnetId,
-        blockchainId: blockchainId,
-        chainId: SUBNET_CONFIG.chainId,
-        rpcUrl: `https://subnets.avax.network/bugtopia/rpc`,
-        explorerUrl: `https://subnets.avax.network/bugtopia`,
-        contracts: {
-            BugToken: "0x...", // Would be populated with actual addresses
-            BugDNANFT: "0x...",
-            TerritoryNFT: "0x...",
-        },
+        target: target,
+        blockchainName: blockchainName,
+        subnetId: chain.subnetId,
+        blockchainId: chain.blockchainId,
+        chainId: chain.chainId || SUBNET_CONFIG.chainId,
+        rpcUrl: chain.rpcUrl,
+        explorerUrl: chain.rpcUrl.replace(/\/rpc$/, ""),
+        contracts: contracts,
         configuration: SUBNET_CONFIG,
-        validators: 3,
         initialSupply: "300000000000000000000000000", // 300M tokens
         gasSettings: {
             gasLimit: SUBNET_CONFIG.gasLimit,
@@ -242,40 +368,63 @@ async function generateDeploymentReport(subnetId, blockchainId) {
     };
 
     // Save report to file
-    const reportPath = path.join(__dirname, "../deployments/subnet-deployment-report.json");
-    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    fs.mkdirSync(outputDir, { recursive: true });
+    const reportPath = path.join(outputDir, "subnet-deployment-report.json");
+    fs.writeFileSync(reportPath, JSON.stringify(report, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value, 2));
 
     console.log(`✅ Deployment report saved to: ${reportPath}\n`);
 
     // Display summary
     console.log("🎉 DEPLOYMENT SUMMARY");
     console.log("=====================");
-    console.log(`Subnet ID: ${subnetId}`);
-    console.log(`Blockchain ID: ${blockchainId}`);
-    console.log(`Chain ID: ${SUBNET_CONFIG.chainId}`);
-    console.log(`RPC URL: https://subnets.avax.network/bugtopia/rpc`);
+    console.log(`Subnet ID: ${report.subnetId}`);
+    console.log(`Blockchain ID: ${report.blockchainId}`);
+    console.log(`Chain ID: ${report.chainId}`);
+    console.log(`RPC URL: ${report.rpcUrl}`);
     console.log(`Block Time: ${SUBNET_CONFIG.targetBlockRate} seconds`);
     console.log(`Gas Limit: ${SUBNET_CONFIG.gasLimit.toLocaleString()}`);
     console.log("");
-}
 
-// Error handling
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
+    return report;
+}
 
 // Main execution
 if (require.main === module) {
+    // Error handling
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+
+    // `node scripts/deploy-subnet.js validate` only checks the configuration
+    if (process.argv[2] === "validate") {
+        try {
+            validateConfiguration(process.env.SUBNET_TARGET || "local");
+            process.exit(0);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+
     deploySubnet()
         .then(() => {
             console.log("🚀 Subnet deployment process completed!");
             process.exit(0);
         })
         .catch((error) => {
-            console.error("❌ Deployment failed:", error);
+            console.error("❌ Deployment failed:", error instanceof SubnetConfigError ? error.message : error);
             process.exit(1);
         });
 }
 
-module.exports = { deploySubnet, SUBNET_CONFIG };
+module.exports = {
+    deploySubnet,
+    validateConfiguration,
+    generateGenesisConfig,
+    writeGenesisConfig,
+    deployBlockchain,
+    deployContracts,
+    SUBNET_CONFIG
+};
@@ -124,10 +124,8 @@ BUGTOPIA_L1_RPC_URL=$RPC_URL
 BUGTOPIA_L1_CHAIN_ID=$CHAIN_ID
 BUGTOPIA_L1_EXPLORER_URL=$EXPLORER_URL
 
-# Private keys for funded accounts (DO NOT USE IN PRODUCTION)
-PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
-TREASURY_PRIVATE_KEY=0x59c6995e998f97a5a0044966f0945389dc9e86dae88c6a8412f4f5c5a4f3e2e3
-VALIDATOR_PRIVATE_KEY=0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a
+# Deployment keys are not kept here: hardhat reads them from the encrypted
+# keystore (npx hardhat keystore:import --keystore local --account deployer)
 
 # API Keys (set these if you have them)
 SNOWTRACE_API_KEY=your_snowtrace_api_key_here
@@ -165,8 +163,20 @@ echo "   Chain ID: $CHAIN_ID"
 echo "   Symbol: BUG"
 echo "   Block Explorer: $EXPLORER_URL"
 
-# Save configuration
+# Save configuration. Keys stay in the encrypted keystore: only the
+# addresses of the accounts imported into it so far are recorded here.
 mkdir -p deployments
+ACCOUNTS_JSON=$(node -e '
+const { listKeystore } = require("./utils/keystore");
+const { bugtopia_local: profile } = require("./utils/network-profiles").loadNetworkProfiles();
+const stored = listKeystore(profile.keystore);
+const accounts = profile.accounts.map((role) => {
+  const entry = stored.find(({ account }) => account === role);
+  return { role, keystore: profile.keystore, address: entry ? entry.address : null };
+});
+console.log(JSON.stringify(accounts, null, 2).replace(/\n/g, "\n  "));
+')
+
 cat > deployments/blockchain-config.json << EOF
 {
   "blockchainName": "$BLOCKCHAIN_NAME",
@@ -176,23 +186,7 @@ cat > deployments/blockchain-config.json << EOF
   "nativeToken": "BUG",
   "deployedAt": "$(date -u +%Y-%m-%dT%H:%M:%SZ)",
   "vm": "Subnet-EVM",
-  "accounts": [
-    {
-      "address": "0x8db97C7cEcE249c2b98bDC0226Cc4C2A57BF52FC",
-      "privateKey": "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
-      "role": "deployer"
-    },
-    {
-      "address": "0x9632110A6c019e81e4f2Cac7E8c69E9a1c8F3e8C", 
-      "privateKey": "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c6a8412f4f5c5a4f3e2e3",
-      "role": "treasury"
-    },
-    {
-      "address": "0x742d35Cc6634C0532925a3b8D17d9e5b8A8e1E6F",
-      "privateKey": "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a",
-      "role": "validator"
-    }
-  ]
+  "accounts": $ACCOUNTS_JSON
 }
 EOF
 
@@ -201,10 +195,12 @@ echo -e "${GREEN}✅ Blockchain configuration saved to deployments/blockchain-co
 echo -e "${GREEN}🎉 Bugtopia L1 setup complete!${NC}"
 echo
 echo -e "${YELLOW}Next steps:${NC}"
-echo "1. Deploy smart contracts: npm run deploy:local"
-echo "2. Add network to Core Wallet using the details above"
-echo "3. Import accounts using the private keys (FOR DEVELOPMENT ONLY)"
-echo "4. Start developing with native BUG tokens!"
+echo "1. Add the deployer, treasury and validator keys to the local keystore:"
+echo "   npx hardhat keystore:import --keystore local --account deployer"
+echo "2. Deploy smart contracts: npm run deploy:local"
+echo "3. Add network to Core Wallet using the details above"
+echo "4. Import the accounts into Core Wallet from their keystore files (npx hardhat keystore:list)"
+echo "5. Start developing with native BUG tokens!"
 echo
 echo -e "${BLUE}Useful commands:${NC}"
 echo "   Check blockchain status: avalanche blockchain list"
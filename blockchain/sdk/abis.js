@@ -0,0 +1,21 @@
+/**
+ * Compiled ABIs bundled with the SDK
+ *
+ * sdk/abi/*.json are exported from the Hardhat artifacts by
+ * `npx hardhat sdk:abi`; never edit them by hand.
+ */
+
+const { ethers } = require("ethers");
+
+const BUGTOPIA_L1_ABI = require("./abi/BugtopiaL1.json");
+const COLLECTIBLES_ABI = require("./abi/BugtopiaCollectibles.json");
+
+const BUGTOPIA_L1_INTERFACE = new ethers.Interface(BUGTOPIA_L1_ABI);
+const COLLECTIBLES_INTERFACE = new ethers.Interface(COLLECTIBLES_ABI);
+
+module.exports = {
+  BUGTOPIA_L1_ABI,
+  COLLECTIBLES_ABI,
+  BUGTOPIA_L1_INTERFACE,
+  COLLECTIBLES_INTERFACE
+};
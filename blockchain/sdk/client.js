@@ -0,0 +1,431 @@
+/**
+ * Bugtopia client
+ *
+ * One object wrapping BugtopiaL1 and BugtopiaCollectibles for the metadata
+ * server, the indexer, Hardhat tasks and tests. Write methods attach the
+ * utility fee the contracts expect, wait for the receipt and return the
+ * decoded events; reverts surface as BugtopiaContractError.
+ */
+
+const { ethers } = require("ethers");
+const {
+  BUGTOPIA_L1_ABI,
+  COLLECTIBLES_ABI,
+  BUGTOPIA_L1_INTERFACE,
+  COLLECTIBLES_INTERFACE
+} = require("./abis");
+const { translateError } = require("./errors");
+const { getDeployedAddress, registryNetworkFor } = require("../utils/deployment-registry");
+
+/**
+ * @typedef {Object} BugDNAData
+ * @property {bigint|number} species
+ * @property {bigint|number} neuralLayers
+ * @property {bigint|number} fitness
+ * @property {bigint|number} arenaWins
+ * @property {bigint|number} lineage
+ * @property {bigint|number} biomeSpecialization
+ * @property {bigint|number} parentId1
+ * @property {bigint|number} parentId2
+ * @property {string} geneticHash bytes32
+ * @property {bigint|number} birthTimestamp
+ * @property {bigint|number} survivalDays
+ */
+
+/**
+ * @typedef {Object} TerritoryData
+ * @property {bigint|number} minX
+ * @property {bigint|number} maxX
+ * @property {bigint|number} minY
+ * @property {bigint|number} maxY
+ * @property {bigint|number} minZ
+ * @property {bigint|number} maxZ
+ * @property {bigint|number} biomeType
+ * @property {bigint|number} resourceAbundance
+ * @property {bigint|number} safetyRating
+ * @property {bigint|number} carryingCapacity
+ * @property {bigint|number} populationCount
+ * @property {string[]} stakeholders
+ */
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} contract "BugtopiaL1" or "BugtopiaCollectibles"
+ * @property {string} name Event name
+ * @property {Object} args Named event arguments
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * @typedef {Object} OperationResult
+ * @property {string} kind Operation kind, e.g. mintBugDNA
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ * @property {bigint} gasUsed
+ * @property {DecodedEvent[]} events Events emitted by Bugtopia contracts
+ * @property {bigint} [tokenId] Minted token (mintBugDNA, mintTerritory)
+ * @property {bigint} [rarity] Minted token rarity (mintBugDNA, mintTerritory)
+ */
+
+const CONTRACT_INTERFACES = {
+  BugtopiaL1: BUGTOPIA_L1_INTERFACE,
+  BugtopiaCollectibles: COLLECTIBLES_INTERFACE
+};
+
+// ============= EVENTS =============
+
+/**
+ * Decode a log emitted by either Bugtopia contract
+ * @param {ethers.Log} log Raw log
+ * @param {string} contract Contract name, when the emitter is known
+ * @returns {DecodedEvent|null} Decoded event, or null for foreign logs
+ */
+function decodeLog(log, contract) {
+  const candidates = contract ? [contract] : Object.keys(CONTRACT_INTERFACES);
+  for (const name of candidates) {
+    const parsed = CONTRACT_INTERFACES[name].parseLog(log);
+    if (!parsed) continue;
+    return {
+      contract: name,
+      name: parsed.name,
+      args: parsed.args.toObject(),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index
+    };
+  }
+  return null;
+}
+
+// ============= CLIENT =============
+
+/**
+ * Create a client for a BugtopiaL1 / BugtopiaCollectibles deployment
+ * @param {Object} options
+ * @param {ethers.ContractRunner} options.runner Signer for writes, or a provider for read-only use
+ * @param {Object} options.addresses
+ * @param {string} options.addresses.bugtopiaL1 BugtopiaL1 address (read from Collectibles when omitted)
+ * @param {string} options.addresses.collectibles BugtopiaCollectibles address (optional)
+ * @param {number} options.confirmations Confirmations to wait for on writes (default 1)
+ */
+function createBugtopiaClient({ runner, addresses = {}, confirmations = 1 }) {
+  if (!runner) {
+    throw new Error("createBugtopiaClient needs a signer or provider");
+  }
+  if (!addresses.bugtopiaL1 && !addresses.collectibles) {
+    throw new Error("createBugtopiaClient needs a BugtopiaL1 or BugtopiaCollectibles address");
+  }
+
+  const collectibles = addresses.collectibles
+    ? new ethers.Contract(addresses.collectibles, COLLECTIBLES_ABI, runner)
+    : null;
+  let bugtopiaL1 = addresses.bugtopiaL1
+    ? new ethers.Contract(addresses.bugtopiaL1, BUGTOPIA_L1_ABI, runner)
+    : null;
+  const subscriptions = new Map();
+
+  function requireCollectibles() {
+    if (!collectibles) throw new Error("No BugtopiaCollectibles address configured");
+    return collectibles;
+  }
+
+  async function l1() {
+    if (!bugtopiaL1) {
+      // Collectibles pays its mint fees into the L1 contract it was deployed with
+      const address = await requireCollectibles().bugtopiaL1();
+      bugtopiaL1 = new ethers.Contract(address, BUGTOPIA_L1_ABI, runner);
+    }
+    return bugtopiaL1;
+  }
+
+  async function call(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  /**
+   * Build a transaction for one operation kind without sending it
+   * @returns {Promise<{contract: ethers.Contract, method: string, args: Array, value: bigint}>}
+   */
+  async function prepare(kind, params) {
+    switch (kind) {
+      case "mintBugDNA":
+      case "mintTerritory": {
+        const isBug = kind === "mintBugDNA";
+        const feeType = isBug ? "nft_minting" : "territory_minting";
+        // Overpaying reverts: the L1 refund goes to Collectibles, which cannot receive it
+        const value = params.value ?? await client.getUtilityFee(feeType);
+        const to = params.to ?? await runner.getAddress();
+        return { contract: requireCollectibles(), method: kind, args: [to, isBug ? params.bugData : params.territoryData], value };
+      }
+      case "batchMint": {
+        const value = params.value ?? await client.getUtilityFee("batch_minting");
+        const to = params.to ?? await runner.getAddress();
+        const data = params.data ?? params.categories.map(() => "0x");
+        return { contract: requireCollectibles(), method: kind, args: [to, params.categories, params.amounts, data], value };
+      }
+      case "stakeOnTerritory":
+        return { contract: requireCollectibles(), method: kind, args: [params.tokenId], value: BigInt(params.amount) };
+      case "unstakeFromTerritory":
+        return { contract: requireCollectibles(), method: kind, args: [params.tokenId, params.amount], value: 0n };
+      case "distributeRevenue": {
+        // distributeRevenue pays out of the Collectibles balance without
+        // checking msg.value; funding the total by default keeps stakes intact
+        const total = params.amounts.reduce((sum, amount) => sum + BigInt(amount), 0n);
+        const value = params.value ?? total;
+        return { contract: requireCollectibles(), method: kind, args: [params.tokenId, params.recipients, params.amounts], value };
+      }
+      case "payUtilityFee": {
+        const value = params.value ?? await client.getUtilityFee(params.utilityType);
+        return { contract: await l1(), method: kind, args: [params.utilityType], value };
+      }
+      case "burnBug":
+        return { contract: await l1(), method: kind, args: [params.amount, params.reason ?? ""], value: params.value ?? BigInt(params.amount) };
+      default:
+        throw new Error(`Unknown operation kind "${kind}"`);
+    }
+  }
+
+  function contractNameAt(address) {
+    if (collectibles && address === ethers.getAddress(collectibles.target)) return "BugtopiaCollectibles";
+    if (bugtopiaL1 && address === ethers.getAddress(bugtopiaL1.target)) return "BugtopiaL1";
+    return undefined;
+  }
+
+  function summarize(kind, receipt) {
+    const events = receipt.logs
+      .map((log) => {
+        const name = contractNameAt(ethers.getAddress(log.address));
+        return name ? decodeLog(log, name) : null;
+      })
+      .filter(Boolean);
+    const result = {
+      kind,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      events
+    };
+    const minted = events.find((event) => event.name === "NFTMinted");
+    if (minted) {
+      result.tokenId = minted.args.tokenId;
+      result.rarity = minted.args.rarity;
+    }
+    return result;
+  }
+
+  /**
+   * Send one operation and wait for it
+   * @param {string} kind Operation kind
+   * @param {Object} params Operation parameters
+   * @param {Object} overrides Transaction overrides (nonce, gasLimit, ...)
+   * @returns {Promise<OperationResult>}
+   */
+  async function execute(kind, params, overrides = {}) {
+    return call(async () => {
+      const { contract, method, args, value } = await prepare(kind, params);
+      const tx = await contract[method](...args, { ...overrides, value });
+      const receipt = await tx.wait(confirmations);
+      return summarize(kind, receipt);
+    });
+  }
+
+  const client = {
+    runner,
+    collectibles,
+    get bugtopiaL1() {
+      return bugtopiaL1;
+    },
+    l1,
+    prepare,
+    execute,
+    summarize,
+
+    // ----- reads -----
+
+    async getUtilityFee(utilityType) {
+      return call(async () => (await l1()).getUtilityFee(utilityType));
+    },
+    async getBurnRate(activity) {
+      return call(async () => (await l1()).getBurnRate(activity));
+    },
+    async getEconomicState() {
+      const [totalBurned, rewardsPool, treasury] = await call(async () => (await l1()).getEconomicState());
+      return { totalBurned, rewardsPool, treasury };
+    },
+    async getTokenMetadata(tokenId) {
+      return call(() => requireCollectibles().getTokenMetadata(tokenId));
+    },
+    async getTokenAttributes(tokenId) {
+      const [keys, values] = await call(() => requireCollectibles().getTokenAttributes(tokenId));
+      return { keys: [...keys], values: [...values] };
+    },
+    async getTerritoryStake(tokenId, staker) {
+      const [stakedAmount, totalStaked] = await call(() => requireCollectibles().getTerritoryStake(tokenId, staker));
+      return { stakedAmount, totalStaked };
+    },
+    async isAuthorizedMinter(address) {
+      return call(() => requireCollectibles().authorizedMinters(address));
+    },
+    /**
+     * Recover the BugDNAData / TerritoryData a token was minted with. The
+     * contract keeps only some fields (no geneticHash, parents or bounds);
+     * the mint calldata has all of them.
+     * @param {bigint|number} tokenId Token ID
+     * @param {Object} options
+     * @param {number} options.fromBlock First block to search for the NFTMinted log (default 0)
+     * @returns {Promise<{kind: string, to: string, data: Object, transactionHash: string, blockNumber: number}|null>}
+     *   null when the token was not minted by a direct mintBugDNA / mintTerritory call
+     */
+    async getMintData(tokenId, { fromBlock = 0 } = {}) {
+      const contract = requireCollectibles();
+      const [log] = await call(() => contract.queryFilter(contract.filters.NFTMinted(null, tokenId), fromBlock));
+      if (!log) return null;
+
+      // batchMint, or a mint relayed through another contract, leaves no usable calldata
+      const tx = await log.getTransaction();
+      if (!tx.to || ethers.getAddress(tx.to) !== ethers.getAddress(contract.target)) return null;
+      const parsed = COLLECTIBLES_INTERFACE.parseTransaction({ data: tx.data, value: tx.value });
+      if (!parsed || !["mintBugDNA", "mintTerritory"].includes(parsed.name)) return null;
+
+      return {
+        kind: parsed.name,
+        to: parsed.args[0],
+        data: parsed.args[1].toObject(true),
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber
+      };
+    },
+
+    // ----- writes -----
+
+    /**
+     * Mint a Bug DNA NFT, attaching the nft_minting fee
+     * @param {BugDNAData} bugData
+     * @param {Object} options { to, value }
+     */
+    mintBugDNA(bugData, { to, value } = {}) {
+      return execute("mintBugDNA", { bugData, to, value });
+    },
+    /**
+     * Mint a Territory NFT, attaching the territory_minting fee
+     * @param {TerritoryData} territoryData
+     * @param {Object} options { to, value }
+     */
+    mintTerritory(territoryData, { to, value } = {}) {
+      return execute("mintTerritory", { territoryData, to, value });
+    },
+    batchMint(categories, amounts, { to, value, data } = {}) {
+      return execute("batchMint", { categories, amounts, to, value, data });
+    },
+    stakeOnTerritory(tokenId, amount) {
+      return execute("stakeOnTerritory", { tokenId, amount });
+    },
+    unstakeFromTerritory(tokenId, amount) {
+      return execute("unstakeFromTerritory", { tokenId, amount });
+    },
+    distributeRevenue(tokenId, recipients, amounts, { value } = {}) {
+      return execute("distributeRevenue", { tokenId, recipients, amounts, value });
+    },
+    payUtilityFee(utilityType, { value } = {}) {
+      return execute("payUtilityFee", { utilityType, value });
+    },
+    burnBug(amount, reason, { value } = {}) {
+      return execute("burnBug", { amount, reason, value });
+    },
+
+    // ----- events -----
+
+    /**
+     * Subscribe to a decoded contract event
+     * @param {string} eventName e.g. "NFTMinted" or "UtilityFeePaid"
+     * @param {Function} listener Called with a DecodedEvent
+     * @returns {Promise<Function>} Unsubscribe function
+     */
+    async on(eventName, listener) {
+      const onCollectibles = Boolean(COLLECTIBLES_INTERFACE.getEvent(eventName)) &&
+        (collectibles !== null || !BUGTOPIA_L1_INTERFACE.getEvent(eventName));
+      const name = onCollectibles ? "BugtopiaCollectibles" : "BugtopiaL1";
+      if (!CONTRACT_INTERFACES[name].getEvent(eventName)) {
+        throw new Error(`Unknown event "${eventName}"`);
+      }
+      const contract = onCollectibles ? requireCollectibles() : await l1();
+
+      const handler = (...args) => {
+        const payload = args[args.length - 1];
+        listener(decodeLog(payload.log, name));
+      };
+      await contract.on(eventName, handler);
+      subscriptions.set(handler, { contract, eventName });
+
+      return async () => {
+        subscriptions.delete(handler);
+        await contract.off(eventName, handler);
+      };
+    },
+    async removeAllListeners() {
+      for (const [handler, { contract, eventName }] of subscriptions) {
+        await contract.off(eventName, handler);
+      }
+      subscriptions.clear();
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Resolve deployment addresses: explicit values, then BUGTOPIA_L1_ADDRESS /
+ * COLLECTIBLES_ADDRESS, then the deployment registry of the network on this
+ * chain (BUGTOPIA_NETWORK names it when several networks share the chain)
+ * @param {bigint|number} chainId Chain ID
+ * @param {Object} overrides { bugtopiaL1, collectibles }
+ * @param {Object} options { dir, network } registry directory and network name
+ */
+function resolveAddresses(chainId, overrides = {}, { dir, network } = {}) {
+  const bugtopiaL1 = overrides.bugtopiaL1 || process.env.BUGTOPIA_L1_ADDRESS;
+  const collectibles = overrides.collectibles || process.env.COLLECTIBLES_ADDRESS;
+  if (bugtopiaL1 && collectibles) return { bugtopiaL1, collectibles };
+
+  const registryNetwork = registryNetworkFor(chainId, { network, dir });
+  const recorded = (name) => (registryNetwork ? getDeployedAddress(registryNetwork, name, { dir }) : undefined);
+  return {
+    bugtopiaL1: bugtopiaL1 || recorded("BugtopiaL1"),
+    collectibles: collectibles || recorded("BugtopiaCollectibles")
+  };
+}
+
+/**
+ * Connect to a Bugtopia L1 over JSON-RPC and build a client from the
+ * configured addresses
+ * @param {Object} options
+ * @param {string} options.rpcUrl JSON-RPC URL (default BUGTOPIA_L1_RPC_URL or localhost:8545)
+ * @param {string} options.privateKey Signer key; read-only when omitted
+ * @param {Object} options.addresses Address overrides
+ */
+async function connectBugtopiaClient({ rpcUrl, privateKey, addresses, confirmations } = {}) {
+  const url = rpcUrl || process.env.BUGTOPIA_L1_RPC_URL || "http://127.0.0.1:8545";
+  const provider = new ethers.JsonRpcProvider(url);
+  const { chainId } = await provider.getNetwork();
+  const runner = privateKey ? new ethers.Wallet(privateKey, provider) : provider;
+  const resolved = resolveAddresses(chainId, addresses);
+  return {
+    client: createBugtopiaClient({ runner, addresses: resolved, confirmations }),
+    provider,
+    chainId,
+    rpcUrl: url,
+    addresses: resolved
+  };
+}
+
+module.exports = {
+  decodeLog,
+  createBugtopiaClient,
+  resolveAddresses,
+  connectBugtopiaClient
+};
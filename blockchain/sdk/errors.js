@@ -0,0 +1,112 @@
+/**
+ * Contract error mapping
+ *
+ * Turns ethers / Hardhat revert errors into BugtopiaContractError with a
+ * stable code, keyed by the revert strings and OpenZeppelin custom errors
+ * in BugtopiaL1 and BugtopiaCollectibles.
+ */
+
+const { BUGTOPIA_L1_INTERFACE, COLLECTIBLES_INTERFACE } = require("./abis");
+
+// require(...) messages, exactly as written in the contracts
+const REVERT_REASONS = {
+  "Not authorized to mint": "NOT_AUTHORIZED_TO_MINT",
+  "Insufficient stake": "INSUFFICIENT_STAKE",
+  "Not a territory": "NOT_A_TERRITORY",
+  "Must stake some BUG": "EMPTY_STAKE",
+  "Array length mismatch": "ARRAY_LENGTH_MISMATCH",
+  "Insufficient fee payment": "INSUFFICIENT_FEE",
+  "Insufficient BUG to burn": "INSUFFICIENT_BURN_VALUE",
+  "Insufficient rewards pool": "INSUFFICIENT_REWARDS_POOL",
+  "Burn rate too high": "BURN_RATE_TOO_HIGH",
+  "Ratios must sum to 100%": "INVALID_FEE_SPLIT",
+  "Invalid treasury address": "INVALID_TREASURY"
+};
+
+// OpenZeppelin custom errors surfaced by both contracts
+const CUSTOM_ERRORS = {
+  OwnableUnauthorizedAccount: "NOT_OWNER",
+  OwnableInvalidOwner: "INVALID_OWNER",
+  EnforcedPause: "PAUSED",
+  ExpectedPause: "NOT_PAUSED",
+  ReentrancyGuardReentrantCall: "REENTRANT_CALL",
+  ERC1155InsufficientBalance: "INSUFFICIENT_BALANCE",
+  ERC1155InvalidReceiver: "INVALID_RECEIVER",
+  ERC1155MissingApprovalForAll: "MISSING_APPROVAL"
+};
+
+class BugtopiaContractError extends Error {
+  /**
+   * @param {string} code Stable error code, e.g. NOT_AUTHORIZED_TO_MINT
+   * @param {string} reason Revert string or custom error name
+   * @param {Object} details
+   * @param {Array} details.args Custom error arguments
+   * @param {Error} details.cause Original error
+   */
+  constructor(code, reason, { args = [], cause } = {}) {
+    super(reason, { cause });
+    this.name = "BugtopiaContractError";
+    this.code = code;
+    this.reason = reason;
+    this.args = args;
+  }
+}
+
+function decodeRevertData(data) {
+  if (typeof data !== "string" || data.length < 10) return undefined;
+  for (const iface of [BUGTOPIA_L1_INTERFACE, COLLECTIBLES_INTERFACE]) {
+    const parsed = iface.parseError(data);
+    if (!parsed) continue;
+    // parseError also decodes the built-in Error(string)
+    if (parsed.name === "Error") return { reason: parsed.args[0], args: [] };
+    return { reason: parsed.name, args: [...parsed.args] };
+  }
+  return undefined;
+}
+
+/**
+ * Extract the revert from an ethers or Hardhat error
+ * @param {Error} error Error thrown by a contract call
+ * @returns {{reason: string, args: Array}|undefined}
+ */
+function extractRevert(error) {
+  for (let current = error; current; current = current.error || current.cause) {
+    if (current.revert && current.revert.name && current.revert.name !== "Error") {
+      return { reason: current.revert.name, args: [...current.revert.args] };
+    }
+    if (typeof current.reason === "string" && current.reason) {
+      return { reason: current.reason, args: [] };
+    }
+    const decoded = decodeRevertData(current.data);
+    if (decoded) return decoded;
+
+    const message = current.message || "";
+    const reasonString = /reverted with reason string '(.*)'/s.exec(message);
+    if (reasonString) return { reason: reasonString[1], args: [] };
+    const customError = /reverted with custom error '(\w+)\(/.exec(message);
+    if (customError) return { reason: customError[1], args: [] };
+  }
+  return undefined;
+}
+
+/**
+ * Map a contract error to BugtopiaContractError; other errors pass through
+ * @param {Error} error Error thrown by a contract call
+ * @returns {Error}
+ */
+function translateError(error) {
+  if (error instanceof BugtopiaContractError) return error;
+  const revert = extractRevert(error);
+  if (!revert) return error;
+
+  const code = REVERT_REASONS[revert.reason] || CUSTOM_ERRORS[revert.reason] || "CONTRACT_REVERT";
+  return new BugtopiaContractError(code, revert.reason, { args: revert.args, cause: error });
+}
+
+module.exports = {
+  REVERT_REASONS,
+  CUSTOM_ERRORS,
+  BugtopiaContractError,
+  extractRevert,
+  translateError
+};
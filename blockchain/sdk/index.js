@@ -0,0 +1,21 @@
+/**
+ * Bugtopia JS SDK
+ *
+ *   const { connectBugtopiaClient, createOperationQueue } = require("./sdk");
+ *   const { client } = await connectBugtopiaClient({ privateKey });
+ *   const { tokenId } = await client.mintBugDNA(bugData);
+ *
+ * ABIs come from the compiled contracts (npx hardhat sdk:abi).
+ */
+
+const abis = require("./abis");
+const errors = require("./errors");
+const client = require("./client");
+const queue = require("./queue");
+
+module.exports = {
+  ...abis,
+  ...errors,
+  ...client,
+  ...queue
+};
@@ -0,0 +1,164 @@
+/**
+ * Operation queue
+ *
+ * Mirrors the Swift BlockchainManagerL1 queue: operations are collected and
+ * sent in batches with consecutive nonces managed locally, so a batch goes
+ * out back to back without waiting for each receipt. Operations in one
+ * batch must not depend on each other's effects; flush between them.
+ */
+
+const { translateError } = require("./errors");
+
+// The L1Operation cases in BlockchainManagerL1.swift, plus the two
+// Collectibles calls the Swift side does not queue yet
+const OPERATION_KINDS = [
+  "mintBugDNA",
+  "mintTerritory",
+  "stakeOnTerritory",
+  "payUtilityFee",
+  "distributeRevenue",
+  "burnBug",
+  "unstakeFromTerritory",
+  "batchMint"
+];
+
+/**
+ * Create a queue that sends operations through a Bugtopia client
+ * @param {Object} client Client from createBugtopiaClient (with a signer)
+ * @param {Object} options
+ * @param {number} options.batchSize Operations sent per batch (default 10)
+ * @param {number} options.confirmations Confirmations to wait for (default 1)
+ */
+function createOperationQueue(client, { batchSize = 10, confirmations = 1 } = {}) {
+  const pending = [];
+  let nextNonce;
+  let flushing = Promise.resolve();
+  let timer = null;
+
+  async function reserveNonce() {
+    if (nextNonce === undefined) {
+      nextNonce = await client.runner.getNonce("pending");
+    }
+    return nextNonce;
+  }
+
+  async function send(entry) {
+    const { contract, method, args, value } = await client.prepare(entry.kind, entry.params);
+    // Estimate before reserving a nonce so a reverting call never takes one
+    const estimate = await contract[method].estimateGas(...args, { value });
+    const gasLimit = (estimate * BigInt(entry.options.gasLimitPercent || 100)) / 100n;
+    const nonce = await reserveNonce();
+    const tx = await contract[method](...args, { value, nonce, gasLimit });
+    nextNonce = nonce + 1;
+    if (entry.options.onSent) entry.options.onSent(tx);
+    return tx;
+  }
+
+  async function runBatch(batch) {
+    const sent = [];
+    for (const entry of batch) {
+      try {
+        sent.push({ entry, tx: await send(entry) });
+      } catch (error) {
+        // A failed send may or may not have used the nonce; ask the chain
+        nextNonce = undefined;
+        entry.settle({ status: "failed", error: translateError(error) });
+      }
+    }
+
+    await Promise.all(sent.map(async ({ entry, tx }) => {
+      try {
+        const receipt = await tx.wait(confirmations);
+        entry.settle({ status: "confirmed", result: client.summarize(entry.kind, receipt) });
+      } catch (error) {
+        entry.settle({ status: "failed", error: translateError(error) });
+      }
+    }));
+  }
+
+  async function drain() {
+    const outcomes = [];
+    while (pending.length > 0) {
+      const batch = pending.splice(0, batchSize);
+      await runBatch(batch);
+      outcomes.push(...batch.map((entry) => entry.outcome));
+    }
+    return outcomes;
+  }
+
+  return {
+    /**
+     * Queue an operation
+     * @param {string} kind One of OPERATION_KINDS
+     * @param {Object} params Parameters for client.prepare()
+     * @param {Object} options
+     * @param {number} options.gasLimitPercent Gas limit as a percentage of the estimate (default 100)
+     * @param {Function} options.onSent Called with the transaction response once it is broadcast
+     * @returns {Promise<Object>} Resolves with the OperationResult once mined
+     */
+    enqueue(kind, params = {}, options = {}) {
+      if (!OPERATION_KINDS.includes(kind)) {
+        throw new Error(`Unknown operation kind "${kind}"`);
+      }
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      // Callers that only read flush() results should not trip unhandled rejections
+      promise.catch(() => {});
+
+      const entry = { kind, params, options };
+      entry.settle = (outcome) => {
+        entry.outcome = { kind, ...outcome };
+        if (outcome.status === "confirmed") resolve(outcome.result);
+        else reject(outcome.error);
+      };
+      pending.push(entry);
+      return promise;
+    },
+
+    /**
+     * Send everything queued so far
+     * @returns {Promise<Array<{kind: string, status: string, result?: Object, error?: Error}>>}
+     */
+    flush() {
+      const run = flushing.then(drain);
+      flushing = run.catch(() => {});
+      return run;
+    },
+
+    /**
+     * Flush on an interval, like the Swift operation processor
+     * @param {number} intervalMs Flush interval in milliseconds
+     */
+    start(intervalMs = 1000) {
+      if (timer) return;
+      timer = setInterval(() => {
+        if (pending.length > 0) this.flush();
+      }, intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Forget the cached nonce; the next send reads it from the chain
+     */
+    resyncNonce() {
+      nextNonce = undefined;
+    },
+
+    get size() {
+      return pending.length;
+    }
+  };
+}
+
+module.exports = {
+  OPERATION_KINDS,
+  createOperationQueue
+};
@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+
+/**
+ * Bugtopia Event Indexer
+ *
+ * Follows BugtopiaL1 and BugtopiaCollectibles events from a start block and
+ * writes them to a local SQLite file, so burn histories, holder balances and
+ * staking timelines can be queried without on-chain views.
+ *
+ * Progress is stored in the database: restarting resumes from the last
+ * processed block, and a reorg rolls indexed rows back to the last block
+ * whose hash still matches the chain. Only the hashes of the last
+ * `reorgDepth` blocks are kept; blocks with events keep their timestamp.
+ * Logs are only stored under the block whose hash they carry; a range whose
+ * logs and blocks disagree is fetched again.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { ethers } = require("ethers");
+const { BUGTOPIA_L1_INTERFACE, COLLECTIBLES_INTERFACE, resolveAddresses } = require("../sdk");
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_REORG_DEPTH = 64;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+// Times a range is fetched again when its logs and blocks disagree
+const LOG_REFETCH_ATTEMPTS = 3;
+
+// Tables that hold per-event rows; all carry block_number for reorg rollback
+const EVENT_TABLES = [
+  "bug_burns",
+  "utility_fees",
+  "staking_distributions",
+  "parameter_updates",
+  "nft_mints",
+  "territory_stakes",
+  "revenue_distributions",
+  "transfers"
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS block_timestamps (
+    number INTEGER PRIMARY KEY,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS bug_burns (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    burner TEXT NOT NULL, amount TEXT NOT NULL, reason TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS utility_fees (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    payer TEXT NOT NULL, amount TEXT NOT NULL, utility_type TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS staking_distributions (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    total_amount TEXT NOT NULL, recipient_count INTEGER NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS parameter_updates (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    parameter TEXT NOT NULL, old_value TEXT NOT NULL, new_value TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS nft_mints (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    token_id TEXT NOT NULL, recipient TEXT NOT NULL, category INTEGER NOT NULL,
+    name TEXT NOT NULL, rarity INTEGER NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS territory_stakes (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    token_id TEXT NOT NULL, staker TEXT NOT NULL, amount TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('stake', 'unstake')),
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS revenue_distributions (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    token_id TEXT NOT NULL, total_amount TEXT NOT NULL, stakeholder_count INTEGER NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS transfers (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    batch_index INTEGER NOT NULL, operator TEXT NOT NULL, sender TEXT NOT NULL,
+    recipient TEXT NOT NULL, token_id TEXT NOT NULL, value TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index, batch_index)
+  );
+  CREATE INDEX IF NOT EXISTS idx_bug_burns_reason ON bug_burns (reason, block_number);
+  CREATE INDEX IF NOT EXISTS idx_territory_stakes_token ON territory_stakes (token_id, block_number);
+  CREATE INDEX IF NOT EXISTS idx_transfers_sender ON transfers (sender);
+  CREATE INDEX IF NOT EXISTS idx_transfers_recipient ON transfers (recipient);
+`;
+
+// ============= DATABASE =============
+
+/**
+ * Open (or create) the SQLite index file
+ * @param {string} filePath Database file; ":memory:" keeps it in memory only
+ * @returns {Promise<{db: Object, filePath: string, save: Function, close: Function}>}
+ */
+async function openIndexDatabase(filePath) {
+  const SQL = await initSqlJs();
+  const persistent = filePath !== ":memory:";
+  const db = persistent && fs.existsSync(filePath)
+    ? new SQL.Database(fs.readFileSync(filePath))
+    : new SQL.Database();
+
+  db.run(SCHEMA);
+
+  return {
+    db,
+    filePath,
+    save() {
+      if (!persistent) return;
+      // Write-then-rename so a crash never leaves a truncated database
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, Buffer.from(db.export()));
+      fs.renameSync(tmpPath, filePath);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+function queryAll(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  const rows = [];
+  try {
+    statement.bind(params);
+    while (statement.step()) rows.push(statement.getAsObject());
+  } finally {
+    statement.free();
+  }
+  return rows;
+}
+
+function getMeta(db, key) {
+  const [row] = queryAll(db, "SELECT value FROM meta WHERE key = ?", [key]);
+  return row ? row.value : undefined;
+}
+
+function setMeta(db, key, value) {
+  db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, String(value)]);
+}
+
+// ============= EVENT DECODING =============
+
+/**
+ * Convert a decoded log into rows for the event tables
+ * @param {ethers.LogDescription} parsed Decoded event
+ * @param {ethers.Log} log Raw log
+ * @returns {Array<{table: string, row: Object}>}
+ */
+function eventRows(parsed, log) {
+  const base = {
+    block_number: log.blockNumber,
+    tx_hash: log.transactionHash,
+    log_index: log.index
+  };
+  const args = parsed.args;
+
+  switch (parsed.name) {
+    case "BugBurned":
+      return [{ table: "bug_burns", row: { ...base, burner: args.burner, amount: args.amount.toString(), reason: args.reason } }];
+    case "UtilityFeePaid":
+      return [{ table: "utility_fees", row: { ...base, payer: args.payer, amount: args.amount.toString(), utility_type: args.utilityType } }];
+    case "StakingRewardsDistributed":
+      return [{ table: "staking_distributions", row: { ...base, total_amount: args.totalAmount.toString(), recipient_count: Number(args.recipientCount) } }];
+    case "EconomicParameterUpdated":
+      return [{ table: "parameter_updates", row: { ...base, parameter: args.parameter, old_value: args.oldValue.toString(), new_value: args.newValue.toString() } }];
+    case "NFTMinted":
+      return [{ table: "nft_mints", row: { ...base, token_id: args.tokenId.toString(), recipient: args.to, category: Number(args.category), name: args.name, rarity: Number(args.rarity) } }];
+    case "TerritoryStaked":
+    case "TerritoryUnstaked":
+      return [{
+        table: "territory_stakes",
+        row: {
+          ...base,
+          token_id: args.tokenId.toString(),
+          staker: args.staker,
+          amount: args.amount.toString(),
+          action: parsed.name === "TerritoryStaked" ? "stake" : "unstake"
+        }
+      }];
+    case "RevenueDistributed":
+      return [{ table: "revenue_distributions", row: { ...base, token_id: args.tokenId.toString(), total_amount: args.totalAmount.toString(), stakeholder_count: Number(args.stakeholderCount) } }];
+    case "TransferSingle":
+      return [{ table: "transfers", row: { ...base, batch_index: 0, operator: args.operator, sender: args.from, recipient: args.to, token_id: args.id.toString(), value: args.value.toString() } }];
+    case "TransferBatch":
+      // Result.values is shadowed by Array.prototype.values, so read it by index
+      return args.ids.map((id, i) => ({
+        table: "transfers",
+        row: { ...base, batch_index: i, operator: args.operator, sender: args.from, recipient: args.to, token_id: id.toString(), value: args[4][i].toString() }
+      }));
+    default:
+      return [];
+  }
+}
+
+function insertRow(db, table, row) {
+  const columns = Object.keys(row);
+  const placeholders = columns.map(() => "?").join(", ");
+  db.run(
+    `INSERT OR REPLACE INTO ${table} (${columns.join(", ")}) VALUES (${placeholders})`,
+    columns.map((column) => row[column])
+  );
+}
+
+// ============= INDEXER =============
+
+/**
+ * Create an indexer bound to a provider and an open database
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider JSON-RPC provider
+ * @param {{bugtopiaL1: string, collectibles: string}} options.addresses Contract addresses
+ * @param {Object} options.database Result of openIndexDatabase
+ * @param {number} options.startBlock First block to index on a fresh database
+ * @param {number} options.batchSize Max blocks per eth_getLogs request
+ * @param {number} options.reorgDepth How many recent block hashes to keep for reorg checks
+ * @param {number} options.confirmations Blocks to stay behind the chain head
+ */
+function createIndexer({
+  provider,
+  addresses,
+  database,
+  startBlock = 0,
+  batchSize = DEFAULT_BATCH_SIZE,
+  reorgDepth = DEFAULT_REORG_DEPTH,
+  confirmations = 0
+}) {
+  const { db } = database;
+  const interfaces = {
+    [ethers.getAddress(addresses.bugtopiaL1)]: BUGTOPIA_L1_INTERFACE,
+    [ethers.getAddress(addresses.collectibles)]: COLLECTIBLES_INTERFACE
+  };
+
+  function lastProcessedBlock() {
+    const value = getMeta(db, "last_block");
+    return value === undefined ? startBlock - 1 : Number(value);
+  }
+
+  async function fetchBlock(blockNumber, cache) {
+    if (!cache.has(blockNumber)) cache.set(blockNumber, await provider.getBlock(blockNumber));
+    return cache.get(blockNumber);
+  }
+
+  function rollbackTo(blockNumber) {
+    db.run("BEGIN");
+    try {
+      for (const table of EVENT_TABLES) {
+        db.run(`DELETE FROM ${table} WHERE block_number > ?`, [blockNumber]);
+      }
+      db.run("DELETE FROM blocks WHERE number > ?", [blockNumber]);
+      db.run("DELETE FROM block_timestamps WHERE number > ?", [blockNumber]);
+      setMeta(db, "last_block", blockNumber);
+      db.run("COMMIT");
+    } catch (error) {
+      db.run("ROLLBACK");
+      throw error;
+    }
+    database.save();
+  }
+
+  /**
+   * Compare stored block hashes against the chain and roll back past a reorg
+   * @returns {Promise<number|null>} Block rolled back to, or null if no reorg
+   */
+  async function detectReorg() {
+    const stored = queryAll(db, "SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?", [reorgDepth]);
+    if (stored.length === 0) return null;
+
+    for (let i = 0; i < stored.length; i++) {
+      const block = await provider.getBlock(stored[i].number);
+      if (block && block.hash === stored[i].hash) {
+        if (i === 0) return null;
+        console.warn(`⚠️  Reorg detected: rolling back to block ${stored[i].number}`);
+        rollbackTo(stored[i].number);
+        return stored[i].number;
+      }
+    }
+
+    throw new Error(
+      `Reorg deeper than the ${reorgDepth} tracked blocks (below block ${stored[stored.length - 1].number}); ` +
+      "delete the index database to rebuild it"
+    );
+  }
+
+  /**
+   * Fetch a range's logs and the blocks they were emitted in. A log whose
+   * blockHash is not its block's hash comes from a fork the node left between
+   * the two requests, so the range is fetched again.
+   * @param {Map} blockCache Filled with the fetched blocks
+   */
+  async function fetchLogs(fromBlock, toBlock, blockCache) {
+    for (let attempt = 1; ; attempt++) {
+      const logs = await provider.getLogs({
+        address: Object.keys(interfaces),
+        fromBlock,
+        toBlock
+      });
+
+      blockCache.clear();
+      let stale;
+      for (const log of logs) {
+        const block = await fetchBlock(log.blockNumber, blockCache);
+        if (!block || block.hash !== log.blockHash) {
+          stale = { log, hash: block ? block.hash : "no block" };
+          break;
+        }
+      }
+      if (!stale) return logs;
+
+      const { log, hash } = stale;
+      if (attempt === LOG_REFETCH_ATTEMPTS) {
+        throw new Error(
+          `Logs for block ${log.blockNumber} still carry hash ${log.blockHash}, but the chain has ${hash} ` +
+          `after ${attempt} attempts; the node is on an unstable fork, retry later`
+        );
+      }
+      console.warn(`⚠️  Logs for block ${log.blockNumber} come from another fork: fetching blocks ${fromBlock}-${toBlock} again`);
+    }
+  }
+
+  /**
+   * Index one range of blocks inside a single transaction
+   * @param {number} headBlock Block the sync catches up to; hashes are only kept near it
+   */
+  async function indexRange(fromBlock, toBlock, headBlock = toBlock) {
+    const blockCache = new Map();
+    const logs = await fetchLogs(fromBlock, toBlock, blockCache);
+
+    const rows = [];
+    for (const log of logs) {
+      const parsed = interfaces[ethers.getAddress(log.address)].parseLog(log);
+      if (!parsed) continue;
+      rows.push(...eventRows(parsed, log));
+    }
+
+    db.run("BEGIN");
+    try {
+      for (const blockNumber of new Set(logs.map((log) => log.blockNumber))) {
+        const block = await fetchBlock(blockNumber, blockCache);
+        db.run("INSERT OR REPLACE INTO block_timestamps (number, timestamp) VALUES (?, ?)", [block.number, block.timestamp]);
+      }
+
+      // Keep the hashes of the last reorgDepth blocks so the next run can detect
+      // reorgs; the range end is always checkpointed in case the sync stops here
+      const windowStart = Math.min(Math.max(fromBlock, headBlock - reorgDepth + 1), toBlock);
+      for (let blockNumber = windowStart; blockNumber <= toBlock; blockNumber++) {
+        const block = await fetchBlock(blockNumber, blockCache);
+        db.run("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)", [
+          block.number,
+          block.hash,
+          block.timestamp
+        ]);
+      }
+      db.run("DELETE FROM blocks WHERE number <= ?", [toBlock - reorgDepth]);
+
+      for (const { table, row } of rows) {
+        insertRow(db, table, row);
+      }
+
+      setMeta(db, "last_block", toBlock);
+      db.run("COMMIT");
+    } catch (error) {
+      db.run("ROLLBACK");
+      throw error;
+    }
+    database.save();
+
+    return { fromBlock, toBlock, events: rows.length };
+  }
+
+  /**
+   * Catch up from the last processed block to the current (confirmed) head
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number}|null>}
+   */
+  async function syncOnce() {
+    const network = await provider.getNetwork();
+    const storedChainId = getMeta(db, "chain_id");
+    if (storedChainId !== undefined && storedChainId !== network.chainId.toString()) {
+      throw new Error(`Index database belongs to chain ${storedChainId}, provider is on chain ${network.chainId}`);
+    }
+    setMeta(db, "chain_id", network.chainId.toString());
+
+    await detectReorg();
+
+    const head = (await provider.getBlockNumber()) - confirmations;
+    const fromBlock = lastProcessedBlock() + 1;
+    if (head < fromBlock) return null;
+
+    let events = 0;
+    for (let start = fromBlock; start <= head; start += batchSize) {
+      const end = Math.min(start + batchSize - 1, head);
+      const result = await indexRange(start, end, head);
+      events += result.events;
+    }
+
+    return { fromBlock, toBlock: head, events };
+  }
+
+  /**
+   * Poll for new blocks until the signal aborts
+   * @param {Object} options
+   * @param {number} options.pollIntervalMs Delay between syncs
+   * @param {AbortSignal} options.signal Stops the loop when aborted
+   */
+  async function run({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, signal } = {}) {
+    while (!signal || !signal.aborted) {
+      const result = await syncOnce();
+      if (result) {
+        console.log(`📚 Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.events} events)`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  return { syncOnce, run, detectReorg, rollbackTo, lastProcessedBlock };
+}
+
+// ============= QUERIES =============
+
+/**
+ * Burn history, optionally filtered by utility type (the burn reason)
+ */
+function getBurnHistory(database, { utilityType } = {}) {
+  const sql = `
+    SELECT b.block_number, bl.timestamp, b.tx_hash, b.burner, b.amount, b.reason
+    FROM bug_burns b LEFT JOIN block_timestamps bl ON bl.number = b.block_number
+    ${utilityType ? "WHERE b.reason = ?" : ""}
+    ORDER BY b.block_number, b.log_index`;
+  return queryAll(database.db, sql, utilityType ? [utilityType] : []);
+}
+
+/**
+ * Total burned per utility type, summed as bigint to keep wei precision
+ * @returns {Object<string, bigint>}
+ */
+function getBurnTotalsByUtility(database) {
+  const totals = {};
+  for (const row of queryAll(database.db, "SELECT reason, amount FROM bug_burns")) {
+    totals[row.reason] = (totals[row.reason] || 0n) + BigInt(row.amount);
+  }
+  return totals;
+}
+
+/**
+ * Current ERC-1155 balances for a holder, rebuilt from transfers
+ * @returns {Object<string, bigint>} tokenId => balance (zero balances omitted)
+ */
+function getHolderBalances(database, holder) {
+  const address = ethers.getAddress(holder);
+  const balances = {};
+  const rows = queryAll(
+    database.db,
+    "SELECT sender, recipient, token_id, value FROM transfers WHERE sender = ? OR recipient = ?",
+    [address, address]
+  );
+  for (const row of rows) {
+    const delta = BigInt(row.value);
+    const current = balances[row.token_id] || 0n;
+    if (row.recipient === address) balances[row.token_id] = current + delta;
+    if (row.sender === address) balances[row.token_id] = (balances[row.token_id] || 0n) - delta;
+  }
+  for (const tokenId of Object.keys(balances)) {
+    if (balances[tokenId] === 0n) delete balances[tokenId];
+  }
+  return balances;
+}
+
+/**
+ * Stake/unstake timeline for a territory with the running total after each event
+ */
+function getStakingTimeline(database, tokenId) {
+  const rows = queryAll(
+    database.db,
+    `SELECT s.block_number, bl.timestamp, s.tx_hash, s.staker, s.amount, s.action
+     FROM territory_stakes s LEFT JOIN block_timestamps bl ON bl.number = s.block_number
+     WHERE s.token_id = ? ORDER BY s.block_number, s.log_index`,
+    [tokenId.toString()]
+  );
+  let totalStaked = 0n;
+  return rows.map((row) => {
+    totalStaked += row.action === "stake" ? BigInt(row.amount) : -BigInt(row.amount);
+    return { ...row, totalStaked };
+  });
+}
+
+async function main() {
+  const rpcUrl = process.env.BUGTOPIA_L1_RPC_URL || "http://127.0.0.1:8545";
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const addresses = resolveAddresses(chainId);
+
+  for (const [name, value] of Object.entries({ BUGTOPIA_L1_ADDRESS: addresses.bugtopiaL1, COLLECTIBLES_ADDRESS: addresses.collectibles })) {
+    if (!value) throw new Error(`${name} is not set and no deployments/<network>.json for chain ${chainId} records it`);
+  }
+
+  const dbPath = process.env.INDEXER_DB || path.join(__dirname, "..", "deployments", `index-${chainId}.sqlite`);
+  const database = await openIndexDatabase(dbPath);
+
+  const indexer = createIndexer({
+    provider,
+    addresses,
+    database,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0)
+  });
+
+  console.log("📚 Bugtopia indexer");
+  console.log(`   RPC: ${rpcUrl}`);
+  console.log(`   Database: ${dbPath}`);
+  console.log(`   Resuming after block: ${indexer.lastProcessedBlock()}`);
+
+  if (process.argv.includes("--once")) {
+    const result = await indexer.syncOnce();
+    console.log(result ? `✅ Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.events} events)` : "✅ Already up to date");
+    database.close();
+    return;
+  }
+
+  await indexer.run({ pollIntervalMs: Number(process.env.INDEXER_POLL_INTERVAL_MS || DEFAULT_POLL_INTERVAL_MS) });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Indexer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  openIndexDatabase,
+  createIndexer,
+  getBurnHistory,
+  getBurnTotalsByUtility,
+  getHolderBalances,
+  getStakingTimeline
+};
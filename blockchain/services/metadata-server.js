@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+
+/**
+ * Bugtopia Metadata Server
+ *
+ * Serves ERC-1155 metadata for BugtopiaCollectibles at the URI template the
+ * deploy script configures: /metadata/{id}.json, where {id} is the token ID
+ * as lowercase hex padded to 64 characters.
+ *
+ * Metadata is read from the deployed contract (getTokenMetadata and
+ * getTokenAttributes), cached in memory and invalidated on NFTMinted.
+ * Bug DNA and Territory images are rendered as SVG at /image/{id}.svg.
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const {
+  CATEGORIES,
+  CATEGORY_NAMES,
+  SPECIES_NAMES,
+  BIOME_NAMES,
+  categoryOf,
+  rarityTier
+} = require("../utils/bugtopia-constants");
+const { renderBugCard, renderTerritoryTile } = require("../utils/nft-images");
+const { connectBugtopiaClient } = require("../sdk");
+
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+const METADATA_PATH = /^\/metadata\/(?:0x)?([0-9a-fA-F]{1,64})\.json$/;
+const IMAGE_PATH = /^\/image\/(?:0x)?([0-9a-fA-F]{1,64})\.svg$/;
+
+// ============= TOKEN IDS =============
+
+/**
+ * Format a token ID the way ERC-1155 clients substitute {id}
+ * @param {bigint|number|string} tokenId Token ID
+ * @returns {string} Lowercase hex, zero-padded to 64 characters
+ * @throws {RangeError} If the ID is not a uint256
+ */
+function formatTokenId(tokenId) {
+  const id = BigInt(tokenId);
+  if (id < 0n || id > ethers.MaxUint256) {
+    throw new RangeError(`Token ID ${id.toString()} is not a uint256`);
+  }
+  return id.toString(16).padStart(64, "0");
+}
+
+/**
+ * Parse the {id} segment of a metadata request path
+ * @param {string} pathname Request path, e.g. /metadata/00..0f4240.json
+ * @returns {bigint|null} Token ID, or null when the path is not a metadata path
+ */
+function parseMetadataPath(pathname) {
+  const match = METADATA_PATH.exec(pathname);
+  if (!match) return null;
+  return BigInt(`0x${match[1]}`);
+}
+
+/**
+ * Parse the {id} segment of an image request path
+ * @param {string} pathname Request path, e.g. /image/00..0f4240.svg
+ * @returns {bigint|null} Token ID, or null when the path is not an image path
+ */
+function parseImagePath(pathname) {
+  const match = IMAGE_PATH.exec(pathname);
+  if (!match) return null;
+  return BigInt(`0x${match[1]}`);
+}
+
+// ============= CACHE =============
+
+/**
+ * Create an in-memory response cache keyed by padded token ID
+ * @param {Object} options
+ * @param {number} options.ttlMs Time-to-live for entries in milliseconds
+ * @param {Function} options.now Clock, injectable for tests
+ */
+function createMetadataCache({ ttlMs = DEFAULT_CACHE_TTL_MS, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    get(tokenId) {
+      const key = formatTokenId(tokenId);
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(tokenId, value) {
+      entries.set(formatTokenId(tokenId), { value, storedAt: now() });
+    },
+    invalidate(tokenId) {
+      return entries.delete(formatTokenId(tokenId));
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// ============= METADATA BUILDERS =============
+
+function numericValue(value) {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function attributeMap(keys, values) {
+  const map = {};
+  keys.forEach((key, i) => {
+    map[key] = values[i];
+  });
+  return map;
+}
+
+function rarityAttributes(score) {
+  return [
+    { trait_type: "Rarity", value: rarityTier(score).name },
+    { display_type: "number", trait_type: "Rarity Score", value: Number(score), max_value: 100 }
+  ];
+}
+
+function buildBugDNAAttributes(attributes, score) {
+  const species = Number(attributes["Species"]);
+  return [
+    { trait_type: "Species", value: SPECIES_NAMES[species] || `Species ${attributes["Species"]}` },
+    ...rarityAttributes(score),
+    { display_type: "number", trait_type: "Generation", value: numericValue(attributes["Generation"]) },
+    { trait_type: "Neural Layers", value: numericValue(attributes["Neural Layers"]), max_value: 10 },
+    { trait_type: "Fitness", value: numericValue(attributes["Fitness"]), max_value: 100 },
+    { display_type: "number", trait_type: "Arena Wins", value: numericValue(attributes["Arena Wins"]) },
+    { display_type: "number", trait_type: "Survival Days", value: numericValue(attributes["Survival Days"]) }
+  ];
+}
+
+function buildTerritoryAttributes(attributes, score) {
+  const biome = Number(attributes["Biome Type"]);
+  return [
+    { trait_type: "Biome", value: BIOME_NAMES[biome] || `Biome ${attributes["Biome Type"]}` },
+    ...rarityAttributes(score),
+    { trait_type: "Resource Abundance", value: numericValue(attributes["Resource Abundance"]), max_value: 100 },
+    { trait_type: "Safety Rating", value: numericValue(attributes["Safety Rating"]), max_value: 100 },
+    { display_type: "number", trait_type: "Carrying Capacity", value: numericValue(attributes["Carrying Capacity"]) },
+    { display_type: "number", trait_type: "Size X", value: numericValue(attributes["Size X"]) },
+    { display_type: "number", trait_type: "Size Y", value: numericValue(attributes["Size Y"]) },
+    { display_type: "number", trait_type: "Size Z", value: numericValue(attributes["Size Z"]) }
+  ];
+}
+
+function buildGenericAttributes(attributes, score) {
+  return [
+    ...rarityAttributes(score),
+    ...Object.entries(attributes).map(([trait_type, value]) => ({ trait_type, value: numericValue(value) }))
+  ];
+}
+
+/**
+ * Build ERC-1155 metadata JSON from raw contract reads
+ * @param {bigint} tokenId Token ID
+ * @param {Object} onChain Result of getTokenMetadata
+ * @param {string[]} keys Attribute keys from getTokenAttributes
+ * @param {string[]} values Attribute values from getTokenAttributes
+ * @param {Object} options
+ * @param {string} options.imageBaseUrl Base URL for token images (optional)
+ * @returns {Object} ERC-1155 metadata
+ */
+function buildMetadata(tokenId, onChain, keys, values, { imageBaseUrl } = {}) {
+  // The contract stores the category base; fall back to the ID range for
+  // tokens created through batchMint, which only records the category.
+  const category = Number(onChain.category) || categoryOf(tokenId);
+  const score = Number(onChain.rarity);
+  const attributes = attributeMap(keys, values);
+  const paddedId = formatTokenId(tokenId);
+
+  let attributeList;
+  let externalPath;
+  let description = onChain.description;
+
+  switch (category) {
+    case CATEGORIES.BUG_DNA:
+      attributeList = buildBugDNAAttributes(attributes, score);
+      externalPath = "bug";
+      break;
+    case CATEGORIES.TERRITORY:
+      attributeList = buildTerritoryAttributes(attributes, score);
+      externalPath = "territory";
+      break;
+    case CATEGORIES.ACHIEVEMENT:
+      attributeList = buildGenericAttributes(attributes, score);
+      externalPath = "achievement";
+      description = description || "A commemorative achievement earned in the Bugtopia evolutionary simulation.";
+      break;
+    default:
+      attributeList = buildGenericAttributes(attributes, score);
+      externalPath = "collectible";
+  }
+
+  const metadata = {
+    name: onChain.name,
+    description,
+    decimals: 0,
+    external_url: `https://bugtopia.io/${externalPath}/${tokenId.toString()}`,
+    attributes: attributeList,
+    properties: {
+      token_id: tokenId.toString(),
+      category: CATEGORY_NAMES[category] || "Unknown",
+      rarity: score,
+      generation: Number(onChain.generation)
+    }
+  };
+
+  if (imageBaseUrl && (category === CATEGORIES.BUG_DNA || category === CATEGORIES.TERRITORY)) {
+    metadata.image = `${imageBaseUrl.replace(/\/$/, "")}/image/${paddedId}.svg`;
+  }
+
+  return metadata;
+}
+
+/**
+ * Read a token's metadata from the Collectibles contract
+ * @param {Object} client Bugtopia SDK client
+ * @param {bigint} tokenId Token ID
+ * @param {Object} options Passed through to buildMetadata
+ * @returns {Promise<Object|null>} Metadata, or null if the token was never minted
+ */
+async function fetchTokenMetadata(client, tokenId, options = {}) {
+  const onChain = await client.getTokenMetadata(tokenId);
+
+  // Unminted IDs read back as an empty struct
+  if (!onChain.name) return null;
+
+  const { keys, values } = await client.getTokenAttributes(tokenId);
+  return buildMetadata(tokenId, onChain, keys, values, options);
+}
+
+// ============= IMAGES =============
+
+/**
+ * Render a token's SVG. Genetic hashes, bounds and population are not
+ * stored by the contract, so they come from the mint calldata; tokens
+ * without it (batchMint, relayed mints) fall back to the stored attributes
+ * and a hash of the token ID.
+ * @param {Object} client Bugtopia SDK client
+ * @param {bigint} tokenId Token ID
+ * @returns {Promise<string|null>} SVG, or null if the token does not exist or has no art
+ */
+async function fetchTokenImage(client, tokenId) {
+  const onChain = await client.getTokenMetadata(tokenId);
+  if (!onChain.name) return null;
+
+  const category = Number(onChain.category) || categoryOf(tokenId);
+  if (category !== CATEGORIES.BUG_DNA && category !== CATEGORIES.TERRITORY) return null;
+
+  const { keys, values } = await client.getTokenAttributes(tokenId);
+  const attributes = attributeMap(keys, values);
+  const minted = await client.getMintData(tokenId);
+  const rarity = onChain.rarity;
+
+  if (category === CATEGORIES.BUG_DNA) {
+    return renderBugCard({
+      tokenId,
+      species: attributes["Species"] ?? 0,
+      rarity,
+      neuralLayers: attributes["Neural Layers"] ?? 0,
+      geneticHash: minted ? minted.data.geneticHash : ethers.id(`bugtopia:bug:${tokenId}`)
+    });
+  }
+
+  const bounds = minted ? minted.data : {
+    minX: 0, maxX: attributes["Size X"] ?? 0,
+    minY: 0, maxY: attributes["Size Y"] ?? 0,
+    minZ: 0, maxZ: attributes["Size Z"] ?? 0
+  };
+  return renderTerritoryTile({
+    tokenId,
+    minX: bounds.minX,
+    maxX: bounds.maxX,
+    minY: bounds.minY,
+    maxY: bounds.maxY,
+    minZ: bounds.minZ,
+    maxZ: bounds.maxZ,
+    biomeType: attributes["Biome Type"] ?? 0,
+    populationCount: minted ? minted.data.populationCount : 0,
+    rarity
+  });
+}
+
+// ============= HTTP SERVER =============
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the metadata HTTP server
+ * @param {Object} options
+ * @param {Object} options.client Bugtopia SDK client with a Collectibles address (read-only is enough)
+ * @param {number} options.cacheTtlMs Cache TTL in milliseconds
+ * @param {string} options.imageBaseUrl Base URL for token images (optional)
+ * @param {boolean} options.watchMints Invalidate cache entries on NFTMinted (default true)
+ * @returns {{server: http.Server, cache: Object, images: Object, listen: Function, close: Function}}
+ */
+function createMetadataServer({
+  client,
+  cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+  imageBaseUrl,
+  watchMints = true
+}) {
+  const cache = createMetadataCache({ ttlMs: cacheTtlMs });
+  const images = createMetadataCache({ ttlMs: cacheTtlMs });
+
+  let unsubscribe = null;
+
+  async function serveImage(res, tokenId) {
+    try {
+      let svg = images.get(tokenId);
+      if (svg === undefined) {
+        svg = await fetchTokenImage(client, tokenId);
+        images.set(tokenId, svg);
+      }
+
+      if (svg === null) {
+        sendJson(res, 404, { error: `Token ${tokenId.toString()} has no image` });
+        return;
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "image/svg+xml",
+        "Access-Control-Allow-Origin": "*",
+        "Cache-Control": `public, max-age=${Math.floor(cacheTtlMs / 1000)}`
+      });
+      res.end(svg);
+    } catch (error) {
+      console.error(`❌ Image render failed for token ${tokenId.toString()}:`, error.message);
+      sendJson(res, 502, { error: "Failed to read token data from chain" });
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/health") {
+      sendJson(res, 200, { status: "ok", cached: cache.size });
+      return;
+    }
+
+    const imageTokenId = parseImagePath(pathname);
+    if (imageTokenId !== null) {
+      await serveImage(res, imageTokenId);
+      return;
+    }
+
+    const tokenId = parseMetadataPath(pathname);
+    if (tokenId === null) {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    try {
+      let metadata = cache.get(tokenId);
+      if (metadata === undefined) {
+        metadata = await fetchTokenMetadata(client, tokenId, { imageBaseUrl });
+        cache.set(tokenId, metadata);
+      }
+
+      if (metadata === null) {
+        sendJson(res, 404, { error: `Token ${tokenId.toString()} does not exist` });
+        return;
+      }
+
+      sendJson(res, 200, metadata, { "Cache-Control": `public, max-age=${Math.floor(cacheTtlMs / 1000)}` });
+    } catch (error) {
+      console.error(`❌ Metadata lookup failed for token ${tokenId.toString()}:`, error.message);
+      sendJson(res, 502, { error: "Failed to read token metadata from chain" });
+    }
+  });
+
+  return {
+    server,
+    cache,
+    images,
+    async listen(port, host) {
+      if (watchMints) {
+        unsubscribe = await client.on("NFTMinted", (event) => {
+          cache.invalidate(event.args.tokenId);
+          images.invalidate(event.args.tokenId);
+        });
+      }
+      await new Promise((resolve) => server.listen(port, host, resolve));
+      return server.address();
+    },
+    async close() {
+      if (unsubscribe) {
+        await unsubscribe();
+        unsubscribe = null;
+      }
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+async function main() {
+  const port = Number(process.env.METADATA_PORT || 3000);
+
+  const { client, chainId, rpcUrl, addresses } = await connectBugtopiaClient();
+  if (!addresses.collectibles) {
+    throw new Error(`COLLECTIBLES_ADDRESS is not set and no deployments/<network>.json for chain ${chainId} records BugtopiaCollectibles`);
+  }
+
+  const metadataServer = createMetadataServer({
+    client,
+    cacheTtlMs: Number(process.env.METADATA_CACHE_TTL_MS || DEFAULT_CACHE_TTL_MS),
+    imageBaseUrl: process.env.METADATA_IMAGE_BASE_URL
+  });
+
+  const address = await metadataServer.listen(port);
+  console.log("🧬 Bugtopia metadata server running");
+  console.log(`   RPC: ${rpcUrl}`);
+  console.log(`   Collectibles: ${addresses.collectibles}`);
+  console.log(`   URI template: http://localhost:${address.port}/metadata/{id}.json`);
+  console.log(`   Images:       http://localhost:${address.port}/image/{id}.svg`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Metadata server failed to start:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  formatTokenId,
+  parseMetadataPath,
+  parseImagePath,
+  createMetadataCache,
+  buildMetadata,
+  fetchTokenMetadata,
+  fetchTokenImage,
+  createMetadataServer
+};
@@ -0,0 +1,667 @@
+#!/usr/bin/env node
+
+/**
+ * Bugtopia Operation Bridge
+ *
+ * Local JSON-RPC service that signs and submits blockchain operations for
+ * the Swift simulation. BlockchainManagerL1 posts the same operation kinds
+ * as its L1Operation enum; the bridge stores them in a SQLite queue, sends
+ * them through the SDK with the deployer or minter key, retries nonce, gas
+ * and network failures of operations that were never broadcast, and reports
+ * status per operation id.
+ *
+ *   POST /rpc  {"jsonrpc":"2.0","id":1,"method":"bugtopia_submitOperation",
+ *               "params":{"kind":"payUtilityFee","params":{"type":"breeding"}}}
+ *
+ * Amounts are BUG (the Swift side uses Double), token IDs are integers or
+ * decimal strings. The deployer and minter keys are unlocked from the
+ * encrypted keystore (BRIDGE_KEYSTORE, "local" by default).
+ *
+ * Anyone who can post to /rpc spends the deployer's BUG, so the bridge binds
+ * to 127.0.0.1. With BRIDGE_TOKEN set, /rpc also requires
+ * "Authorization: Bearer <token>", and only then may BRIDGE_HOST name a
+ * non-loopback address.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const initSqlJs = require("sql.js");
+const { ethers } = require("ethers");
+const {
+  BugtopiaContractError,
+  createBugtopiaClient,
+  createOperationQueue,
+  resolveAddresses
+} = require("../sdk");
+const { listKeystore, unlockAccounts, readPassphrase } = require("../utils/keystore");
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 3000;
+const GAS_BUMP_PERCENT = 20;
+const DEFAULT_KEYSTORE = "local";
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
+// Operations gated by onlyAuthorizedMinter go out with the minter key
+const MINTER_KINDS = ["mintBugDNA", "mintTerritory", "distributeRevenue"];
+
+const STATUSES = ["queued", "submitted", "confirmed", "failed"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS operations (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    params TEXT NOT NULL,
+    signer TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('queued', 'submitted', 'confirmed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    gas_limit_percent INTEGER NOT NULL DEFAULT 100,
+    tx_hash TEXT,
+    nonce INTEGER,
+    gas_limit TEXT,
+    result TEXT,
+    error TEXT,
+    error_code TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    next_attempt_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_operations_status ON operations (status, next_attempt_at);
+`;
+
+class BridgeParamsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BridgeParamsError";
+  }
+}
+
+// ============= OPERATION PARAMS =============
+
+/**
+ * Convert a BUG amount (number or decimal string) to wei
+ */
+function toWei(amount, label) {
+  if (typeof amount === "number" && Number.isFinite(amount) && amount >= 0) {
+    // String() keeps 0.1 as "0.1"; only exponent forms need toFixed
+    const text = String(amount);
+    return ethers.parseEther(text.includes("e") ? amount.toFixed(18) : text);
+  }
+  if (typeof amount === "string" && /^\d+(\.\d{1,18})?$/.test(amount)) {
+    return ethers.parseEther(amount);
+  }
+  throw new BridgeParamsError(`${label} must be a non-negative BUG amount`);
+}
+
+function toTokenId(value) {
+  if ((typeof value === "number" && Number.isSafeInteger(value) && value >= 0) ||
+      (typeof value === "string" && /^\d+$/.test(value))) {
+    return BigInt(value);
+  }
+  throw new BridgeParamsError("tokenId must be a non-negative integer");
+}
+
+function toAddress(value, label) {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    throw new BridgeParamsError(`${label} must be an address`);
+  }
+  return ethers.getAddress(value);
+}
+
+function requireObject(value, label) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new BridgeParamsError(`${label} must be an object`);
+  }
+  return value;
+}
+
+/**
+ * Translate L1Operation parameters into SDK operation parameters
+ * @param {string} kind L1Operation case name
+ * @param {Object} params Parameters as sent by the Swift app
+ * @returns {Object} Parameters for client.prepare()
+ */
+function toSdkParams(kind, params) {
+  requireObject(params, "params");
+  switch (kind) {
+    case "mintBugDNA":
+      return { to: toAddress(params.recipient, "recipient"), bugData: requireObject(params.bugData, "bugData") };
+    case "mintTerritory":
+      return { to: toAddress(params.recipient, "recipient"), territoryData: requireObject(params.territoryData, "territoryData") };
+    case "stakeOnTerritory":
+      return { tokenId: toTokenId(params.tokenId), amount: toWei(params.amount, "amount") };
+    case "payUtilityFee":
+      if (typeof params.type !== "string" || params.type === "") {
+        throw new BridgeParamsError("type must be a utility type");
+      }
+      // Without an amount the SDK attaches the current fee
+      return { utilityType: params.type, value: params.amount === undefined ? undefined : toWei(params.amount, "amount") };
+    case "distributeRevenue": {
+      if (!Array.isArray(params.recipients) || !Array.isArray(params.amounts) ||
+          params.recipients.length !== params.amounts.length) {
+        throw new BridgeParamsError("recipients and amounts must be arrays of the same length");
+      }
+      return {
+        tokenId: toTokenId(params.tokenId),
+        recipients: params.recipients.map((recipient, i) => toAddress(recipient, `recipients[${i}]`)),
+        amounts: params.amounts.map((amount, i) => toWei(amount, `amounts[${i}]`))
+      };
+    }
+    case "burnBug":
+      return { amount: toWei(params.amount, "amount"), reason: typeof params.reason === "string" ? params.reason : "" };
+    default:
+      throw new BridgeParamsError(`Unknown operation kind "${kind}"`);
+  }
+}
+
+/**
+ * Decide whether a failed attempt is worth retrying
+ * @param {Error} error Failure from the SDK queue
+ * @param {Object} sent { gasLimit } of the transaction, when one was broadcast
+ * @returns {"nonce"|"gas"|"network"|null} Retry reason, or null for permanent failures
+ */
+function classifyFailure(error, sent = {}) {
+  if (error instanceof BugtopiaContractError) return null;
+
+  // A mined transaction that used its whole gas limit ran out of gas
+  if (error.receipt && sent.gasLimit !== undefined && error.receipt.gasUsed >= sent.gasLimit) {
+    return "gas";
+  }
+
+  const message = `${error.code || ""} ${error.shortMessage || ""} ${error.message || ""}`;
+  if (error.code === "NONCE_EXPIRED" || /nonce/i.test(message)) return "nonce";
+  if (error.code === "REPLACEMENT_UNDERPRICED" || /underpriced|intrinsic gas|out of gas|base fee|gas required exceeds/i.test(message)) {
+    return "gas";
+  }
+  if (["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT"].includes(error.code) || /ECONNREFUSED|ECONNRESET|socket hang up/.test(message)) {
+    return "network";
+  }
+  return null;
+}
+
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+// ============= DATABASE =============
+
+/**
+ * Open (or create) the durable operation queue
+ * @param {string} filePath Database file; ":memory:" keeps it in memory only
+ */
+async function openBridgeDatabase(filePath) {
+  const SQL = await initSqlJs();
+  const persistent = filePath !== ":memory:";
+  const db = persistent && fs.existsSync(filePath)
+    ? new SQL.Database(fs.readFileSync(filePath))
+    : new SQL.Database();
+
+  db.run(SCHEMA);
+
+  return {
+    db,
+    filePath,
+    save() {
+      if (!persistent) return;
+      // Write-then-rename so a crash never leaves a truncated database
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, Buffer.from(db.export()));
+      fs.renameSync(tmpPath, filePath);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+function queryAll(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  const rows = [];
+  try {
+    statement.bind(params);
+    while (statement.step()) rows.push(statement.getAsObject());
+  } finally {
+    statement.free();
+  }
+  return rows;
+}
+
+function formatOperation(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    attempts: row.attempts,
+    txHash: row.tx_hash || undefined,
+    nonce: row.nonce === null ? undefined : row.nonce,
+    result: row.result ? JSON.parse(row.result) : undefined,
+    error: row.error ? { message: row.error, code: row.error_code || undefined } : undefined,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+// ============= BRIDGE =============
+
+/**
+ * Create the bridge: durable queue, worker and JSON-RPC server
+ * @param {Object} options
+ * @param {Object} options.database Database from openBridgeDatabase
+ * @param {Object} options.signers { deployer, minter } ethers signers; minter falls back to deployer
+ * @param {Object} options.addresses { bugtopiaL1, collectibles }
+ * @param {number} options.maxAttempts Attempts before an operation is marked failed
+ * @param {number} options.retryDelayMs Base backoff between attempts
+ * @param {number} options.batchSize Operations sent per worker pass
+ * @param {string} options.token Bearer token /rpc requires; none when unset
+ * @param {Function} options.now Clock, injectable for tests
+ */
+function createOperationBridge({
+  database,
+  signers,
+  addresses,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  batchSize = 20,
+  confirmations = 1,
+  token,
+  now = Date.now
+}) {
+  if (!signers || !signers.deployer) {
+    throw new Error("The operation bridge needs at least a deployer signer");
+  }
+  const { db } = database;
+  const roles = {};
+  for (const role of ["deployer", "minter"]) {
+    if (!signers[role]) continue;
+    const client = createBugtopiaClient({ runner: signers[role], addresses, confirmations });
+    roles[role] = { client, queue: createOperationQueue(client, { batchSize, confirmations }) };
+  }
+  // One queue per account, so a shared key never races itself for nonces
+  roles.minter = roles.minter || roles.deployer;
+  const provider = signers.deployer.provider;
+
+  function getOperation(id) {
+    const [row] = queryAll(db, "SELECT * FROM operations WHERE id = ?", [id]);
+    return row ? formatOperation(row) : null;
+  }
+
+  function update(id, fields) {
+    const columns = Object.keys(fields);
+    db.run(
+      `UPDATE operations SET ${columns.map((column) => `${column} = ?`).join(", ")}, updated_at = ? WHERE id = ?`,
+      [...columns.map((column) => fields[column]), now(), id]
+    );
+  }
+
+  /**
+   * Validate and store an operation; resubmitting an id returns its status
+   * @param {Object} request { id?, kind, params }
+   */
+  function submit({ id, kind, params = {} }) {
+    const sdkParams = toSdkParams(kind, params);
+    if (id !== undefined && (typeof id !== "string" || id === "" || id.length > 128)) {
+      throw new BridgeParamsError("id must be a non-empty string of at most 128 characters");
+    }
+    const operationId = id || crypto.randomUUID();
+
+    const existing = getOperation(operationId);
+    if (existing) {
+      if (existing.kind !== kind) {
+        throw new BridgeParamsError(`Operation ${operationId} already exists as ${existing.kind}`);
+      }
+      return existing;
+    }
+
+    const timestamp = now();
+    db.run(
+      `INSERT INTO operations (id, kind, params, signer, status, created_at, updated_at, next_attempt_at)
+       VALUES (?, ?, ?, ?, 'queued', ?, ?, ?)`,
+      [operationId, kind, serialize(sdkParams), MINTER_KINDS.includes(kind) ? "minter" : "deployer", timestamp, timestamp, timestamp]
+    );
+    database.save();
+    return getOperation(operationId);
+  }
+
+  function listOperations({ status, limit = 100 } = {}) {
+    if (status !== undefined && !STATUSES.includes(status)) {
+      throw new BridgeParamsError(`status must be one of ${STATUSES.join(", ")}`);
+    }
+    const rows = status
+      ? queryAll(db, "SELECT * FROM operations WHERE status = ? ORDER BY created_at LIMIT ?", [status, limit])
+      : queryAll(db, "SELECT * FROM operations ORDER BY created_at LIMIT ?", [limit]);
+    return rows.map(formatOperation);
+  }
+
+  function summary() {
+    const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    for (const row of queryAll(db, "SELECT status, COUNT(*) AS count FROM operations GROUP BY status")) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  function recordResult(row, result) {
+    update(row.id, {
+      status: "confirmed",
+      result: serialize({
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        gasUsed: result.gasUsed,
+        tokenId: result.tokenId,
+        rarity: result.rarity,
+        events: result.events.map(({ contract, name, args }) => ({ contract, name, args }))
+      }),
+      error: null,
+      error_code: null
+    });
+  }
+
+  function recordFailure(row, error, sent) {
+    const attempts = row.attempts + 1;
+    const reason = classifyFailure(error, sent);
+    const fields = { attempts, error: error.reason || error.shortMessage || error.message, error_code: error.code || null };
+
+    // A broadcast transaction that is not mined yet may still be: sending the
+    // operation again could run it twice, so it stays submitted until
+    // reconcileSubmitted finds its receipt or sees the node drop it. A mined
+    // one that ran out of gas is settled and can be retried.
+    if (reason && sent && !error.receipt) {
+      console.warn(`⚠️  Operation ${row.id} (${row.kind}) hit a ${reason} error after broadcasting; waiting for its receipt`);
+    } else if (reason && attempts < maxAttempts) {
+      Object.assign(fields, {
+        status: "queued",
+        tx_hash: null,
+        nonce: null,
+        next_attempt_at: now() + retryDelayMs * 2 ** (attempts - 1)
+      });
+      if (reason === "gas") {
+        fields.gas_limit_percent = row.gas_limit_percent + GAS_BUMP_PERCENT;
+      }
+      console.warn(`⚠️  Operation ${row.id} (${row.kind}) hit a ${reason} error; retry ${attempts}/${maxAttempts - 1}`);
+    } else {
+      fields.status = "failed";
+      console.error(`❌ Operation ${row.id} (${row.kind}) failed: ${fields.error}`);
+    }
+    update(row.id, fields);
+  }
+
+  /**
+   * Settle operations that were broadcast before a restart: confirm mined
+   * ones and requeue transactions the node no longer knows about
+   */
+  async function reconcileSubmitted() {
+    const rows = queryAll(db, "SELECT * FROM operations WHERE status = 'submitted'");
+    for (const row of rows) {
+      const receipt = await provider.getTransactionReceipt(row.tx_hash);
+      if (receipt) {
+        const { client } = roles[row.signer];
+        if (receipt.status === 1) {
+          recordResult(row, client.summarize(row.kind, receipt));
+        } else {
+          update(row.id, { status: "failed", attempts: row.attempts + 1, error: "Transaction reverted", error_code: "CALL_EXCEPTION" });
+        }
+      } else if (!(await provider.getTransaction(row.tx_hash))) {
+        update(row.id, { status: "queued", tx_hash: null, nonce: null, next_attempt_at: now() });
+        roles[row.signer].queue.resyncNonce();
+      }
+    }
+    return rows.length;
+  }
+
+  /**
+   * One worker pass: reconcile broadcast transactions, then send everything
+   * that is due
+   * @returns {Promise<{confirmed: number, failed: number, retrying: number}>}
+   */
+  async function processOnce() {
+    await reconcileSubmitted();
+
+    const due = queryAll(
+      db,
+      "SELECT * FROM operations WHERE status = 'queued' AND next_attempt_at <= ? ORDER BY created_at LIMIT ?",
+      [now(), batchSize]
+    );
+
+    const sent = new Map();
+    const pending = due.map((row) => {
+      const params = JSON.parse(row.params);
+      const { queue } = roles[row.signer];
+      const promise = queue.enqueue(row.kind, reviveParams(row.kind, params), {
+        gasLimitPercent: row.gas_limit_percent,
+        onSent(tx) {
+          sent.set(row.id, { gasLimit: tx.gasLimit });
+          update(row.id, { status: "submitted", tx_hash: tx.hash, nonce: tx.nonce, gas_limit: tx.gasLimit.toString() });
+          database.save();
+        }
+      });
+      return { row, promise };
+    });
+
+    await Promise.all([...new Set(Object.values(roles))].map(({ queue }) => queue.flush()));
+
+    const counts = { confirmed: 0, failed: 0, retrying: 0 };
+    for (const { row, promise } of pending) {
+      try {
+        recordResult(row, await promise);
+        counts.confirmed++;
+      } catch (error) {
+        recordFailure(row, error, sent.get(row.id));
+        counts[getOperation(row.id).status === "failed" ? "failed" : "retrying"]++;
+      }
+    }
+    database.save();
+    return counts;
+  }
+
+  // ----- JSON-RPC -----
+
+  const methods = {
+    bugtopia_submitOperation: (params) => submit(requireObject(params, "params")),
+    bugtopia_getOperation: (params) => {
+      const { id } = requireObject(params, "params");
+      const operation = getOperation(id);
+      if (!operation) throw new BridgeParamsError(`Unknown operation ${id}`);
+      return operation;
+    },
+    bugtopia_listOperations: (params) => listOperations(params || {}),
+    bugtopia_health: () => ({ status: "ok", operations: summary() })
+  };
+
+  async function handleRpc(request) {
+    const id = request && request.id !== undefined ? request.id : null;
+    if (!request || request.jsonrpc !== "2.0" || typeof request.method !== "string") {
+      return { jsonrpc: "2.0", id, error: { code: -32600, message: "Invalid request" } };
+    }
+    const method = methods[request.method];
+    if (!method) {
+      return { jsonrpc: "2.0", id, error: { code: -32601, message: `Method not found: ${request.method}` } };
+    }
+    try {
+      return { jsonrpc: "2.0", id, result: await method(request.params) };
+    } catch (error) {
+      if (error instanceof BridgeParamsError) {
+        return { jsonrpc: "2.0", id, error: { code: -32602, message: error.message } };
+      }
+      console.error(`❌ ${request.method} failed:`, error.message);
+      return { jsonrpc: "2.0", id, error: { code: -32603, message: "Internal error" } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "GET" && pathname === "/health") {
+      reply(200, { status: "ok", operations: summary() });
+      return;
+    }
+    if (req.method !== "POST" || pathname !== "/rpc") {
+      reply(404, { error: "Not found" });
+      return;
+    }
+    if (token && !hasToken(req, token)) {
+      reply(401, { error: "Unauthorized" });
+      return;
+    }
+
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        reply(200, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+        return;
+      }
+      const response = Array.isArray(payload)
+        ? await Promise.all(payload.map(handleRpc))
+        : await handleRpc(payload);
+      reply(200, response);
+    });
+  });
+
+  let stopWorker = null;
+
+  return {
+    server,
+    submit,
+    getOperation,
+    listOperations,
+    processOnce,
+    handleRpc,
+
+    /**
+     * Run the worker until stop() is called
+     * @param {number} pollIntervalMs Delay between worker passes
+     */
+    startWorker(pollIntervalMs = DEFAULT_POLL_INTERVAL_MS) {
+      if (stopWorker) return;
+      let stopped = false;
+      let timer;
+      const loop = async () => {
+        try {
+          await processOnce();
+        } catch (error) {
+          console.error("❌ Bridge worker pass failed:", error.message);
+        }
+        if (!stopped) timer = setTimeout(loop, pollIntervalMs);
+      };
+      stopWorker = () => {
+        stopped = true;
+        clearTimeout(timer);
+      };
+      loop();
+    },
+
+    async listen(port, host = "127.0.0.1") {
+      await new Promise((resolve) => server.listen(port, host, resolve));
+      return server.address();
+    },
+
+    async close() {
+      if (stopWorker) {
+        stopWorker();
+        stopWorker = null;
+      }
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+// Compare digests so the check takes the same time however much matches
+function hasToken(req, token) {
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+  const digest = (text) => crypto.createHash("sha256").update(text).digest();
+  return scheme === "Bearer" && value !== undefined && crypto.timingSafeEqual(digest(value), digest(token));
+}
+
+// Stored params are JSON; turn wei amounts and token IDs back into bigint
+function reviveParams(kind, params) {
+  const revived = { ...params };
+  for (const key of ["tokenId", "amount", "value"]) {
+    if (revived[key] !== undefined && revived[key] !== null) revived[key] = BigInt(revived[key]);
+  }
+  if (revived.amounts) revived.amounts = revived.amounts.map(BigInt);
+  return revived;
+}
+
+/**
+ * Unlock the bridge signers from the encrypted keystore: "deployer", plus
+ * "minter" when the keystore holds one
+ * @param {ethers.Provider} provider Provider the wallets connect to
+ * @param {Object} options
+ * @param {string} options.keystore Keystore name
+ * @param {Function} options.prompt Passphrase prompt override
+ * @param {string} options.dir Keystore directory override
+ * @returns {Promise<{deployer: ethers.Wallet, minter?: ethers.Wallet}>}
+ */
+async function unlockBridgeSigners(provider, { keystore = DEFAULT_KEYSTORE, env = process.env, prompt, dir } = {}) {
+  const stored = listKeystore(keystore, { dir }).map(({ account }) => account);
+  const accounts = stored.includes("minter") ? ["deployer", "minter"] : ["deployer"];
+
+  const passphrase = await readPassphrase(keystore, { env, prompt });
+  const keys = await unlockAccounts({ keystore, accounts, passphrase, dir });
+  return Object.fromEntries(accounts.map((account, i) => [account, new ethers.Wallet(keys[i], provider)]));
+}
+
+async function main() {
+  const rpcUrl = process.env.BUGTOPIA_L1_RPC_URL || "http://127.0.0.1:8545";
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const addresses = resolveAddresses(chainId);
+  for (const [name, value] of Object.entries({ BUGTOPIA_L1_ADDRESS: addresses.bugtopiaL1, COLLECTIBLES_ADDRESS: addresses.collectibles })) {
+    if (!value) throw new Error(`${name} is not set and no deployments/<network>.json for chain ${chainId} records it`);
+  }
+
+  const host = process.env.BRIDGE_HOST || "127.0.0.1";
+  const token = process.env.BRIDGE_TOKEN || undefined;
+  if (!token && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`BRIDGE_HOST ${host} exposes /rpc beyond this machine; set BRIDGE_TOKEN to require a bearer token`);
+  }
+
+  const signers = await unlockBridgeSigners(provider, { keystore: process.env.BRIDGE_KEYSTORE || DEFAULT_KEYSTORE });
+
+  const dbPath = process.env.BRIDGE_DB || path.join(__dirname, "..", "deployments", `bridge-${chainId}.sqlite`);
+  const database = await openBridgeDatabase(dbPath);
+  const bridge = createOperationBridge({
+    database,
+    signers,
+    addresses,
+    maxAttempts: Number(process.env.BRIDGE_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS),
+    token
+  });
+
+  const address = await bridge.listen(Number(process.env.BRIDGE_PORT || DEFAULT_PORT), host);
+  bridge.startWorker(Number(process.env.BRIDGE_POLL_INTERVAL_MS || DEFAULT_POLL_INTERVAL_MS));
+
+  console.log("🌉 Bugtopia operation bridge running");
+  console.log(`   RPC: ${rpcUrl}`);
+  console.log(`   Deployer: ${signers.deployer.address}`);
+  console.log(`   Minter: ${(signers.minter || signers.deployer).address}`);
+  console.log(`   Database: ${dbPath}`);
+  console.log(`   Endpoint: http://${address.address}:${address.port}/rpc${token ? " (bearer token required)" : ""}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Operation bridge failed to start:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  BridgeParamsError,
+  toSdkParams,
+  classifyFailure,
+  openBridgeDatabase,
+  createOperationBridge,
+  unlockBridgeSigners
+};
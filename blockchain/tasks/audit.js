@@ -0,0 +1,80 @@
+/**
+ * Post-deploy health check
+ *
+ *   npx hardhat audit --network bugtopia_local
+ *   npx hardhat audit --json --network bugtopia_fuji     # for scheduled runs
+ *   npx hardhat audit --l1 0x... --collectibles 0x... --deployer 0x... --network bugtopia_local
+ *   npx hardhat audit --registry-dir deployments/sandbox --network localhost   # a running sandbox
+ *
+ * Addresses come from the params, BUGTOPIA_L1_ADDRESS / COLLECTIBLES_ADDRESS
+ * or the deployment registry. The deployer defaults to the account recorded
+ * as deploying BugtopiaCollectibles, else its owner. The task prints the
+ * report and exits non-zero when any check fails.
+ */
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readNetworkRegistry, resolveDeployedAddress } = require("../utils/deployment-registry");
+const { auditDeployment, formatAuditReport } = require("../utils/audit");
+const { createBugtopiaClient } = require("../sdk");
+
+const PLUGIN_NAME = "audit";
+
+/**
+ * Deployer and block of a contract, from the registry or hardhat-deploy
+ * @returns {Promise<{deployer?: string, blockNumber?: number}>}
+ */
+async function deploymentRecord(hre, name, address, dir) {
+  const entry = (await readNetworkRegistry(hre, { dir })).contracts[name];
+  if (entry && entry.address.toLowerCase() === address.toLowerCase()) {
+    return { deployer: entry.deployer, blockNumber: entry.blockNumber };
+  }
+
+  const deployment = hre.deployments ? await hre.deployments.getOrNull(name) : null;
+  if (deployment && deployment.receipt && deployment.address.toLowerCase() === address.toLowerCase()) {
+    return { deployer: deployment.receipt.from, blockNumber: deployment.receipt.blockNumber };
+  }
+  return {};
+}
+
+task("audit", "Check the invariants of a deployed BugtopiaL1 / BugtopiaCollectibles pair")
+  .addOptionalParam("l1", "BugtopiaL1 address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("collectibles", "BugtopiaCollectibles address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("deployer", "Account that must be an authorized minter (defaults to the recorded deployer)", undefined, types.string)
+  .addOptionalParam("registryDir", "Deployment registry directory (defaults to deployments/)", undefined, types.string)
+  .addFlag("json", "Print the report as JSON")
+  .setAction(async ({ l1, collectibles: collectiblesParam, deployer, registryDir, json }, hre) => {
+    const dir = registryDir || undefined;
+    const resolve = (name, address, envVar) => resolveDeployedAddress(hre, name, { address, envVar, dir })
+      .catch((error) => {
+        throw new HardhatPluginError(PLUGIN_NAME, error.message);
+      });
+    const addresses = {
+      bugtopiaL1: await resolve("BugtopiaL1", l1, "BUGTOPIA_L1_ADDRESS"),
+      collectibles: await resolve("BugtopiaCollectibles", collectiblesParam, "COLLECTIBLES_ADDRESS")
+    };
+    const { bugtopiaL1, collectibles } = createBugtopiaClient({ runner: hre.ethers.provider, addresses });
+
+    const l1Record = await deploymentRecord(hre, "BugtopiaL1", addresses.bugtopiaL1, dir);
+    const collectiblesRecord = await deploymentRecord(hre, "BugtopiaCollectibles", addresses.collectibles, dir);
+    let minter = deployer || collectiblesRecord.deployer;
+    if (!minter && (await hre.ethers.provider.getCode(addresses.collectibles)) !== "0x") {
+      minter = await collectibles.owner();
+    }
+
+    const report = await auditDeployment({
+      provider: hre.ethers.provider,
+      bugtopiaL1,
+      collectibles,
+      deployer: minter || hre.ethers.ZeroAddress,
+      fromBlock: l1Record.blockNumber || 0
+    });
+    report.network = hre.network.name;
+
+    console.log(json ? JSON.stringify(report, null, 2) : formatAuditReport(report, { network: hre.network.name }));
+    if (!report.ok) {
+      const failed = report.checks.filter(({ ok }) => !ok).map(({ id }) => id);
+      throw new HardhatPluginError(PLUGIN_NAME, `Audit failed: ${failed.join(", ")}`);
+    }
+    return report;
+  });
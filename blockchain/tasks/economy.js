@@ -0,0 +1,187 @@
+/**
+ * Economy administration tasks
+ *
+ *   npx hardhat economy:show --network bugtopia_local
+ *   npx hardhat economy:set-fee breeding 0.002 --network bugtopia_local
+ *   npx hardhat economy:set-burn arena_entry 1500 --dry-run --network bugtopia_local
+ *   npx hardhat economy:set-split 3000 4000 3000 --network bugtopia_local
+ *   npx hardhat economy:set-treasury 0x... --network bugtopia_local
+ *
+ * The BugtopiaL1 address comes from --address, BUGTOPIA_L1_ADDRESS or the
+ * deployment registry. --dry-run simulates the owner call with eth_call and
+ * prints the diff it would produce without sending a transaction.
+ */
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { UTILITY_TYPES } = require("../utils/bugtopia-constants");
+const { resolveDeployedAddress } = require("../utils/deployment-registry");
+const { createBugtopiaClient } = require("../sdk");
+const {
+  MAX_BURN_RATE,
+  EconomyParameterError,
+  parseBasisPoints,
+  validateSplit,
+  parseFee,
+  readEconomy,
+  diffEconomy,
+  applyChange,
+  formatEconomy,
+  formatDiff
+} = require("../utils/economy");
+
+const PLUGIN_NAME = "economy";
+
+function parameterError(error) {
+  if (error instanceof EconomyParameterError) {
+    return new HardhatPluginError(PLUGIN_NAME, error.message);
+  }
+  return error;
+}
+
+function validated(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw parameterError(error);
+  }
+}
+
+async function loadBugtopiaL1(hre, address) {
+  const resolved = await resolveDeployedAddress(hre, "BugtopiaL1", { address, envVar: "BUGTOPIA_L1_ADDRESS" })
+    .catch((error) => {
+      throw new HardhatPluginError(PLUGIN_NAME, error.message);
+    });
+  const [signer] = await hre.ethers.getSigners();
+  return createBugtopiaClient({ runner: signer, addresses: { bugtopiaL1: resolved } }).bugtopiaL1;
+}
+
+/**
+ * Send (or simulate) one owner-only update and print the before/after diff
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} taskArgs Task arguments (address, dryRun)
+ * @param {Object} update
+ * @param {string} update.method BugtopiaL1 function name
+ * @param {Array} update.args Function arguments
+ * @param {Object} update.change Change in applyChange() form
+ * @param {string[]} update.keys Extra fee / burn rate keys to snapshot
+ */
+async function runUpdate(hre, { address, dryRun }, { method, args, change, keys = [] }) {
+  const bugtopiaL1 = await loadBugtopiaL1(hre, address);
+  const signer = bugtopiaL1.runner;
+  const owner = await bugtopiaL1.owner();
+  if (owner !== signer.address) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `${signer.address} is not the BugtopiaL1 owner (${owner}); updates would revert`
+    );
+  }
+
+  const utilityTypes = [...new Set([...UTILITY_TYPES, ...keys])];
+  const before = await readEconomy(bugtopiaL1, utilityTypes);
+
+  console.log(`📋 BugtopiaL1 ${await bugtopiaL1.getAddress()} on ${hre.network.name}`);
+  console.log(`   ${method}(${args.map(String).join(", ")})`);
+
+  let after;
+  let txHash;
+  if (dryRun) {
+    await bugtopiaL1[method].staticCall(...args);
+    after = applyChange(before, change);
+    console.log("🧪 Dry run: eth_call succeeded, nothing was sent");
+  } else {
+    const tx = await bugtopiaL1[method](...args);
+    const receipt = await tx.wait();
+    txHash = receipt.hash;
+    after = await readEconomy(bugtopiaL1, utilityTypes);
+    console.log(`✅ Sent ${txHash}`);
+  }
+
+  const diff = diffEconomy(before, after);
+  console.log(`\n📊 ${dryRun ? "Would change" : "Changed"}:`);
+  console.log(formatDiff(diff));
+
+  return { before, after, diff, txHash, dryRun: Boolean(dryRun) };
+}
+
+function withCommonParams(definition) {
+  return definition
+    .addOptionalParam("address", "BugtopiaL1 address (defaults to the deployment registry)", undefined, types.string)
+    .addFlag("dryRun", "Simulate with eth_call and print the diff without sending");
+}
+
+// ============= TASKS =============
+
+task("economy:show", "Show BugtopiaL1 fees, burn rates, split and treasury")
+  .addOptionalParam("address", "BugtopiaL1 address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("types", "Extra utility types to include, comma separated", "", types.string)
+  .setAction(async ({ address, types: extraTypes }, hre) => {
+    const bugtopiaL1 = await loadBugtopiaL1(hre, address);
+    const extra = extraTypes.split(",").map((type) => type.trim()).filter(Boolean);
+    // burnRates["governance"] is configured even though no fee uses that key
+    const state = await readEconomy(bugtopiaL1, [...new Set([...UTILITY_TYPES, "governance", ...extra])]);
+
+    console.log(`📋 BugtopiaL1 ${await bugtopiaL1.getAddress()} on ${hre.network.name}`);
+    console.log(formatEconomy(state));
+    return state;
+  });
+
+withCommonParams(
+  task("economy:set-fee", "Set the utility fee for a type, in BUG")
+    .addPositionalParam("utilityType", "Utility type, e.g. breeding")
+    .addPositionalParam("amount", "Fee in BUG, e.g. 0.002")
+).setAction(async (taskArgs, hre) => {
+  const { utilityType } = taskArgs;
+  const amount = validated(() => parseFee(taskArgs.amount));
+  return runUpdate(hre, taskArgs, {
+    method: "updateUtilityFee",
+    args: [utilityType, amount],
+    change: { fee: { utilityType, amount } },
+    keys: [utilityType]
+  });
+});
+
+withCommonParams(
+  task("economy:set-burn", "Set the burn rate for an activity, in basis points (max 5000)")
+    .addPositionalParam("activity", "Activity / utility type, e.g. arena_entry")
+    .addPositionalParam("rate", "Burn rate in basis points")
+).setAction(async (taskArgs, hre) => {
+  const { activity } = taskArgs;
+  const rate = validated(() => parseBasisPoints(taskArgs.rate, "Burn rate", { max: MAX_BURN_RATE }));
+  return runUpdate(hre, taskArgs, {
+    method: "updateBurnRate",
+    args: [activity, rate],
+    change: { burnRate: { activity, rate } },
+    keys: [activity]
+  });
+});
+
+withCommonParams(
+  task("economy:set-split", "Set the treasury/staking/burn split; must sum to 10000 basis points")
+    .addPositionalParam("treasury", "Treasury ratio in basis points")
+    .addPositionalParam("staking", "Staking ratio in basis points")
+    .addPositionalParam("burn", "Burn ratio in basis points")
+).setAction(async (taskArgs, hre) => {
+  const split = validated(() => validateSplit(taskArgs.treasury, taskArgs.staking, taskArgs.burn));
+  console.log("ℹ️  payUtilityFee burns by per-type burn rate and pools the remainder; burnRatio is stored but not applied");
+  return runUpdate(hre, taskArgs, {
+    method: "updateFeeDistribution",
+    args: [split.treasuryRatio, split.stakingRatio, split.burnRatio],
+    change: { split }
+  });
+});
+
+withCommonParams(
+  task("economy:set-treasury", "Point the treasury share of fees at a new address")
+    .addPositionalParam("treasury", "New treasury address")
+).setAction(async (taskArgs, hre) => {
+  if (!hre.ethers.isAddress(taskArgs.treasury) || BigInt(taskArgs.treasury) === 0n) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid treasury address: ${taskArgs.treasury}`);
+  }
+  const treasury = hre.ethers.getAddress(taskArgs.treasury);
+  return runUpdate(hre, taskArgs, {
+    method: "updateTreasury",
+    args: [treasury],
+    change: { treasury }
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Off-chain governance
+ *
+ *   npx hardhat governance:propose updateBurnRate governance_proposal 5000 --title "Burn half of proposal fees" --network bugtopia_local
+ *   npx hardhat governance:vote 0x1234abcd for --reason "fees should burn" --network bugtopia_local
+ *   npx hardhat governance:vote 0x1234abcd --signed vote.json --network bugtopia_local
+ *   npx hardhat governance:tally 0x1234abcd --network bugtopia_local
+ *   npx hardhat governance:execute 0x1234abcd --dry-run --network bugtopia_local
+ *   npx hardhat governance:show --network bugtopia_local
+ *
+ * Proposing pays the governance_proposal fee; the payment block is the
+ * snapshot block for voting power. Votes are EIP-712 signatures, cast here
+ * with a configured account or imported from a JSON file signed elsewhere.
+ * After voting closes the tally weighs each vote by the voter's BUG and NFTs
+ * at the snapshot, and a passed proposal can be executed by the BugtopiaL1
+ * owner once its execution delay is over. Everything is kept in
+ * deployments/governance-<network>.json (or --store); proposal ids may be
+ * shortened to any unique prefix. See utils/governance.js.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { resolveDeployedAddress } = require("../utils/deployment-registry");
+const { createBugtopiaClient } = require("../sdk");
+const { PayoutBatchError } = require("../utils/payout-batches");
+const { formatDiff } = require("../utils/economy");
+const {
+  DEFAULT_VOTING_PERIOD,
+  DEFAULT_EXECUTION_DELAY,
+  DEFAULT_QUORUM,
+  GOVERNANCE_RULES,
+  GOVERNANCE_ACTIONS,
+  GovernanceError,
+  createProposal,
+  signVote,
+  addVote,
+  tallyProposal,
+  executeProposal,
+  governanceStorePath,
+  readGovernanceStore,
+  writeGovernanceStore,
+  addProposal,
+  findProposal,
+  formatProposal
+} = require("../utils/governance");
+
+const PLUGIN_NAME = "governance";
+
+function pluginError(error) {
+  if (error instanceof GovernanceError || error instanceof PayoutBatchError) {
+    return new HardhatPluginError(PLUGIN_NAME, error.message);
+  }
+  return error;
+}
+
+async function resolve(hre, name, address, envVar) {
+  return resolveDeployedAddress(hre, name, { address, envVar }).catch((error) => {
+    throw new HardhatPluginError(PLUGIN_NAME, error.message);
+  });
+}
+
+/**
+ * Open the store for the BugtopiaL1 deployment on the current network
+ */
+async function openStore(hre, { address, store: storeParam }) {
+  const bugtopiaL1 = await resolve(hre, "BugtopiaL1", address, "BUGTOPIA_L1_ADDRESS");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = storeParam || governanceStorePath(hre.network.name);
+  return { bugtopiaL1, file, store: readGovernanceStore(file, { chainId, bugtopiaL1 }) };
+}
+
+async function signerFor(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (!from) return signers[0];
+  const signer = signers.find(({ address }) => address.toLowerCase() === from.toLowerCase());
+  if (!signer) throw new GovernanceError(`${from} is not one of the accounts configured for ${hre.network.name}`);
+  return signer;
+}
+
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+function withStoreParams(definition) {
+  return definition
+    .addOptionalParam("address", "BugtopiaL1 address (defaults to the deployment registry)", undefined, types.string)
+    .addOptionalParam("store", "Proposal store (defaults to deployments/governance-<network>.json)", undefined, types.string);
+}
+
+// ============= TASKS =============
+
+withStoreParams(
+  task("governance:propose", "Pay governance_proposal and open a proposal to change a BugtopiaL1 parameter")
+    .addPositionalParam("action", `BugtopiaL1 call: ${Object.keys(GOVERNANCE_ACTIONS).join(", ")}`, undefined, types.string)
+    .addVariadicPositionalParam("args", "Call arguments, as for the matching economy:set-* task", [], types.string)
+    .addParam("title", "Proposal title", undefined, types.string)
+    .addOptionalParam("description", "Proposal description", "", types.string)
+    .addOptionalParam("votingPeriod", `Seconds voting stays open (at least ${GOVERNANCE_RULES.minVotingPeriod})`, DEFAULT_VOTING_PERIOD, types.int)
+    .addOptionalParam(
+      "executionDelay",
+      `Seconds between the end of voting and execution (at least ${GOVERNANCE_RULES.minExecutionDelay})`,
+      DEFAULT_EXECUTION_DELAY,
+      types.int
+    )
+    .addOptionalParam(
+      "quorum",
+      `Minimum voting power that must vote, in BUG (at least ${ethers.formatEther(GOVERNANCE_RULES.minQuorum)})`,
+      ethers.formatEther(DEFAULT_QUORUM),
+      types.string
+    )
+    .addOptionalParam("collectibles", "BugtopiaCollectibles address (defaults to the deployment registry)", undefined, types.string)
+    .addOptionalParam("from", "Proposer account (defaults to the first configured account)", undefined, types.string)
+).setAction(async (taskArgs, hre) => {
+  try {
+    const { bugtopiaL1, file, store } = await openStore(hre, taskArgs);
+    const collectibles = await resolve(hre, "BugtopiaCollectibles", taskArgs.collectibles, "COLLECTIBLES_ADDRESS");
+    const signer = await signerFor(hre, taskArgs.from);
+    const client = createBugtopiaClient({ runner: signer, addresses: { bugtopiaL1, collectibles } });
+
+    let quorum;
+    try {
+      quorum = hre.ethers.parseEther(taskArgs.quorum);
+    } catch (error) {
+      throw new GovernanceError(`--quorum must be a BUG amount (got "${taskArgs.quorum}")`);
+    }
+
+    const proposal = await createProposal(client, {
+      title: taskArgs.title,
+      description: taskArgs.description,
+      method: taskArgs.action,
+      args: taskArgs.args,
+      votingPeriod: taskArgs.votingPeriod,
+      executionDelay: taskArgs.executionDelay,
+      quorum
+    });
+    addProposal(store, proposal);
+    writeGovernanceStore(store, file);
+
+    console.log(formatProposal(proposal, await latestTimestamp(hre)));
+    console.log(`\n💸 Paid ${hre.ethers.formatEther(proposal.payment.fee)} BUG in ${proposal.payment.txHash}; saved to ${file}`);
+    return proposal;
+  } catch (error) {
+    throw pluginError(error);
+  }
+});
+
+withStoreParams(
+  task("governance:vote", "Sign and record a vote, or record one signed elsewhere")
+    .addPositionalParam("proposal", "Proposal id (or a unique prefix)", undefined, types.string)
+    .addOptionalPositionalParam("support", "for, against or abstain", undefined, types.string)
+    .addOptionalParam("reason", "Reason, signed with the vote", "", types.string)
+    .addOptionalParam("from", "Voter account (defaults to the first configured account)", undefined, types.string)
+    .addOptionalParam("signed", "JSON file with a vote signed elsewhere", undefined, types.string)
+).setAction(async (taskArgs, hre) => {
+  try {
+    const { file, store } = await openStore(hre, taskArgs);
+    const proposal = findProposal(store, taskArgs.proposal);
+
+    let vote;
+    if (taskArgs.signed) {
+      try {
+        vote = JSON.parse(fs.readFileSync(taskArgs.signed, "utf8"));
+      } catch (error) {
+        throw new GovernanceError(`Could not read ${taskArgs.signed}: ${error.message}`);
+      }
+    } else {
+      if (!taskArgs.support) throw new GovernanceError("Say how to vote (for, against or abstain) or pass --signed");
+      const signer = await signerFor(hre, taskArgs.from);
+      vote = await signVote(signer, proposal, { support: taskArgs.support, reason: taskArgs.reason });
+    }
+
+    const result = await addVote(hre.ethers.provider, proposal, vote);
+    if (result !== "unchanged") writeGovernanceStore(store, file);
+    console.log(`🗳️  ${vote.voter} ${result === "unchanged" ? "already cast this vote" : `vote ${result}`} on ${proposal.id}`);
+    return { result, vote };
+  } catch (error) {
+    throw pluginError(error);
+  }
+});
+
+withStoreParams(
+  task("governance:tally", "Count a closed proposal's votes at its snapshot block")
+    .addPositionalParam("proposal", "Proposal id (or a unique prefix)", undefined, types.string)
+).setAction(async (taskArgs, hre) => {
+  try {
+    const { file, store } = await openStore(hre, taskArgs);
+    const proposal = findProposal(store, taskArgs.proposal);
+    proposal.tally = await tallyProposal(hre.ethers.provider, proposal);
+    writeGovernanceStore(store, file);
+
+    for (const { voter, support, weight, nfts } of proposal.tally.votes) {
+      console.log(`   ${voter}  ${support.padEnd(7)}  ${hre.ethers.formatEther(weight)} BUG (${nfts} NFTs)`);
+    }
+    console.log(formatProposal(proposal, await latestTimestamp(hre)));
+    return proposal.tally;
+  } catch (error) {
+    throw pluginError(error);
+  }
+});
+
+withStoreParams(
+  task("governance:execute", "Send a passed proposal's call as the BugtopiaL1 owner")
+    .addPositionalParam("proposal", "Proposal id (or a unique prefix)", undefined, types.string)
+    .addFlag("dryRun", "Simulate with eth_call and print the diff without sending")
+).setAction(async (taskArgs, hre) => {
+  try {
+    const { bugtopiaL1, file, store } = await openStore(hre, taskArgs);
+    const proposal = findProposal(store, taskArgs.proposal);
+    const [signer] = await hre.ethers.getSigners();
+    const client = createBugtopiaClient({ runner: signer, addresses: { bugtopiaL1 } });
+
+    const result = await executeProposal(client, proposal, {
+      dryRun: taskArgs.dryRun,
+      onSent: () => writeGovernanceStore(store, file)
+    });
+    if (!taskArgs.dryRun) writeGovernanceStore(store, file);
+
+    console.log(`📋 ${proposal.action.method}(${proposal.action.args.join(", ")}) on BugtopiaL1 ${bugtopiaL1}`);
+    console.log(result.dryRun ? "🧪 Dry run: eth_call succeeded, nothing was sent" : `✅ Executed in ${result.txHash}`);
+    console.log(`\n📊 ${result.dryRun ? "Would change" : "Changed"}:`);
+    console.log(formatDiff(result.diff));
+    return result;
+  } catch (error) {
+    throw pluginError(error);
+  }
+});
+
+withStoreParams(
+  task("governance:show", "List proposals, or show one")
+    .addOptionalPositionalParam("proposal", "Proposal id (or a unique prefix)", undefined, types.string)
+).setAction(async (taskArgs, hre) => {
+  try {
+    const { file, store } = await openStore(hre, taskArgs);
+    const proposals = taskArgs.proposal ? [findProposal(store, taskArgs.proposal)] : Object.values(store.proposals);
+    const now = await latestTimestamp(hre);
+    if (proposals.length === 0) console.log(`No proposals in ${file}`);
+    for (const proposal of proposals) console.log(`${formatProposal(proposal, now)}\n`);
+    return proposals;
+  } catch (error) {
+    throw pluginError(error);
+  }
+});
@@ -0,0 +1,112 @@
+/**
+ * Network profiles and keystore
+ *
+ *   npx hardhat keystore:import --keystore local --account deployer
+ *   npx hardhat keystore:import --keystore fuji --account treasury --generate
+ *   npx hardhat keystore:list --keystore mainnet
+ *   npx hardhat networks:swift           # regenerate BugtopiaNetworks.swift
+ *   npx hardhat networks:swift --check   # fail if it is stale
+ *
+ * Networks from networks.json get their accounts from the keystore. When a
+ * task first talks to one, the provider extender below checks the RPC's
+ * chain ID against the profile and only then asks for the passphrase.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { task, extendProvider, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ethers } = require("ethers");
+const {
+  KeystoreError,
+  listKeystore,
+  importAccountKey,
+  promptSecret,
+  readPassphrase,
+  defaultKeystoreDir
+} = require("../utils/keystore");
+const {
+  SWIFT_NETWORKS_PATH,
+  NetworkProfileError,
+  loadNetworkProfiles,
+  prepareNetwork,
+  renderSwiftNetworks
+} = require("../utils/network-profiles");
+
+const PLUGIN_NAME = "networks";
+
+function pluginError(error) {
+  if (error instanceof KeystoreError || error instanceof NetworkProfileError) {
+    return new HardhatPluginError(PLUGIN_NAME, error.message);
+  }
+  return error;
+}
+
+extendProvider(async (provider, config, network) => {
+  const profile = loadNetworkProfiles()[network];
+  if (!profile) return provider;
+
+  try {
+    // applyProviderWrappers reads the accounts after the extenders run
+    config.networks[network].accounts = await prepareNetwork(provider, profile);
+  } catch (error) {
+    throw pluginError(error);
+  }
+  return provider;
+});
+
+task("keystore:import", "Encrypt a private key into the local keystore")
+  .addParam("keystore", "Keystore name, as used by networks.json (e.g. local, fuji, mainnet)", undefined, types.string)
+  .addParam("account", "Account name (e.g. deployer, treasury)", undefined, types.string)
+  .addFlag("generate", "Create a new random key instead of prompting for one")
+  .addFlag("force", "Replace an existing account")
+  .setAction(async ({ keystore, account, generate, force }) => {
+    try {
+      const privateKey = generate ? ethers.Wallet.createRandom().privateKey : await promptSecret(`Private key for ${account}`);
+      const existing = listKeystore(keystore).length > 0;
+      const passphrase = await readPassphrase(keystore, { confirm: !existing });
+
+      const { address, file } = await importAccountKey({ keystore, account, privateKey, passphrase, force });
+      console.log(`🔐 ${keystore}/${account} → ${address}`);
+      console.log(`   ${file}`);
+      return address;
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
+
+task("keystore:list", "List the accounts in the local keystore")
+  .addOptionalParam("keystore", "Only this keystore", undefined, types.string)
+  .setAction(async ({ keystore }) => {
+    const dir = defaultKeystoreDir();
+    const names = keystore ? [keystore] : fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+
+    const entries = [];
+    for (const name of names) {
+      for (const entry of listKeystore(name, { dir })) {
+        entries.push({ keystore: name, ...entry });
+        console.log(`${name.padEnd(10)} ${entry.account.padEnd(12)} ${entry.address}`);
+      }
+    }
+    if (entries.length === 0) console.log(`No keys in ${dir}`);
+    return entries;
+  });
+
+task("networks:swift", "Generate Bugtopia/Blockchain/BugtopiaNetworks.swift from networks.json")
+  .addFlag("check", "Compare instead of writing; fail when the Swift file is out of date")
+  .setAction(async ({ check }) => {
+    const contents = renderSwiftNetworks(loadNetworkProfiles());
+    const current = fs.existsSync(SWIFT_NETWORKS_PATH) ? fs.readFileSync(SWIFT_NETWORKS_PATH, "utf8") : undefined;
+    const relative = path.relative(process.cwd(), SWIFT_NETWORKS_PATH);
+
+    if (current === contents) {
+      console.log(`✅ ${relative} matches networks.json`);
+      return false;
+    }
+    if (check) {
+      throw new HardhatPluginError(PLUGIN_NAME, `${relative} is stale; run npx hardhat networks:swift`);
+    }
+    fs.writeFileSync(SWIFT_NETWORKS_PATH, contents);
+    console.log(`📝 Updated ${relative}`);
+    return true;
+  });
@@ -0,0 +1,254 @@
+/**
+ * Bug DNA minting from simulation exports
+ *
+ *   npx hardhat nft:mint-export bugs.json --network bugtopia_local
+ *   npx hardhat nft:mint-export bugs.csv --recipient 0x... --network bugtopia_local
+ *   npx hardhat nft:mint-export bugs.json --dry-run
+ *   npx hardhat nft:distribute-revenue 1000000 2.5 --epoch 2026-w42 --from-block 120000 --network bugtopia_local
+ *   npx hardhat nft:lineage --network bugtopia_local
+ *   npx hardhat nft:lineage --token 42 --out lineage-42.dot --network bugtopia_local
+ *
+ * Every record is validated before anything is sent. Parents are minted
+ * before their children and their token ids filled into parentId1 /
+ * parentId2. The simulation id -> token id mapping goes to
+ * deployments/bug-mints-<network>.json (or --out); rerunning with the same
+ * mapping skips bugs that are already minted.
+ *
+ * nft:distribute-revenue pays a territory's stakers their stake-seconds
+ * share of an epoch's revenue (see utils/territory-revenue.js). The report
+ * goes to deployments/territory-revenue-<network>/ (or --out); rerunning an
+ * epoch resumes its unsent batches instead of paying again.
+ *
+ * nft:lineage crawls every Bug DNA token into a family tree, prints its
+ * founder, inbreeding and arena statistics and exports it as JSON, GraphViz
+ * DOT or GEDCOM-like text (see utils/lineage.js). The format follows the
+ * --out extension (.json, .dot / .gv, .ged) unless --format is given; the
+ * default file is deployments/lineage-<network>.json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { resolveDeployedAddress } = require("../utils/deployment-registry");
+const { createBugtopiaClient } = require("../sdk");
+const {
+  BugExportError,
+  loadBugExport,
+  validateBugRecords,
+  orderForMinting,
+  mintMappingPath,
+  readMintMapping,
+  writeMintMapping,
+  mintBugRecords
+} = require("../utils/bug-export");
+const {
+  TerritoryRevenueError,
+  revenueReportPath,
+  readRevenueReport,
+  writeRevenueReport,
+  buildRevenueReport,
+  assertSameEpoch,
+  planRevenueBatches,
+  distributeRevenueBatches,
+  formatRevenueReport
+} = require("../utils/territory-revenue");
+const { PayoutBatchError, gasBudgetFor } = require("../utils/payout-batches");
+const {
+  EXPORT_FORMATS,
+  LineageError,
+  crawlBugDNA,
+  buildLineageGraph,
+  focusLineage,
+  lineageStats,
+  exportLineage,
+  formatLineageStats
+} = require("../utils/lineage");
+
+const PLUGIN_NAME = "nft";
+
+function pluginError(error) {
+  const known = [BugExportError, TerritoryRevenueError, PayoutBatchError, LineageError];
+  if (known.some((type) => error instanceof type)) {
+    return new HardhatPluginError(PLUGIN_NAME, error.message);
+  }
+  return error;
+}
+
+task("nft:mint-export", "Mint Bug DNA NFTs from a simulation export (.json, .jsonl or .csv)")
+  .addPositionalParam("file", "Exported bugs")
+  .addOptionalParam("address", "BugtopiaCollectibles address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("recipient", "Address receiving the NFTs (defaults to the first account)", undefined, types.string)
+  .addOptionalParam("out", "Mapping file (defaults to deployments/bug-mints-<network>.json)", undefined, types.string)
+  .addOptionalParam("gasBudget", "Summed gas limit per chunk (defaults to the network's gas setting)", undefined, types.int)
+  .addFlag("dryRun", "Validate and plan without sending")
+  .setAction(async ({ file, address, recipient, out, gasBudget, dryRun }, hre) => {
+    try {
+      const records = validateBugRecords(loadBugExport(file));
+
+      const collectiblesAddress = await resolveDeployedAddress(hre, "BugtopiaCollectibles", {
+        address,
+        envVar: "COLLECTIBLES_ADDRESS"
+      }).catch((error) => {
+        throw new HardhatPluginError(PLUGIN_NAME, error.message);
+      });
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const mappingFile = out || mintMappingPath(hre.network.name);
+      const mapping = readMintMapping(mappingFile, { chainId, collectibles: collectiblesAddress });
+      const pending = orderForMinting(records, mapping);
+      const budget = gasBudgetFor(hre.network, gasBudget);
+
+      console.log(`📋 ${records.length} bugs in ${file}, ${records.length - pending.length} already minted`);
+      console.log(`   BugtopiaCollectibles ${collectiblesAddress} on ${hre.network.name}, ${budget} gas per chunk`);
+
+      if (dryRun) {
+        console.log("🧪 Dry run: export is valid, nothing was sent");
+        return { records, pending, mappingFile, minted: 0, chunks: [] };
+      }
+
+      const [signer] = await hre.ethers.getSigners();
+      const client = createBugtopiaClient({ runner: signer, addresses: { collectibles: collectiblesAddress } });
+      if (!(await client.isAuthorizedMinter(signer.address))) {
+        throw new HardhatPluginError(PLUGIN_NAME, `${signer.address} is not an authorized minter on ${collectiblesAddress}`);
+      }
+
+      const result = await mintBugRecords(client, pending, mapping, {
+        gasBudget: budget,
+        recipient: recipient ? hre.ethers.getAddress(recipient) : signer.address,
+        onChunk: (current, { size, gas }) => {
+          writeMintMapping(current, mappingFile);
+          console.log(`✅ Minted ${size} bugs (${gas} gas estimated)`);
+        }
+      });
+
+      console.log(`\n🧬 ${result.minted} bugs minted in ${result.chunks.length} chunks; mapping in ${mappingFile}`);
+      return { records, pending, mappingFile, ...result };
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
+
+task("nft:distribute-revenue", "Pay a territory's stakers their time-weighted share of an epoch's revenue")
+  .addPositionalParam("tokenId", "Territory token ID")
+  .addPositionalParam("amount", "Revenue to distribute, in BUG")
+  .addParam("epoch", "Epoch name, used for the report file (e.g. 2026-w42)", undefined, types.string)
+  .addParam("fromBlock", "Epoch start block", undefined, types.int)
+  .addOptionalParam("toBlock", "Epoch end block (defaults to the latest block, or the one in the epoch's report)", undefined, types.int)
+  .addOptionalParam("dustRecipient", "Address receiving the rounding dust (defaults to the first account)", undefined, types.string)
+  .addOptionalParam("address", "BugtopiaCollectibles address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("out", "Report file (defaults to deployments/territory-revenue-<network>/territory-<id>-<epoch>.json)", undefined, types.string)
+  .addOptionalParam("gasBudget", "Gas limit per batch (defaults to the network's gas setting)", undefined, types.int)
+  .addFlag("dryRun", "Compute the shares and batches without sending or writing anything")
+  .setAction(async ({ tokenId, amount, epoch, fromBlock, toBlock, dustRecipient, address, out, gasBudget, dryRun }, hre) => {
+    try {
+      const collectiblesAddress = await resolveDeployedAddress(hre, "BugtopiaCollectibles", {
+        address,
+        envVar: "COLLECTIBLES_ADDRESS"
+      }).catch((error) => {
+        throw new HardhatPluginError(PLUGIN_NAME, error.message);
+      });
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const reportFile = out || revenueReportPath(hre.network.name, tokenId, epoch);
+      const existing = readRevenueReport(reportFile);
+
+      const [signer] = await hre.ethers.getSigners();
+      const client = createBugtopiaClient({ runner: signer, addresses: { collectibles: collectiblesAddress } });
+      if (!dryRun && !(await client.isAuthorizedMinter(signer.address))) {
+        throw new HardhatPluginError(PLUGIN_NAME, `${signer.address} is not an authorized minter on ${collectiblesAddress}`);
+      }
+
+      let revenue;
+      try {
+        revenue = hre.ethers.parseEther(amount);
+      } catch (error) {
+        throw new TerritoryRevenueError(`Revenue must be a BUG amount such as 2.5 (got "${amount}")`);
+      }
+      const report = await buildRevenueReport(client, {
+        epoch,
+        tokenId: BigInt(tokenId),
+        amount: revenue,
+        fromBlock,
+        toBlock: toBlock ?? (existing ? existing.toBlock : await hre.ethers.provider.getBlockNumber()),
+        dustRecipient: hre.ethers.getAddress(dustRecipient || signer.address)
+      });
+
+      console.log(`📋 Territory #${tokenId}, epoch ${epoch}: ${amount} BUG over blocks ${report.fromBlock}-${report.toBlock}`);
+      console.log(`   ${report.stakers.length} stakers, ${report.dust} wei of dust to ${report.dustRecipient}`);
+
+      let current = report;
+      if (existing) {
+        assertSameEpoch(existing, report);
+        current = existing;
+        const unsent = current.batches.filter(({ status }) => status !== "confirmed").length;
+        if (unsent === 0) {
+          console.log(`✅ Already distributed; report in ${reportFile}`);
+          return { report: current, reportFile, dryRun: Boolean(dryRun) };
+        }
+        console.log(`   Resuming ${reportFile}: ${unsent} of ${current.batches.length} batches left`);
+      } else {
+        current.batches = await planRevenueBatches(client, report.tokenId, report.payouts, { gasBudget: gasBudgetFor(hre.network, gasBudget) });
+      }
+
+      if (dryRun) {
+        console.log(formatRevenueReport(current));
+        console.log("🧪 Dry run: nothing was sent");
+        return { report: current, reportFile, dryRun: true };
+      }
+
+      writeRevenueReport(current, reportFile);
+      await distributeRevenueBatches(client, current, {
+        onBatch: (updated) => writeRevenueReport(updated, reportFile)
+      });
+
+      console.log(`\n💸 Paid ${amount} BUG in ${current.batches.length} batches; report in ${reportFile}`);
+      return { report: current, reportFile, dryRun: false };
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
+
+const LINEAGE_EXTENSIONS = { ".json": "json", ".dot": "dot", ".gv": "dot", ".ged": "gedcom" };
+
+task("nft:lineage", "Crawl Bug DNA tokens into a family tree and export it with lineage statistics")
+  .addOptionalParam("address", "BugtopiaCollectibles address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("fromBlock", "First block to crawl", 0, types.int)
+  .addOptionalParam("toBlock", "Last block to crawl (defaults to the latest block)", undefined, types.int)
+  .addOptionalParam("token", "Only export this token's ancestors and descendants", undefined, types.string)
+  .addOptionalParam("format", `Export format: ${EXPORT_FORMATS.join(", ")} (defaults to the --out extension)`, undefined, types.string)
+  .addOptionalParam("out", "Export file (defaults to deployments/lineage-<network>.json)", undefined, types.string)
+  .setAction(async ({ address, fromBlock, toBlock, token, format, out }, hre) => {
+    try {
+      const collectiblesAddress = await resolveDeployedAddress(hre, "BugtopiaCollectibles", {
+        address,
+        envVar: "COLLECTIBLES_ADDRESS"
+      }).catch((error) => {
+        throw new HardhatPluginError(PLUGIN_NAME, error.message);
+      });
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const exportFormat = format || (out && LINEAGE_EXTENSIONS[path.extname(out).toLowerCase()]) || "json";
+      if (!EXPORT_FORMATS.includes(exportFormat)) {
+        throw new LineageError(`Unknown format "${exportFormat}"; use one of ${EXPORT_FORMATS.join(", ")}`);
+      }
+      const file = out || path.join(__dirname, "..", "deployments", `lineage-${hre.network.name}.json`);
+
+      const client = createBugtopiaClient({ runner: hre.ethers.provider, addresses: { collectibles: collectiblesAddress } });
+      const end = toBlock ?? await hre.ethers.provider.getBlockNumber();
+      const records = await crawlBugDNA(client, { fromBlock, toBlock: end });
+      const full = buildLineageGraph(records);
+      const graph = token === undefined ? full : focusLineage(full, token);
+      const stats = lineageStats(graph);
+
+      const meta = { chainId: Number(chainId), collectibles: collectiblesAddress, fromBlock, toBlock: end };
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, exportLineage(exportFormat, graph, meta));
+
+      console.log(`📋 BugtopiaCollectibles ${collectiblesAddress} on ${hre.network.name}, blocks ${fromBlock}-${end}`);
+      console.log(formatLineageStats(stats));
+      for (const issue of graph.issues) console.log(`⚠️  ${issue}`);
+      console.log(`\n🌳 ${exportFormat.toUpperCase()} lineage written to ${file}`);
+      return { graph, stats, file, format: exportFormat };
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
@@ -0,0 +1,140 @@
+/**
+ * Local sandbox
+ *
+ *   npx hardhat sandbox
+ *   npx hardhat sandbox --port 8546 --fixture my-economy.json
+ *
+ * Starts the in-process hardhat network with the Bugtopia chain ID (68420,
+ * from networks.json) and serves it over JSON-RPC like `hardhat node`. The
+ * named accounts listed in the fixture (sandbox.json by default) start with
+ * their BUG balances; BugtopiaL1 and BugtopiaCollectibles are deployed,
+ * minters authorized and the fixture's bugs, territories, stakes and fee
+ * history created before the server opens. Addresses go to
+ * deployments/sandbox/localhost.json (or --registry-dir), the registry that
+ * audit and upgrade read with --network localhost and the same
+ * --registry-dir, and swift:bindings --sandbox. The connection details for
+ * the Swift app and services are printed. The chain lives in memory:
+ * stopping the sandbox discards it. See utils/sandbox.js.
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { TASK_COMPILE, TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const { openDeploymentRegistry, RegistryMismatchError } = require("../utils/deployment-registry");
+const { loadNetworkProfiles } = require("../utils/network-profiles");
+const { METADATA_URI } = require("../helper-hardhat-config");
+const {
+  SANDBOX_FIXTURE_PATH,
+  SANDBOX_PROFILE,
+  SANDBOX_NETWORK,
+  SANDBOX_REGISTRY_DIR,
+  SandboxError,
+  loadSandboxFixture,
+  sandboxAccounts,
+  seedSandbox,
+  formatConnectionDetails
+} = require("../utils/sandbox");
+
+const PLUGIN_NAME = "sandbox";
+
+function pluginError(error) {
+  if (error instanceof SandboxError || error instanceof RegistryMismatchError) {
+    return new HardhatPluginError(PLUGIN_NAME, error.message);
+  }
+  return error;
+}
+
+/**
+ * Give the hardhat network the sandbox chain ID and accounts. Hardhat builds
+ * hre.network.provider from this config on its first request, so the sandbox
+ * must be the first thing in the process to use the network; otherwise the
+ * config is put back and the sandbox refuses to start.
+ * @returns {Promise<Object>} hre.network.provider
+ */
+async function useSandboxNetwork(hre, { chainId, accounts }) {
+  if (hre.network.name !== "hardhat") {
+    throw new SandboxError(`The sandbox runs on the in-process hardhat network, not ${hre.network.name}; drop --network`);
+  }
+
+  const { config } = hre.network;
+  const previous = { chainId: config.chainId, accounts: config.accounts, forking: config.forking };
+  Object.assign(config, {
+    chainId,
+    accounts: accounts.map(({ privateKey, balance }) => ({ privateKey, balance: balance.toString() })),
+    forking: undefined
+  });
+
+  const started = Number(await hre.network.provider.send("eth_chainId"));
+  if (started !== chainId) {
+    Object.assign(config, previous);
+    throw new SandboxError(
+      `The hardhat network in this process already runs chain ${started}; start the sandbox on its own with npx hardhat sandbox`
+    );
+  }
+  return hre.network.provider;
+}
+
+// ============= TASKS =============
+
+task("sandbox", "Serve an in-process Bugtopia L1 with deployed contracts and sample bugs, territories and fees")
+  .addOptionalParam("hostname", "Host to bind the JSON-RPC server to", "127.0.0.1", types.string)
+  .addOptionalParam("port", "JSON-RPC port (0 picks a free one)", 8545, types.int)
+  .addOptionalParam("fixture", "Fixture with accounts, bugs, territories, stakes and fees", SANDBOX_FIXTURE_PATH, types.string)
+  .addOptionalParam("registryDir", "Where to write the address registry", SANDBOX_REGISTRY_DIR, types.string)
+  .addFlag("noWait", "Return once the server is up instead of serving until interrupted; the caller closes it")
+  .setAction(async (taskArgs, hre) => {
+    try {
+      const namedAccounts = hre.config.namedAccounts || {};
+      const fixture = loadSandboxFixture(path.resolve(taskArgs.fixture), namedAccounts);
+      const { chainId } = loadNetworkProfiles()[SANDBOX_PROFILE];
+      const accounts = sandboxAccounts(hre.config.networks.hardhat.accounts, namedAccounts, fixture.accounts);
+
+      await hre.run(TASK_COMPILE, { quiet: true });
+      const provider = await useSandboxNetwork(hre, { chainId, accounts });
+      const ethersProvider = new ethers.BrowserProvider(provider);
+      const signers = {};
+      for (const { name, address } of accounts) signers[name] = await ethersProvider.getSigner(address);
+      const treasury = signers.treasury || signers.deployer;
+
+      // The registry only needs a provider, contract factories and a network name
+      console.log(`🧪 Bugtopia sandbox on chain ${chainId}`);
+      const sandboxEnv = {
+        network: { name: SANDBOX_NETWORK },
+        artifacts: hre.artifacts,
+        ethers: {
+          provider: ethersProvider,
+          getContractFactory: (name) => hre.ethers.getContractFactory(name, signers.deployer),
+          getContractAt: (name, address) => hre.ethers.getContractAt(name, address, signers.deployer)
+        }
+      };
+      const deployment = await openDeploymentRegistry(sandboxEnv, { dir: taskArgs.registryDir, fresh: true });
+      const { address: bugtopiaL1 } = await deployment.deployContract("BugtopiaL1", [await treasury.getAddress()]);
+      console.log("✅ BugtopiaL1 deployed to:", bugtopiaL1);
+      const { address: collectibles } = await deployment.deployContract(
+        "BugtopiaCollectibles",
+        [bugtopiaL1, METADATA_URI],
+        { dependsOn: ["BugtopiaL1"] }
+      );
+      console.log("✅ BugtopiaCollectibles deployed to:", collectibles);
+
+      const addresses = { bugtopiaL1, collectibles };
+      const seeded = await seedSandbox({ signers, addresses, fixture });
+      await deployment.runStep(`seed:${path.basename(taskArgs.fixture)}`, { dependsOn: ["BugtopiaL1", "BugtopiaCollectibles"] }, () => seeded);
+
+      const server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: taskArgs.hostname, port: taskArgs.port, provider });
+      const { address, port } = await server.listen();
+      const url = `http://${address}:${port}`;
+
+      console.log(`\n${formatConnectionDetails({ url, chainId, accounts, addresses, registryFile: deployment.file })}`);
+      const sandbox = { server, provider, url, chainId, accounts, addresses, seeded, registryFile: deployment.file };
+      if (taskArgs.noWait) return sandbox;
+
+      console.log("\nServing until interrupted (Ctrl+C); the chain is discarded on exit.");
+      await server.waitUntilClosed();
+      return sandbox;
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
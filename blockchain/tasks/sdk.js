@@ -0,0 +1,127 @@
+/**
+ * SDK ABI export
+ *
+ *   npx hardhat sdk:abi                 # compile and refresh sdk/abi/*.json
+ *   npx hardhat sdk:abi --check         # fail if the committed ABIs are stale
+ *   npx hardhat swift:bindings          # regenerate BugtopiaContracts.swift
+ *   npx hardhat swift:bindings --check  # fail if it is stale
+ *   npx hardhat swift:bindings --undeployed fuji,mainnet
+ *   npx hardhat swift:bindings --sandbox --undeployed fuji,mainnet   # local = the running sandbox
+ *
+ * The SDK ships the compiled ABIs so services and tools can run without a
+ * local compile step; these tasks keep them, and the Swift app's selectors,
+ * structs and addresses, in step with contracts/ and deployments/.
+ * swift:bindings fails when an app network has no recorded addresses,
+ * unless it is listed in --undeployed, where it gets nil.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { loadNetworkProfiles } = require("../utils/network-profiles");
+const { SANDBOX_PROFILE, SANDBOX_NETWORK, SANDBOX_REGISTRY_DIR } = require("../utils/sandbox");
+const {
+  SWIFT_BINDINGS_PATH,
+  readNetworkAddresses,
+  missingAddresses,
+  renderSwiftBindings
+} = require("../utils/swift-bindings");
+
+const PLUGIN_NAME = "sdk";
+const ABI_DIR = path.join(__dirname, "..", "sdk", "abi");
+const SDK_CONTRACTS = ["BugtopiaL1", "BugtopiaCollectibles"];
+
+task("sdk:abi", "Export BugtopiaL1 and BugtopiaCollectibles ABIs into sdk/abi")
+  .addFlag("check", "Compare instead of writing; fail when an ABI is out of date")
+  .setAction(async ({ check }, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const stale = [];
+    for (const name of SDK_CONTRACTS) {
+      const { abi } = await hre.artifacts.readArtifact(name);
+      const file = path.join(ABI_DIR, `${name}.json`);
+      const contents = JSON.stringify(abi, null, 2) + "\n";
+      const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : undefined;
+
+      if (current === contents) continue;
+      stale.push(name);
+      if (!check) {
+        fs.mkdirSync(ABI_DIR, { recursive: true });
+        fs.writeFileSync(file, contents);
+        console.log(`📝 Updated ${path.relative(process.cwd(), file)}`);
+      }
+    }
+
+    if (check && stale.length > 0) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Stale SDK ABIs: ${stale.join(", ")}; run npx hardhat sdk:abi`);
+    }
+    if (stale.length === 0) {
+      console.log("✅ SDK ABIs match the compiled contracts");
+    }
+    return stale;
+  });
+
+task("swift:bindings", "Generate Bugtopia/Blockchain/BugtopiaContracts.swift from the ABIs and deployment registry")
+  .addFlag("check", "Compare instead of writing; fail when the Swift file is out of date")
+  .addOptionalParam("undeployed", "Comma-separated app networks with no deployment yet (e.g. fuji,mainnet); they get nil addresses", "", types.string)
+  .addOptionalParam("registryDir", "Deployment registry directory (defaults to deployments/)", undefined, types.string)
+  .addFlag("sandbox", "Take the local network's addresses from the sandbox registry (deployments/sandbox/localhost.json)")
+  .setAction(async ({ check, undeployed, registryDir, sandbox }, hre) => {
+    const dir = registryDir || undefined;
+    const registryFor = (profile) => (
+      sandbox && profile.name === SANDBOX_PROFILE ? { dir: SANDBOX_REGISTRY_DIR, network: SANDBOX_NETWORK } : {}
+    );
+    const profiles = Object.values(loadNetworkProfiles()).filter((profile) => profile.app);
+    const allowed = undeployed.split(",").map((name) => name.trim()).filter(Boolean);
+    const unknown = allowed.filter((name) => !profiles.some((profile) => profile.app === name));
+    if (unknown.length > 0) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown app network(s) in --undeployed: ${unknown.join(", ")} (expected ${profiles.map((profile) => profile.app).join(", ")})`
+      );
+    }
+
+    await hre.run("compile", { quiet: true });
+
+    const abis = {};
+    for (const name of SDK_CONTRACTS) {
+      abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+    }
+    const addresses = Object.fromEntries(
+      profiles.map((profile) => [profile.name, readNetworkAddresses(profile, SDK_CONTRACTS, { dir, ...registryFor(profile) })])
+    );
+
+    // A nil address only surfaces when the app switches networks, so refuse to emit one silently
+    const required = profiles.filter((profile) => !allowed.includes(profile.app));
+    const missing = missingAddresses(required, addresses, SDK_CONTRACTS, { dir, registryFor });
+    if (missing.length > 0) {
+      const apps = required
+        .filter((profile) => SDK_CONTRACTS.some((name) => !addresses[profile.name][name]))
+        .map((profile) => profile.app);
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `No deployed addresses for ${apps.join(", ")}:\n  ${missing.join("\n  ")}\n` +
+        `Deploy and commit deployments/, or pass --undeployed ${[...allowed, ...apps].join(",")} to generate nil for them`
+      );
+    }
+
+    const contents = renderSwiftBindings({ abis, profiles, addresses });
+    const current = fs.existsSync(SWIFT_BINDINGS_PATH) ? fs.readFileSync(SWIFT_BINDINGS_PATH, "utf8") : undefined;
+    const relative = path.relative(process.cwd(), SWIFT_BINDINGS_PATH);
+
+    if (current === contents) {
+      console.log(`✅ ${relative} matches the compiled contracts`);
+      return false;
+    }
+    if (check) {
+      throw new HardhatPluginError(PLUGIN_NAME, `${relative} is stale; run npx hardhat swift:bindings`);
+    }
+    fs.writeFileSync(SWIFT_BINDINGS_PATH, contents);
+    console.log(`📝 Updated ${relative}`);
+    for (const profile of profiles) {
+      const found = Object.keys(addresses[profile.name]);
+      console.log(`   ${profile.app}: ${found.length > 0 ? found.join(", ") : "no deployments"}`);
+    }
+    return true;
+  });
@@ -0,0 +1,168 @@
+/**
+ * Staking rewards epochs
+ *
+ *   npx hardhat staking:distribute --epoch 2026-10 --source validators --file validators.json --from-block 120000 --network bugtopia_local
+ *   npx hardhat staking:distribute --epoch 2026-10 --source territories --from-block 120000 --amount 40 --dry-run --network bugtopia_local
+ *   npx hardhat staking:reconcile --network bugtopia_local
+ *
+ * Weighs an epoch with the chosen source, splits the staking rewards pool
+ * (or --amount of it) by weight and pays it through distributeStakingRewards
+ * in chunks. The ledger, deployments/staking-rewards-<network>.json (or
+ * --ledger), records every epoch; a paid epoch is never paid again and an
+ * interrupted one resumes its unsent chunks. See utils/staking-rewards.js.
+ */
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { resolveDeployedAddress } = require("../utils/deployment-registry");
+const { createBugtopiaClient } = require("../sdk");
+const { PayoutBatchError, gasBudgetFor } = require("../utils/payout-batches");
+const {
+  WEIGHT_SOURCES,
+  StakingRewardsError,
+  stakingLedgerPath,
+  readStakingLedger,
+  writeStakingLedger,
+  assertNoOverlap,
+  epochInputs,
+  assertSameInputs,
+  planStakingEpoch,
+  payStakingEpoch,
+  reconcileStakingLedger,
+  formatStakingEpoch
+} = require("../utils/staking-rewards");
+
+const PLUGIN_NAME = "staking";
+
+function pluginError(error) {
+  if (error instanceof StakingRewardsError || error instanceof PayoutBatchError) {
+    return new HardhatPluginError(PLUGIN_NAME, error.message);
+  }
+  return error;
+}
+
+async function resolve(hre, name, address, envVar) {
+  return resolveDeployedAddress(hre, name, { address, envVar }).catch((error) => {
+    throw new HardhatPluginError(PLUGIN_NAME, error.message);
+  });
+}
+
+function reportReconciliation(result) {
+  for (const issue of result.issues) console.log(`❌ ${issue}`);
+  for (const { transactionHash, totalAmount, recipientCount } of result.unrecorded) {
+    console.log(`⚠️  ${transactionHash} paid ${totalAmount} wei to ${recipientCount} recipients outside the ledger`);
+  }
+  console.log(`🧾 ${result.matched} chunks match their StakingRewardsDistributed events`);
+}
+
+task("staking:distribute", "Pay one staking rewards epoch from the BugtopiaL1 pool")
+  .addParam("epoch", "Epoch name, the ledger key (e.g. 2026-10)", undefined, types.string)
+  .addParam("source", `Weighting source: ${Object.keys(WEIGHT_SOURCES).join(", ")}`, undefined, types.string)
+  .addParam("fromBlock", "Epoch start block", undefined, types.int)
+  .addOptionalParam("toBlock", "Epoch end block (defaults to the latest block, or the one in the ledger)", undefined, types.int)
+  .addOptionalParam("file", "Validator list or delegation records, for file-based sources", undefined, types.string)
+  .addOptionalParam("amount", "BUG to distribute (defaults to the whole pool)", undefined, types.string)
+  .addOptionalParam("address", "BugtopiaL1 address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("collectibles", "BugtopiaCollectibles address, for the territories source", undefined, types.string)
+  .addOptionalParam("ledger", "Ledger file (defaults to deployments/staking-rewards-<network>.json)", undefined, types.string)
+  .addOptionalParam("gasBudget", "Gas limit per chunk (defaults to the network's gas setting)", undefined, types.int)
+  .addFlag("dryRun", "Compute the allocation and chunks without sending or writing anything")
+  .setAction(async (taskArgs, hre) => {
+    const { epoch: name, source, fromBlock, file, amount, ledger: ledgerParam, gasBudget, dryRun } = taskArgs;
+    try {
+      const addresses = { bugtopiaL1: await resolve(hre, "BugtopiaL1", taskArgs.address, "BUGTOPIA_L1_ADDRESS") };
+      if (source === "territories") {
+        addresses.collectibles = await resolve(hre, "BugtopiaCollectibles", taskArgs.collectibles, "COLLECTIBLES_ADDRESS");
+      }
+      const [signer] = await hre.ethers.getSigners();
+      const client = createBugtopiaClient({ runner: signer, addresses });
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const ledgerFile = ledgerParam || stakingLedgerPath(hre.network.name);
+      const ledger = readStakingLedger(ledgerFile, { chainId, bugtopiaL1: addresses.bugtopiaL1 });
+      const recorded = ledger.epochs[name];
+
+      if (recorded && recorded.chunks.every(({ status }) => status === "confirmed")) {
+        console.log(`✅ Epoch ${name} was already paid; see ${ledgerFile}`);
+        return { epoch: recorded, ledgerFile, paid: false };
+      }
+
+      let requested;
+      if (amount !== undefined) {
+        try {
+          requested = hre.ethers.parseEther(amount);
+        } catch (error) {
+          throw new StakingRewardsError(`Amount must be a BUG amount such as 40 (got "${amount}")`);
+        }
+      }
+      const toBlock = taskArgs.toBlock ?? (recorded ? recorded.toBlock : await hre.ethers.provider.getBlockNumber());
+      assertNoOverlap(ledger, name, { fromBlock, toBlock });
+
+      let epoch;
+      if (recorded) {
+        // Weights may have moved since; resume with what was recorded
+        assertSameInputs(name, recorded, epochInputs(source, { file, fromBlock, toBlock, amount: requested }));
+        epoch = recorded;
+        console.log(`📋 Resuming epoch ${name} from ${ledgerFile}`);
+      } else {
+        epoch = await planStakingEpoch(client, {
+          source,
+          file,
+          fromBlock,
+          toBlock,
+          amount: requested,
+          gasBudget: gasBudgetFor(hre.network, gasBudget)
+        });
+      }
+      console.log(formatStakingEpoch(name, epoch));
+
+      if (dryRun) {
+        console.log("🧪 Dry run: nothing was sent");
+        return { epoch, ledgerFile, paid: false, dryRun: true };
+      }
+
+      const owner = await (await client.l1()).owner();
+      if (owner !== signer.address) {
+        throw new HardhatPluginError(PLUGIN_NAME, `${signer.address} is not the BugtopiaL1 owner (${owner}); distributeStakingRewards would revert`);
+      }
+
+      ledger.epochs[name] = epoch;
+      writeStakingLedger(ledger, ledgerFile);
+      await payStakingEpoch(client, epoch, { onChunk: () => writeStakingLedger(ledger, ledgerFile) });
+
+      const reconciliation = await reconcileStakingLedger(await client.l1(), { ...ledger, epochs: { [name]: epoch } });
+      reportReconciliation({ ...reconciliation, unrecorded: [] });
+      if (!reconciliation.ok) {
+        throw new StakingRewardsError(`Epoch ${name} does not reconcile with the chain`, reconciliation.issues);
+      }
+      epoch.reconciledAt = new Date().toISOString();
+      writeStakingLedger(ledger, ledgerFile);
+
+      console.log(`\n💰 Paid ${hre.ethers.formatEther(epoch.distributed)} BUG for epoch ${name}; ledger in ${ledgerFile}`);
+      return { epoch, ledgerFile, paid: true };
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
+
+task("staking:reconcile", "Check StakingRewardsDistributed events against the staking rewards ledger")
+  .addOptionalParam("address", "BugtopiaL1 address (defaults to the deployment registry)", undefined, types.string)
+  .addOptionalParam("ledger", "Ledger file (defaults to deployments/staking-rewards-<network>.json)", undefined, types.string)
+  .addOptionalParam("fromBlock", "First block to scan (defaults to the earliest epoch start)", undefined, types.int)
+  .setAction(async ({ address, ledger: ledgerParam, fromBlock }, hre) => {
+    try {
+      const bugtopiaL1Address = await resolve(hre, "BugtopiaL1", address, "BUGTOPIA_L1_ADDRESS");
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const ledgerFile = ledgerParam || stakingLedgerPath(hre.network.name);
+      const ledger = readStakingLedger(ledgerFile, { chainId, bugtopiaL1: bugtopiaL1Address });
+      const { bugtopiaL1 } = createBugtopiaClient({ runner: hre.ethers.provider, addresses: { bugtopiaL1: bugtopiaL1Address } });
+
+      const result = await reconcileStakingLedger(bugtopiaL1, ledger, { fromBlock });
+      reportReconciliation(result);
+      if (!result.ok) {
+        throw new StakingRewardsError(`${ledgerFile} does not reconcile with the chain`, result.issues);
+      }
+      return result;
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
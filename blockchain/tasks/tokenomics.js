@@ -0,0 +1,112 @@
+/**
+ * Tokenomics simulation task
+ *
+ *   npx hardhat tokenomics:simulate
+ *   npx hardhat tokenomics:simulate --stream activity.csv --mode model
+ *   npx hardhat tokenomics:simulate --address 0x... --network hardhat   # hardhat network forking a live L1
+ *
+ * Without --stream a deterministic scenario is generated (--days, --seed).
+ * Without --address a fresh BugtopiaL1 is deployed on the in-process
+ * network, so the model and the replay start from the same state.
+ */
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ethers } = require("ethers");
+const { readEconomy } = require("../utils/economy");
+const { createBugtopiaClient } = require("../sdk");
+const {
+  DEFAULT_SCENARIO,
+  loadActionStream,
+  generateActivity,
+  resolveValues,
+  createModelState,
+  runModel,
+  replayActivity,
+  writeReport,
+  compareReports
+} = require("../utils/tokenomics");
+
+const PLUGIN_NAME = "tokenomics";
+const MODES = ["model", "replay", "both"];
+
+async function loadOrDeployBugtopiaL1(hre, address) {
+  if (address) {
+    const [signer] = await hre.ethers.getSigners();
+    return createBugtopiaClient({ runner: signer, addresses: { bugtopiaL1: address } }).bugtopiaL1;
+  }
+  const [, treasury] = await hre.ethers.getSigners();
+  const BugtopiaL1 = await hre.ethers.getContractFactory("BugtopiaL1");
+  const bugtopiaL1 = await BugtopiaL1.deploy(treasury.address);
+  await bugtopiaL1.waitForDeployment();
+  return bugtopiaL1;
+}
+
+function printSummary(report) {
+  const { totals, final } = report;
+  console.log(`\n📊 ${report.mode}: ${totals.actions} actions (${totals.reverted} reverted)`);
+  console.log(`   Spent by actors:    ${ethers.formatEther(totals.spent)} BUG`);
+  console.log(`   Burned:             ${ethers.formatEther(totals.burned)} BUG`);
+  console.log(`   Treasury received:  ${ethers.formatEther(totals.treasury)} BUG`);
+  console.log(`   Staking pool:       ${ethers.formatEther(final.stakingRewardsPool)} BUG`);
+  console.log(`   Contract balance:   ${ethers.formatEther(final.contractBalance)} BUG`);
+}
+
+task("tokenomics:simulate", "Run utility activity through the payUtilityFee model and/or replay it on-chain")
+  .addOptionalParam("stream", "Recorded actions (.json, .jsonl or .csv); generated when omitted", undefined, types.string)
+  .addOptionalParam("mode", "model, replay or both", "both", types.string)
+  .addOptionalParam("days", "Days to generate when no stream is given", DEFAULT_SCENARIO.days, types.int)
+  .addOptionalParam("seed", "Seed for the generated stream", DEFAULT_SCENARIO.seed, types.int)
+  .addOptionalParam("address", "Existing BugtopiaL1 (e.g. on a fork); deploys a fresh one when omitted", undefined, types.string)
+  .addOptionalParam("out", "Report path prefix", path.join("deployments", "tokenomics"), types.string)
+  .setAction(async ({ stream, mode, days, seed, address, out }, hre) => {
+    if (!MODES.includes(mode)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown mode "${mode}" (expected ${MODES.join(", ")})`);
+    }
+    if (mode !== "model" && hre.network.name !== "hardhat") {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        "Replay impersonates actors and needs the hardhat network (in-process or forking a live L1)"
+      );
+    }
+
+    const rawActions = stream
+      ? loadActionStream(stream)
+      : generateActivity({ ...DEFAULT_SCENARIO, days, seed });
+
+    const bugtopiaL1 = await loadOrDeployBugtopiaL1(hre, address);
+    const contractAddress = await bugtopiaL1.getAddress();
+    const utilityTypes = [...new Set(rawActions.filter((a) => a.utilityType).map((a) => a.utilityType))];
+    const economy = await readEconomy(bugtopiaL1, utilityTypes);
+    const actions = resolveValues(rawActions, economy.fees);
+
+    console.log(`🧪 Simulating ${actions.length} actions against BugtopiaL1 ${contractAddress}`);
+
+    const reports = {};
+    if (mode !== "replay") {
+      const initial = createModelState(economy, await hre.ethers.provider.getBalance(contractAddress));
+      reports.model = runModel(actions, initial);
+    }
+    if (mode !== "model") {
+      reports.replay = await replayActivity(hre, bugtopiaL1, actions);
+    }
+
+    for (const [name, report] of Object.entries(reports)) {
+      printSummary(report);
+      const files = writeReport(report, `${out}-${name}`);
+      console.log(`💾 ${files.join(", ")}`);
+    }
+
+    if (reports.model && reports.replay) {
+      const differences = compareReports(reports.model, reports.replay);
+      if (differences.length > 0) {
+        console.log("\n❌ Model and contract disagree:");
+        differences.slice(0, 20).forEach((difference) => console.log(`   ${difference}`));
+        throw new HardhatPluginError(PLUGIN_NAME, `${differences.length} differences between model and replay`);
+      }
+      console.log("\n✅ Model and contract agree on every step");
+    }
+
+    return reports;
+  });
@@ -0,0 +1,197 @@
+/**
+ * Proxy upgrades
+ *
+ *   npx hardhat upgrade BugtopiaCollectibles --dry-run --network bugtopia_fuji
+ *   npx hardhat upgrade BugtopiaCollectibles --network bugtopia_fuji
+ *   npx hardhat upgrade BugtopiaL1 --implementation BugtopiaL1V2 --call initializeV2 --call-args '[1767225600]' --network bugtopia_local
+ *   npx hardhat upgrade:history --network bugtopia_fuji
+ *
+ * Upgrades a proxy recorded in deployments/<network>.json (deployed with
+ * DEPLOY_PROXY=true) to the compiled implementation. The storage layout is
+ * validated against the implementation it replaces before anything is
+ * sent; afterwards the preserved state and the deployment audit are checked
+ * and the new implementation is appended to the entry's history.
+ */
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+  IMPLEMENTATION_ARGS,
+  RegistryMismatchError,
+  readNetworkRegistry,
+  writeRegistry,
+  registryPath,
+  compareDeployedBytecode,
+  getImplementationAddress
+} = require("../utils/deployment-registry");
+const { auditDeployment } = require("../utils/audit");
+const {
+  UPGRADEABLE_CONTRACTS,
+  UpgradeError,
+  snapshotState,
+  compareSnapshots,
+  recordedImplementation,
+  recordImplementation,
+  formatImplementationHistory
+} = require("../utils/upgrades");
+
+const PLUGIN_NAME = "upgrade";
+
+function pluginError(error) {
+  if (error instanceof UpgradeError || error instanceof RegistryMismatchError) {
+    return new HardhatPluginError(PLUGIN_NAME, error.message);
+  }
+  return error;
+}
+
+/**
+ * Audit the recorded pair, if both contracts are in the registry
+ * @returns {Promise<Object|undefined>} Audit report
+ */
+async function auditRecorded(hre, registry) {
+  const { BugtopiaL1: l1, BugtopiaCollectibles: collectibles } = registry.contracts;
+  if (!l1 || !collectibles) return undefined;
+  return auditDeployment({
+    provider: hre.ethers.provider,
+    bugtopiaL1: await hre.ethers.getContractAt("BugtopiaL1", l1.address),
+    collectibles: await hre.ethers.getContractAt("BugtopiaCollectibles", collectibles.address),
+    deployer: collectibles.deployer,
+    fromBlock: l1.blockNumber || 0
+  });
+}
+
+/**
+ * Audit checks that passed before the upgrade and fail after it
+ */
+function newAuditFailures(before, after) {
+  if (!before || !after) return [];
+  const passed = new Set(before.checks.filter(({ ok }) => ok).map(({ id }) => id));
+  return after.checks
+    .filter(({ id, ok }) => !ok && passed.has(id))
+    .map(({ id, summary }) => `audit ${id}: ${summary}`);
+}
+
+/**
+ * Registry entry of an upgradeable proxy whose implementation is the recorded one
+ */
+async function proxyEntry(hre, registry, name, dir) {
+  if (!UPGRADEABLE_CONTRACTS.includes(name)) {
+    throw new UpgradeError(`Unknown contract "${name}"; use one of ${UPGRADEABLE_CONTRACTS.join(", ")}`);
+  }
+  const entry = registry.contracts[name];
+  if (!entry) {
+    throw new UpgradeError(
+      `No ${name} recorded in ${registryPath(registry.network, dir)}; deploy it with DEPLOY_PROXY=true first`
+    );
+  }
+  if (!entry.proxy) {
+    throw new UpgradeError(
+      `${name} at ${entry.address} is an immutable deployment and cannot be upgraded. ` +
+      "Deploy a proxy with DEPLOY_FRESH=true DEPLOY_PROXY=true and migrate to it."
+    );
+  }
+
+  const live = await getImplementationAddress(hre.ethers.provider, entry.address);
+  const recorded = hre.ethers.getAddress(recordedImplementation(entry));
+  if (live !== recorded) {
+    throw new UpgradeError(
+      `The implementation behind ${name} ${entry.address} is ${live || "missing"}, but the registry records ${recorded}. ` +
+      "It was changed outside `npx hardhat upgrade`; reconcile the registry before upgrading."
+    );
+  }
+  return { entry, live };
+}
+
+task("upgrade", "Upgrade a proxied BugtopiaL1 or BugtopiaCollectibles to the compiled implementation")
+  .addPositionalParam("contract", `Contract to upgrade: ${UPGRADEABLE_CONTRACTS.join(" or ")}`, undefined, types.string)
+  .addOptionalParam("implementation", "Contract to upgrade to (defaults to the same name, as compiled now)", undefined, types.string)
+  .addOptionalParam("call", "Function to call through the proxy in the upgrade transaction, e.g. a reinitializer", undefined, types.string)
+  .addOptionalParam("callArgs", "JSON array of arguments for --call", "[]", types.json)
+  .addOptionalParam("registryDir", "Deployment registry directory (defaults to deployments/)", undefined, types.string)
+  .addFlag("dryRun", "Validate the storage layout without deploying or upgrading anything")
+  .setAction(async ({ contract: name, implementation, call, callArgs, registryDir, dryRun }, hre) => {
+    try {
+      const dir = registryDir || undefined;
+      const registry = await readNetworkRegistry(hre, { dir });
+      const { entry, live } = await proxyEntry(hre, registry, name, dir);
+      const target = implementation || name;
+
+      if ((await compareDeployedBytecode(hre, target, live)).matches) {
+        console.log(`✅ ${name} ${entry.address} already runs ${target} (${live})`);
+        return { upgraded: false, implementation: live };
+      }
+
+      const factory = await hre.ethers.getContractFactory(target);
+      const options = { kind: "uups", constructorArgs: IMPLEMENTATION_ARGS[name] || [] };
+      try {
+        await hre.upgrades.validateUpgrade(entry.address, factory, options);
+      } catch (error) {
+        throw new UpgradeError(`${target} cannot replace the ${name} implementation ${live}`, [error.message]);
+      }
+      console.log(`✅ ${target} is storage-compatible with the ${name} implementation ${live}`);
+      if (dryRun) {
+        console.log("🧪 Dry run: nothing was deployed");
+        return { upgraded: false, validated: true, implementation: live };
+      }
+
+      const proxy = await hre.ethers.getContractAt(name, entry.address);
+      const [signer] = await hre.ethers.getSigners();
+      const owner = await proxy.owner();
+      if (owner !== signer.address) {
+        throw new UpgradeError(`${signer.address} is not the ${name} owner (${owner}); the upgrade would revert`);
+      }
+
+      const stateBefore = await snapshotState(name, proxy);
+      const auditBefore = await auditRecorded(hre, registry);
+
+      console.log(`⬆️  Upgrading ${name} ${entry.address} to ${target}...`);
+      const upgraded = await hre.upgrades.upgradeProxy(entry.address, factory, {
+        ...options,
+        call: call ? { fn: call, args: callArgs } : undefined
+      });
+      const receipt = await upgraded.deployTransaction.wait();
+      const next = await getImplementationAddress(hre.ethers.provider, entry.address);
+      const { bytecodeHash } = await compareDeployedBytecode(hre, target, next);
+
+      recordImplementation(entry, {
+        implementation: next,
+        contract: target,
+        bytecodeHash,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+      writeRegistry(registry, { dir });
+      console.log(`✅ ${name} now runs ${next} (tx ${receipt.hash})`);
+
+      // Post-upgrade smoke checks
+      const stateAfter = await snapshotState(name, proxy).catch(() => ({}));
+      const issues = [
+        ...compareSnapshots(stateBefore, stateAfter),
+        ...newAuditFailures(auditBefore, await auditRecorded(hre, registry))
+      ];
+      if (next === live) issues.unshift(`The implementation slot still points at ${live}`);
+
+      entry.proxy.implementations[entry.proxy.implementations.length - 1].smokeChecks = issues.length === 0 ? "passed" : "failed";
+      writeRegistry(registry, { dir });
+      if (issues.length > 0) {
+        throw new UpgradeError(`${name} was upgraded to ${next}, but the post-upgrade checks failed`, issues);
+      }
+      console.log(`🧪 ${Object.keys(stateBefore).length} state values unchanged; the audit found nothing new`);
+      console.log(formatImplementationHistory(name, entry));
+      return { upgraded: true, implementation: next, previous: live, txHash: receipt.hash };
+    } catch (error) {
+      throw pluginError(error);
+    }
+  });
+
+task("upgrade:history", "Print the implementation history of the recorded proxies")
+  .addOptionalParam("registryDir", "Deployment registry directory (defaults to deployments/)", undefined, types.string)
+  .setAction(async ({ registryDir }, hre) => {
+    const registry = await readNetworkRegistry(hre, { dir: registryDir || undefined });
+    const proxies = Object.entries(registry.contracts).filter(([, entry]) => entry.proxy);
+    if (proxies.length === 0) {
+      console.log(`No proxies recorded for ${hre.network.name}`);
+    }
+    for (const [name, entry] of proxies) console.log(formatImplementationHistory(name, entry));
+    return Object.fromEntries(proxies.map(([name, entry]) => [name, entry.proxy.implementations]));
+  });
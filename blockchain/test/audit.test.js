@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { auditDeployment, formatAuditReport } = require("../utils/audit");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("deployment audit", function () {
+  // A deploy with the constructor's governance burn rate moved to the fee's key
+  async function healthyFixture() {
+    const fixture = await deployFixture();
+    await fixture.bugtopiaL1.updateBurnRate("governance_proposal", 2500);
+    return fixture;
+  }
+
+  function audit({ bugtopiaL1, collectibles, deployer }) {
+    return auditDeployment({ provider: ethers.provider, bugtopiaL1, collectibles, deployer: deployer.address });
+  }
+
+  function failures(report) {
+    return report.checks.filter(({ ok }) => !ok).map(({ id }) => id);
+  }
+
+  silenceConsole();
+
+  it("flags the governance_proposal fee that has no burn rate on the bare contracts", async function () {
+    const report = await audit(await loadFixture(deployFixture));
+
+    expect(report.ok).to.equal(false);
+    expect(failures(report)).to.deep.equal(["burn-rates"]);
+    expect(report.checks.find(({ id }) => id === "burn-rates").details).to.deep.equal([
+      "governance_proposal charges 0.01 BUG but has no burn rate",
+      'burnRates["governance"] is 2500 bps but no fee uses it'
+    ]);
+  });
+
+  it("passes a healthy deployment through the audit task", async function () {
+    const { bugtopiaL1, collectibles, deployer } = await loadFixture(healthyFixture);
+
+    const report = await hre.run("audit", {
+      l1: await bugtopiaL1.getAddress(),
+      collectibles: await collectibles.getAddress()
+    });
+
+    expect(report.ok).to.equal(true);
+    expect(report.checks.map(({ id }) => id)).to.deep.equal([
+      "contract-code", "fee-split", "burn-rates", "rewards-pool", "collectibles-l1", "deployer-minter"
+    ]);
+    expect(report.checks.find(({ id }) => id === "deployer-minter").summary).to.include(deployer.address);
+  });
+
+  it("fails the task with the names of the failed checks", async function () {
+    const { bugtopiaL1, collectibles } = await loadFixture(deployFixture);
+
+    const error = await hre.run("audit", {
+      l1: await bugtopiaL1.getAddress(),
+      collectibles: await collectibles.getAddress(),
+      json: true
+    }).catch((err) => err);
+
+    expect(error.message).to.equal("Audit failed: burn-rates");
+  });
+
+  it("catches fee types introduced after the deploy", async function () {
+    const fixture = await loadFixture(healthyFixture);
+    await fixture.bugtopiaL1.updateUtilityFee("arena_rematch", ethers.parseEther("0.002"));
+
+    const report = await audit(fixture);
+
+    expect(failures(report)).to.deep.equal(["burn-rates"]);
+    expect(report.checks.find(({ id }) => id === "burn-rates").details[0])
+      .to.equal("arena_rematch charges 0.002 BUG but has no burn rate");
+  });
+
+  it("notices a rewards pool the contract balance no longer covers", async function () {
+    const fixture = await loadFixture(healthyFixture);
+    const { bugtopiaL1, player } = fixture;
+    const fee = await bugtopiaL1.getUtilityFee("breeding");
+    await bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee });
+    // Overpaying credits the pool with the refunded excess as well
+    await bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee * 2n });
+
+    const report = await audit(fixture);
+    const pool = await bugtopiaL1.stakingRewardsPool();
+    const balance = await ethers.provider.getBalance(await bugtopiaL1.getAddress());
+
+    expect(balance).to.be.lessThan(pool);
+    expect(failures(report)).to.deep.equal(["rewards-pool"]);
+    expect(report.checks.find(({ id }) => id === "rewards-pool").summary)
+      .to.include(`short ${ethers.formatEther(pool - balance)} BUG`);
+  });
+
+  it("checks the Collectibles L1 pointer and the deployer's minter status", async function () {
+    const fixture = await loadFixture(healthyFixture);
+    const { collectibles, deployer, treasury } = fixture;
+    const otherL1 = await (await ethers.getContractFactory("BugtopiaL1")).deploy(treasury.address);
+    await otherL1.updateBurnRate("governance_proposal", 2500);
+    await collectibles.removeAuthorizedMinter(deployer.address);
+
+    const report = await audit({ ...fixture, bugtopiaL1: otherL1 });
+
+    expect(failures(report)).to.deep.equal(["collectibles-l1", "deployer-minter"]);
+    expect(formatAuditReport(report, { network: "hardhat" })).to.include(
+      `❌ collectibles-l1  BugtopiaCollectibles points at ${await fixture.bugtopiaL1.getAddress()}, ` +
+      `not the audited BugtopiaL1 ${await otherL1.getAddress()}`
+    );
+  });
+
+  it("stops at the first check when an address has no code", async function () {
+    const fixture = await loadFixture(healthyFixture);
+    const empty = ethers.Wallet.createRandom().address;
+
+    const error = await hre.run("audit", {
+      l1: await fixture.bugtopiaL1.getAddress(),
+      collectibles: empty
+    }).catch((err) => err);
+
+    expect(error.message).to.equal("Audit failed: contract-code");
+    const direct = await audit({ ...fixture, collectibles: fixture.collectibles.attach(empty) });
+    expect(direct.checks).to.deep.equal([{
+      id: "contract-code",
+      ok: false,
+      summary: "No contract code at the audited address",
+      details: [`BugtopiaCollectibles ${empty}`]
+    }]);
+    expect(formatAuditReport(direct)).to.match(/1 of 1 checks failed$/);
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const {
+  CommandError,
+  createRecordedExecutor,
+  createAvalancheCli,
+  parseBlockchainDetails
+} = require("../utils/avalanche-cli");
+
+const FIXTURES = path.join(__dirname, "fixtures", "avalanche-cli");
+const deployOutput = fs.readFileSync(path.join(FIXTURES, "blockchain-deploy-local.txt"), "utf8");
+
+describe("Avalanche-CLI integration", function () {
+  describe("parseBlockchainDetails", function () {
+    it("reads IDs, chain ID and a wrapped RPC endpoint from deploy output", function () {
+      expect(parseBlockchainDetails(deployOutput)).to.deep.equal({
+        subnetId: "2W9boARgCWL25z6pMFNtkCfNA5v28VGg9PmBgUJfuKndEdhrvw",
+        blockchainId: "48ZNiHFTDjNmtPprSWFbbLkbbpyubTKw1bGWusSWFzJqG5hfM",
+        chainId: 68420,
+        rpcUrl: "http://127.0.0.1:60955/ext/bc/48ZNiHFTDjNmtPprSWFbbLkbbpyubTKw1bGWusSWFzJqG5hfM/rpc"
+      });
+    });
+
+    it("accepts the spaced labels printed by older CLI versions", function () {
+      const output = [
+        "| Subnet ID     | 2bRCr6B4MiEfSjidDGBxs9M |",
+        "| Blockchain ID | 2CA6j5zYzasynPsFeNoqWkmTCt3VScMvXUZHbfDJ8k62dWgPHD |",
+        "| RPC Endpoint  | http://127.0.0.1:9650/ext/bc/bugtopial1/rpc |"
+      ].join("\n");
+
+      expect(parseBlockchainDetails(output)).to.deep.equal({
+        subnetId: "2bRCr6B4MiEfSjidDGBxs9M",
+        blockchainId: "2CA6j5zYzasynPsFeNoqWkmTCt3VScMvXUZHbfDJ8k62dWgPHD",
+        rpcUrl: "http://127.0.0.1:9650/ext/bc/bugtopial1/rpc"
+      });
+    });
+
+    it("returns nothing for output without a details table", function () {
+      expect(parseBlockchainDetails("Network ready to use.")).to.deep.equal({
+        subnetId: undefined,
+        blockchainId: undefined
+      });
+    });
+  });
+
+  describe("createAvalancheCli", function () {
+    it("issues create and deploy commands through the executor", async function () {
+      const executor = createRecordedExecutor([
+        { match: "blockchain create", stdout: "Successfully created blockchain configuration" },
+        { match: "blockchain deploy", stdout: deployOutput }
+      ]);
+      const cli = createAvalancheCli(executor, { binary: "avalanche" });
+
+      await cli.createBlockchain("bugtopial1", {
+        genesisPath: "/tmp/bugtopial1-genesis.json",
+        ownerAddress: "0x8db97C7cEcE249c2b98bDC0226Cc4C2A57BF52FC"
+      });
+      const details = await cli.deployBlockchain("bugtopial1", "local", { key: "ignored-locally" });
+
+      expect(details.blockchainId).to.equal("48ZNiHFTDjNmtPprSWFbbLkbbpyubTKw1bGWusSWFzJqG5hfM");
+      expect(executor.calls.map((call) => call.line)).to.deep.equal([
+        "avalanche blockchain create bugtopial1 --evm --genesis /tmp/bugtopial1-genesis.json --evm-token BUG " +
+          "--proof-of-authority --force --validator-manager-owner 0x8db97C7cEcE249c2b98bDC0226Cc4C2A57BF52FC " +
+          "--proxy-contract-owner 0x8db97C7cEcE249c2b98bDC0226Cc4C2A57BF52FC",
+        "avalanche blockchain deploy bugtopial1 --local"
+      ]);
+    });
+
+    it("passes the stored key for public networks", async function () {
+      const executor = createRecordedExecutor([{ match: "blockchain deploy", stdout: deployOutput }]);
+      const cli = createAvalancheCli(executor, { binary: "avalanche" });
+
+      await cli.deployBlockchain("bugtopial1", "fuji", { key: "bugtopia-deployer" });
+
+      expect(executor.calls[0].args).to.deep.equal([
+        "blockchain", "deploy", "bugtopial1", "--fuji", "--key", "bugtopia-deployer"
+      ]);
+    });
+
+    it("rejects unknown targets before running anything", async function () {
+      const executor = createRecordedExecutor([]);
+      const cli = createAvalancheCli(executor);
+
+      const error = await cli.deployBlockchain("bugtopial1", "devnet").catch((err) => err);
+      expect(error.message).to.match(/Unknown deployment target/);
+      expect(executor.calls).to.have.length(0);
+    });
+
+    it("surfaces non-zero exits as CommandError with stderr", async function () {
+      const executor = createRecordedExecutor([
+        { match: "blockchain deploy", code: 1, stderr: "Error: network is not running" }
+      ]);
+      const cli = createAvalancheCli(executor, { binary: "avalanche" });
+
+      const error = await cli.deployBlockchain("bugtopial1", "local").catch((err) => err);
+      expect(error).to.be.instanceOf(CommandError);
+      expect(error.code).to.equal(1);
+      expect(error.message).to.include("network is not running");
+    });
+  });
+});
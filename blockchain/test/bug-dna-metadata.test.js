@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  MetadataRevertError,
+  speciesName,
+  rarityName,
+  speciesEmoji,
+  rarityColor,
+  normalizeTraitValue,
+  generateAttributes,
+  generateLineageInfo,
+  generateMetadataJson,
+  generateMetadata,
+  decodeMetadataURI,
+  validateMetadataJson,
+  calculateEstimatedValue,
+  createMetadataLibrary
+} = require("../utils/bug-dna-metadata");
+const {
+  HOSTILE_NAMES,
+  metadataInput,
+  generateMetadataInputs,
+  runMetadataParity
+} = require("./fixtures/bug-dna-metadata");
+
+describe("BugDNAMetadata off-chain renderer", function () {
+  async function deployFixture() {
+    // The library ABI names its enums as types, which ethers cannot parse;
+    // createMetadataLibrary carries its own, so deploy from bytecode alone
+    const [deployer] = await ethers.getSigners();
+    const { bytecode } = await artifacts.readArtifact("BugDNAMetadata");
+    const deployed = await new ethers.ContractFactory([], bytecode, deployer).deploy();
+    const Harness = await ethers.getContractFactory("BugDNAMetadataHarness");
+    const harness = await Harness.deploy();
+    return { library: createMetadataLibrary(ethers.provider, await deployed.getAddress()), harness };
+  }
+
+  describe("parity with the deployed library", function () {
+    it("renders byte-identical metadata, descriptions and values across generated trait sets", async function () {
+      const { library } = await loadFixture(deployFixture);
+
+      const report = await runMetadataParity(library, generateMetadataInputs(0x6d7a, 120));
+
+      expect(report.mismatches).to.deep.equal([]);
+      // The sweep reaches the energy underflow on both sides
+      expect(report.reverted).to.be.greaterThan(0);
+      expect(report.reverted).to.be.lessThan(report.total);
+    });
+
+    it("flags metadata that does not parse because strings are not escaped", async function () {
+      const { library } = await loadFixture(deployFixture);
+
+      const report = await runMetadataParity(library, generateMetadataInputs(0x1ab, 80));
+
+      expect(report.mismatches).to.deep.equal([]);
+      expect(report.invalidJson.length).to.be.greaterThan(0);
+      for (const { name, description } of report.invalidJson) {
+        expect(HOSTILE_NAMES.includes(name) || description.includes('"')).to.equal(true, name);
+      }
+    });
+
+    it("matches the internal helpers and tables", async function () {
+      const { harness } = await loadFixture(deployFixture);
+
+      for (let species = 0; species < 4; species++) {
+        expect(speciesName(species)).to.equal(await harness.speciesName(species));
+        expect(speciesEmoji(species)).to.equal(await harness.speciesEmoji(species));
+      }
+      for (let rarity = 0; rarity < 5; rarity++) {
+        expect(rarityName(rarity)).to.equal(await harness.rarityName(rarity));
+        expect(rarityColor(rarity)).to.equal(await harness.rarityColor(rarity));
+      }
+      for (const value of [0n, 99n, 100n, 101n, 1050n, 1999n, 2000n, 2001n]) {
+        expect(normalizeTraitValue(value, 100, 2000)).to.equal(await harness.normalizeTraitValue(value, 100, 2000));
+      }
+      for (const parents of [[], [5n], [5n, 9n], [1n, 2n, 3n]]) {
+        expect(generateLineageInfo(parents)).to.equal(await harness.generateLineageInfo(parents, 3));
+      }
+
+      const input = metadataInput({ movement: { ...metadataInput().movement, altitudePreference: -500n } });
+      const { speciesType, rarity, genetics, movement, neural, performance } = input;
+      expect(generateAttributes(input))
+        .to.equal(await harness.generateAttributes(speciesType, rarity, genetics, movement, neural, performance));
+    });
+  });
+
+  describe("renderer", function () {
+    it("produces the OpenSea document the library encodes", function () {
+      const json = JSON.parse(generateMetadataJson(metadataInput()));
+
+      expect(json).to.include({ name: "Skitter", image: "ipfs://bug/7.png", external_url: "https://bugtopia.io/bug/7" });
+      expect(json.evolutionary_data).to.deep.equal({
+        genetic_hash: "0x8f2a",
+        generation: 12,
+        species_type: "Carnivore",
+        rarity_tier: "Epic",
+        lineage_type: "Sexual",
+        parent_count: 2,
+        parent_1: 1,
+        parent_2: 2,
+        neural_complexity: 72
+      });
+      expect(json.attributes.find((a) => a.trait_type === "Energy Efficiency").value).to.equal(100);
+      expect(json.attributes.slice(-3).map((a) => a.trait_type)).to.deep.equal(["Can Fly", "Can Climb", "Preferred Layer"]);
+      expect(decodeMetadataURI(generateMetadata(metadataInput()))).to.equal(generateMetadataJson(metadataInput()));
+    });
+
+    it("throws where the library would underflow", function () {
+      const input = metadataInput({ genetics: { ...metadataInput().genetics, energyEfficiency: 1501n } });
+
+      expect(() => generateMetadata(input)).to.throw(MetadataRevertError, "energyEfficiency 1501 underflows");
+    });
+
+    it("reports the JSON error for unescaped names", function () {
+      expect(validateMetadataJson(generateMetadataJson(metadataInput({ name: 'The "Beast"' }))))
+        .to.deep.include({ valid: false });
+      expect(validateMetadataJson(generateMetadataJson(metadataInput()))).to.deep.equal({ valid: true });
+    });
+
+    it("applies the rarity multiplier and performance bonuses to the estimated value", function () {
+      const legendary = metadataInput({ rarity: 3 });
+      expect(calculateEstimatedValue(legendary)).to.equal(ethers.parseEther("2000"));
+
+      const champion = metadataInput({
+        rarity: 4,
+        performance: { ...legendary.performance, fitnessScore: 9500n, tournamentWins: 10n, generation: 100n },
+        neural: { ...legendary.neural, complexityScore: 80n }
+      });
+      // 5000 * 1.5 * 1.3 * 1.2 * 1.15
+      expect(calculateEstimatedValue(champion)).to.equal(ethers.parseEther("13455"));
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  BugExportError,
+  parseBugExport,
+  computeGeneticHash,
+  validateBugRecords,
+  orderForMinting
+} = require("../utils/bug-export");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+function simBug(id, overrides = {}) {
+  return {
+    id,
+    species: "Carnivore",
+    neuralLayers: 4,
+    fitness: 72,
+    arenaWins: 3,
+    lineage: 0,
+    biomeSpecialization: "desert",
+    genome: { speed: 1.2, visionRadius: 40, neuralDNA: { topology: [71, 12, 8, 10], activations: ["relu", "tanh"] } },
+    birthTimestamp: "2025-06-01T00:00:00Z",
+    survivalDays: 30,
+    ...overrides
+  };
+}
+
+describe("Bug export minting", function () {
+  silenceConsole();
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-export-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeExport(name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+    return file;
+  }
+
+  describe("validation", function () {
+    it("maps names and dates onto BugDNAData fields", function () {
+      const [record] = validateBugRecords([simBug("a", { parent1: "x", parent2: "" })]);
+
+      expect(record.id).to.equal("a");
+      expect(record.parents).to.deep.equal(["x"]);
+      expect(record.data).to.include({ species: 1, biomeSpecialization: 4, birthTimestamp: 1748736000, neuralLayers: 4 });
+      expect(record.data.geneticHash).to.equal(computeGeneticHash(simBug("a").genome));
+    });
+
+    it("reports every out-of-range field in one error", function () {
+      const error = (() => {
+        try {
+          return validateBugRecords([
+            simBug("a", { species: 7, fitness: 150 }),
+            simBug("b", { neuralLayers: 2.5, genome: undefined }),
+            simBug("a", { biomeSpecialization: "Moon" })
+          ]);
+        } catch (err) {
+          return err;
+        }
+      })();
+
+      expect(error).to.be.instanceOf(BugExportError);
+      expect(error.issues).to.deep.equal([
+        "Bug a: species must be between 0 and 3 (got 7)",
+        "Bug a: fitness must be between 0 and 100 (got 150)",
+        "Bug b: neuralLayers must be a whole number (got 2.5)",
+        "Bug b: genome must be an object",
+        "Bug a: id appears more than once",
+        'Bug a: biomeSpecialization must be a whole number (got "Moon")'
+      ]);
+    });
+
+    it("hashes the genome independently of key order and checks a supplied hash", function () {
+      const hash = computeGeneticHash({ b: [1, 2], a: { y: 0.5, x: "relu" } });
+      expect(computeGeneticHash({ a: { x: "relu", y: 0.5 }, b: [1, 2] })).to.equal(hash);
+      expect(computeGeneticHash({ a: { x: "relu", y: 0.5 }, b: [2, 1] })).to.not.equal(hash);
+
+      expect(() => validateBugRecords([simBug("a", { geneticHash: ethers.ZeroHash })])).to.throw("does not match the genome");
+    });
+
+    it("reads CSV with the genome spread over genome.* columns", function () {
+      const csv = [
+        "id,species,neuralLayers,fitness,arenaWins,lineage,biomeSpecialization,parent1,parent2,birthTimestamp,survivalDays,genome.speed,genome.visionRadius",
+        "a,Herbivore,3,55,0,0,Tundra,,,1700000000,12,1.2,40"
+      ].join("\n");
+
+      const [record] = validateBugRecords(parseBugExport(csv, "csv"));
+
+      expect(record.parents).to.deep.equal([]);
+      expect(record.data).to.include({ species: 0, biomeSpecialization: 0, birthTimestamp: 1700000000 });
+      expect(record.data.geneticHash).to.equal(computeGeneticHash({ visionRadius: 40, speed: 1.2 }));
+    });
+
+    it("orders parents first and rejects unknown parents and cycles", function () {
+      const records = validateBugRecords([
+        simBug("child", { parent1: "mum", parent2: "dad" }),
+        simBug("mum"),
+        simBug("dad", { parent1: "old" })
+      ]);
+
+      const ordered = orderForMinting(records, { bugs: { old: { tokenId: "0" } } });
+      expect(ordered.map(({ id }) => id)).to.deep.equal(["mum", "dad", "child"]);
+
+      expect(() => orderForMinting(records, { bugs: {} })).to.throw("parent old is not in the export or the mapping");
+
+      const cycle = validateBugRecords([simBug("a", { parent1: "b" }), simBug("b", { parent1: "a" })]);
+      expect(() => orderForMinting(cycle, { bugs: {} })).to.throw("Lineage cycle: a -> b -> a");
+    });
+  });
+
+  describe("nft:mint-export", function () {
+    it("mints parents before children in chunks under the gas budget", async function () {
+      const { collectibles, addresses: { collectibles: address }, player } = await loadFixture(deployFixture);
+      const file = writeExport("bugs.json", {
+        bugs: [
+          simBug("grandchild", { parent1: "child", lineage: 2 }),
+          simBug("child", { parent1: "mum", parent2: "dad", lineage: 1 }),
+          simBug("mum"),
+          simBug("dad", { species: "Herbivore" })
+        ]
+      });
+      const out = path.join(dir, "mapping.json");
+
+      const result = await hre.run("nft:mint-export", { file, address, out, recipient: player.address, gasBudget: 1000000 });
+
+      expect(result.minted).to.equal(4);
+      expect(result.chunks.length).to.be.greaterThan(2);
+      for (const chunk of result.chunks) {
+        expect(chunk.gas <= 1000000n).to.equal(true);
+      }
+
+      const mapping = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(mapping).to.include({ chainId: 31337, collectibles: address });
+      expect(Object.keys(mapping.bugs).map((id) => [id, mapping.bugs[id].tokenId])).to.deep.equal([
+        ["mum", "0"], ["dad", "1"], ["child", "2"], ["grandchild", "3"]
+      ]);
+      expect(mapping.bugs.child.parentTokenIds).to.deep.equal(["0", "1"]);
+      expect(await collectibles.balanceOf(player.address, 3)).to.equal(1n);
+
+      // parentId1 / parentId2 live in the mint calldata, which the mapping points at
+      const tx = await ethers.provider.getTransaction(mapping.bugs.grandchild.transactionHash);
+      const { args } = collectibles.interface.parseTransaction(tx);
+      expect(args.bugData.parentId1).to.equal(2n);
+      expect(args.bugData.geneticHash).to.equal(mapping.bugs.grandchild.geneticHash);
+    });
+
+    it("resumes from the mapping and resolves parents minted in an earlier run", async function () {
+      const { addresses: { collectibles: address } } = await loadFixture(deployFixture);
+      const out = path.join(dir, "mapping.json");
+      await hre.run("nft:mint-export", { file: writeExport("first.json", [simBug("mum"), simBug("dad")]), address, out });
+
+      const second = writeExport("second.jsonl", [simBug("mum"), simBug("kid", { parent1: "mum", parent2: "dad" })]
+        .map((bug) => JSON.stringify(bug)).join("\n"));
+      const result = await hre.run("nft:mint-export", { file: second, address, out });
+
+      expect(result.minted).to.equal(1);
+      const mapping = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(mapping.bugs.kid).to.include({ tokenId: "2" });
+      expect(mapping.bugs.kid.parentTokenIds).to.deep.equal(["0", "1"]);
+    });
+
+    it("sends nothing for an invalid export or a dry run", async function () {
+      const { addresses: { collectibles: address } } = await loadFixture(deployFixture);
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const error = await hre.run("nft:mint-export", { file: writeExport("bad.json", [simBug("a", { fitness: -1 })]), address })
+        .catch((err) => err);
+      expect(error.message).to.include("Bug a: fitness must be between 0 and 100 (got -1)");
+
+      const out = path.join(dir, "mapping.json");
+      const dryRun = await hre.run("nft:mint-export", { file: writeExport("ok.json", [simBug("a")]), address, out, dryRun: true });
+      expect(dryRun.pending).to.have.length(1);
+      expect(fs.existsSync(out)).to.equal(false);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("refuses a mapping written for another deployment", async function () {
+      const { addresses: { collectibles: address } } = await loadFixture(deployFixture);
+      const out = writeExport("mapping.json", { chainId: 31337, collectibles: ethers.ZeroAddress, bugs: {} });
+
+      const error = await hre.run("nft:mint-export", { file: writeExport("bugs.json", [simBug("a")]), address, out })
+        .catch((err) => err);
+
+      expect(error.message).to.include(`not ${address} on chain 31337`);
+    });
+  });
+});
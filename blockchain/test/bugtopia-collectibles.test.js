@@ -0,0 +1,461 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  bugDNA,
+  territory,
+  expectedBugRarity,
+  expectedTerritoryRarity,
+  createRandom
+} = require("./fixtures/collectibles");
+
+const TERRITORY_CATEGORY = 1000000n;
+const ARTIFACT_CATEGORY = 2000000n;
+const METADATA_URI = "https://api.bugtopia.io/metadata/{id}.json";
+
+async function mintedTokenId(collectibles, tx) {
+  const receipt = await (await tx).wait();
+  const minted = receipt.logs
+    .map((log) => collectibles.interface.parseLog(log))
+    .find((event) => event && event.name === "NFTMinted");
+  return minted.args.tokenId;
+}
+
+describe("BugtopiaCollectibles", function () {
+  async function deployFixture() {
+    const [owner, treasury, minter, player, staker, otherStaker] = await ethers.getSigners();
+
+    const BugtopiaL1 = await ethers.getContractFactory("BugtopiaL1");
+    const bugtopiaL1 = await BugtopiaL1.deploy(treasury.address);
+
+    const BugtopiaCollectibles = await ethers.getContractFactory("BugtopiaCollectibles");
+    const collectibles = await BugtopiaCollectibles.deploy(await bugtopiaL1.getAddress(), METADATA_URI);
+    await collectibles.addAuthorizedMinter(minter.address);
+
+    return { bugtopiaL1, collectibles, owner, treasury, minter, player, staker, otherStaker };
+  }
+
+  async function territoryFixture() {
+    const fixture = await deployFixture();
+    const territoryId = await mintedTokenId(
+      fixture.collectibles,
+      fixture.collectibles.connect(fixture.minter).mintTerritory(fixture.player.address, territory())
+    );
+    return { ...fixture, territoryId };
+  }
+
+  describe("deployment", function () {
+    it("links BugtopiaL1 and authorizes the deployer", async function () {
+      const { bugtopiaL1, collectibles, owner } = await loadFixture(deployFixture);
+
+      expect(await collectibles.bugtopiaL1()).to.equal(await bugtopiaL1.getAddress());
+      expect(await collectibles.authorizedMinters(owner.address)).to.equal(true);
+      expect(await collectibles.uri(0)).to.equal(METADATA_URI);
+    });
+  });
+
+  describe("mintBugDNA", function () {
+    it("mints the first Bug DNA as token 0 with metadata and attributes", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+      const data = bugDNA();
+      const rarity = expectedBugRarity(data);
+
+      // The contract comment says Bug DNA starts at 1, but the counter starts at 0
+      await expect(collectibles.connect(minter).mintBugDNA(player.address, data))
+        .to.emit(collectibles, "NFTMinted")
+        .withArgs(player.address, 0n, 0n, "Bug #0", rarity);
+
+      expect(await collectibles.balanceOf(player.address, 0n)).to.equal(1n);
+      const [category, storedRarity, generation, name, description] = await collectibles.getTokenMetadata(0n);
+      expect(category).to.equal(0n);
+      expect(storedRarity).to.equal(rarity);
+      expect(generation).to.equal(BigInt(data.lineage));
+      expect(name).to.equal("Bug #0");
+      expect(description).to.equal(
+        "A unique digital organism from the Bugtopia ecosystem. Generation 4 with 12 arena victories. " +
+        "Survived 120 days in the wild."
+      );
+
+      const [keys, values] = await collectibles.getTokenAttributes(0n);
+      expect(keys).to.deep.equal(["Species", "Neural Layers", "Fitness", "Arena Wins", "Generation", "Survival Days"]);
+      expect(values).to.deep.equal(["1", "3", "80", "12", "4", "120"]);
+    });
+
+    it("allocates sequential ids", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+
+      const first = await mintedTokenId(collectibles, collectibles.connect(minter).mintBugDNA(player.address, bugDNA()));
+      const second = await mintedTokenId(collectibles, collectibles.connect(minter).mintBugDNA(player.address, bugDNA({ lineage: 5 })));
+
+      expect([first, second]).to.deep.equal([0n, 1n]);
+      expect(await collectibles.categoryCounters(0n)).to.equal(2n);
+    });
+
+    it("is free while nft_minting has no fee configured", async function () {
+      const { bugtopiaL1, collectibles, minter, player } = await loadFixture(deployFixture);
+
+      expect(await bugtopiaL1.getUtilityFee("nft_minting")).to.equal(0n);
+      await expect(collectibles.connect(minter).mintBugDNA(player.address, bugDNA()))
+        .to.emit(bugtopiaL1, "UtilityFeePaid")
+        .withArgs(await collectibles.getAddress(), 0n, "nft_minting");
+    });
+
+    it("pays a configured nft_minting fee through BugtopiaL1", async function () {
+      const { bugtopiaL1, collectibles, treasury, minter, player } = await loadFixture(deployFixture);
+      const fee = ethers.parseEther("0.002");
+      await bugtopiaL1.updateUtilityFee("nft_minting", fee);
+
+      const tx = collectibles.connect(minter).mintBugDNA(player.address, bugDNA(), { value: fee });
+      // nft_minting has no burn rate, so the treasury takes 30% and the rest is pooled
+      await expect(tx).to.changeEtherBalances(
+        [minter, treasury, bugtopiaL1],
+        [-fee, (fee * 3000n) / 10000n, fee - (fee * 3000n) / 10000n]
+      );
+      await expect(tx).to.emit(bugtopiaL1, "UtilityFeePaid").withArgs(await collectibles.getAddress(), fee, "nft_minting");
+    });
+
+    it("rejects an underpaid mint fee", async function () {
+      const { bugtopiaL1, collectibles, minter, player } = await loadFixture(deployFixture);
+      const fee = ethers.parseEther("0.002");
+      await bugtopiaL1.updateUtilityFee("nft_minting", fee);
+
+      await expect(
+        collectibles.connect(minter).mintBugDNA(player.address, bugDNA(), { value: fee - 1n })
+      ).to.be.revertedWith("Insufficient fee payment");
+    });
+
+    it("reverts an overpaid mint fee because the refund cannot be delivered to the collectibles contract", async function () {
+      const { owner, bugtopiaL1, collectibles, minter, player } = await loadFixture(deployFixture);
+      await owner.sendTransaction({ to: await bugtopiaL1.getAddress(), value: ethers.parseEther("1") });
+
+      await expect(
+        collectibles.connect(minter).mintBugDNA(player.address, bugDNA(), { value: 1n })
+      ).to.be.reverted;
+    });
+
+    it("is restricted to authorized minters", async function () {
+      const { collectibles, owner, minter, player } = await loadFixture(deployFixture);
+
+      await expect(
+        collectibles.connect(player).mintBugDNA(player.address, bugDNA())
+      ).to.be.revertedWith("Not authorized to mint");
+
+      await collectibles.connect(owner).removeAuthorizedMinter(minter.address);
+      await expect(
+        collectibles.connect(minter).mintBugDNA(player.address, bugDNA())
+      ).to.be.revertedWith("Not authorized to mint");
+    });
+  });
+
+  describe("mintTerritory", function () {
+    it("mints the first territory as token 1000000 with size attributes", async function () {
+      const { bugtopiaL1, collectibles, minter, player } = await loadFixture(deployFixture);
+      const data = territory({ minX: 10, maxX: 42 });
+
+      await expect(collectibles.connect(minter).mintTerritory(player.address, data))
+        .to.emit(collectibles, "NFTMinted")
+        .withArgs(player.address, TERRITORY_CATEGORY, TERRITORY_CATEGORY, "Territory #1000000", expectedTerritoryRarity(data))
+        .and.to.emit(bugtopiaL1, "UtilityFeePaid")
+        .withArgs(await collectibles.getAddress(), 0n, "territory_minting");
+
+      const [, , generation, , description] = await collectibles.getTokenMetadata(TERRITORY_CATEGORY);
+      expect(generation).to.equal(0n);
+      expect(description).to.equal(
+        "A 3D territory in the Bugtopia world with 70% resource abundance. Supports up to 400 organisms. " +
+        "Safety rating: 60/100."
+      );
+
+      const [keys, values] = await collectibles.getTokenAttributes(TERRITORY_CATEGORY);
+      expect(keys).to.deep.equal([
+        "Biome Type", "Resource Abundance", "Safety Rating", "Carrying Capacity", "Size X", "Size Y", "Size Z"
+      ]);
+      expect(values).to.deep.equal(["2", "70", "60", "400", "32", "16", "24"]);
+    });
+
+    it("reverts when a minimum bound exceeds its maximum", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+
+      await expect(
+        collectibles.connect(minter).mintTerritory(player.address, territory({ minY: 20, maxY: 10 }))
+      ).to.be.revertedWithPanic(0x11);
+    });
+  });
+
+  describe("rarity", function () {
+    it("matches the Bug DNA rarity formula across a sweep of trait ranges", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+      const random = createRandom(0xb06);
+      const samples = [
+        bugDNA({ fitness: 0, arenaWins: 0, survivalDays: 0, neuralLayers: 0 }),
+        bugDNA({ fitness: 100, arenaWins: 100, survivalDays: 365, neuralLayers: 4 }),
+        bugDNA({ fitness: 3, arenaWins: 4, survivalDays: 24, neuralLayers: 3 }),
+        bugDNA({ fitness: 1000000, arenaWins: 1000000, survivalDays: 1000000, neuralLayers: 1000 })
+      ];
+      for (let i = 0; i < 40; i++) {
+        samples.push(bugDNA({
+          fitness: random.int(0, 250),
+          arenaWins: random.int(0, 150),
+          survivalDays: random.int(0, 730),
+          neuralLayers: random.int(0, 8),
+          lineage: i
+        }));
+      }
+
+      for (const data of samples) {
+        const tokenId = await mintedTokenId(collectibles, collectibles.connect(minter).mintBugDNA(player.address, data));
+        const [, rarity] = await collectibles.getTokenMetadata(tokenId);
+        const expected = expectedBugRarity(data);
+
+        expect(rarity).to.equal(expected, JSON.stringify(data));
+        expect(rarity >= 50n && rarity <= 100n).to.equal(true);
+      }
+    });
+
+    it("never lowers Bug DNA rarity when a single trait improves", function () {
+      const random = createRandom(0xf17);
+      for (let i = 0; i < 200; i++) {
+        const base = {
+          fitness: random.int(0, 200),
+          arenaWins: random.int(0, 200),
+          survivalDays: random.int(0, 730),
+          neuralLayers: random.int(0, 8)
+        };
+        for (const trait of Object.keys(base)) {
+          const improved = { ...base, [trait]: base[trait] + random.int(1, 50) };
+          expect(expectedBugRarity(improved) >= expectedBugRarity(base)).to.equal(true, `${trait} ${JSON.stringify(base)}`);
+        }
+      }
+    });
+
+    it("caps neural complexity at 10 points once a bug has more than 3 layers", function () {
+      const base = { fitness: 0, arenaWins: 0, survivalDays: 0 };
+
+      expect([0, 1, 2, 3, 4, 12].map((neuralLayers) => expectedBugRarity({ ...base, neuralLayers })))
+        .to.deep.equal([50n, 53n, 56n, 59n, 60n, 60n]);
+    });
+
+    it("matches the territory rarity formula across a sweep of trait ranges", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+      const random = createRandom(0x7e7);
+      const samples = [
+        territory({ resourceAbundance: 0, safetyRating: 0, carryingCapacity: 0 }),
+        territory({ resourceAbundance: 100, safetyRating: 100, carryingCapacity: 1000 }),
+        territory({ resourceAbundance: 1000, safetyRating: 1000, carryingCapacity: 100000 })
+      ];
+      for (let i = 0; i < 30; i++) {
+        samples.push(territory({
+          resourceAbundance: random.int(0, 120),
+          safetyRating: random.int(0, 120),
+          carryingCapacity: random.int(0, 2000)
+        }));
+      }
+
+      for (const data of samples) {
+        const tokenId = await mintedTokenId(collectibles, collectibles.connect(minter).mintTerritory(player.address, data));
+        const [, rarity] = await collectibles.getTokenMetadata(tokenId);
+
+        expect(rarity).to.equal(expectedTerritoryRarity(data), JSON.stringify(data));
+        expect(rarity >= 30n && rarity <= 100n).to.equal(true);
+      }
+    });
+  });
+
+  describe("batchMint", function () {
+    it("allocates ids per category and advances counters by the amount", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+      await collectibles.connect(minter).mintBugDNA(player.address, bugDNA());
+
+      await expect(
+        collectibles.connect(minter).batchMint(player.address, [0n, TERRITORY_CATEGORY, ARTIFACT_CATEGORY], [3n, 1n, 2n], [])
+      )
+        .to.emit(collectibles, "TransferBatch")
+        .withArgs(minter.address, ethers.ZeroAddress, player.address, [1n, TERRITORY_CATEGORY, ARTIFACT_CATEGORY], [3n, 1n, 2n]);
+
+      // Amounts are minted as copies of one id; the ids in between are skipped
+      expect(await collectibles.balanceOf(player.address, 1n)).to.equal(3n);
+      expect(await collectibles.balanceOf(player.address, 2n)).to.equal(0n);
+      expect(await collectibles.categoryCounters(0n)).to.equal(4n);
+      expect(await collectibles.categoryCounters(ARTIFACT_CATEGORY)).to.equal(2n);
+
+      const next = await mintedTokenId(collectibles, collectibles.connect(minter).mintBugDNA(player.address, bugDNA()));
+      expect(next).to.equal(4n);
+
+      const [category, rarity, , name] = await collectibles.getTokenMetadata(ARTIFACT_CATEGORY);
+      expect(category).to.equal(ARTIFACT_CATEGORY);
+      expect(rarity).to.equal(0n);
+      expect(name).to.equal("Token #2000000");
+    });
+
+    it("gives repeated categories in one batch distinct ids", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+
+      await collectibles.connect(minter).batchMint(player.address, [ARTIFACT_CATEGORY, ARTIFACT_CATEGORY], [1n, 1n], []);
+
+      expect(await collectibles.balanceOfBatch(
+        [player.address, player.address],
+        [ARTIFACT_CATEGORY, ARTIFACT_CATEGORY + 1n]
+      )).to.deep.equal([1n, 1n]);
+    });
+
+    it("charges nothing because batch_minting has no fee configured", async function () {
+      const { bugtopiaL1, collectibles, minter, player } = await loadFixture(deployFixture);
+
+      expect(await bugtopiaL1.getUtilityFee("batch_minting")).to.equal(0n);
+      const tx = collectibles.connect(minter).batchMint(player.address, [0n], [10n], []);
+      await expect(tx).to.emit(bugtopiaL1, "UtilityFeePaid").withArgs(await collectibles.getAddress(), 0n, "batch_minting");
+      await expect(tx).to.changeEtherBalances([minter, bugtopiaL1], [0n, 0n]);
+    });
+
+    it("rejects mismatched categories and amounts", async function () {
+      const { collectibles, minter, player } = await loadFixture(deployFixture);
+
+      await expect(
+        collectibles.connect(minter).batchMint(player.address, [0n, TERRITORY_CATEGORY], [1n], [])
+      ).to.be.revertedWith("Array length mismatch");
+    });
+  });
+
+  describe("territory staking", function () {
+    it("tracks stakes per staker and in total", async function () {
+      const { collectibles, staker, otherStaker, territoryId } = await loadFixture(territoryFixture);
+      const amount = ethers.parseEther("2");
+
+      await expect(collectibles.connect(staker).stakeOnTerritory(territoryId, { value: amount }))
+        .to.emit(collectibles, "TerritoryStaked")
+        .withArgs(staker.address, territoryId, amount);
+      await collectibles.connect(otherStaker).stakeOnTerritory(territoryId, { value: amount / 2n });
+      await collectibles.connect(staker).stakeOnTerritory(territoryId, { value: amount });
+
+      expect(await collectibles.getTerritoryStake(territoryId, staker.address)).to.deep.equal([amount * 2n, amount * 2n + amount / 2n]);
+      expect(await collectibles.territoryStakes(territoryId, otherStaker.address)).to.equal(amount / 2n);
+    });
+
+    it("returns unstaked BUG and updates totals", async function () {
+      const { collectibles, staker, territoryId } = await loadFixture(territoryFixture);
+      const amount = ethers.parseEther("2");
+      await collectibles.connect(staker).stakeOnTerritory(territoryId, { value: amount });
+
+      const tx = collectibles.connect(staker).unstakeFromTerritory(territoryId, amount / 4n);
+      await expect(tx).to.changeEtherBalances([staker, collectibles], [amount / 4n, -(amount / 4n)]);
+      await expect(tx).to.emit(collectibles, "TerritoryUnstaked").withArgs(staker.address, territoryId, amount / 4n);
+
+      expect(await collectibles.getTerritoryStake(territoryId, staker.address)).to.deep.equal([
+        amount - amount / 4n,
+        amount - amount / 4n
+      ]);
+    });
+
+    it("rejects unstaking more than the staker's own stake", async function () {
+      const { collectibles, staker, otherStaker, territoryId } = await loadFixture(territoryFixture);
+      await collectibles.connect(staker).stakeOnTerritory(territoryId, { value: ethers.parseEther("1") });
+
+      await expect(
+        collectibles.connect(otherStaker).unstakeFromTerritory(territoryId, 1n)
+      ).to.be.revertedWith("Insufficient stake");
+    });
+
+    it("only accepts non-zero stakes on minted territories", async function () {
+      const { collectibles, minter, player, staker, territoryId } = await loadFixture(territoryFixture);
+      const bugId = await mintedTokenId(collectibles, collectibles.connect(minter).mintBugDNA(player.address, bugDNA()));
+
+      await expect(
+        collectibles.connect(staker).stakeOnTerritory(territoryId, { value: 0n })
+      ).to.be.revertedWith("Must stake some BUG");
+      await expect(
+        collectibles.connect(staker).stakeOnTerritory(bugId, { value: 1n })
+      ).to.be.revertedWith("Not a territory");
+      await expect(
+        collectibles.connect(staker).stakeOnTerritory(territoryId + 1n, { value: 1n })
+      ).to.be.revertedWith("Not a territory");
+    });
+  });
+
+  describe("distributeRevenue", function () {
+    it("pays each stakeholder and reports the total", async function () {
+      const { collectibles, minter, staker, otherStaker, territoryId } = await loadFixture(territoryFixture);
+      const amounts = [ethers.parseEther("0.3"), ethers.parseEther("0.1")];
+
+      const tx = collectibles.connect(minter).distributeRevenue(
+        territoryId,
+        [staker.address, otherStaker.address],
+        amounts,
+        { value: amounts[0] + amounts[1] }
+      );
+      await expect(tx).to.changeEtherBalances(
+        [minter, staker, otherStaker, collectibles],
+        [-(amounts[0] + amounts[1]), amounts[0], amounts[1], 0n]
+      );
+      await expect(tx).to.emit(collectibles, "RevenueDistributed").withArgs(territoryId, amounts[0] + amounts[1], 2n);
+    });
+
+    it("is restricted to authorized minters and matching arrays", async function () {
+      const { collectibles, minter, player, territoryId } = await loadFixture(territoryFixture);
+
+      await expect(
+        collectibles.connect(player).distributeRevenue(territoryId, [player.address], [1n], { value: 1n })
+      ).to.be.revertedWith("Not authorized to mint");
+      await expect(
+        collectibles.connect(minter).distributeRevenue(territoryId, [player.address], [1n, 2n], { value: 3n })
+      ).to.be.revertedWith("Array length mismatch");
+    });
+
+    it("does not check msg.value, so payouts can be drawn from staked BUG", async function () {
+      const { collectibles, minter, staker, otherStaker, territoryId } = await loadFixture(territoryFixture);
+      const stake = ethers.parseEther("1");
+      await collectibles.connect(staker).stakeOnTerritory(territoryId, { value: stake });
+
+      // No value sent: the payout comes out of the staker's deposit
+      await expect(
+        collectibles.connect(minter).distributeRevenue(territoryId, [otherStaker.address], [stake / 2n])
+      ).to.changeEtherBalances([otherStaker, collectibles], [stake / 2n, -(stake / 2n)]);
+
+      expect(await collectibles.totalTerritoryStakes(territoryId)).to.equal(stake);
+      expect(await ethers.provider.getBalance(await collectibles.getAddress())).to.equal(stake / 2n);
+      await expect(collectibles.connect(staker).unstakeFromTerritory(territoryId, stake)).to.be.reverted;
+    });
+
+    it("keeps any value sent above the payouts", async function () {
+      const { collectibles, minter, staker, territoryId } = await loadFixture(territoryFixture);
+
+      await expect(
+        collectibles.connect(minter).distributeRevenue(territoryId, [staker.address], [1n], { value: 10n })
+      ).to.changeEtherBalance(collectibles, 9n);
+    });
+  });
+
+  describe("pause", function () {
+    it("blocks minting and transfers while paused", async function () {
+      const { collectibles, owner, minter, player, staker } = await loadFixture(deployFixture);
+      await collectibles.connect(minter).mintBugDNA(player.address, bugDNA());
+
+      await collectibles.connect(owner).pause();
+
+      await expect(
+        collectibles.connect(minter).mintBugDNA(player.address, bugDNA())
+      ).to.be.revertedWithCustomError(collectibles, "EnforcedPause");
+      await expect(
+        collectibles.connect(player).safeTransferFrom(player.address, staker.address, 0n, 1n, "0x")
+      ).to.be.revertedWithCustomError(collectibles, "EnforcedPause");
+
+      await collectibles.connect(owner).unpause();
+      await expect(
+        collectibles.connect(player).safeTransferFrom(player.address, staker.address, 0n, 1n, "0x")
+      ).to.not.be.reverted;
+    });
+
+    it("restricts admin functions to the owner", async function () {
+      const { collectibles, player } = await loadFixture(deployFixture);
+      const asPlayer = collectibles.connect(player);
+
+      for (const call of [
+        () => asPlayer.addAuthorizedMinter(player.address),
+        () => asPlayer.removeAuthorizedMinter(player.address),
+        () => asPlayer.setURI("https://example.com/{id}.json"),
+        () => asPlayer.pause(),
+        () => asPlayer.unpause()
+      ]) {
+        await expect(call()).to.be.revertedWithCustomError(collectibles, "OwnableUnauthorizedAccount");
+      }
+    });
+  });
+});
@@ -0,0 +1,377 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+const BASIS_POINTS = 10000n;
+
+// Fees and burn rates set by the BugtopiaL1 constructor
+const UTILITY_TYPES = {
+  breeding: { fee: ethers.parseEther("0.001"), burnRate: 1500n },
+  neural_boost: { fee: ethers.parseEther("0.0005"), burnRate: 2000n },
+  arena_entry: { fee: ethers.parseEther("0.002"), burnRate: 1000n },
+  // Burn rate is configured under "governance", so proposals burn nothing
+  governance_proposal: { fee: ethers.parseEther("0.01"), burnRate: 0n },
+  artifact_crafting: { fee: ethers.parseEther("0.003"), burnRate: 3000n },
+  mutation_catalyst: { fee: ethers.parseEther("0.0015"), burnRate: 2000n }
+};
+
+function expectedSplit(amount, burnRate, treasuryRatio = 3000n) {
+  const burn = (amount * burnRate) / BASIS_POINTS;
+  const treasury = (amount * treasuryRatio) / BASIS_POINTS;
+  return { burn, treasury, staking: amount - burn - treasury };
+}
+
+describe("BugtopiaL1", function () {
+  async function deployFixture() {
+    const [owner, treasury, player, validator, delegator] = await ethers.getSigners();
+    const BugtopiaL1 = await ethers.getContractFactory("BugtopiaL1");
+    const bugtopiaL1 = await BugtopiaL1.deploy(treasury.address);
+    await bugtopiaL1.waitForDeployment();
+    return { bugtopiaL1, owner, treasury, player, validator, delegator };
+  }
+
+  async function fundedPoolFixture() {
+    const fixture = await deployFixture();
+    await fixture.owner.sendTransaction({
+      to: await fixture.bugtopiaL1.getAddress(),
+      value: ethers.parseEther("1")
+    });
+    return fixture;
+  }
+
+  describe("deployment", function () {
+    it("sets the treasury, owner and default ratios", async function () {
+      const { bugtopiaL1, owner, treasury } = await loadFixture(deployFixture);
+
+      expect(await bugtopiaL1.owner()).to.equal(owner.address);
+      expect(await bugtopiaL1.treasury()).to.equal(treasury.address);
+      expect(await bugtopiaL1.treasuryRatio()).to.equal(3000n);
+      expect(await bugtopiaL1.stakingRatio()).to.equal(4000n);
+      expect(await bugtopiaL1.burnRatio()).to.equal(3000n);
+    });
+
+    it("configures a fee for every utility type", async function () {
+      const { bugtopiaL1 } = await loadFixture(deployFixture);
+
+      for (const [utilityType, { fee, burnRate }] of Object.entries(UTILITY_TYPES)) {
+        expect(await bugtopiaL1.getUtilityFee(utilityType)).to.equal(fee, utilityType);
+        expect(await bugtopiaL1.getBurnRate(utilityType)).to.equal(burnRate, utilityType);
+      }
+      expect(await bugtopiaL1.getBurnRate("governance")).to.equal(2500n);
+    });
+  });
+
+  describe("payUtilityFee", function () {
+    for (const [utilityType, { fee, burnRate }] of Object.entries(UTILITY_TYPES)) {
+      it(`splits the ${utilityType} fee between burn, treasury and staking`, async function () {
+        const { bugtopiaL1, treasury, player } = await loadFixture(deployFixture);
+        const { burn, treasury: treasuryShare, staking } = expectedSplit(fee, burnRate);
+
+        expect(burn + treasuryShare + staking).to.equal(fee);
+
+        const tx = bugtopiaL1.connect(player).payUtilityFee(utilityType, { value: fee });
+        await expect(tx).to.changeEtherBalances(
+          [player, treasury, DEAD, bugtopiaL1],
+          [-fee, treasuryShare, burn, staking]
+        );
+        await expect(tx).to.emit(bugtopiaL1, "UtilityFeePaid").withArgs(player.address, fee, utilityType);
+
+        const [totalBurned, rewardsPool] = await bugtopiaL1.getEconomicState();
+        expect(totalBurned).to.equal(burn);
+        expect(rewardsPool).to.equal(staking);
+      });
+    }
+
+    it("emits BugBurned only when the utility type has a burn rate", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const { fee } = UTILITY_TYPES.breeding;
+
+      await expect(bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee }))
+        .to.emit(bugtopiaL1, "BugBurned")
+        .withArgs(player.address, expectedSplit(fee, 1500n).burn, "breeding");
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("governance_proposal", { value: UTILITY_TYPES.governance_proposal.fee })
+      ).to.not.emit(bugtopiaL1, "BugBurned");
+    });
+
+    it("rejects payments below the required fee", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("arena_entry", { value: UTILITY_TYPES.arena_entry.fee - 1n })
+      ).to.be.revertedWith("Insufficient fee payment");
+    });
+
+    it("refunds the excess so the payer is only charged the required fee", async function () {
+      const { bugtopiaL1, player } = await loadFixture(fundedPoolFixture);
+      const { fee } = UTILITY_TYPES.breeding;
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee * 3n })
+      ).to.changeEtherBalance(player, -fee);
+    });
+
+    it("splits on msg.value, so an overpayment refund draws on the existing pool balance", async function () {
+      const { bugtopiaL1, player } = await loadFixture(fundedPoolFixture);
+      const { fee, burnRate } = UTILITY_TYPES.breeding;
+      const paid = fee * 3n;
+      const split = expectedSplit(paid, burnRate);
+      const poolBefore = await bugtopiaL1.stakingRewardsPool();
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("breeding", { value: paid })
+      ).to.changeEtherBalance(bugtopiaL1, fee - split.burn - split.treasury);
+
+      expect(await bugtopiaL1.stakingRewardsPool()).to.equal(poolBefore + split.staking);
+      expect(await bugtopiaL1.totalBugBurned()).to.equal(split.burn);
+    });
+
+    it("reverts an overpayment when the contract cannot cover the refund", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("breeding", { value: UTILITY_TYPES.breeding.fee * 10n })
+      ).to.be.reverted;
+    });
+
+    it("charges nothing for unknown utility types", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+
+      expect(await bugtopiaL1.getUtilityFee("time_travel")).to.equal(0n);
+      await expect(bugtopiaL1.connect(player).payUtilityFee("time_travel"))
+        .to.emit(bugtopiaL1, "UtilityFeePaid")
+        .withArgs(player.address, 0n, "time_travel");
+      expect(await bugtopiaL1.stakingRewardsPool()).to.equal(0n);
+    });
+
+    it("routes the treasury share to an updated treasury", async function () {
+      const { bugtopiaL1, player, validator } = await loadFixture(deployFixture);
+      const { fee, burnRate } = UTILITY_TYPES.arena_entry;
+
+      await bugtopiaL1.updateTreasury(validator.address);
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("arena_entry", { value: fee })
+      ).to.changeEtherBalance(validator, expectedSplit(fee, burnRate).treasury);
+    });
+  });
+
+  describe("burnBug", function () {
+    it("sends the amount to the dead address and tracks the total", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("0.5");
+
+      const tx = bugtopiaL1.connect(player).burnBug(amount, "sacrifice", { value: amount });
+      await expect(tx).to.changeEtherBalances([player, DEAD], [-amount, amount]);
+      await expect(tx).to.emit(bugtopiaL1, "BugBurned").withArgs(player.address, amount, "sacrifice");
+
+      expect(await bugtopiaL1.totalBugBurned()).to.equal(amount);
+    });
+
+    it("refunds anything sent above the burn amount", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("0.1");
+
+      await expect(
+        bugtopiaL1.connect(player).burnBug(amount, "sacrifice", { value: amount * 2n })
+      ).to.changeEtherBalances([player, DEAD, bugtopiaL1], [-amount, amount, 0n]);
+    });
+
+    it("rejects burns larger than msg.value", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+
+      await expect(
+        bugtopiaL1.connect(player).burnBug(ethers.parseEther("1"), "sacrifice", { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Insufficient BUG to burn");
+    });
+
+    it("adds to the burn total from fee payments", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const { fee, burnRate } = UTILITY_TYPES.neural_boost;
+      const amount = ethers.parseEther("0.2");
+
+      await bugtopiaL1.connect(player).payUtilityFee("neural_boost", { value: fee });
+      await bugtopiaL1.connect(player).burnBug(amount, "sacrifice", { value: amount });
+
+      expect(await bugtopiaL1.totalBugBurned()).to.equal(expectedSplit(fee, burnRate).burn + amount);
+    });
+  });
+
+  describe("distributeStakingRewards", function () {
+    it("pays recipients out of the pool", async function () {
+      const { bugtopiaL1, validator, delegator } = await loadFixture(fundedPoolFixture);
+      const amounts = [ethers.parseEther("0.3"), ethers.parseEther("0.2")];
+
+      const tx = bugtopiaL1.distributeStakingRewards([validator.address, delegator.address], amounts);
+      await expect(tx).to.changeEtherBalances(
+        [validator, delegator, bugtopiaL1],
+        [amounts[0], amounts[1], -(amounts[0] + amounts[1])]
+      );
+      await expect(tx).to.emit(bugtopiaL1, "StakingRewardsDistributed").withArgs(amounts[0] + amounts[1], 2n);
+
+      expect(await bugtopiaL1.stakingRewardsPool()).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("counts zero-amount recipients without paying them", async function () {
+      const { bugtopiaL1, validator, delegator } = await loadFixture(fundedPoolFixture);
+
+      await expect(
+        bugtopiaL1.distributeStakingRewards([validator.address, delegator.address], [ethers.parseEther("0.1"), 0n])
+      )
+        .to.emit(bugtopiaL1, "StakingRewardsDistributed")
+        .withArgs(ethers.parseEther("0.1"), 2n);
+    });
+
+    it("accumulates the staking share of fees and direct deposits", async function () {
+      const { bugtopiaL1, owner, player } = await loadFixture(deployFixture);
+      const { fee, burnRate } = UTILITY_TYPES.artifact_crafting;
+      const deposit = ethers.parseEther("0.25");
+
+      await bugtopiaL1.connect(player).payUtilityFee("artifact_crafting", { value: fee });
+      await owner.sendTransaction({ to: await bugtopiaL1.getAddress(), value: deposit });
+
+      expect(await bugtopiaL1.stakingRewardsPool()).to.equal(expectedSplit(fee, burnRate).staking + deposit);
+    });
+
+    it("never pays out more than the pool", async function () {
+      const { bugtopiaL1, validator } = await loadFixture(fundedPoolFixture);
+
+      await expect(
+        bugtopiaL1.distributeStakingRewards([validator.address], [ethers.parseEther("1") + 1n])
+      ).to.be.revertedWith("Insufficient rewards pool");
+    });
+
+    it("rejects mismatched recipient and amount arrays", async function () {
+      const { bugtopiaL1, validator } = await loadFixture(fundedPoolFixture);
+
+      await expect(
+        bugtopiaL1.distributeStakingRewards([validator.address], [1n, 2n])
+      ).to.be.revertedWith("Array length mismatch");
+    });
+
+    it("is owner only", async function () {
+      const { bugtopiaL1, player } = await loadFixture(fundedPoolFixture);
+
+      await expect(
+        bugtopiaL1.connect(player).distributeStakingRewards([player.address], [1n])
+      ).to.be.revertedWithCustomError(bugtopiaL1, "OwnableUnauthorizedAccount").withArgs(player.address);
+    });
+  });
+
+  describe("admin", function () {
+    it("updates utility fees and emits EconomicParameterUpdated", async function () {
+      const { bugtopiaL1 } = await loadFixture(deployFixture);
+      const newFee = ethers.parseEther("0.004");
+
+      await expect(bugtopiaL1.updateUtilityFee("breeding", newFee))
+        .to.emit(bugtopiaL1, "EconomicParameterUpdated")
+        .withArgs("utilityFee_breeding", UTILITY_TYPES.breeding.fee, newFee);
+      expect(await bugtopiaL1.getUtilityFee("breeding")).to.equal(newFee);
+    });
+
+    it("can introduce a fee for a new utility type", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const fee = ethers.parseEther("0.002");
+
+      await expect(bugtopiaL1.updateUtilityFee("nft_minting", fee))
+        .to.emit(bugtopiaL1, "EconomicParameterUpdated")
+        .withArgs("utilityFee_nft_minting", 0n, fee);
+      await expect(bugtopiaL1.connect(player).payUtilityFee("nft_minting", { value: fee - 1n }))
+        .to.be.revertedWith("Insufficient fee payment");
+    });
+
+    it("updates burn rates up to 50% and emits EconomicParameterUpdated", async function () {
+      const { bugtopiaL1 } = await loadFixture(deployFixture);
+
+      await expect(bugtopiaL1.updateBurnRate("governance_proposal", 5000n))
+        .to.emit(bugtopiaL1, "EconomicParameterUpdated")
+        .withArgs("burnRate_governance_proposal", 0n, 5000n);
+      await expect(bugtopiaL1.updateBurnRate("breeding", 5001n)).to.be.revertedWith("Burn rate too high");
+    });
+
+    it("applies updated burn rates to later payments", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const { fee } = UTILITY_TYPES.breeding;
+
+      await bugtopiaL1.updateBurnRate("breeding", 4000n);
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee })
+      ).to.changeEtherBalance(DEAD, expectedSplit(fee, 4000n).burn);
+    });
+
+    it("updates the fee distribution only when the ratios sum to 100%", async function () {
+      const { bugtopiaL1, treasury, player } = await loadFixture(deployFixture);
+      const { fee, burnRate } = UTILITY_TYPES.breeding;
+
+      await bugtopiaL1.updateFeeDistribution(5000n, 2500n, 2500n);
+      expect(await bugtopiaL1.treasuryRatio()).to.equal(5000n);
+      expect(await bugtopiaL1.stakingRatio()).to.equal(2500n);
+      expect(await bugtopiaL1.burnRatio()).to.equal(2500n);
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee })
+      ).to.changeEtherBalance(treasury, expectedSplit(fee, burnRate, 5000n).treasury);
+
+      await expect(bugtopiaL1.updateFeeDistribution(5000n, 2500n, 2000n)).to.be.revertedWith("Ratios must sum to 100%");
+    });
+
+    it("rejects the zero address as treasury", async function () {
+      const { bugtopiaL1 } = await loadFixture(deployFixture);
+
+      await expect(bugtopiaL1.updateTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid treasury address");
+    });
+
+    it("restricts every update to the owner", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const asPlayer = bugtopiaL1.connect(player);
+
+      for (const call of [
+        () => asPlayer.updateUtilityFee("breeding", 0n),
+        () => asPlayer.updateBurnRate("breeding", 0n),
+        () => asPlayer.updateFeeDistribution(3000n, 4000n, 3000n),
+        () => asPlayer.updateTreasury(player.address),
+        () => asPlayer.pause(),
+        () => asPlayer.unpause()
+      ]) {
+        await expect(call()).to.be.revertedWithCustomError(bugtopiaL1, "OwnableUnauthorizedAccount");
+      }
+    });
+  });
+
+  describe("pause", function () {
+    it("blocks fee payments and burns while paused", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const { fee } = UTILITY_TYPES.breeding;
+
+      await bugtopiaL1.pause();
+
+      await expect(
+        bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee })
+      ).to.be.revertedWithCustomError(bugtopiaL1, "EnforcedPause");
+      await expect(
+        bugtopiaL1.connect(player).burnBug(1n, "sacrifice", { value: 1n })
+      ).to.be.revertedWithCustomError(bugtopiaL1, "EnforcedPause");
+    });
+
+    it("keeps reward distribution and deposits available while paused", async function () {
+      const { bugtopiaL1, owner, validator } = await loadFixture(fundedPoolFixture);
+
+      await bugtopiaL1.pause();
+
+      await expect(bugtopiaL1.distributeStakingRewards([validator.address], [1n])).to.not.be.reverted;
+      await expect(owner.sendTransaction({ to: await bugtopiaL1.getAddress(), value: 1n })).to.not.be.reverted;
+    });
+
+    it("resumes payments after unpause", async function () {
+      const { bugtopiaL1, player } = await loadFixture(deployFixture);
+      const { fee } = UTILITY_TYPES.breeding;
+
+      await bugtopiaL1.pause();
+      await expect(bugtopiaL1.unpause()).to.emit(bugtopiaL1, "Unpaused");
+
+      await expect(bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee })).to.not.be.reverted;
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { METADATA_URI, shouldVerify, isDevelopmentChain } = require("../helper-hardhat-config");
+const {
+  IMPLEMENTATION_ARGS,
+  RegistryMismatchError,
+  compareDeployedBytecode,
+  deployHardhatContract,
+  getImplementationAddress
+} = require("../utils/deployment-registry");
+
+describe("hardhat-deploy pipeline", function () {
+  const { deployments, getNamedAccounts, ethers } = hre;
+
+  it("deploys the nft tag with its L1 dependency", async function () {
+    await deployments.fixture(["nft"]);
+    const { deployer, treasury } = await getNamedAccounts();
+
+    const bugtopiaL1 = await deployments.get("BugtopiaL1");
+    const collectibles = await ethers.getContractAt(
+      "BugtopiaCollectibles",
+      (await deployments.get("BugtopiaCollectibles")).address
+    );
+    const [, , treasuryAddress] = await (await ethers.getContractAt("BugtopiaL1", bugtopiaL1.address)).getEconomicState();
+
+    expect(treasuryAddress).to.equal(treasury);
+    expect(await collectibles.bugtopiaL1()).to.equal(bugtopiaL1.address);
+    expect(await collectibles.uri(0)).to.equal(METADATA_URI);
+    expect(await collectibles.authorizedMinters(deployer)).to.equal(true);
+  });
+
+  it("deploys the BugDNAMetadata library under the metadata tag", async function () {
+    await deployments.fixture(["metadata"]);
+    const { address } = await deployments.get("BugDNAMetadata");
+
+    const { matches } = await compareDeployedBytecode(hre, "BugDNAMetadata", address);
+    expect(matches).to.equal(true);
+    expect(await deployments.getOrNull("BugtopiaCollectibles")).to.equal(undefined);
+  });
+
+  it("authorizes extra minters from AUTHORIZED_MINTERS", async function () {
+    const [, , , minter] = await ethers.getSigners();
+    process.env.AUTHORIZED_MINTERS = minter.address;
+    try {
+      await deployments.fixture(["permissions"]);
+    } finally {
+      delete process.env.AUTHORIZED_MINTERS;
+    }
+
+    const collectibles = await ethers.getContractAt(
+      "BugtopiaCollectibles",
+      (await deployments.get("BugtopiaCollectibles")).address
+    );
+    expect(await collectibles.authorizedMinters(minter.address)).to.equal(true);
+  });
+
+  it("deploys upgradeable proxies with DEPLOY_PROXY=true and refuses to swap them for immutable instances", async function () {
+    process.env.DEPLOY_PROXY = "true";
+    try {
+      await deployments.fixture(["collectibles"]);
+    } finally {
+      delete process.env.DEPLOY_PROXY;
+    }
+    const { deployer, treasury } = await getNamedAccounts();
+    const bugtopiaL1 = await deployments.get("BugtopiaL1");
+    const saved = await deployments.get("BugtopiaCollectibles");
+
+    expect(saved.implementation).to.equal(await getImplementationAddress(ethers.provider, saved.address));
+    expect((await compareDeployedBytecode(hre, "BugtopiaCollectibles", saved.implementation)).matches).to.equal(true);
+    const collectibles = await ethers.getContractAt("BugtopiaCollectibles", saved.address);
+    expect(await collectibles.bugtopiaL1()).to.equal(bugtopiaL1.address);
+    expect(await collectibles.owner()).to.equal(deployer);
+    // The upgrades plugin knows the proxies, so `npx hardhat upgrade` can validate them
+    await hre.upgrades.validateUpgrade(saved.address, await ethers.getContractFactory("BugtopiaCollectibles"), {
+      kind: "uups",
+      constructorArgs: IMPLEMENTATION_ARGS.BugtopiaCollectibles
+    });
+
+    const immutable = await deployHardhatContract(hre, "BugtopiaL1", [treasury], { from: deployer }).catch((err) => err);
+    expect(immutable).to.be.instanceOf(RegistryMismatchError);
+    expect(immutable.message).to.include(`BugtopiaL1 at ${bugtopiaL1.address} is a UUPS proxy`);
+    const reused = await deployHardhatContract(hre, "BugtopiaL1", [treasury], { from: deployer, proxy: true });
+    expect([reused.address, reused.newlyDeployed]).to.deep.equal([bugtopiaL1.address, false]);
+  });
+
+  it("only verifies on public networks with an explorer key", function () {
+    const saved = process.env.SNOWTRACE_API_KEY;
+    process.env.SNOWTRACE_API_KEY = "test-key";
+    try {
+      expect(isDevelopmentChain("hardhat")).to.equal(true);
+      expect(shouldVerify("bugtopia_local")).to.equal(false);
+      expect(shouldVerify("bugtopia_fuji")).to.equal(true);
+      delete process.env.SNOWTRACE_API_KEY;
+      expect(shouldVerify("bugtopia_fuji")).to.equal(false);
+    } finally {
+      if (saved !== undefined) process.env.SNOWTRACE_API_KEY = saved;
+    }
+  });
+});
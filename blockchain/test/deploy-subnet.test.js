@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { createRecordedExecutor } = require("../utils/avalanche-cli");
+const { importAccountKey } = require("../utils/keystore");
+const { deploySubnet, SUBNET_CONFIG } = require("../scripts/deploy-subnet");
+
+const FIXTURES = path.join(__dirname, "fixtures", "avalanche-cli");
+const deployOutput = fs.readFileSync(path.join(FIXTURES, "blockchain-deploy-local.txt"), "utf8");
+const RPC_URL = "http://127.0.0.1:60955/ext/bc/48ZNiHFTDjNmtPprSWFbbLkbbpyubTKw1bGWusSWFzJqG5hfM/rpc";
+
+const contractOutput = [
+  "✅ BugtopiaL1 deployed to: 0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  "✅ BugtopiaCollectibles deployed to: 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
+].join("\n");
+
+describe("deploy-subnet", function () {
+  const ENV = {
+    AVALANCHE_RPC_URL: "http://127.0.0.1:9650/ext/bc/C/rpc",
+    SUBNET_OWNER_ADDRESS: "0x8db97C7cEcE249c2b98bDC0226Cc4C2A57BF52FC",
+    BUGTOPIA_KEYSTORE_PASSPHRASE: "correct horse"
+  };
+  let savedEnv;
+  let outputDir;
+
+  beforeEach(function () {
+    savedEnv = { ...process.env };
+    Object.assign(process.env, ENV);
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-subnet-"));
+  });
+
+  afterEach(function () {
+    process.env = savedEnv;
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("runs the whole flow against recorded Avalanche-CLI output", async function () {
+    const executor = createRecordedExecutor([
+      { match: "avalanche --version", stdout: "avalanche version 1.8.10" },
+      { match: "blockchain create", stdout: "✓ Successfully created blockchain configuration" },
+      { match: "blockchain deploy", stdout: deployOutput },
+      { match: "hardhat run scripts/deploy-l1-contracts.js", stdout: contractOutput }
+    ]);
+
+    const report = await deploySubnet({ executor, target: "local", blockchainName: "bugtopial1", outputDir });
+
+    expect(report.subnetId).to.equal("2W9boARgCWL25z6pMFNtkCfNA5v28VGg9PmBgUJfuKndEdhrvw");
+    expect(report.blockchainId).to.equal("48ZNiHFTDjNmtPprSWFbbLkbbpyubTKw1bGWusSWFzJqG5hfM");
+    expect(report.rpcUrl).to.equal(RPC_URL);
+    expect(report.contracts).to.deep.equal({
+      BugtopiaL1: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      BugtopiaCollectibles: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
+    });
+
+    // Genesis on disk is what Avalanche-CLI was pointed at
+    const genesisPath = path.join(outputDir, "bugtopial1-genesis.json");
+    const genesis = JSON.parse(fs.readFileSync(genesisPath, "utf8"));
+    expect(genesis.config.chainId).to.equal(SUBNET_CONFIG.chainId);
+    expect(executor.calls[1].args).to.include(genesisPath);
+
+    // Contracts are deployed against the RPC the CLI reported
+    const hardhatCall = executor.calls[3];
+    expect(hardhatCall.args).to.include.members(["--network", "bugtopia_local"]);
+    expect(hardhatCall.env).to.deep.equal({ BUGTOPIA_L1_RPC_URL: RPC_URL, BUGTOPIA_KEYSTORE_PASSPHRASE: "correct horse" });
+
+    expect(fs.existsSync(path.join(outputDir, "subnet-deployment-report.json"))).to.equal(true);
+  });
+
+  it("asks for the keystore passphrase before the CLI runs and hands it to hardhat run", async function () {
+    delete process.env.BUGTOPIA_KEYSTORE_PASSPHRASE;
+    const executor = createRecordedExecutor([
+      { match: "avalanche --version", stdout: "avalanche version 1.8.10" },
+      { match: "blockchain create", stdout: "" },
+      { match: "blockchain deploy", stdout: deployOutput },
+      { match: "hardhat run", stdout: contractOutput }
+    ]);
+    const prompts = [];
+    const prompt = async (question) => {
+      prompts.push({ question, calls: executor.calls.length });
+      return "typed passphrase";
+    };
+
+    await deploySubnet({ executor, target: "local", outputDir, prompt });
+
+    // Only the version check ran before the prompt
+    expect(prompts).to.deep.equal([{ question: "Passphrase for keystore \"local\"", calls: 1 }]);
+    expect(executor.calls[3].env.BUGTOPIA_KEYSTORE_PASSPHRASE).to.equal("typed passphrase");
+  });
+
+  it("falls back to describe when deploy output has no details table", async function () {
+    const executor = createRecordedExecutor([
+      { match: "avalanche --version", stdout: "avalanche version 1.8.10" },
+      { match: "blockchain create", stdout: "" },
+      { match: "blockchain deploy", stdout: "Blockchain ready to use" },
+      { match: "blockchain describe", stdout: deployOutput },
+      { match: "hardhat run", stdout: contractOutput }
+    ]);
+
+    const report = await deploySubnet({ executor, target: "local", outputDir });
+    expect(report.rpcUrl).to.equal(RPC_URL);
+  });
+
+  it("stops before calling the CLI when the owner address is missing", async function () {
+    delete process.env.SUBNET_OWNER_ADDRESS;
+    const executor = createRecordedExecutor([]);
+
+    const error = await deploySubnet({ executor, target: "local", outputDir }).catch((err) => err);
+
+    expect(error.name).to.equal("SubnetConfigError");
+    expect(error.message).to.include("is SUBNET_OWNER_ADDRESS set?");
+    expect(executor.calls).to.have.length(0);
+  });
+
+  it("checks the fuji keystore deployer's balance on AVALANCHE_RPC_URL before creating anything", async function () {
+    const keystoreDir = path.join(outputDir, "keystore");
+    const executor = createRecordedExecutor([{ match: "avalanche --version", stdout: "avalanche version 1.8.10" }]);
+
+    let error = await deploySubnet({ executor, target: "fuji", outputDir, keystoreDir }).catch((err) => err);
+    expect(error.message).to.include("No deployer in the \"fuji\" keystore");
+
+    const { address } = await importAccountKey({
+      keystore: "fuji",
+      account: "deployer",
+      privateKey: ethers.Wallet.createRandom().privateKey,
+      passphrase: "correct horse",
+      scryptN: 1024,
+      dir: keystoreDir
+    });
+    const balances = [];
+    const provider = {
+      getBalance: async (account) => {
+        balances.push(account);
+        return ethers.parseEther("99");
+      }
+    };
+    error = await deploySubnet({ executor, target: "fuji", outputDir, keystoreDir, provider }).catch((err) => err);
+    expect(error.message).to.equal(`Insufficient AVAX balance for ${address}. Required: 100 AVAX, Current: 99.0 AVAX`);
+    expect(balances).to.deep.equal([address]);
+    expect(executor.calls.map(({ line }) => line)).to.deep.equal(["avalanche --version", "avalanche --version"]);
+  });
+
+  it("fails when contract deployment reports no addresses", async function () {
+    const executor = createRecordedExecutor([
+      { match: "avalanche --version", stdout: "avalanche version 1.8.10" },
+      { match: "blockchain create", stdout: "" },
+      { match: "blockchain deploy", stdout: deployOutput },
+      { match: "hardhat run", stdout: "Nothing to compile" }
+    ]);
+
+    const error = await deploySubnet({ executor, target: "local", outputDir }).catch((err) => err);
+    expect(error.message).to.equal("Contract deployment did not report a BugtopiaL1 address");
+  });
+});
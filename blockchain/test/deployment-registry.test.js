@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  RegistryMismatchError,
+  maskImmutables,
+  readRegistry,
+  writeRegistry,
+  registryNetworkFor,
+  resolveDeployedAddress,
+  openDeploymentRegistry
+} = require("../utils/deployment-registry");
+const { main: deployL1Contracts } = require("../scripts/deploy-l1-contracts");
+const { silenceConsole } = require("./helpers");
+
+describe("Deployment registry", function () {
+  let registryDir;
+  let snapshotId;
+  let chainId;
+  const network = hre.network.name;
+
+  silenceConsole();
+  beforeEach(async function () {
+    registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-registry-"));
+    snapshotId = await hre.network.provider.send("evm_snapshot");
+    chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  });
+
+  afterEach(async function () {
+    await hre.network.provider.send("evm_revert", [snapshotId]);
+    fs.rmSync(registryDir, { recursive: true, force: true });
+  });
+
+  describe("maskImmutables", function () {
+    it("zeroes the byte ranges solc reports for immutables", function () {
+      const masked = maskImmutables("0xAABBCCDDEEFF", { 12: [{ start: 1, length: 2 }], 15: [{ start: 4, length: 1 }] });
+      expect(masked).to.equal("0xaa0000dd00ff");
+    });
+  });
+
+  describe("scripts/deploy-l1-contracts.js", function () {
+    it("records contracts and steps in one file per network", async function () {
+      const addresses = await deployL1Contracts({ registryDir });
+
+      const registry = readRegistry(network, { dir: registryDir });
+      expect(registry.chainId).to.equal(chainId);
+      expect(registry.contracts.BugtopiaL1.address).to.equal(addresses.bugtopiaL1);
+      expect(registry.contracts.BugtopiaCollectibles.address).to.equal(addresses.collectibles);
+      expect(Object.keys(registry.steps)).to.have.members([
+        "deploy:BugtopiaL1",
+        "deploy:BugtopiaCollectibles",
+        `authorize-minter:${registry.contracts.BugtopiaL1.deployer}`,
+        "burn-rate:governance_proposal",
+        "smoke-test:payUtilityFee"
+      ]);
+      const bugtopiaL1 = await hre.ethers.getContractAt("BugtopiaL1", addresses.bugtopiaL1);
+      expect(await bugtopiaL1.getBurnRate("governance_proposal")).to.equal(2500n);
+      expect(fs.readdirSync(registryDir)).to.deep.equal([`${network}.json`]);
+    });
+
+    it("reuses verified contracts and sends no transactions on a re-run", async function () {
+      const first = await deployL1Contracts({ registryDir });
+      const blockAfterFirst = await hre.ethers.provider.getBlockNumber();
+
+      const second = await deployL1Contracts({ registryDir });
+
+      expect(second).to.deep.equal(first);
+      expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockAfterFirst);
+    });
+
+    it("resumes after the last completed step", async function () {
+      const first = await deployL1Contracts({ registryDir });
+      const registry = readRegistry(network, { dir: registryDir });
+      delete registry.steps["smoke-test:payUtilityFee"];
+      writeRegistry(registry, { dir: registryDir });
+      const blockBefore = await hre.ethers.provider.getBlockNumber();
+
+      const second = await deployL1Contracts({ registryDir });
+
+      expect(second).to.deep.equal(first);
+      // Only the smoke test payment is sent again
+      expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+      expect(readRegistry(network, { dir: registryDir }).steps).to.have.property("smoke-test:payUtilityFee");
+    });
+
+    it("fails the deploy when the deployment fails its audit", async function () {
+      const { bugtopiaL1: address } = await deployL1Contracts({ registryDir });
+      const bugtopiaL1 = await hre.ethers.getContractAt("BugtopiaL1", address);
+      await bugtopiaL1.updateBurnRate("governance_proposal", 0);
+
+      // The burn rate step is recorded, so the re-run leaves the rate alone
+      const error = await deployL1Contracts({ registryDir }).catch((err) => err);
+
+      expect(error.message).to.equal(
+        `The deployment failed its audit; fix the failed checks, then re-run: npx hardhat audit --network ${network}`
+      );
+    });
+
+    it("redeploys when the recorded address has no code", async function () {
+      await deployL1Contracts({ registryDir });
+      const registry = readRegistry(network, { dir: registryDir });
+      const staleAddress = "0x000000000000000000000000000000000000bEEF";
+      registry.contracts.BugtopiaL1.address = staleAddress;
+      writeRegistry(registry, { dir: registryDir });
+
+      const addresses = await deployL1Contracts({ registryDir });
+
+      expect(addresses.bugtopiaL1).to.not.equal(staleAddress);
+      // Collectibles depended on the old BugtopiaL1, so it was redeployed too
+      const collectibles = await hre.ethers.getContractAt("BugtopiaCollectibles", addresses.collectibles);
+      expect(await collectibles.bugtopiaL1()).to.equal(addresses.bugtopiaL1);
+    });
+
+    it("refuses to reuse an address whose bytecode does not match", async function () {
+      const addresses = await deployL1Contracts({ registryDir });
+      const registry = readRegistry(network, { dir: registryDir });
+      registry.contracts.BugtopiaL1.address = addresses.collectibles;
+      writeRegistry(registry, { dir: registryDir });
+
+      const error = await deployL1Contracts({ registryDir }).catch((err) => err);
+      expect(error).to.be.instanceOf(RegistryMismatchError);
+      expect(error.message).to.include("does not match the compiled artifact");
+    });
+  });
+
+  describe("openDeploymentRegistry", function () {
+    it("refuses to reuse a contract deployed with different arguments", async function () {
+      const [, treasury, other] = await hre.ethers.getSigners();
+      const log = () => {};
+
+      const first = await openDeploymentRegistry(hre, { dir: registryDir, log });
+      await first.deployContract("BugtopiaL1", [treasury.address]);
+
+      const second = await openDeploymentRegistry(hre, { dir: registryDir, log });
+      const error = await second.deployContract("BugtopiaL1", [other.address]).catch((err) => err);
+      expect(error).to.be.instanceOf(RegistryMismatchError);
+      expect(error.message).to.include("DEPLOY_FRESH=true");
+    });
+
+    it("refuses a registry recorded on another chain", async function () {
+      const addresses = await deployL1Contracts({ registryDir });
+      const registry = readRegistry(network, { dir: registryDir });
+      registry.chainId = 68420;
+      writeRegistry(registry, { dir: registryDir });
+
+      const error = await deployL1Contracts({ registryDir }).catch((err) => err);
+      expect(error).to.be.instanceOf(RegistryMismatchError);
+      expect(error.message).to.include(`was recorded on chain 68420, but the ${network} provider runs chain ${chainId}`);
+      const lookup = await resolveDeployedAddress(hre, "BugtopiaL1", { dir: registryDir }).catch((err) => err);
+      expect(lookup).to.be.instanceOf(RegistryMismatchError);
+      expect(await resolveDeployedAddress(hre, "BugtopiaL1", { address: addresses.bugtopiaL1, dir: registryDir }))
+        .to.equal(addresses.bugtopiaL1);
+    });
+  });
+
+  describe("registryNetworkFor", function () {
+    const record = (name, recordedChainId) => writeRegistry(
+      { network: name, chainId: recordedChainId, contracts: {}, steps: {} },
+      { dir: registryDir }
+    );
+
+    it("keeps networks that share a chain ID apart", function () {
+      record("bugtopia_local", 68420);
+      record("bugtopia_mainnet", 68420);
+      record("avalanche_fuji", 43113);
+      // Other stores in deployments/ record a chain ID too, but are not registries
+      fs.writeFileSync(path.join(registryDir, "staking-rewards-bugtopia_local.json"), JSON.stringify({ chainId: 43113 }));
+
+      expect(registryNetworkFor(43113, { dir: registryDir })).to.equal("avalanche_fuji");
+      expect(registryNetworkFor(1, { dir: registryDir })).to.equal(undefined);
+      expect(registryNetworkFor(68420, { network: "bugtopia_mainnet", dir: registryDir })).to.equal("bugtopia_mainnet");
+      expect(() => registryNetworkFor(68420, { dir: registryDir }))
+        .to.throw(RegistryMismatchError, "bugtopia_local, bugtopia_mainnet all record chain 68420; set BUGTOPIA_NETWORK");
+      expect(() => registryNetworkFor(43113, { network: "bugtopia_local", dir: registryDir }))
+        .to.throw(RegistryMismatchError, "was recorded on chain 68420");
+    });
+  });
+});
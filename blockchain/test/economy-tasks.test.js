@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { validateSplit, diffEconomy, readEconomy } = require("../utils/economy");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("economy tasks", function () {
+  silenceConsole();
+
+  it("shows fees, burn rates, the split and the treasury", async function () {
+    const { addresses: { bugtopiaL1: address }, treasury } = await loadFixture(deployFixture);
+
+    const state = await hre.run("economy:show", { address });
+
+    expect(state.treasury).to.equal(treasury.address);
+    expect(state.fees.breeding).to.equal(ethers.parseEther("0.001"));
+    expect(state.burnRates.governance).to.equal(2500n);
+    expect(state.fees.nft_minting).to.equal(0n);
+    expect([state.treasuryRatio, state.stakingRatio, state.burnRatio]).to.deep.equal([3000n, 4000n, 3000n]);
+  });
+
+  it("sets a fee and reports the before/after diff", async function () {
+    const { bugtopiaL1, addresses: { bugtopiaL1: address } } = await loadFixture(deployFixture);
+
+    const result = await hre.run("economy:set-fee", { address, utilityType: "breeding", amount: "0.0025" });
+
+    expect(result.diff).to.deep.equal([{ parameter: "fee.breeding", before: "0.001 BUG", after: "0.0025 BUG" }]);
+    expect(result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await bugtopiaL1.getUtilityFee("breeding")).to.equal(ethers.parseEther("0.0025"));
+  });
+
+  it("can introduce a fee for a type that has none", async function () {
+    const { bugtopiaL1, addresses: { bugtopiaL1: address } } = await loadFixture(deployFixture);
+
+    const result = await hre.run("economy:set-fee", { address, utilityType: "nft_minting", amount: "0.001" });
+
+    expect(result.diff).to.deep.equal([{ parameter: "fee.nft_minting", before: "0.0 BUG", after: "0.001 BUG" }]);
+    expect(await bugtopiaL1.getUtilityFee("nft_minting")).to.equal(ethers.parseEther("0.001"));
+  });
+
+  it("simulates with --dry-run without sending a transaction", async function () {
+    const { bugtopiaL1, addresses: { bugtopiaL1: address } } = await loadFixture(deployFixture);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const result = await hre.run("economy:set-burn", { address, activity: "arena_entry", rate: "2500", dryRun: true });
+
+    expect(result.dryRun).to.equal(true);
+    expect(result.txHash).to.equal(undefined);
+    expect(result.diff).to.deep.equal([{ parameter: "burnRate.arena_entry", before: "1000 bps", after: "2500 bps" }]);
+    expect(await bugtopiaL1.getBurnRate("arena_entry")).to.equal(1000n);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+
+  it("rejects burn rates the contract would reject", async function () {
+    const { addresses: { bugtopiaL1: address } } = await loadFixture(deployFixture);
+
+    const error = await hre.run("economy:set-burn", { address, activity: "breeding", rate: "5001" }).catch((err) => err);
+    expect(error.message).to.include("at most 5000 basis points");
+  });
+
+  it("sets the split and refuses splits that do not sum to 10000", async function () {
+    const { bugtopiaL1, addresses: { bugtopiaL1: address } } = await loadFixture(deployFixture);
+
+    const result = await hre.run("economy:set-split", { address, treasury: "2000", staking: "5000", burn: "3000" });
+    expect(result.diff.map(({ parameter }) => parameter)).to.deep.equal(["split.treasury", "split.staking"]);
+    expect(await bugtopiaL1.treasuryRatio()).to.equal(2000n);
+
+    const error = await hre.run("economy:set-split", { address, treasury: "2000", staking: "5000", burn: "2000", dryRun: true })
+      .catch((err) => err);
+    expect(error.message).to.include("Split must sum to 10000 basis points");
+    expect(await bugtopiaL1.stakingRatio()).to.equal(5000n);
+  });
+
+  it("updates the treasury", async function () {
+    const { bugtopiaL1, addresses: { bugtopiaL1: address }, others: [newTreasury] } = await loadFixture(deployFixture);
+
+    await hre.run("economy:set-treasury", { address, treasury: newTreasury.address.toLowerCase() });
+
+    expect(await bugtopiaL1.treasury()).to.equal(newTreasury.address);
+    const error = await hre.run("economy:set-treasury", { address, treasury: ethers.ZeroAddress }).catch((err) => err);
+    expect(error.message).to.include("Invalid treasury address");
+  });
+
+  it("stops before sending when the signer is not the owner", async function () {
+    const { bugtopiaL1, addresses: { bugtopiaL1: address }, player } = await loadFixture(deployFixture);
+    await bugtopiaL1.transferOwnership(player.address);
+
+    const error = await hre.run("economy:set-fee", { address, utilityType: "breeding", amount: "1" }).catch((err) => err);
+    expect(error.message).to.include("is not the BugtopiaL1 owner");
+  });
+
+  it("falls back to hardhat-deploy deployments when no address is given", async function () {
+    await hre.deployments.fixture(["l1"]);
+    const { address } = await hre.deployments.get("BugtopiaL1");
+
+    const state = await hre.run("economy:show", {});
+    const bugtopiaL1 = await ethers.getContractAt("BugtopiaL1", address);
+    expect(state).to.deep.equal(await readEconomy(bugtopiaL1, Object.keys(state.fees)));
+  });
+
+  describe("helpers", function () {
+    it("validates splits as whole basis points", function () {
+      expect(validateSplit("3000", "4000", "3000")).to.deep.equal({
+        treasuryRatio: 3000n,
+        stakingRatio: 4000n,
+        burnRatio: 3000n
+      });
+      expect(() => validateSplit("30.5", "4000", "3000")).to.throw(/whole number of basis points/);
+      expect(() => validateSplit("-1", "10001", "0")).to.throw(/whole number/);
+    });
+
+    it("diffs only the parameters that changed", function () {
+      const base = {
+        treasury: ethers.ZeroAddress,
+        treasuryRatio: 3000n,
+        stakingRatio: 4000n,
+        burnRatio: 3000n,
+        totalBugBurned: 0n,
+        stakingRewardsPool: 0n,
+        fees: { breeding: 1n },
+        burnRates: { breeding: 1500n }
+      };
+
+      expect(diffEconomy(base, { ...base, burnRates: { breeding: 1500n, arena_entry: 10n } })).to.deep.equal([
+        { parameter: "burnRate.arena_entry", before: undefined, after: "10 bps" }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * BugDNAMetadata inputs and the parity harness that runs them through both
+ * the deployed library and utils/bug-dna-metadata.js
+ */
+
+const {
+  generateMetadata,
+  generateDescription,
+  calculateEstimatedValue,
+  decodeMetadataURI,
+  validateMetadataJson
+} = require("../../utils/bug-dna-metadata");
+const { createRandom } = require("./collectibles");
+
+// Names the library pastes into JSON unescaped
+const HOSTILE_NAMES = ['Bug "Quoted"', "Back\\slash", "Line\nbreak", "Tab\there"];
+const NAMES = ["Skitter", "Mandible Prime", "Éclair 🐞", "", ...HOSTILE_NAMES];
+
+/**
+ * generateMetadata inputs; override any field
+ */
+function metadataInput(overrides = {}) {
+  return {
+    tokenId: 7n,
+    name: "Skitter",
+    description: "A fast carnivore",
+    speciesType: 1,
+    rarity: 2,
+    genetics: {
+      speed: 1200n,
+      visionRadius: 5000n,
+      energyEfficiency: 900n,
+      size: 1100n,
+      strength: 800n,
+      memoryCapacity: 600n,
+      stickiness: 300n,
+      camouflage: 450n,
+      aggression: 700n,
+      curiosity: 500n
+    },
+    movement: { wingSpan: 650n, divingDepth: 120n, climbingGrip: 420n, altitudePreference: 250n, pressureTolerance: 330n },
+    neural: { layerCount: 4n, totalNeurons: 96n, totalConnections: 1800n, complexityScore: 72n },
+    performance: {
+      generation: 12n,
+      fitnessScore: 8700n,
+      offspringCount: 5n,
+      survivalTime: 4400n,
+      tournamentWins: 3n,
+      territoryControlled: 2n
+    },
+    parentTokenIds: [1n, 2n],
+    geneticHash: "0x8f2a",
+    imageURI: "ipfs://bug/7.png",
+    ...overrides
+  };
+}
+
+// Values at and around the library's thresholds, plus random ones
+function pick(random, edges, max, min = 0) {
+  return BigInt(random.next() < 0.5 ? edges[random.int(0, edges.length - 1)] : random.int(min, max));
+}
+
+/**
+ * Deterministic inputs covering normalisation bounds, capability and
+ * altitude thresholds, every lineage shape, the energy underflow and names
+ * that break JSON
+ * @param {number} seed PRNG seed
+ * @param {number} count Number of inputs
+ */
+function generateMetadataInputs(seed, count) {
+  const random = createRandom(seed);
+  const inputs = [];
+  for (let i = 0; i < count; i++) {
+    inputs.push(metadataInput({
+      tokenId: BigInt(random.int(0, 5000000)),
+      name: NAMES[random.int(0, NAMES.length - 1)],
+      description: random.next() < 0.1 ? 'Says "hi"' : `Bug #${i}`,
+      speciesType: random.int(0, 3),
+      rarity: random.int(0, 4),
+      genetics: {
+        speed: pick(random, [0, 100, 101, 1999, 2000, 2001], 2500),
+        visionRadius: pick(random, [1000, 1001, 9999, 10000], 12000),
+        // Above 1500 reverts on chain
+        energyEfficiency: pick(random, [0, 500, 1000, 1500, 1501], 1600),
+        size: pick(random, [500, 501, 2000], 2500),
+        strength: pick(random, [200, 1500], 2000),
+        memoryCapacity: pick(random, [100, 1200], 1500),
+        stickiness: BigInt(random.int(0, 1000)),
+        camouflage: pick(random, [0, 1000], 1200),
+        aggression: pick(random, [0, 1, 999], 1200),
+        curiosity: BigInt(random.int(0, 1000))
+      },
+      movement: {
+        wingSpan: pick(random, [499, 500, 1000], 1200),
+        divingDepth: pick(random, [299, 300], 1200),
+        climbingGrip: pick(random, [399, 400], 1200),
+        altitudePreference: pick(random, [-501, -500, -499, 0, 1, 500, 501], 1500, -1500),
+        pressureTolerance: pick(random, [0, 1000], 1200)
+      },
+      neural: {
+        layerCount: BigInt(random.int(0, 12)),
+        totalNeurons: BigInt(random.int(0, 65535)),
+        totalConnections: BigInt(random.int(0, 100000)),
+        complexityScore: pick(random, [79, 80], 100)
+      },
+      performance: {
+        generation: pick(random, [0, 99, 100], 500),
+        fitnessScore: pick(random, [0, 8999, 9000, 9499, 9500, 10000], 12000),
+        offspringCount: BigInt(random.int(0, 40)),
+        survivalTime: BigInt(random.int(0, 100000)),
+        tournamentWins: pick(random, [0, 9, 10], 50),
+        territoryControlled: BigInt(random.int(0, 20))
+      },
+      parentTokenIds: Array.from({ length: random.int(0, 4) }, () => BigInt(random.int(0, 1000))),
+      geneticHash: `0x${i.toString(16).padStart(64, "0")}`
+    }));
+  }
+  return inputs;
+}
+
+async function outcome(fn) {
+  try {
+    return { value: await fn() };
+  } catch (error) {
+    return { reverted: true, error };
+  }
+}
+
+function same(a, b) {
+  if (a.reverted || b.reverted) return Boolean(a.reverted && b.reverted);
+  return a.value === b.value;
+}
+
+/**
+ * Run every input through the deployed library and the JS port and diff
+ * generateMetadata, generateDescription and calculateEstimatedValue
+ * @param {Object} library createMetadataLibrary() wrapper
+ * @param {Array<Object>} inputs Metadata inputs
+ * @returns {Promise<{total: number, reverted: number, mismatches: Array, invalidJson: Array}>}
+ */
+async function runMetadataParity(library, inputs) {
+  const report = { total: inputs.length, reverted: 0, mismatches: [], invalidJson: [] };
+
+  for (const [index, input] of inputs.entries()) {
+    for (const method of ["generateMetadata", "generateDescription", "calculateEstimatedValue"]) {
+      const port = { generateMetadata, generateDescription, calculateEstimatedValue }[method];
+      const onChain = await outcome(() => library[method](input));
+      const offChain = await outcome(() => port(input));
+      if (!same(onChain, offChain)) {
+        report.mismatches.push({ index, method, onChain, offChain });
+      }
+      if (method !== "generateMetadata") continue;
+
+      if (onChain.reverted) {
+        report.reverted++;
+        continue;
+      }
+      const json = decodeMetadataURI(onChain.value);
+      const { valid, error } = validateMetadataJson(json);
+      if (!valid) report.invalidJson.push({ index, name: input.name, description: input.description, error });
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  HOSTILE_NAMES,
+  metadataInput,
+  generateMetadataInputs,
+  runMetadataParity
+};
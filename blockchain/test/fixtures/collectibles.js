@@ -0,0 +1,92 @@
+/**
+ * Bug DNA and Territory fixtures for BugtopiaCollectibles tests
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * BugDNAData for mintBugDNA; override any field
+ */
+function bugDNA(overrides = {}) {
+  return {
+    species: 1,
+    neuralLayers: 3,
+    fitness: 80,
+    arenaWins: 12,
+    lineage: 4,
+    biomeSpecialization: 2,
+    parentId1: 0,
+    parentId2: 0,
+    geneticHash: ethers.id(JSON.stringify(overrides)),
+    birthTimestamp: 1700000000,
+    survivalDays: 120,
+    ...overrides
+  };
+}
+
+/**
+ * TerritoryData for mintTerritory; override any field
+ */
+function territory(overrides = {}) {
+  return {
+    minX: 0,
+    maxX: 32,
+    minY: 0,
+    maxY: 16,
+    minZ: 0,
+    maxZ: 24,
+    biomeType: 2,
+    resourceAbundance: 70,
+    safetyRating: 60,
+    carryingCapacity: 400,
+    populationCount: 85,
+    stakeholders: [],
+    ...overrides
+  };
+}
+
+// Mirrors BugtopiaCollectibles._calculateBugRarity
+function expectedBugRarity({ fitness, arenaWins, survivalDays, neuralLayers }) {
+  const layers = BigInt(neuralLayers);
+  let rarity = 50n;
+  rarity += BigInt(fitness) / 4n;
+  rarity += (BigInt(arenaWins) * 20n) / 100n;
+  rarity += (BigInt(survivalDays) * 15n) / 365n;
+  rarity += layers > 3n ? 10n : layers * 3n;
+  return rarity > 100n ? 100n : rarity;
+}
+
+// Mirrors BugtopiaCollectibles._calculateTerritoryRarity
+function expectedTerritoryRarity({ resourceAbundance, safetyRating, carryingCapacity }) {
+  let rarity = 30n;
+  rarity += (BigInt(resourceAbundance) * 30n) / 100n;
+  rarity += (BigInt(safetyRating) * 25n) / 100n;
+  rarity += (BigInt(carryingCapacity) * 15n) / 1000n;
+  return rarity > 100n ? 100n : rarity;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) for property-style sweeps
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1))
+  };
+}
+
+module.exports = {
+  bugDNA,
+  territory,
+  expectedBugRarity,
+  expectedTerritoryRarity,
+  createRandom
+};
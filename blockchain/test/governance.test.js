@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createBugtopiaClient } = require("../sdk");
+const { bugDNA } = require("./fixtures/collectibles");
+const {
+  GovernanceError,
+  buildAction,
+  signVote,
+  addVote,
+  tallyProposal,
+  executeProposal,
+  readGovernanceStore
+} = require("../utils/governance");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Governance", function () {
+  async function votersFixture() {
+    const { bugtopiaL1, addresses, deployer, player: proposer } = await deployFixture();
+    const client = createBugtopiaClient({ runner: deployer, addresses });
+
+    // Voters only sign, so their balances stay exactly what they were funded with
+    const voters = [];
+    for (const amount of ["600", "300", "50"]) {
+      const wallet = ethers.Wallet.createRandom(ethers.provider);
+      await deployer.sendTransaction({ to: wallet.address, value: ethers.parseEther(amount) });
+      voters.push(wallet);
+    }
+    await client.mintBugDNA(bugDNA(), { to: voters[2].address });
+    return { bugtopiaL1, address: addresses.bugtopiaL1, collectiblesAddress: addresses.collectibles, client, deployer, proposer, voters };
+  }
+
+  silenceConsole();
+  let dir;
+  let store;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-governance-"));
+    store = path.join(dir, "governance.json");
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function propose({ address, collectiblesAddress, proposer }, overrides = {}) {
+    return hre.run("governance:propose", {
+      action: "updateBurnRate",
+      args: ["governance_proposal", "2500"],
+      title: "Burn a quarter of proposal fees",
+      votingPeriod: 24 * 60 * 60,
+      executionDelay: 24 * 60 * 60,
+      quorum: "1000",
+      address,
+      collectibles: collectiblesAddress,
+      from: proposer.address,
+      store,
+      ...overrides
+    });
+  }
+
+  async function castSigned(signer, proposal, support, options = {}) {
+    const file = path.join(dir, `vote-${signer.address}-${support}.json`);
+    fs.writeFileSync(file, JSON.stringify(await signVote(signer, proposal, { support, ...options })));
+    return hre.run("governance:vote", { proposal: proposal.id.slice(0, 12), signed: file, address: proposal.bugtopiaL1, store });
+  }
+
+  it("runs a paid proposal through signed votes, a snapshot tally and delayed execution", async function () {
+    const fixture = await loadFixture(votersFixture);
+    const { bugtopiaL1, address, deployer, proposer, voters } = fixture;
+    const fee = await bugtopiaL1.getUtilityFee("governance_proposal");
+
+    const proposal = await propose(fixture);
+
+    const payment = await ethers.provider.getTransaction(proposal.payment.txHash);
+    expect(payment.from).to.equal(proposer.address);
+    expect(payment.value).to.equal(fee);
+    expect(payment.data.endsWith(proposal.termsHash.slice(2))).to.equal(true);
+    expect(proposal.snapshotBlock).to.equal(proposal.payment.blockNumber);
+    expect(proposal.action).to.include({ method: "updateBurnRate", calldata: buildAction("updateBurnRate", ["governance_proposal", "2500"]).calldata });
+
+    // Funds that arrive after the snapshot do not vote
+    await deployer.sendTransaction({ to: voters[1].address, value: ethers.parseEther("1000") });
+
+    expect((await castSigned(voters[0], proposal, "for", { reason: "burn it" })).result).to.equal("added");
+    await castSigned(voters[1], proposal, "against");
+    await castSigned(voters[2], proposal, "against");
+    await hre.run("governance:vote", { proposal: proposal.id, support: "abstain", from: proposer.address, address, store });
+
+    const early = await hre.run("governance:tally", { proposal: proposal.id, address, store }).catch((err) => err);
+    expect(early.message).to.include("is open until");
+
+    await time.increaseTo(proposal.votingEndsAt + 1);
+    // Signed with a timestamp inside voting, but received after it closed
+    const late = await castSigned(deployer, proposal, "for", { timestamp: proposal.createdAt + 1 }).catch((err) => err);
+    expect(late.message).to.include(`Voting on ${proposal.id} closed`);
+
+    const tally = await hre.run("governance:tally", { proposal: proposal.id, address, store });
+    const proposerBalance = await ethers.provider.getBalance(proposer.address, proposal.snapshotBlock);
+    expect(tally).to.include({
+      for: ethers.parseEther("600").toString(),
+      against: ethers.parseEther("360").toString(),
+      abstain: proposerBalance.toString(),
+      quorumReached: true,
+      passed: true
+    });
+    const byVoter = Object.fromEntries(tally.votes.map(({ voter, weight, nfts }) => [voter, [weight, nfts]]));
+    expect(byVoter[voters[1].address]).to.deep.equal([ethers.parseEther("300").toString(), "0"]);
+    expect(byVoter[voters[2].address]).to.deep.equal([ethers.parseEther("60").toString(), "1"]);
+
+    const tooSoon = await hre.run("governance:execute", { proposal: proposal.id, address, store }).catch((err) => err);
+    expect(tooSoon.message).to.include("can be executed from");
+
+    await time.increaseTo(proposal.executableAt);
+    const dryRun = await hre.run("governance:execute", { proposal: proposal.id, address, store, dryRun: true });
+    expect(dryRun.diff).to.deep.equal([{ parameter: "burnRate.governance_proposal", before: "0 bps", after: "2500 bps" }]);
+    expect(await bugtopiaL1.getBurnRate("governance_proposal")).to.equal(0n);
+
+    const executed = await hre.run("governance:execute", { proposal: proposal.id, address, store });
+    expect(executed.executed).to.equal(true);
+    expect(await bugtopiaL1.getBurnRate("governance_proposal")).to.equal(2500n);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const saved = readGovernanceStore(store, { chainId, bugtopiaL1: address }).proposals[proposal.id];
+    expect(saved.execution).to.include({ status: "confirmed", transactionHash: executed.txHash, executor: deployer.address });
+    expect(saved.votes.map(({ voter }) => voter)).to.deep.equal(
+      [...voters.map(({ address: voter }) => voter), proposer.address].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1))
+    );
+
+    const again = await hre.run("governance:execute", { proposal: proposal.id, address, store }).catch((err) => err);
+    expect(again.message).to.include(`was already executed in ${executed.txHash}`);
+  });
+
+  it("rejects forged votes, tampered proposals and unpassed proposals, and tallies the same in any order", async function () {
+    const fixture = await loadFixture(votersFixture);
+    const { client, voters } = fixture;
+    const { provider } = ethers;
+    const proposal = await propose(fixture);
+
+    const forged = { ...(await signVote(voters[1], proposal, { support: "for" })), voter: voters[0].address };
+    const error = await addVote(provider, proposal, forged).catch((err) => err);
+    expect(error).to.be.instanceOf(GovernanceError);
+    expect(error.message).to.match(new RegExp(`Vote by ${voters[0].address} is signed by 0x`));
+
+    const first = await signVote(voters[0], proposal, { support: "for" });
+    const changed = await signVote(voters[0], proposal, { support: "against", timestamp: first.timestamp + 1 });
+    expect(await addVote(provider, proposal, first)).to.equal("added");
+    const firstRecord = { ...proposal.votes[0] };
+    expect(firstRecord.receivedAt).to.equal(await time.latest());
+    expect(await addVote(provider, proposal, changed)).to.equal("replaced");
+    const stale = await addVote(provider, proposal, first).catch((err) => err);
+    expect(stale.message).to.include("only a later vote replaces it");
+    await addVote(provider, proposal, await signVote(voters[1], proposal, { support: "for" }));
+
+    await time.increaseTo(proposal.votingEndsAt + 1);
+    const tally = await tallyProposal(provider, proposal);
+    const reversed = await tallyProposal(provider, { ...proposal, votes: [...proposal.votes].reverse() });
+    expect(reversed).to.deep.equal(tally);
+    // Merging in an older vote does not change the count
+    expect(await tallyProposal(provider, { ...proposal, votes: [firstRecord, ...proposal.votes] })).to.deep.equal(tally);
+    // The receive time counts, not the signed timestamp the voter picked
+    const late = proposal.votes.map((vote) => (vote.voter === voters[1].address ? { ...vote, receivedAt: proposal.votingEndsAt + 1 } : vote));
+    const lateError = await tallyProposal(provider, { ...proposal, votes: late }).catch((err) => err);
+    expect(lateError.issues).to.deep.equal([
+      `Vote by ${voters[1].address} was received ${new Date((proposal.votingEndsAt + 1) * 1000).toISOString()}, outside voting ` +
+      `(${new Date(proposal.createdAt * 1000).toISOString()} to ${new Date(proposal.votingEndsAt * 1000).toISOString()})`
+    ]);
+    expect(tally).to.include({ against: ethers.parseEther("600").toString(), quorumReached: false, passed: false });
+
+    await time.increaseTo(proposal.executableAt);
+    const missed = await executeProposal(client, proposal).catch((err) => err);
+    expect(missed.message).to.include("did not pass: it missed quorum");
+
+    const tampered = {
+      ...proposal,
+      action: buildAction("updateBurnRate", ["governance_proposal", "5000"])
+    };
+    const mismatch = await tallyProposal(provider, tampered).catch((err) => err);
+    expect(mismatch.message).to.include(`Proposal ${proposal.id} does not match the chain`);
+    expect(mismatch.issues).to.include("payment calldata does not commit to these terms");
+
+    const unruly = await tallyProposal(provider, { ...proposal, quorum: "0", nftWeight: ethers.parseEther("1000").toString() })
+      .catch((err) => err);
+    expect(unruly.issues).to.include.members([
+      "the quorum must be at least 1000.0 BUG (got 0.0)",
+      "the NFT weight must be 10.0 BUG (got 1000.0)"
+    ]);
+
+    expect(() => buildAction("updateTreasury", [voters[0].address])).to.throw(GovernanceError, "Proposals can only call");
+    expect(() => buildAction("updateBurnRate", ["arena_entry", "6000"])).to.throw(GovernanceError, "at most 5000 basis points");
+    expect(() => buildAction("updateFeeDistribution", ["3000", "3000"])).to.throw(GovernanceError, "takes <treasury bps>");
+  });
+
+  it("refuses proposals below the governance rules before paying the fee", async function () {
+    const fixture = await loadFixture(votersFixture);
+    const nonce = await fixture.proposer.getNonce();
+
+    const error = await propose(fixture, { votingPeriod: 0, executionDelay: 60, quorum: "0" }).catch((err) => err);
+    expect(error.message).to.include("The proposal breaks the governance rules");
+    for (const issue of [
+      "the voting period must be at least 86400 seconds (got 0)",
+      "the execution delay must be at least 86400 seconds (got 60)",
+      "the quorum must be at least 1000.0 BUG (got 0.0)"
+    ]) {
+      expect(error.message).to.include(issue);
+    }
+    expect(await fixture.proposer.getNonce()).to.equal(nonce);
+    expect(fs.existsSync(store)).to.equal(false);
+  });
+});
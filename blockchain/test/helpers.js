@@ -0,0 +1,47 @@
+/**
+ * Helpers shared by the task and service tests
+ */
+
+const { ethers } = require("hardhat");
+const { METADATA_URI } = require("../helper-hardhat-config");
+
+/**
+ * Deploy BugtopiaL1 (paying the second account as treasury) and
+ * BugtopiaCollectibles on top of it. Pass to loadFixture, or call from a
+ * file's own fixture that builds on it.
+ * @returns {Promise<Object>} bugtopiaL1, collectibles, their addresses, the
+ *   deployer, treasury and player signers, and the other signers
+ */
+async function deployFixture() {
+  const [deployer, treasury, player, ...others] = await ethers.getSigners();
+  const bugtopiaL1 = await (await ethers.getContractFactory("BugtopiaL1")).deploy(treasury.address);
+  const collectibles = await (await ethers.getContractFactory("BugtopiaCollectibles"))
+    .deploy(await bugtopiaL1.getAddress(), METADATA_URI);
+  const addresses = { bugtopiaL1: await bugtopiaL1.getAddress(), collectibles: await collectibles.getAddress() };
+  return { bugtopiaL1, collectibles, addresses, deployer, treasury, player, others };
+}
+
+/**
+ * Keep task and service output out of the test report: replaces the given
+ * console methods with no-ops around every test of the enclosing describe
+ * @param {...string} methods Console methods (default: log and warn)
+ */
+function silenceConsole(...methods) {
+  const names = methods.length > 0 ? methods : ["log", "warn"];
+  const saved = {};
+  beforeEach(function () {
+    for (const name of names) {
+      saved[name] = console[name];
+      console[name] = () => {};
+    }
+  });
+  afterEach(function () {
+    for (const name of names) console[name] = saved[name];
+  });
+}
+
+module.exports = {
+  METADATA_URI,
+  deployFixture,
+  silenceConsole
+};
@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  openIndexDatabase,
+  createIndexer,
+  getBurnHistory,
+  getBurnTotalsByUtility,
+  getHolderBalances,
+  getStakingTimeline
+} = require("../services/indexer");
+const { territory } = require("./fixtures/collectibles");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Event indexer", function () {
+  // Indexing starts at the deployment, with one territory minted to the player
+  async function indexedFixture() {
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const { bugtopiaL1, collectibles, addresses, deployer, player } = await deployFixture();
+    await collectibles.mintTerritory(player.address, territory());
+    const burn = (amount, reason) => bugtopiaL1.connect(player).burnBug(ethers.parseEther(amount), reason, { value: ethers.parseEther(amount) });
+    return { bugtopiaL1, collectibles, addresses, startBlock, deployer, player, burn };
+  }
+
+  silenceConsole();
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-indexer-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function openIndexer({ addresses, startBlock }, options = {}) {
+    const database = await openIndexDatabase(path.join(dir, "index.sqlite"));
+    const indexer = createIndexer({ provider: ethers.provider, addresses, database, startBlock, ...options });
+    return { database, indexer };
+  }
+
+  function storedBlocks(database) {
+    const [result] = database.db.exec("SELECT number FROM blocks ORDER BY number");
+    return result ? result.values.map(([number]) => number) : [];
+  }
+
+  it("answers burn totals per utility, holder balances and a territory's staking timeline", async function () {
+    const fixture = await loadFixture(indexedFixture);
+    const { collectibles, deployer, player, burn } = fixture;
+    await burn("1", "arena_entry");
+    await burn("0.5", "breeding");
+    await burn("2", "arena_entry");
+    await collectibles.connect(player).stakeOnTerritory(1000000, { value: ethers.parseEther("3") });
+    await collectibles.connect(deployer).stakeOnTerritory(1000000, { value: ethers.parseEther("1") });
+    await collectibles.connect(player).unstakeFromTerritory(1000000, ethers.parseEther("2"));
+    await collectibles.connect(player).safeTransferFrom(player.address, deployer.address, 1000000, 1, "0x");
+
+    const { database, indexer } = await openIndexer(fixture);
+    const result = await indexer.syncOnce();
+    expect(result).to.include({ fromBlock: fixture.startBlock, toBlock: await ethers.provider.getBlockNumber() });
+
+    expect(getBurnTotalsByUtility(database)).to.deep.equal({
+      arena_entry: ethers.parseEther("3"),
+      breeding: ethers.parseEther("0.5")
+    });
+    const arena = getBurnHistory(database, { utilityType: "arena_entry" });
+    expect(arena.map(({ amount }) => amount)).to.deep.equal([ethers.parseEther("1").toString(), ethers.parseEther("2").toString()]);
+    expect(arena[0].burner).to.equal(player.address);
+    expect(arena[0].timestamp).to.equal((await ethers.provider.getBlock(arena[0].block_number)).timestamp);
+
+    expect(getHolderBalances(database, player.address)).to.deep.equal({});
+    expect(getHolderBalances(database, deployer.address)).to.deep.equal({ 1000000: 1n });
+
+    const timeline = getStakingTimeline(database, 1000000);
+    expect(timeline.map(({ staker, action, totalStaked }) => [staker, action, totalStaked])).to.deep.equal([
+      [player.address, "stake", ethers.parseEther("3")],
+      [deployer.address, "stake", ethers.parseEther("4")],
+      [player.address, "unstake", ethers.parseEther("2")]
+    ]);
+    database.close();
+  });
+
+  it("resumes after the last processed block when restarted", async function () {
+    const fixture = await loadFixture(indexedFixture);
+    await fixture.burn("1", "arena_entry");
+
+    let { database, indexer } = await openIndexer(fixture);
+    await indexer.syncOnce();
+    const lastBlock = indexer.lastProcessedBlock();
+    database.close();
+
+    await fixture.burn("2", "neural_boost");
+    await mine(3);
+    ({ database, indexer } = await openIndexer(fixture, { startBlock: 0 }));
+    expect(indexer.lastProcessedBlock()).to.equal(lastBlock);
+    const result = await indexer.syncOnce();
+    expect(result.fromBlock).to.equal(lastBlock + 1);
+    expect(result.events).to.equal(1);
+    expect(await indexer.syncOnce()).to.equal(null);
+
+    expect(getBurnTotalsByUtility(database)).to.deep.equal({
+      arena_entry: ethers.parseEther("1"),
+      neural_boost: ethers.parseEther("2")
+    });
+    database.close();
+  });
+
+  it("rolls back rows from reorged blocks and indexes the replacement chain", async function () {
+    const fixture = await loadFixture(indexedFixture);
+    const { collectibles, player, burn } = fixture;
+    await burn("1", "arena_entry");
+    const forkBlock = await ethers.provider.getBlockNumber();
+    const snapshotId = await hre.network.provider.send("evm_snapshot");
+
+    await burn("5", "breeding");
+    await collectibles.connect(player).stakeOnTerritory(1000000, { value: ethers.parseEther("1") });
+    const { database, indexer } = await openIndexer(fixture);
+    await indexer.syncOnce();
+    expect(getBurnTotalsByUtility(database)).to.have.property("breeding");
+
+    // Fork at forkBlock: the indexed blocks above it are replaced by a longer chain
+    await hre.network.provider.send("evm_revert", [snapshotId]);
+    await burn("0.25", "mutation_catalyst");
+    await mine(4);
+
+    expect(await indexer.detectReorg()).to.equal(forkBlock);
+    expect(indexer.lastProcessedBlock()).to.equal(forkBlock);
+    expect(getStakingTimeline(database, 1000000)).to.deep.equal([]);
+
+    const result = await indexer.syncOnce();
+    expect(result).to.include({ fromBlock: forkBlock + 1, toBlock: forkBlock + 5, events: 1 });
+    expect(getBurnTotalsByUtility(database)).to.deep.equal({
+      arena_entry: ethers.parseEther("1"),
+      mutation_catalyst: ethers.parseEther("0.25")
+    });
+    expect(await indexer.detectReorg()).to.equal(null);
+    database.close();
+  });
+
+  it("fetches a range again when its logs come from a fork the chain has left", async function () {
+    const fixture = await loadFixture(indexedFixture);
+    const snapshotId = await hre.network.provider.send("evm_snapshot");
+    await fixture.burn("5", "breeding");
+    let staleLogs = await ethers.provider.getLogs({ address: Object.values(fixture.addresses), fromBlock: fixture.startBlock });
+
+    // The same block number on the new fork holds a different burn
+    await hre.network.provider.send("evm_revert", [snapshotId]);
+    await fixture.burn("0.25", "mutation_catalyst");
+    let staleResponses = 1;
+    const provider = {
+      getNetwork: () => ethers.provider.getNetwork(),
+      getBlockNumber: () => ethers.provider.getBlockNumber(),
+      getBlock: (blockNumber) => ethers.provider.getBlock(blockNumber),
+      getLogs: (filter) => {
+        if (staleResponses === 0) return ethers.provider.getLogs(filter);
+        staleResponses--;
+        return staleLogs.filter(({ blockNumber }) => blockNumber >= filter.fromBlock && blockNumber <= filter.toBlock);
+      }
+    };
+
+    const { database, indexer } = await openIndexer(fixture, { provider });
+    await indexer.syncOnce();
+    expect(getBurnTotalsByUtility(database)).to.deep.equal({ mutation_catalyst: ethers.parseEther("0.25") });
+
+    // A node that keeps answering from another fork stops the sync
+    const lastBlock = indexer.lastProcessedBlock();
+    await fixture.burn("1", "arena_entry");
+    staleLogs = (await ethers.provider.getLogs({ address: Object.values(fixture.addresses), fromBlock: lastBlock + 1 }))
+      .map((log) => ({ ...log, blockHash: ethers.ZeroHash }));
+    staleResponses = 3;
+
+    const error = await indexer.syncOnce().catch((err) => err);
+    expect(error.message).to.match(
+      new RegExp(`^Logs for block ${lastBlock + 1} still carry hash ${ethers.ZeroHash}, but the chain has 0x[0-9a-f]{64} after 3 attempts`)
+    );
+    expect(indexer.lastProcessedBlock()).to.equal(lastBlock);
+    expect(getBurnTotalsByUtility(database)).to.not.have.property("arena_entry");
+    database.close();
+  });
+
+  it("keeps only the last reorgDepth block hashes and the timestamps of blocks with events", async function () {
+    const fixture = await loadFixture(indexedFixture);
+    await fixture.burn("1", "arena_entry");
+    const burnBlock = await ethers.provider.getBlockNumber();
+    await mine(20);
+
+    const { database, indexer } = await openIndexer(fixture, { reorgDepth: 4, batchSize: 8 });
+    await indexer.syncOnce();
+    const head = await ethers.provider.getBlockNumber();
+    expect(storedBlocks(database)).to.deep.equal([head - 3, head - 2, head - 1, head]);
+    expect(getBurnHistory(database)[0].timestamp).to.equal((await ethers.provider.getBlock(burnBlock)).timestamp);
+
+    await mine(2);
+    await indexer.syncOnce();
+    expect(storedBlocks(database)).to.deep.equal([head - 1, head, head + 1, head + 2]);
+    database.close();
+  });
+
+  it("refuses to guess when the reorg is deeper than the tracked blocks", async function () {
+    const fixture = await loadFixture(indexedFixture);
+    const snapshotId = await hre.network.provider.send("evm_snapshot");
+    await mine(6);
+
+    const { database, indexer } = await openIndexer(fixture, { reorgDepth: 3 });
+    await indexer.syncOnce();
+    await hre.network.provider.send("evm_revert", [snapshotId]);
+    await fixture.burn("1", "breeding");
+    await mine(8);
+
+    const error = await indexer.syncOnce().catch((err) => err);
+    expect(error.message).to.include("Reorg deeper than the 3 tracked blocks");
+    database.close();
+  });
+});
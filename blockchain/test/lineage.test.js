@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createBugtopiaClient } = require("../sdk");
+const { bugDNA } = require("./fixtures/collectibles");
+const {
+  buildLineageGraph,
+  focusLineage,
+  lineageStats,
+  lineageDot,
+  lineageGedcom
+} = require("../utils/lineage");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+function record(tokenId, parentIds, arenaWins, generation = 0) {
+  return {
+    tokenId: String(tokenId),
+    name: `Bug #${tokenId}`,
+    source: "mintBugDNA",
+    parentIds: parentIds.map(String),
+    stats: { arenaWins: String(arenaWins), generation: String(generation) },
+    geneticHash: null,
+    birthTimestamp: 1700000000
+  };
+}
+
+describe("Bug DNA lineage", function () {
+  silenceConsole();
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-lineage-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("links parents, computes founder shares, inbreeding and arena lineages, and exports DOT and GEDCOM", function () {
+    // 5 is the offspring of full siblings 3 and 4; 6 is 5's clone
+    const graph = buildLineageGraph([
+      record(6, [5, 0], 2, 3),
+      record(1, [0, 0], 10),
+      record(2, [0, 0], 1),
+      record(3, [1, 2], 5, 1),
+      record(4, [1, 2], 0, 1),
+      record(5, [3, 4], 20, 2),
+      record(7, [9, 0], 30),
+      record(8, [8, 0], 0)
+    ]);
+
+    expect(graph.tokens.map(({ tokenId, parents }) => [tokenId, parents])).to.deep.equal([
+      ["1", []], ["2", []], ["3", ["1", "2"]], ["4", ["1", "2"]], ["5", ["3", "4"]], ["6", ["5"]], ["7", []], ["8", []]
+    ]);
+    expect(graph.issues).to.deep.equal([
+      "Bug #7: parent 9 is not a crawled Bug DNA token",
+      "Bug #8: parent 8 was minted after it"
+    ]);
+
+    const stats = lineageStats(graph);
+    expect([stats.founders, stats.currentTokens]).to.deep.equal([4, 3]);
+    // Current tokens are 6, 7 and 8: 6 is half 1 and half 2
+    expect(stats.founderContribution).to.deep.equal([
+      { founder: "7", share: 0.333333 },
+      { founder: "8", share: 0.333333 },
+      { founder: "1", share: 0.166667 },
+      { founder: "2", share: 0.166667 }
+    ]);
+    expect(stats.inbreeding.byToken).to.deep.equal({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0.25, 6: 0.25, 7: 0, 8: 0 });
+    expect(stats.inbreeding.max).to.deep.equal({ tokenId: "5", coefficient: 0.25 });
+    expect(stats.lineages).to.deep.equal([
+      { founder: "1", members: 5, arenaWins: "37" },
+      { founder: "7", members: 1, arenaWins: "30" },
+      { founder: "2", members: 5, arenaWins: "28" },
+      { founder: "8", members: 1, arenaWins: "0" }
+    ]);
+    expect(stats.mostArenaWins.founder).to.equal("1");
+    expect(stats.strongestLine).to.deep.equal({ tokens: ["1", "3", "5", "6"], arenaWins: "37" });
+
+    const focused = focusLineage(graph, 4);
+    // 3 is not related to 4 by descent but is 5's other parent
+    expect(focused.tokens.map(({ tokenId }) => tokenId)).to.deep.equal(["1", "2", "3", "4", "5", "6"]);
+    expect(lineageStats(focused).inbreeding.byToken).to.deep.equal({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0.25, 6: 0.25 });
+
+    const dot = lineageDot(graph);
+    expect(dot).to.match(/^digraph bugtopia_lineage \{/);
+    expect(dot).to.include('"5" [label="Bug #5\\ngen 2 · 20 wins · fitness ?"];');
+    expect(dot).to.include('"3" -> "5";');
+
+    const gedcom = lineageGedcom(graph, { chainId: 31337 }).split("\n");
+    expect(gedcom.slice(0, 2)).to.deep.equal(["0 HEAD", "1 SOUR BUGTOPIA"]);
+    const family = gedcom.indexOf("0 @F1@ FAM");
+    expect(gedcom.slice(family, family + 5)).to.deep.equal(["0 @F1@ FAM", "1 HUSB @I1@", "1 WIFE @I2@", "1 CHIL @I3@", "1 CHIL @I4@"]);
+    const clone = gedcom.indexOf("0 @F3@ FAM");
+    expect(gedcom.slice(clone, clone + 3)).to.deep.equal(["0 @F3@ FAM", "1 HUSB @I5@", "1 CHIL @I6@"]);
+    expect(gedcom).to.include("2 DATE 14 NOV 2023");
+    expect(gedcom[gedcom.length - 2]).to.equal("0 TRLR");
+  });
+
+  it("keeps the other parents of a focused token's descendants so its stats and exports work", function () {
+    const graph = buildLineageGraph([record(1, [0, 0], 3), record(2, [0, 0], 1), record(3, [1, 2], 2, 1), record(4, [0, 0], 0)]);
+
+    const focused = focusLineage(graph, 1);
+    expect(focused.tokens.map(({ tokenId, parents, children }) => [tokenId, parents, children])).to.deep.equal([
+      ["1", [], ["3"]], ["2", [], ["3"]], ["3", ["1", "2"], []]
+    ]);
+    const stats = lineageStats(focused);
+    expect(stats.founderContribution).to.deep.equal([{ founder: "1", share: 0.5 }, { founder: "2", share: 0.5 }]);
+    expect(stats.inbreeding.byToken).to.deep.equal({ 1: 0, 2: 0, 3: 0 });
+    expect(lineageDot(focused)).to.include('"2" -> "3";');
+    expect(lineageGedcom(focused, { chainId: 31337 })).to.include("1 CHIL @I3@");
+  });
+
+  it("crawls minted tokens, recovering parents from calldata, and exports by file extension", async function () {
+    async function familyFixture() {
+      const { addresses: { collectibles: address }, deployer, player } = await deployFixture();
+      const client = createBugtopiaClient({ runner: deployer, addresses: { collectibles: address } });
+
+      // Token 0 cannot be a parent: parentId 0 means none
+      await client.mintBugDNA(bugDNA({ arenaWins: 1 }));
+      await client.mintBugDNA(bugDNA({ arenaWins: 4 }));
+      await client.mintBugDNA(bugDNA({ arenaWins: 2 }));
+      await client.mintBugDNA(bugDNA({ arenaWins: 7, lineage: 1, parentId1: 1, parentId2: 2 }), { to: player.address });
+      await client.mintBugDNA(bugDNA({ arenaWins: 3, lineage: 2, parentId1: 3, parentId2: 2 }));
+      await client.batchMint([0], [1]);
+      return { address };
+    }
+    const { address } = await loadFixture(familyFixture);
+
+    const out = path.join(dir, "lineage.ged");
+    const { graph, stats, format } = await hre.run("nft:lineage", { address, out });
+
+    expect(format).to.equal("gedcom");
+    expect(graph.tokens.map(({ tokenId, parents, source }) => [tokenId, parents, source])).to.deep.equal([
+      ["0", [], "mintBugDNA"],
+      ["1", [], "mintBugDNA"],
+      ["2", [], "mintBugDNA"],
+      ["3", ["1", "2"], "mintBugDNA"],
+      ["4", ["3", "2"], "mintBugDNA"],
+      ["5", [], "batchMint"]
+    ]);
+    expect(graph.tokens[3].stats).to.include({ arenaWins: "7", generation: "1" });
+    expect(graph.issues).to.deep.equal(["Bug #5: minted by batchMint, parents unknown"]);
+    expect(stats.strongestLine).to.deep.equal({ tokens: ["1", "3", "4"], arenaWins: "14" });
+    expect(stats.inbreeding.byToken["4"]).to.equal(0.25);
+    expect(fs.readFileSync(out, "utf8")).to.include("1 FAMC @F2@");
+
+    const json = path.join(dir, "focus.json");
+    await hre.run("nft:lineage", { address, token: "3", out: json });
+    const exported = JSON.parse(fs.readFileSync(json, "utf8"));
+    expect(exported).to.include({ focus: "3", collectibles: address });
+    expect(exported.tokens.map(({ tokenId }) => tokenId)).to.deep.equal(["1", "2", "3", "4"]);
+    expect(exported.stats.mostArenaWins).to.deep.equal({ founder: "1", members: 3, arenaWins: "14" });
+  });
+});
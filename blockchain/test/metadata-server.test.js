@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const http = require("http");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createBugtopiaClient } = require("../sdk");
+const {
+  formatTokenId,
+  parseMetadataPath,
+  parseImagePath,
+  createMetadataCache,
+  buildMetadata,
+  createMetadataServer
+} = require("../services/metadata-server");
+const { bugDNA } = require("./fixtures/collectibles");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+const TERRITORY_ID = "00000000000000000000000000000000000000000000000000000000000f4240";
+
+function request(url, method = "GET") {
+  return new Promise((resolve, reject) => {
+    http.request(url, { method }, (res) => {
+      let body = "";
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on("error", reject).end();
+  });
+}
+
+describe("Metadata server", function () {
+  describe("token ids", function () {
+    it("formats ids as zero-padded lowercase hex and rejects ids outside uint256", function () {
+      expect(formatTokenId(1000000)).to.equal(TERRITORY_ID);
+      expect(formatTokenId("1000000")).to.equal(TERRITORY_ID);
+      expect(formatTokenId(ethers.MaxUint256)).to.equal("f".repeat(64));
+      expect(() => formatTokenId(-1n)).to.throw(RangeError, "Token ID -1 is not a uint256");
+      expect(() => formatTokenId(ethers.MaxUint256 + 1n)).to.throw(RangeError, "is not a uint256");
+    });
+
+    it("parses /metadata/{id}.json and /image/{id}.svg paths", function () {
+      expect(parseMetadataPath(`/metadata/${TERRITORY_ID}.json`)).to.equal(1000000n);
+      expect(parseMetadataPath("/metadata/0xF4240.json")).to.equal(1000000n);
+      expect(parseMetadataPath(`/metadata/${"f".repeat(64)}.json`)).to.equal(ethers.MaxUint256);
+      expect(parseImagePath(`/image/${TERRITORY_ID}.svg`)).to.equal(1000000n);
+    });
+
+    it("returns null for bad hex, ids longer than uint256 and other paths", function () {
+      for (const pathname of [
+        "/metadata/0xzz.json",
+        "/metadata/-1.json",
+        "/metadata/.json",
+        `/metadata/1${"0".repeat(64)}.json`,
+        `/metadata/${TERRITORY_ID}.svg`,
+        `/metadata/${TERRITORY_ID}.json/extra`,
+        `/image/${TERRITORY_ID}.json`,
+        "/"
+      ]) {
+        expect(parseMetadataPath(pathname), pathname).to.equal(null);
+      }
+      expect(parseImagePath("/image/0xg.svg")).to.equal(null);
+    });
+  });
+
+  describe("cache", function () {
+    it("expires entries after the TTL and invalidates by any spelling of the id", function () {
+      let now = 1000;
+      const cache = createMetadataCache({ ttlMs: 50, now: () => now });
+      cache.set(1000000n, { name: "Territory #1000000" });
+      cache.set(5, null);
+
+      expect(cache.get("1000000")).to.deep.equal({ name: "Territory #1000000" });
+      // Unminted tokens are cached as null, which is not a miss
+      expect(cache.get(5n)).to.equal(null);
+      expect(cache.invalidate(5)).to.equal(true);
+      expect(cache.invalidate(5)).to.equal(false);
+      expect(cache.get(5n)).to.equal(undefined);
+
+      now += 51;
+      expect(cache.get(1000000)).to.equal(undefined);
+      expect(cache.size).to.equal(0);
+    });
+  });
+
+  describe("buildMetadata", function () {
+    const bugKeys = ["Species", "Generation", "Neural Layers", "Fitness", "Arena Wins", "Survival Days"];
+
+    it("maps Bug DNA attributes onto ERC-1155 traits", function () {
+      const onChain = { category: 0n, rarity: 72n, generation: 4n, name: "Bug #3", description: "A carnivore" };
+      const metadata = buildMetadata(3n, onChain, bugKeys, ["1", "4", "3", "80", "12", "120"], { imageBaseUrl: "https://img.bugtopia.io/" });
+
+      expect(metadata).to.deep.equal({
+        name: "Bug #3",
+        description: "A carnivore",
+        decimals: 0,
+        external_url: "https://bugtopia.io/bug/3",
+        attributes: [
+          { trait_type: "Species", value: "Carnivore" },
+          { trait_type: "Rarity", value: "Epic" },
+          { display_type: "number", trait_type: "Rarity Score", value: 72, max_value: 100 },
+          { display_type: "number", trait_type: "Generation", value: 4 },
+          { trait_type: "Neural Layers", value: 3, max_value: 10 },
+          { trait_type: "Fitness", value: 80, max_value: 100 },
+          { display_type: "number", trait_type: "Arena Wins", value: 12 },
+          { display_type: "number", trait_type: "Survival Days", value: 120 }
+        ],
+        properties: { token_id: "3", category: "Bug DNA", rarity: 72, generation: 4 },
+        image: `https://img.bugtopia.io/image/${formatTokenId(3)}.svg`
+      });
+    });
+
+    it("falls back to the id range for batch-minted tokens and names unknown enum values", function () {
+      // batchMint leaves category and attributes unset
+      const territory = buildMetadata(1000000n, { category: 0n, rarity: 0n, generation: 0n, name: "Token #1000000", description: "" }, ["Biome Type"], ["42"]);
+      expect(territory.properties.category).to.equal("Territory");
+      expect(territory.external_url).to.equal("https://bugtopia.io/territory/1000000");
+      expect(territory.attributes[0]).to.deep.equal({ trait_type: "Biome", value: "Biome 42" });
+      expect(territory).to.not.have.property("image");
+
+      const achievement = buildMetadata(3000001n, { category: 0n, rarity: 95n, generation: 0n, name: "First Win", description: "" }, ["Arena"], ["Ember Pit"]);
+      expect(achievement.description).to.equal("A commemorative achievement earned in the Bugtopia evolutionary simulation.");
+      expect(achievement.attributes).to.deep.equal([
+        { trait_type: "Rarity", value: "Mythic" },
+        { display_type: "number", trait_type: "Rarity Score", value: 95, max_value: 100 },
+        { trait_type: "Arena", value: "Ember Pit" }
+      ]);
+    });
+  });
+
+  describe("HTTP server", function () {
+    // A minter that is not the owner, and a read-only client for the server
+    async function clientsFixture() {
+      const { collectibles, addresses, player, others: [minter] } = await deployFixture();
+      await collectibles.addAuthorizedMinter(minter.address);
+      const client = createBugtopiaClient({ runner: minter, addresses });
+      const readOnly = createBugtopiaClient({ runner: ethers.provider, addresses });
+      return { player, client, readOnly };
+    }
+
+    // Keep lookup failures out of the test report
+    silenceConsole("error");
+    let server;
+    let base;
+    afterEach(async function () {
+      if (server) await server.close();
+      server = undefined;
+    });
+
+    async function start(options) {
+      server = createMetadataServer(options);
+      const { port } = await server.listen(0, "127.0.0.1");
+      base = `http://127.0.0.1:${port}`;
+    }
+
+    it("answers 404 for malformed, oversized and unminted ids and 405 for writes", async function () {
+      const { readOnly } = await loadFixture(clientsFixture);
+      await start({ client: readOnly, watchMints: false });
+
+      expect(await request(`${base}/metadata/0xzz.json`)).to.deep.equal({ status: 404, body: { error: "Not found" } });
+      expect((await request(`${base}/metadata/1${"0".repeat(64)}.json`)).status).to.equal(404);
+      expect(await request(`${base}/metadata/${formatTokenId(7)}.json`))
+        .to.deep.equal({ status: 404, body: { error: "Token 7 does not exist" } });
+      expect((await request(`${base}/metadata/${formatTokenId(7)}.json`, "POST")).status).to.equal(405);
+      expect(await request(`${base}/health`)).to.deep.equal({ status: 200, body: { status: "ok", cached: 1 } });
+    });
+
+    it("serves cached metadata until NFTMinted invalidates the token", async function () {
+      const { client, readOnly, player } = await loadFixture(clientsFixture);
+      await start({ client: readOnly });
+      const url = `${base}/metadata/${formatTokenId(0)}.json`;
+
+      expect((await request(url)).status).to.equal(404);
+      expect(server.cache.get(0)).to.equal(null);
+
+      await client.mintBugDNA(bugDNA({ species: 2 }), { to: player.address });
+      // The mint listener polls the provider, so wait for it to drop the cached 404
+      for (let attempt = 0; attempt < 50 && server.cache.get(0) !== undefined; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      expect(server.cache.get(0)).to.equal(undefined);
+
+      const response = await request(url);
+      expect(response.status).to.equal(200);
+      expect(response.body.name).to.equal("Bug #0");
+      expect(response.body.attributes[0]).to.deep.equal({ trait_type: "Species", value: "Omnivore" });
+    });
+  });
+});
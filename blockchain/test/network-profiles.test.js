@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const {
+  KeystoreError,
+  listKeystore,
+  importAccountKey,
+  unlockAccounts,
+  readPassphrase
+} = require("../utils/keystore");
+const {
+  SWIFT_NETWORKS_PATH,
+  NetworkProfileError,
+  loadNetworkProfiles,
+  resolveRpcUrl,
+  hardhatNetworks,
+  etherscanCustomChains,
+  prepareNetwork,
+  renderSwiftNetworks
+} = require("../utils/network-profiles");
+
+// Fast scrypt so the suite does not spend seconds per key
+const SCRYPT_N = 1024;
+
+describe("Network profiles", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-keystore-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function importKey(account, overrides = {}) {
+    return importAccountKey({
+      keystore: "local",
+      account,
+      privateKey: ethers.Wallet.createRandom().privateKey,
+      passphrase: "correct horse",
+      scryptN: SCRYPT_N,
+      dir,
+      ...overrides
+    });
+  }
+
+  describe("profiles", function () {
+    it("shares chain settings across the Bugtopia networks", function () {
+      const profiles = loadNetworkProfiles();
+
+      for (const name of ["bugtopia_local", "bugtopia_fuji", "bugtopia_mainnet"]) {
+        expect(profiles[name]).to.include({ chainId: 68420, nativeToken: "BUG", gas: 8000000, gasPrice: 25000000000 });
+      }
+      expect(profiles.bugtopia_mainnet.mainnet).to.equal(true);
+      expect(profiles.avalanche_mainnet).to.include({ chainId: 43114, mainnet: true });
+    });
+
+    it("builds the hardhat networks without any keys", function () {
+      const profiles = loadNetworkProfiles();
+
+      for (const name of Object.keys(profiles)) {
+        const network = hre.config.networks[name];
+        expect(network.chainId, name).to.equal(profiles[name].chainId);
+        expect(network.accounts, name).to.deep.equal([]);
+      }
+      expect(hre.config.etherscan.customChains).to.deep.equal(etherscanCustomChains(profiles));
+    });
+
+    it("resolves RPC URLs from the environment or the blockchain ID", function () {
+      const { bugtopia_local: local, bugtopia_fuji: fuji } = loadNetworkProfiles();
+
+      expect(resolveRpcUrl(local, {})).to.equal("http://127.0.0.1:9650/ext/bc/bugtopial1/rpc");
+      expect(resolveRpcUrl(local, { BUGTOPIA_L1_RPC_URL: "http://10.0.0.2:9650/rpc" })).to.equal("http://10.0.0.2:9650/rpc");
+      expect(resolveRpcUrl(fuji, {})).to.equal(undefined);
+      expect(resolveRpcUrl({ ...fuji, blockchainId: "2fS1" }, {})).to.equal("https://api.avax-test.network/ext/bc/2fS1/rpc");
+      expect(hardhatNetworks({ bugtopia_fuji: fuji }, {}).bugtopia_fuji.url).to.equal(fuji.rpcUrl);
+    });
+
+    it("lists every problem in a broken profile file", function () {
+      const file = path.join(dir, "networks.json");
+      fs.writeFileSync(file, JSON.stringify({
+        chains: { bugtopia: { chainId: "68420", nativeToken: "BUG" } },
+        networks: {
+          a: { chain: "bugtopia", app: "local", rpcUrl: "http://a", keystore: "local", accounts: ["deployer"], blockConfirmations: 1 },
+          b: { chain: "nowhere", app: "local", rpcUrl: "http://b", accounts: [], blockConfirmations: 0 }
+        }
+      }));
+
+      const error = (() => {
+        try {
+          return loadNetworkProfiles(file);
+        } catch (err) {
+          return err;
+        }
+      })();
+
+      expect(error).to.be.instanceOf(NetworkProfileError);
+      expect(error.issues).to.deep.equal([
+        "chains.bugtopia.chainId must be a positive integer",
+        'networks.b.chain "nowhere" is not defined in chains',
+        "networks.b.keystore is required",
+        "networks.b.accounts must list at least one account",
+        "networks.b.blockConfirmations must be a positive integer",
+        'networks.b.app "local" is used twice'
+      ]);
+    });
+
+    it("keeps the generated Swift constants in step with networks.json", function () {
+      const swift = renderSwiftNetworks(loadNetworkProfiles());
+
+      expect(fs.readFileSync(SWIFT_NETWORKS_PATH, "utf8")).to.equal(swift, "run npx hardhat networks:swift");
+      expect(swift).to.include('case .local: return "http://127.0.0.1:9650/ext/bc/bugtopial1/rpc"');
+      expect(swift).to.include("case .fuji: return nil");
+      expect(swift).to.include("case .mainnet: return true");
+    });
+  });
+
+  describe("keystore", function () {
+    it("round-trips keys and never writes them in plain text", async function () {
+      const privateKey = ethers.Wallet.createRandom().privateKey;
+      const { address, file } = await importKey("deployer", { privateKey });
+      await importKey("treasury");
+
+      expect(fs.readFileSync(file, "utf8")).to.not.include(privateKey.slice(2));
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      expect(listKeystore("local", { dir }).map((entry) => entry.account)).to.deep.equal(["deployer", "treasury"]);
+
+      const keys = await unlockAccounts({ keystore: "local", accounts: ["deployer"], passphrase: "correct horse", dir });
+      expect(keys).to.deep.equal([privateKey]);
+      expect(new ethers.Wallet(keys[0]).address).to.equal(address);
+    });
+
+    it("rejects wrong passphrases, missing accounts and overwrites", async function () {
+      await importKey("deployer");
+
+      const wrong = await unlockAccounts({ keystore: "local", accounts: ["deployer"], passphrase: "nope", dir }).catch((err) => err);
+      expect(wrong).to.be.instanceOf(KeystoreError);
+      expect(wrong.message).to.include("Wrong passphrase");
+
+      const mixed = await importKey("treasury", { passphrase: "different" }).catch((err) => err);
+      expect(mixed.message).to.include("Wrong passphrase");
+
+      const missing = await unlockAccounts({ keystore: "local", accounts: ["deployer", "validator"], passphrase: "x", dir })
+        .catch((err) => err);
+      expect(missing.message).to.include("keystore:import --keystore local --account validator");
+
+      const overwrite = await importKey("deployer").catch((err) => err);
+      expect(overwrite.message).to.include("already exists");
+    });
+
+    it("reads the passphrase from the environment before prompting", async function () {
+      const prompts = [];
+      const prompt = async (question) => {
+        prompts.push(question);
+        return "typed";
+      };
+
+      expect(await readPassphrase("local", { env: { BUGTOPIA_KEYSTORE_PASSPHRASE: "ci" }, prompt })).to.equal("ci");
+      expect(await readPassphrase("local", { env: {}, prompt, confirm: true })).to.equal("typed");
+      expect(prompts).to.deep.equal(['Passphrase for keystore "local"', "Repeat passphrase"]);
+    });
+  });
+
+  describe("network guard", function () {
+    function profileFor(overrides) {
+      return { ...loadNetworkProfiles().bugtopia_mainnet, blockchainId: "2fS1", keystore: "local", accounts: ["deployer"], ...overrides };
+    }
+
+    it("refuses a mainnet profile whose chain ID does not match the RPC, before unlocking", async function () {
+      await importKey("deployer");
+      let prompted = false;
+      const prompt = async () => {
+        prompted = true;
+        return "correct horse";
+      };
+
+      const error = await prepareNetwork(hre.network.provider, profileFor(), { env: {}, prompt, dir }).catch((err) => err);
+
+      expect(error).to.be.instanceOf(NetworkProfileError);
+      expect(error.message).to.equal(
+        "bugtopia_mainnet expects chain ID 68420 but its RPC reports 31337; refusing to use a mainnet profile against the wrong chain"
+      );
+      expect(prompted).to.equal(false);
+    });
+
+    it("unlocks the profile's accounts when the chain matches", async function () {
+      const { address } = await importKey("deployer");
+
+      const keys = await prepareNetwork(hre.network.provider, profileFor({ chainId: 31337 }), {
+        env: { BUGTOPIA_KEYSTORE_PASSPHRASE: "correct horse" },
+        dir
+      });
+
+      expect(keys.map((key) => new ethers.Wallet(key).address)).to.deep.equal([address]);
+    });
+
+    it("names the missing setting when a network has no RPC URL", async function () {
+      const error = await prepareNetwork(hre.network.provider, profileFor({ blockchainId: null }), { env: {}, dir })
+        .catch((err) => err);
+
+      expect(error.message).to.equal(
+        "bugtopia_mainnet has no RPC URL yet: set BUGTOPIA_MAINNET_RPC_URL or its blockchainId in networks.json"
+      );
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { RARITY_TIERS } = require("../utils/bugtopia-constants");
+const { renderBugCard, renderTerritoryTile } = require("../utils/nft-images");
+
+const SNAPSHOT_DIR = path.join(__dirname, "fixtures", "images");
+
+// UPDATE_SNAPSHOTS=1 npx hardhat test test/nft-images.test.js rewrites the files
+function expectSnapshot(name, svg) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.svg`);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(file, svg);
+  }
+  expect(fs.existsSync(file), `${file} is missing; run with UPDATE_SNAPSHOTS=1`).to.equal(true);
+  expect(svg).to.equal(fs.readFileSync(file, "utf8"), `${name}.svg changed; run with UPDATE_SNAPSHOTS=1 if intended`);
+}
+
+const BUGS = {
+  "bug-herbivore-common": { tokenId: 0n, species: 0, rarity: 52, neuralLayers: 2, geneticHash: ethers.id("herbivore") },
+  "bug-carnivore-epic": { tokenId: 17n, species: 1, rarity: 71, neuralLayers: 4, geneticHash: ethers.id("carnivore") },
+  "bug-omnivore-legendary": { tokenId: 250n, species: 2, rarity: 84, neuralLayers: 6, geneticHash: ethers.id("omnivore") },
+  "bug-scavenger-mythic": { tokenId: 9001n, species: 3, rarity: 100, neuralLayers: 10, geneticHash: ethers.id("scavenger") }
+};
+
+const TERRITORIES = {
+  "territory-temperate-forest": {
+    tokenId: 1000000n, minX: 0, maxX: 32, minY: 0, maxY: 16, minZ: 0, maxZ: 24, biomeType: 2, populationCount: 85, rarity: 70
+  },
+  "territory-desert-flat": {
+    tokenId: 1000001n, minX: 100, maxX: 228, minY: 0, maxY: 4, minZ: 40, maxZ: 72, biomeType: 4, populationCount: 6, rarity: 38
+  },
+  "territory-alpine-tower": {
+    tokenId: 1000002n, minX: 10, maxX: 18, minY: 20, maxY: 80, minZ: 10, maxZ: 18, biomeType: 8, populationCount: 0, rarity: 92
+  }
+};
+
+describe("NFT images", function () {
+  describe("snapshots", function () {
+    for (const [name, bug] of Object.entries(BUGS)) {
+      it(`renders ${name}`, function () {
+        expectSnapshot(name, renderBugCard(bug));
+      });
+    }
+    for (const [name, territory] of Object.entries(TERRITORIES)) {
+      it(`renders ${name}`, function () {
+        expectSnapshot(name, renderTerritoryTile(territory));
+      });
+    }
+  });
+
+  it("derives the creature from the genetic hash only", function () {
+    const bug = BUGS["bug-carnivore-epic"];
+
+    expect(renderBugCard({ ...bug, tokenId: BigInt(bug.tokenId), rarity: BigInt(bug.rarity) })).to.equal(renderBugCard(bug));
+    expect(renderBugCard({ ...bug, geneticHash: ethers.id("mutant") })).to.not.equal(renderBugCard(bug));
+  });
+
+  it("frames cards in the _getRarityColor palette", function () {
+    for (const [score, tier] of [[0, 0], [40, 1], [65, 2], [80, 3], [90, 4]]) {
+      const svg = renderBugCard({ ...BUGS["bug-herbivore-common"], rarity: score });
+      expect(svg).to.include(`stroke="${RARITY_TIERS[tier].color}" stroke-width="8"`);
+      expect(svg).to.include(`>${RARITY_TIERS[tier].name}</text>`);
+    }
+  });
+
+  it("draws one node column per neural layer and caps the population dots", function () {
+    const columns = (svg) => new Set([...svg.matchAll(/<circle cx="([\d.]+)" cy="3\d\d(?:\.\d)?" r="3.5"/g)].map((m) => m[1])).size;
+    expect(columns(renderBugCard({ ...BUGS["bug-herbivore-common"], neuralLayers: 3 }))).to.equal(3);
+    expect(columns(renderBugCard({ ...BUGS["bug-herbivore-common"], neuralLayers: 40 }))).to.equal(10);
+
+    const crowded = renderTerritoryTile({ ...TERRITORIES["territory-desert-flat"], populationCount: 5000 });
+    expect(crowded.match(/r="2.5"/g)).to.have.length(48);
+    expect(crowded).to.include(">Population 5000</text>");
+  });
+});
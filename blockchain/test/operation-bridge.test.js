@@ -0,0 +1,302 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  toSdkParams,
+  classifyFailure,
+  openBridgeDatabase,
+  createOperationBridge,
+  unlockBridgeSigners
+} = require("../services/operation-bridge");
+const { BugtopiaContractError } = require("../sdk");
+const { importAccountKey } = require("../utils/keystore");
+const { bugDNA, territory } = require("./fixtures/collectibles");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+function postRpc(port, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = typeof body === "string" ? body : JSON.stringify(body);
+    const req = http.request(
+      { host: "127.0.0.1", port, path: "/rpc", method: "POST", headers: { "Content-Type": "application/json", ...headers } },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      }
+    );
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+async function postJson(port, body) {
+  return (await postRpc(port, body)).body;
+}
+
+describe("Operation bridge", function () {
+  // The shared deploy with a separate minter account for the bridge
+  async function bridgeFixture() {
+    const fixture = await deployFixture();
+    const [minter, stranger] = fixture.others;
+    await fixture.collectibles.addAuthorizedMinter(minter.address);
+    return { ...fixture, minter, stranger };
+  }
+
+  // Keep worker output out of the test report
+  silenceConsole("log", "warn", "error");
+
+  async function openBridge(fixture, options = {}) {
+    const database = await openBridgeDatabase(options.file || ":memory:");
+    const bridge = createOperationBridge({
+      database,
+      signers: { deployer: fixture.deployer, minter: options.minter || fixture.minter },
+      addresses: fixture.addresses,
+      retryDelayMs: 0,
+      ...options.bridge
+    });
+    return { bridge, database };
+  }
+
+  it("accepts L1Operation kinds over JSON-RPC and reports status by id", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const { bridge } = await openBridge(fixture);
+    const { port } = await bridge.listen(0);
+
+    try {
+      const responses = await postJson(port, [
+        {
+          jsonrpc: "2.0",
+          id: 1,
+          method: "bugtopia_submitOperation",
+          params: { id: "mint-1", kind: "mintBugDNA", params: { recipient: fixture.player.address, bugData: bugDNA() } }
+        },
+        {
+          jsonrpc: "2.0",
+          id: 2,
+          method: "bugtopia_submitOperation",
+          params: { id: "fee-1", kind: "payUtilityFee", params: { type: "breeding", amount: 0.001 } }
+        }
+      ]);
+      expect(responses.map((response) => response.result.status)).to.deep.equal(["queued", "queued"]);
+
+      expect(await bridge.processOnce()).to.deep.equal({ confirmed: 2, failed: 0, retrying: 0 });
+
+      const { result: mint } = await postJson(port, { jsonrpc: "2.0", id: 3, method: "bugtopia_getOperation", params: { id: "mint-1" } });
+      expect(mint).to.include({ kind: "mintBugDNA", status: "confirmed", attempts: 0 });
+      expect(mint.result.tokenId).to.equal("0");
+      expect(await fixture.collectibles.balanceOf(fixture.player.address, 0)).to.equal(1n);
+
+      const fee = bridge.getOperation("fee-1");
+      expect(fee.result.events.map(({ name }) => name)).to.include("UtilityFeePaid");
+
+      const health = await postJson(port, { jsonrpc: "2.0", id: 4, method: "bugtopia_health" });
+      expect(health.result.operations).to.deep.equal({ queued: 0, submitted: 0, confirmed: 2, failed: 0 });
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it("returns JSON-RPC errors for bad requests", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const { bridge } = await openBridge(fixture);
+    const { port } = await bridge.listen(0);
+
+    try {
+      const parseError = await postJson(port, "{not json");
+      expect(parseError.error.code).to.equal(-32700);
+
+      const unknownMethod = await postJson(port, { jsonrpc: "2.0", id: 1, method: "eth_sendTransaction" });
+      expect(unknownMethod.error.code).to.equal(-32601);
+
+      const unknownKind = await postJson(port, {
+        jsonrpc: "2.0", id: 2, method: "bugtopia_submitOperation", params: { kind: "transferBug", params: {} }
+      });
+      expect(unknownKind.error).to.deep.equal({ code: -32602, message: 'Unknown operation kind "transferBug"' });
+
+      const badAmount = await postJson(port, {
+        jsonrpc: "2.0", id: 3, method: "bugtopia_submitOperation", params: { kind: "burnBug", params: { amount: -1 } }
+      });
+      expect(badAmount.error.message).to.equal("amount must be a non-negative BUG amount");
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it("requires the bearer token on /rpc when one is set", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const { bridge } = await openBridge(fixture, { bridge: { token: "s3cret" } });
+    const { port } = await bridge.listen(0);
+    const health = { jsonrpc: "2.0", id: 1, method: "bugtopia_health" };
+
+    try {
+      const unauthorized = { status: 401, body: { error: "Unauthorized" } };
+      expect(await postRpc(port, health)).to.deep.equal(unauthorized);
+      expect(await postRpc(port, health, { Authorization: "Bearer wrong" })).to.deep.equal(unauthorized);
+      const { status, body } = await postRpc(port, health, { Authorization: "Bearer s3cret" });
+      expect(status).to.equal(200);
+      expect(body.result.status).to.equal("ok");
+    } finally {
+      await bridge.close();
+    }
+  });
+
+  it("treats resubmitting an id as a status query", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const { bridge } = await openBridge(fixture);
+
+    bridge.submit({ id: "burn-1", kind: "burnBug", params: { amount: "0.5", reason: "arena" } });
+    const again = bridge.submit({ id: "burn-1", kind: "burnBug", params: { amount: "0.5", reason: "arena" } });
+
+    expect(again.status).to.equal("queued");
+    expect(bridge.listOperations()).to.have.length(1);
+    expect(() => bridge.submit({ id: "burn-1", kind: "payUtilityFee", params: { type: "breeding" } }))
+      .to.throw("already exists as burnBug");
+  });
+
+  it("fails contract reverts without retrying", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const { bridge } = await openBridge(fixture, { minter: fixture.stranger });
+
+    bridge.submit({ id: "mint-1", kind: "mintTerritory", params: { recipient: fixture.player.address, territoryData: territory() } });
+    expect(await bridge.processOnce()).to.deep.equal({ confirmed: 0, failed: 1, retrying: 0 });
+
+    expect(bridge.getOperation("mint-1")).to.deep.include({
+      status: "failed",
+      attempts: 1,
+      error: { message: "Not authorized to mint", code: "NOT_AUTHORIZED_TO_MINT" }
+    });
+  });
+
+  it("retries after a nonce error when another process used the key", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const { bridge } = await openBridge(fixture);
+
+    bridge.submit({ id: "fee-1", kind: "payUtilityFee", params: { type: "breeding" } });
+    await bridge.processOnce();
+
+    // Someone else spends the deployer's next nonce behind the bridge's back
+    await fixture.deployer.sendTransaction({ to: fixture.player.address, value: 1n });
+
+    bridge.submit({ id: "fee-2", kind: "payUtilityFee", params: { type: "arena_entry" } });
+    expect(await bridge.processOnce()).to.deep.equal({ confirmed: 0, failed: 0, retrying: 1 });
+    expect(bridge.getOperation("fee-2")).to.include({ status: "queued", attempts: 1 });
+
+    expect(await bridge.processOnce()).to.deep.equal({ confirmed: 1, failed: 0, retrying: 0 });
+    const operation = bridge.getOperation("fee-2");
+    expect(operation).to.include({ status: "confirmed", attempts: 1 });
+    expect(operation.nonce).to.equal(await fixture.deployer.getNonce() - 1);
+  });
+
+  it("never resends a broadcast operation after a network error", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const { bridge } = await openBridge(fixture);
+    const provider = fixture.deployer.provider;
+    const { getTransactionReceipt } = provider;
+    const nonceBefore = await fixture.deployer.getNonce();
+
+    bridge.submit({ id: "fee-1", kind: "payUtilityFee", params: { type: "breeding" } });
+    // The node mines the transaction, but the bridge loses the connection while waiting
+    provider.getTransactionReceipt = async () => {
+      throw Object.assign(new Error("connect ECONNREFUSED"), { code: "NETWORK_ERROR" });
+    };
+    try {
+      expect(await bridge.processOnce()).to.deep.equal({ confirmed: 0, failed: 0, retrying: 1 });
+    } finally {
+      provider.getTransactionReceipt = getTransactionReceipt;
+    }
+    const submitted = bridge.getOperation("fee-1");
+    expect(submitted).to.include({ status: "submitted", attempts: 1 });
+    expect(submitted.txHash).to.be.a("string");
+
+    expect(await bridge.processOnce()).to.deep.equal({ confirmed: 0, failed: 0, retrying: 0 });
+    expect(bridge.getOperation("fee-1")).to.include({ status: "confirmed", txHash: submitted.txHash });
+    // One transaction in all
+    expect(await fixture.deployer.getNonce()).to.equal(nonceBefore + 1);
+  });
+
+  it("keeps queued operations across restarts and reconciles broadcast ones", async function () {
+    const fixture = await loadFixture(bridgeFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-bridge-"));
+    const file = path.join(dir, "bridge.sqlite");
+
+    try {
+      const first = await openBridge(fixture, { file });
+      first.bridge.submit({ id: "territory-1", kind: "mintTerritory", params: { recipient: fixture.player.address, territoryData: territory() } });
+      first.database.close();
+
+      const second = await openBridge(fixture, { file });
+      expect(second.bridge.getOperation("territory-1").status).to.equal("queued");
+      await second.bridge.processOnce();
+      const confirmed = second.bridge.getOperation("territory-1");
+      expect(confirmed.result.tokenId).to.equal("1000000");
+
+      // Crash between broadcast and receipt: the row is left as submitted
+      second.database.db.run("UPDATE operations SET status = 'submitted', result = NULL WHERE id = 'stake-0'");
+      second.database.save();
+      second.database.close();
+
+      const third = await openBridge(fixture, { file });
+      await third.bridge.processOnce();
+      expect(third.bridge.getOperation("territory-1")).to.deep.include({ status: "confirmed", txHash: confirmed.txHash });
+      expect(third.bridge.getOperation("territory-1").result).to.deep.equal(confirmed.result);
+      third.database.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe("helpers", function () {
+    it("converts Swift BUG amounts to wei", function () {
+      expect(toSdkParams("stakeOnTerritory", { tokenId: 1000000, amount: 0.1 })).to.deep.equal({
+        tokenId: 1000000n,
+        amount: ethers.parseEther("0.1")
+      });
+      expect(toSdkParams("burnBug", { amount: 1e-7, reason: "x" }).amount).to.equal(100000000000n);
+      expect(toSdkParams("payUtilityFee", { type: "breeding" })).to.deep.equal({ utilityType: "breeding", value: undefined });
+      expect(() => toSdkParams("distributeRevenue", { tokenId: 1, recipients: [], amounts: [1] }))
+        .to.throw("same length");
+    });
+
+    it("unlocks the deployer, and the minter when there is one, from the keystore", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-bridge-keys-"));
+      const env = { BUGTOPIA_KEYSTORE_PASSPHRASE: "correct horse" };
+      const importKey = (account) => importAccountKey({
+        keystore: "local",
+        account,
+        privateKey: ethers.Wallet.createRandom().privateKey,
+        passphrase: "correct horse",
+        scryptN: 1024,
+        dir
+      });
+      try {
+        const deployer = await importKey("deployer");
+        let signers = await unlockBridgeSigners(ethers.provider, { env, dir });
+        expect(Object.keys(signers)).to.deep.equal(["deployer"]);
+        expect(signers.deployer.address).to.equal(deployer.address);
+        expect(signers.deployer.provider).to.equal(ethers.provider);
+
+        const minter = await importKey("minter");
+        signers = await unlockBridgeSigners(ethers.provider, { env, dir });
+        expect(signers.minter.address).to.equal(minter.address);
+
+        const error = await unlockBridgeSigners(ethers.provider, { keystore: "fuji", env, dir }).catch((err) => err);
+        expect(error.name).to.equal("KeystoreError");
+        expect(error.message).to.include("Keystore \"fuji\" has no deployer account");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("classifies nonce, gas and network failures as retryable", function () {
+      expect(classifyFailure(new Error("Nonce too low. Expected nonce to be 3 but got 2."))).to.equal("nonce");
+      expect(classifyFailure(Object.assign(new Error("replacement fee too low"), { code: "REPLACEMENT_UNDERPRICED" }))).to.equal("gas");
+      expect(classifyFailure(Object.assign(new Error("reverted"), { receipt: { gasUsed: 21000n } }), { gasLimit: 21000n })).to.equal("gas");
+      expect(classifyFailure(Object.assign(new Error("connect ECONNREFUSED"), { code: "NETWORK_ERROR" }))).to.equal("network");
+      expect(classifyFailure(new BugtopiaContractError("INSUFFICIENT_STAKE", "Insufficient stake"))).to.equal(null);
+    });
+  });
+});
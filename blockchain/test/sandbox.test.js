@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { createBugtopiaClient } = require("../sdk");
+const { readRegistry } = require("../utils/deployment-registry");
+const { loadNetworkProfiles } = require("../utils/network-profiles");
+const { readNetworkAddresses } = require("../utils/swift-bindings");
+const { SANDBOX_FIXTURE_PATH, SANDBOX_NETWORK, SandboxError, loadSandboxFixture } = require("../utils/sandbox");
+const { silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+/**
+ * Run `hardhat sandbox` in its own process, the way developers start it, and
+ * resolve with the child and its JSON-RPC URL once it is serving
+ */
+function startSandbox(args) {
+  const cli = path.join(hre.config.paths.root, "node_modules", ".bin", "hardhat");
+  const child = spawn(process.execPath, [cli, "--config", hre.config.paths.configFile, "sandbox", ...args], {
+    cwd: hre.config.paths.root
+  });
+  return new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      const url = output.includes("Serving until interrupted") && output.match(/JSON-RPC:\s+(http\S+)/);
+      if (url) resolve({ child, url: url[1] });
+    });
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("exit", (code) => reject(new Error(`sandbox exited with ${code}:\n${output}`)));
+  });
+}
+
+function stopSandbox(child) {
+  if (child.exitCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    child.on("exit", resolve);
+    child.kill();
+  });
+}
+
+describe("Sandbox", function () {
+  silenceConsole();
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-sandbox-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("serves a 68420 chain with funded named accounts, deployed contracts and the fixture's economy", async function () {
+    this.timeout(300000);
+    const { child, url } = await startSandbox(["--port", "0", "--registry-dir", dir]);
+    const provider = new ethers.JsonRpcProvider(url);
+    try {
+      expect((await provider.getNetwork()).chainId).to.equal(68420n);
+
+      const named = await hre.getNamedAccounts();
+      const accounts = { deployer: named.deployer, treasury: named.treasury, player: named.player };
+      expect(await provider.listAccounts().then((signers) => signers.map(({ address }) => address)))
+        .to.deep.equal(Object.values(accounts));
+      // The player paid for stakes and fees; the treasury received a share of the fees
+      expect(await provider.getBalance(accounts.player)).to.be.below(ethers.parseEther("970"));
+      expect(await provider.getBalance(accounts.treasury)).to.be.above(ethers.parseEther("100"));
+
+      const registry = readRegistry(SANDBOX_NETWORK, { dir });
+      const addresses = {
+        bugtopiaL1: registry.contracts.BugtopiaL1.address,
+        collectibles: registry.contracts.BugtopiaCollectibles.address
+      };
+      expect(registry.contracts.BugtopiaCollectibles.args[0]).to.equal(addresses.bugtopiaL1);
+      const seeded = registry.steps["seed:sandbox.json"];
+      expect(seeded.bugs).to.deep.equal({ scout: "0", aurora: "1", borealis: "2", cinder: "3", dawnling: "4", ember: "5" });
+      expect(seeded.territories).to.deep.equal({ "mossy-hollow": "1000000", "ash-plateau": "1000001" });
+      expect(seeded).to.include({ stakes: 3, fees: 7 });
+
+      const client = createBugtopiaClient({ runner: provider, addresses });
+      expect(await client.collectibles.balanceOf(accounts.player, 5)).to.equal(1n);
+      expect(await client.collectibles.balanceOf(accounts.deployer, 1000001)).to.equal(1n);
+      const { data } = await client.getMintData(5);
+      expect([data.parentId1, data.parentId2]).to.deep.equal([3n, 4n]);
+
+      const { stakedAmount, totalStaked } = await client.getTerritoryStake(1000000, accounts.player);
+      expect([stakedAmount, totalStaked]).to.deep.equal([ethers.parseEther("25"), ethers.parseEther("35")]);
+      expect(await client.isAuthorizedMinter(accounts.player)).to.equal(true);
+      expect((await client.getEconomicState()).totalBurned).to.be.above(0n);
+
+      // Recorded for localhost, which audit and upgrade use to reach the sandbox;
+      // swift:bindings --sandbox reads it for the local app network
+      expect(registry).to.include({ network: "localhost", chainId: 68420 });
+      expect(fs.readdirSync(dir)).to.deep.equal(["localhost.json"]);
+      const { bugtopia_local: local } = loadNetworkProfiles();
+      expect(readNetworkAddresses(local, ["BugtopiaL1", "BugtopiaCollectibles"], { dir, network: SANDBOX_NETWORK })).to.deep.equal({
+        BugtopiaL1: addresses.bugtopiaL1,
+        BugtopiaCollectibles: addresses.collectibles
+      });
+    } finally {
+      provider.destroy();
+      await stopSandbox(child);
+    }
+  });
+
+  it("refuses to start once this process has used the hardhat network", async function () {
+    expect(await ethers.provider.send("eth_chainId")).to.equal("0x7a69");
+
+    const error = await hre.run("sandbox", { port: 0, registryDir: dir, noWait: true }).catch((err) => err);
+    expect(error.message).to.include("already runs chain 31337; start the sandbox on its own");
+    expect(hre.network.config.chainId).to.equal(31337);
+    expect((await ethers.provider.getNetwork()).chainId).to.equal(31337n);
+    expect(fs.readdirSync(dir)).to.deep.equal([]);
+  });
+
+  it("rejects fixtures that reference unknown accounts, bugs or territories", async function () {
+    const fixture = JSON.parse(fs.readFileSync(SANDBOX_FIXTURE_PATH, "utf8"));
+    fixture.accounts.stranger = "5";
+    fixture.bugs[1].parents = ["ember"];
+    fixture.bugs[4].parents = ["scout"];
+    fixture.stakes[0].territory = "atlantis";
+    fixture.fees[0].from = "validator";
+    const file = path.join(dir, "broken.json");
+    fs.writeFileSync(file, JSON.stringify(fixture));
+
+    const error = await hre.run("sandbox", { fixture: file, registryDir: dir, noWait: true }).catch((err) => err);
+    expect(error.message).to.include(`Sandbox fixture ${file} is invalid`);
+    expect(() => loadSandboxFixture(file, hre.config.namedAccounts)).to.throw(SandboxError).with.property("issues").that.deep.equals([
+      "accounts.stranger is not a named account (see namedAccounts in hardhat.config.js)",
+      "bugs[1]: parent \"ember\" must be a bug listed before it",
+      "bugs[4]: parent \"scout\" is token 0, which cannot be a parent",
+      "stakes[0].territory \"atlantis\" is not a listed territory",
+      "fees[0].from \"validator\" is not listed in accounts"
+    ]);
+    expect(fs.readdirSync(dir)).to.deep.equal(["broken.json"]);
+  });
+});
@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const http = require("http");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  BUGTOPIA_L1_ABI,
+  COLLECTIBLES_ABI,
+  BugtopiaContractError,
+  translateError,
+  createBugtopiaClient,
+  createOperationQueue
+} = require("../sdk");
+const { createMetadataServer, fetchTokenMetadata } = require("../services/metadata-server");
+const { renderBugCard, renderTerritoryTile } = require("../utils/nft-images");
+const { bugDNA, territory } = require("./fixtures/collectibles");
+const { deployFixture } = require("./helpers");
+
+const { ethers } = hre;
+
+function getJson(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = "";
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on("error", reject);
+  });
+}
+
+function getText(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = "";
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+    }).on("error", reject);
+  });
+}
+
+describe("Bugtopia SDK", function () {
+  // The shared deploy with a minting client that only knows the Collectibles address
+  async function clientFixture() {
+    const fixture = await deployFixture();
+    const [minter, staker] = fixture.others;
+    await fixture.collectibles.addAuthorizedMinter(minter.address);
+    await fixture.bugtopiaL1.updateUtilityFee("nft_minting", ethers.parseEther("0.001"));
+
+    const addresses = { collectibles: fixture.addresses.collectibles };
+    const client = createBugtopiaClient({ runner: minter, addresses });
+    return { ...fixture, client, addresses, minter, staker };
+  }
+
+  it("ships the ABIs of the compiled contracts", async function () {
+    expect(BUGTOPIA_L1_ABI).to.deep.equal((await hre.artifacts.readArtifact("BugtopiaL1")).abi);
+    expect(COLLECTIBLES_ABI).to.deep.equal((await hre.artifacts.readArtifact("BugtopiaCollectibles")).abi);
+  });
+
+  describe("client", function () {
+    it("finds BugtopiaL1 through Collectibles and reads the economy", async function () {
+      const { bugtopiaL1, client, treasury } = await loadFixture(clientFixture);
+
+      expect(await client.getUtilityFee("breeding")).to.equal(ethers.parseEther("0.001"));
+      expect(await client.getBurnRate("arena_entry")).to.equal(1000n);
+      expect((await client.getEconomicState()).treasury).to.equal(treasury.address);
+      expect(await client.l1().then((l1) => l1.getAddress())).to.equal(await bugtopiaL1.getAddress());
+    });
+
+    it("mints Bug DNA with the nft_minting fee attached and returns decoded events", async function () {
+      const { bugtopiaL1, client, player } = await loadFixture(clientFixture);
+
+      const result = await client.mintBugDNA(bugDNA({ fitness: 100 }), { to: player.address });
+
+      expect(result.kind).to.equal("mintBugDNA");
+      expect(result.tokenId).to.equal(0n);
+      expect(result.events.map(({ contract, name }) => `${contract}.${name}`)).to.include.members([
+        "BugtopiaL1.UtilityFeePaid",
+        "BugtopiaCollectibles.TransferSingle",
+        "BugtopiaCollectibles.NFTMinted"
+      ]);
+      const feePaid = result.events.find((event) => event.name === "UtilityFeePaid");
+      expect(feePaid.args).to.deep.include({ amount: ethers.parseEther("0.001"), utilityType: "nft_minting" });
+      expect((await bugtopiaL1.getEconomicState())[1] > 0n).to.equal(true);
+    });
+
+    it("mints territories in the territory id range", async function () {
+      const { client } = await loadFixture(clientFixture);
+
+      const { tokenId, rarity } = await client.mintTerritory(territory());
+
+      expect(tokenId).to.equal(1000000n);
+      expect(rarity > 0n).to.equal(true);
+    });
+
+    it("recovers mint data from the minting transaction", async function () {
+      const { client, player } = await loadFixture(clientFixture);
+      const bug = bugDNA({ parentId1: 3, parentId2: 4 });
+      const { tokenId: bugId, transactionHash } = await client.mintBugDNA(bug, { to: player.address });
+      const { tokenId: territoryId } = await client.mintTerritory(territory({ populationCount: 12 }));
+
+      const bugMint = await client.getMintData(bugId);
+      expect(bugMint).to.deep.include({ kind: "mintBugDNA", to: player.address, transactionHash });
+      expect(bugMint.data).to.deep.include({ geneticHash: bug.geneticHash, parentId1: 3n, parentId2: 4n });
+
+      const territoryMint = await client.getMintData(territoryId);
+      expect(territoryMint.kind).to.equal("mintTerritory");
+      expect(territoryMint.data).to.deep.include({ maxX: 32n, populationCount: 12n });
+
+      expect(await client.getMintData(99n)).to.equal(null);
+    });
+
+    it("maps revert strings to error codes", async function () {
+      const { client, addresses, player } = await loadFixture(clientFixture);
+      const playerClient = createBugtopiaClient({ runner: player, addresses });
+
+      const notMinter = await playerClient.mintBugDNA(bugDNA()).catch((err) => err);
+      expect(notMinter).to.be.instanceOf(BugtopiaContractError);
+      expect(notMinter).to.include({ code: "NOT_AUTHORIZED_TO_MINT", reason: "Not authorized to mint" });
+
+      const { tokenId } = await client.mintTerritory(territory());
+      const noStake = await playerClient.unstakeFromTerritory(tokenId, 1n).catch((err) => err);
+      expect(noStake.code).to.equal("INSUFFICIENT_STAKE");
+
+      const underpaid = await client.payUtilityFee("breeding", { value: 1n }).catch((err) => err);
+      expect(underpaid.code).to.equal("INSUFFICIENT_FEE");
+    });
+
+    it("maps OpenZeppelin custom errors", async function () {
+      const { bugtopiaL1, client, player } = await loadFixture(clientFixture);
+
+      const notOwner = await bugtopiaL1.connect(player).pause().catch((err) => translateError(err));
+      expect(notOwner).to.include({ code: "NOT_OWNER", reason: "OwnableUnauthorizedAccount" });
+      expect(notOwner.args).to.deep.equal([player.address]);
+
+      await bugtopiaL1.pause();
+      const paused = await client.burnBug(1000n, "test").catch((err) => err);
+      expect(paused.code).to.equal("PAUSED");
+    });
+
+    it("funds distributeRevenue so payouts do not come out of stakes", async function () {
+      const { collectibles, client, addresses, staker, player } = await loadFixture(clientFixture);
+      const { tokenId } = await client.mintTerritory(territory());
+      await createBugtopiaClient({ runner: staker, addresses }).stakeOnTerritory(tokenId, ethers.parseEther("1"));
+
+      const amounts = [ethers.parseEther("0.2"), ethers.parseEther("0.1")];
+      const result = await client.distributeRevenue(tokenId, [staker.address, player.address], amounts);
+
+      expect(result.events.find((event) => event.name === "RevenueDistributed").args.totalAmount)
+        .to.equal(ethers.parseEther("0.3"));
+      expect(await ethers.provider.getBalance(addresses.collectibles)).to.equal(ethers.parseEther("1"));
+      expect((await client.getTerritoryStake(tokenId, staker.address)).totalStaked).to.equal(ethers.parseEther("1"));
+      expect(await collectibles.totalTerritoryStakes(tokenId)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("delivers decoded event subscriptions", async function () {
+      const { client, minter } = await loadFixture(clientFixture);
+
+      let unsubscribe;
+      const received = new Promise((resolve) => {
+        client.on("UtilityFeePaid", resolve).then((off) => (unsubscribe = off));
+      });
+      // Let the subscription register before the event is emitted
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      await client.payUtilityFee("neural_boost");
+
+      const event = await received;
+      await unsubscribe();
+      expect(event.contract).to.equal("BugtopiaL1");
+      expect(event.args).to.deep.equal({ payer: minter.address, amount: ethers.parseEther("0.0005"), utilityType: "neural_boost" });
+    });
+  });
+
+  describe("operation queue", function () {
+    it("sends a batch with consecutive nonces and skips nonces for reverting operations", async function () {
+      const { client, minter } = await loadFixture(clientFixture);
+      const queue = createOperationQueue(client, { batchSize: 3 });
+      const startNonce = await minter.getNonce();
+
+      const minted = queue.enqueue("mintBugDNA", { bugData: bugDNA() });
+      queue.enqueue("payUtilityFee", { utilityType: "breeding", value: 1n });
+      queue.enqueue("payUtilityFee", { utilityType: "arena_entry" });
+      queue.enqueue("burnBug", { amount: 500n, reason: "queue" });
+      expect(queue.size).to.equal(4);
+
+      const outcomes = await queue.flush();
+
+      expect(outcomes.map(({ kind, status }) => `${kind}:${status}`)).to.deep.equal([
+        "mintBugDNA:confirmed",
+        "payUtilityFee:failed",
+        "payUtilityFee:confirmed",
+        "burnBug:confirmed"
+      ]);
+      expect(outcomes[1].error.code).to.equal("INSUFFICIENT_FEE");
+      expect((await minted).tokenId).to.equal(0n);
+
+      const nonces = await Promise.all(
+        outcomes.filter((outcome) => outcome.result).map(async ({ result }) => (await ethers.provider.getTransaction(result.transactionHash)).nonce)
+      );
+      expect(nonces).to.deep.equal([startNonce, startNonce + 1, startNonce + 2]);
+      expect(queue.size).to.equal(0);
+    });
+
+    it("rejects unknown operation kinds", async function () {
+      const { client } = await loadFixture(clientFixture);
+
+      expect(() => createOperationQueue(client).enqueue("transferBug", {})).to.throw('Unknown operation kind "transferBug"');
+    });
+  });
+
+  describe("metadata server", function () {
+    it("serves metadata through the client", async function () {
+      const { client, addresses, player } = await loadFixture(clientFixture);
+      const { tokenId } = await client.mintBugDNA(bugDNA({ species: 2 }), { to: player.address });
+      const readOnly = createBugtopiaClient({ runner: ethers.provider, addresses });
+
+      const metadata = await fetchTokenMetadata(readOnly, tokenId);
+      expect(metadata.name).to.equal("Bug #0");
+
+      const server = createMetadataServer({ client: readOnly });
+      const { port } = await server.listen(0, "127.0.0.1");
+      try {
+        const response = await getJson(`http://127.0.0.1:${port}/metadata/${tokenId.toString(16).padStart(64, "0")}.json`);
+        expect(response.status).to.equal(200);
+        expect(response.body).to.deep.equal(metadata);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it("serves SVG images for bugs and territories", async function () {
+      const { client, addresses, player } = await loadFixture(clientFixture);
+      const bug = bugDNA({ species: 3, neuralLayers: 6 });
+      const { tokenId: bugId, rarity: bugRarity } = await client.mintBugDNA(bug, { to: player.address });
+      const plot = territory({ biomeType: 4 });
+      const { tokenId: territoryId, rarity: territoryRarity } = await client.mintTerritory(plot);
+      const readOnly = createBugtopiaClient({ runner: ethers.provider, addresses });
+      const url = (tokenId, suffix) => `/${tokenId.toString(16).padStart(64, "0")}.${suffix}`;
+
+      const server = createMetadataServer({ client: readOnly, imageBaseUrl: "https://img.bugtopia.io/" });
+      const { port } = await server.listen(0, "127.0.0.1");
+      const base = `http://127.0.0.1:${port}`;
+      try {
+        const bugImage = await getText(`${base}/image${url(bugId, "svg")}`);
+        expect(bugImage.status).to.equal(200);
+        expect(bugImage.type).to.equal("image/svg+xml");
+        expect(bugImage.body).to.equal(renderBugCard({
+          tokenId: bugId,
+          species: 3,
+          rarity: bugRarity,
+          neuralLayers: 6,
+          geneticHash: bug.geneticHash
+        }));
+
+        const tile = await getText(`${base}/image${url(territoryId, "svg")}`);
+        expect(tile.body).to.equal(renderTerritoryTile({ tokenId: territoryId, ...plot, rarity: territoryRarity }));
+
+        expect((await getText(`${base}/image${url(7n, "svg")}`)).status).to.equal(404);
+
+        const metadata = await getJson(`${base}/metadata${url(bugId, "json")}`);
+        expect(metadata.body.image).to.equal(`https://img.bugtopia.io/image${url(bugId, "svg")}`);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createBugtopiaClient } = require("../sdk");
+const {
+  WEIGHT_SOURCES,
+  StakingRewardsError,
+  allocateRewards,
+  planStakingEpoch,
+  payStakingEpoch,
+  readStakingLedger,
+  writeStakingLedger
+} = require("../utils/staking-rewards");
+const { DROPPED_AFTER_BLOCKS, sentState, settleSentBatch } = require("../utils/payout-batches");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+const [A, B, C] = ["0xaa", "0xbb", "0xcc"].map((suffix) => ethers.getAddress(ethers.zeroPadValue(suffix, 20)));
+
+describe("Staking rewards", function () {
+  // Five breeding fees paid, so the staking rewards pool holds their share
+  async function feesPaidFixture() {
+    const { bugtopiaL1, addresses: { bugtopiaL1: address }, deployer, player, others: validators } = await deployFixture();
+    const fee = await bugtopiaL1.getUtilityFee("breeding");
+    for (let i = 0; i < 5; i++) await bugtopiaL1.connect(player).payUtilityFee("breeding", { value: fee });
+    const client = createBugtopiaClient({ runner: deployer, addresses: { bugtopiaL1: address } });
+    return { bugtopiaL1, address, client, deployer, player, validators };
+  }
+
+  silenceConsole();
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-staking-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeJson(name, value) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  }
+
+  function validatorsFile(signers, weights) {
+    return writeJson("validators.json", {
+      validators: signers.map(({ address }, i) => ({ address, weight: weights[i], nodeId: `NodeID-${i}` }))
+    });
+  }
+
+  it("splits a budget by weight, rounding down, and weighs delegations by time inside the epoch", async function () {
+    const { allocations, totalWeight, distributed, remainder } = allocateRewards([
+      { address: B, weight: 1n, detail: "b" },
+      { address: A, weight: 2n, detail: "a" },
+      { address: C, weight: 0n, detail: "c" }
+    ], 100n);
+
+    expect(allocations.map(({ address, amount }) => [address, amount])).to.deep.equal([[A, 66n], [B, 33n]]);
+    expect([totalWeight, distributed, remainder]).to.deep.equal([3n, 99n, 1n]);
+    expect(() => allocateRewards([{ address: A, weight: 0n, detail: "a" }], 100n)).to.throw(StakingRewardsError, "nobody any weight");
+
+    const file = writeJson("delegations.json", {
+      delegations: [
+        { delegator: A, amount: "2", start: 500 },
+        { delegator: B, amount: "1", start: 1050, end: 1100 },
+        { delegator: A, amount: "1", start: 1000, end: 1500 },
+        { delegator: C, amount: "5", start: 0, end: 900 }
+      ]
+    });
+    const weights = await WEIGHT_SOURCES.delegations.weights({ file, startTime: 1000, endTime: 1200 });
+    expect(weights.map(({ address, weight }) => [address, weight])).to.deep.equal([
+      [A, ethers.parseEther("600")],
+      [B, ethers.parseEther("50")],
+      [C, 0n]
+    ]);
+
+    const invalid = writeJson("invalid.json", [{ address: "0x12", weight: "1.5" }]);
+    const error = await WEIGHT_SOURCES.validators.weights({ file: invalid }).catch((err) => err);
+    expect(error).to.be.instanceOf(StakingRewardsError);
+    expect(error.issues).to.deep.equal([
+      'validators[0]: "0x12" is not an address',
+      'validators[0]: weight must be a whole number (got "1.5")'
+    ]);
+  });
+
+  it("pays an epoch from the pool, records it in the ledger and never pays it twice", async function () {
+    const { bugtopiaL1, address, validators } = await loadFixture(feesPaidFixture);
+    const [first, second, third] = validators;
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await mine(5);
+    const file = validatorsFile([first, second, third], ["1", "2", "4"]);
+    const ledger = path.join(dir, "ledger.json");
+    const pool = await bugtopiaL1.stakingRewardsPool();
+    const before = await Promise.all(validators.slice(0, 3).map(({ address: account }) => ethers.provider.getBalance(account)));
+
+    const { epoch, paid } = await hre.run("staking:distribute", {
+      epoch: "2026-10", source: "validators", file, fromBlock, address, ledger
+    });
+
+    expect(paid).to.equal(true);
+    const after = await Promise.all(validators.slice(0, 3).map(({ address: account }) => ethers.provider.getBalance(account)));
+    const expected = [1n, 2n, 4n].map((weight) => (pool * weight) / 7n);
+    expect(after.map((balance, i) => balance - before[i])).to.deep.equal(expected);
+    const distributed = expected.reduce((sum, amount) => sum + amount, 0n);
+    expect(epoch.distributed).to.equal(distributed.toString());
+    expect(await bugtopiaL1.stakingRewardsPool()).to.equal(pool - distributed);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const saved = readStakingLedger(ledger, { chainId, bugtopiaL1: address });
+    expect(saved.epochs["2026-10"]).to.deep.equal(epoch);
+    expect(epoch.sourceHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(epoch.chunks.map(({ status }) => status)).to.deep.equal(["confirmed"]);
+    expect(epoch.reconciledAt).to.be.a("string");
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    const again = await hre.run("staking:distribute", { epoch: "2026-10", source: "validators", file, fromBlock, address, ledger });
+    expect(again.paid).to.equal(false);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+
+    const overlap = await hre.run("staking:distribute", {
+      epoch: "2026-11", source: "validators", file, fromBlock: fromBlock + 2, address, ledger
+    }).catch((err) => err);
+    expect(overlap.message).to.include('Epoch "2026-11"');
+    expect(overlap.message).to.include(`2026-10 covers blocks ${fromBlock} to ${epoch.toBlock}`);
+
+    const tooMuch = await hre.run("staking:distribute", {
+      epoch: "2026-11", source: "validators", file, fromBlock: epoch.toBlock, amount: "1000", address, ledger, dryRun: true
+    }).catch((err) => err);
+    expect(tooMuch.message).to.include("Cannot distribute 1000.0 BUG: the staking rewards pool holds");
+  });
+
+  it("resumes an interrupted epoch without paying a chunk twice", async function () {
+    const { bugtopiaL1, address, client, validators } = await loadFixture(feesPaidFixture);
+    const recipients = validators.slice(0, 8);
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await mine(5);
+    const toBlock = await ethers.provider.getBlockNumber();
+    const file = validatorsFile(recipients, recipients.map(() => "1"));
+    const ledgerFile = path.join(dir, "ledger.json");
+    const amount = ethers.parseEther("0.0008");
+    const { chainId } = await ethers.provider.getNetwork();
+    const ledger = readStakingLedger(ledgerFile, { chainId, bugtopiaL1: address });
+
+    // Interrupt right after the first chunk is sent, before its receipt is recorded
+    const epoch = await planStakingEpoch(client, { source: "validators", file, fromBlock, toBlock, amount, gasBudget: 80000n });
+    expect(epoch.chunks.length).to.be.greaterThan(1);
+    for (const chunk of epoch.chunks) expect(BigInt(chunk.gasEstimate) <= 80000n).to.equal(true);
+    ledger.epochs.e1 = epoch;
+    const pool = await bugtopiaL1.stakingRewardsPool();
+    const before = await Promise.all(recipients.map(({ address: account }) => ethers.provider.getBalance(account)));
+
+    const crash = await payStakingEpoch(client, epoch, {
+      onChunk: (updated) => {
+        writeStakingLedger(ledger, ledgerFile);
+        if (updated.chunks[0].status === "sent") throw new Error("crashed");
+      }
+    }).catch((err) => err);
+    expect(crash.message).to.equal("crashed");
+
+    const changed = await hre.run("staking:distribute", {
+      epoch: "e1", source: "validators", file, fromBlock, toBlock, amount: "0.0009", address, ledger: ledgerFile
+    }).catch((err) => err);
+    expect(changed.message).to.include('Epoch "e1" is already in the ledger with different inputs');
+    expect(changed.message).to.include("requested: 800000000000000 (ledger) vs 900000000000000 (now)");
+
+    const { epoch: resumed, paid } = await hre.run("staking:distribute", {
+      epoch: "e1", source: "validators", file, fromBlock, toBlock, amount: "0.0008", address, ledger: ledgerFile
+    });
+
+    expect(paid).to.equal(true);
+    expect(resumed.chunks.every(({ status }) => status === "confirmed")).to.equal(true);
+    expect(new Set(resumed.chunks.map(({ transactionHash }) => transactionHash)).size).to.equal(resumed.chunks.length);
+    const after = await Promise.all(recipients.map(({ address: account }) => ethers.provider.getBalance(account)));
+    expect(after.map((balance, i) => balance - before[i])).to.deep.equal(recipients.map(() => amount / 8n));
+    expect(await bugtopiaL1.stakingRewardsPool()).to.equal(pool - amount);
+  });
+
+  it("resends a chunk whose transaction was dropped and its nonce used by another", async function () {
+    const { bugtopiaL1, client, deployer, validators } = await loadFixture(feesPaidFixture);
+    const recipients = validators.slice(0, 2);
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await mine(5);
+    const toBlock = await ethers.provider.getBlockNumber();
+    const file = validatorsFile(recipients, ["1", "1"]);
+    const amount = ethers.parseEther("0.0002");
+    const epoch = await planStakingEpoch(client, { source: "validators", file, fromBlock, toBlock, amount });
+    const pool = await bugtopiaL1.stakingRewardsPool();
+    const before = await Promise.all(recipients.map(({ address: account }) => ethers.provider.getBalance(account)));
+
+    // The chunk is sent but never mined: the node drops it and the owner's next transaction takes its nonce
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    try {
+      const crash = await payStakingEpoch(client, epoch, {
+        onChunk: (updated) => {
+          if (updated.chunks[0].status === "sent") throw new Error("crashed");
+        }
+      }).catch((err) => err);
+      expect(crash.message).to.equal("crashed");
+      await hre.network.provider.send("hardhat_dropTransaction", [epoch.chunks[0].transactionHash]);
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+    const dropped = epoch.chunks[0].transactionHash;
+    expect(epoch.chunks[0].nonce).to.equal(await ethers.provider.getTransactionCount(deployer.address));
+    await (await deployer.sendTransaction({ to: deployer.address })).wait();
+
+    await payStakingEpoch(client, epoch);
+    expect(epoch.chunks[0]).to.include({ status: "confirmed" });
+    expect(epoch.chunks[0].transactionHash).to.not.equal(dropped);
+    const after = await Promise.all(recipients.map(({ address: account }) => ethers.provider.getBalance(account)));
+    expect(after.map((balance, i) => balance - before[i])).to.deep.equal([amount / 2n, amount / 2n]);
+    expect(await bugtopiaL1.stakingRewardsPool()).to.equal(pool - amount);
+  });
+
+  it("waits for a pending chunk and treats one unknown to the node for DROPPED_AFTER_BLOCKS as dropped", async function () {
+    const { deployer } = await loadFixture(feesPaidFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    try {
+      const tx = await deployer.sendTransaction({ to: deployer.address });
+      const chunk = await sentState(ethers.provider, tx);
+      const pending = await settleSentBatch(ethers.provider, chunk, "Chunk 1").catch((err) => err);
+      expect(pending.message).to.equal(`Chunk 1 (${tx.hash}) has no receipt yet; wait for it to be mined or dropped and rerun`);
+
+      // Gone from the mempool, but not for long enough to be sure
+      await hre.network.provider.send("hardhat_dropTransaction", [tx.hash]);
+      await mine(DROPPED_AFTER_BLOCKS - 1);
+      expect((await settleSentBatch(ethers.provider, chunk, "Chunk 1").catch((err) => err)).message).to.include("has no receipt yet");
+
+      await mine(1);
+      expect(await settleSentBatch(ethers.provider, chunk, "Chunk 1")).to.equal(false);
+      expect(chunk).to.deep.equal({ status: "planned" });
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("reconciles the ledger with StakingRewardsDistributed events", async function () {
+    const { bugtopiaL1, address, validators } = await loadFixture(feesPaidFixture);
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await mine(2);
+    const file = validatorsFile(validators.slice(0, 2), ["1", "1"]);
+    const ledger = path.join(dir, "ledger.json");
+    await hre.run("staking:distribute", { epoch: "e1", source: "validators", file, fromBlock, amount: "0.001", address, ledger });
+
+    // Paid outside the ledger: reported, but the ledger itself still reconciles
+    const direct = await bugtopiaL1.distributeStakingRewards([validators[2].address], [1000n]);
+    const { matched, unrecorded, ok } = await hre.run("staking:reconcile", { address, ledger });
+    expect([matched, ok]).to.deep.equal([1, true]);
+    expect(unrecorded).to.deep.equal([{
+      transactionHash: direct.hash,
+      blockNumber: (await direct.wait()).blockNumber,
+      totalAmount: "1000",
+      recipientCount: 1
+    }]);
+
+    const tampered = JSON.parse(fs.readFileSync(ledger, "utf8"));
+    tampered.epochs.e1.chunks[0].total = "2000000000000000";
+    fs.writeFileSync(ledger, JSON.stringify(tampered));
+    const error = await hre.run("staking:reconcile", { address, ledger }).catch((err) => err);
+    expect(error.message).to.include("does not reconcile with the chain");
+    expect(error.message).to.include("e1 chunk 1: the event paid 1000000000000000 wei to 2 recipients, the ledger records 2000000000000000 wei to 2");
+  });
+});
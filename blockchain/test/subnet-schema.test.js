@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  SubnetConfigError,
+  validateSubnetConfig,
+  validateGenesis,
+  assertValidSubnet
+} = require("../utils/subnet-schema");
+
+const OWNER = "0x8db97C7cEcE249c2b98bDC0226Cc4C2A57BF52FC";
+
+function subnetConfig(overrides = {}) {
+  return {
+    name: "Bugtopia Gaming Subnet",
+    chainId: 68420,
+    networkId: 68420,
+    gasLimit: 8000000,
+    targetBlockRate: 2,
+    minValidatorStake: ethers.parseEther("2000"),
+    maxValidatorStake: ethers.parseEther("3000000"),
+    minDelegationStake: ethers.parseEther("25"),
+    delegationFee: 20000,
+    minStakeDuration: 86400 * 14,
+    maxStakeDuration: 86400 * 365,
+    rewardConfig: {
+      mintingPeriod: 365 * 24 * 60 * 60,
+      supplyConstraint: "0x204FCE5E3E25026110000000"
+    },
+    ...overrides
+  };
+}
+
+function genesis({ chainId = 68420, alloc = { [OWNER]: { balance: "0x295BE96E64066972000000" } }, feeConfig = {} } = {}) {
+  return {
+    config: {
+      chainId,
+      homesteadBlock: 0,
+      eip150Block: 0,
+      eip155Block: 0,
+      eip158Block: 0,
+      byzantiumBlock: 0,
+      constantinopleBlock: 0,
+      petersburgBlock: 0,
+      istanbulBlock: 0,
+      muirGlacierBlock: 0,
+      berlinBlock: 0,
+      londonBlock: 0,
+      feeConfig: {
+        gasLimit: 8000000,
+        targetBlockRate: 2,
+        minBaseFee: 25000000000,
+        targetGas: 15000000,
+        baseFeeChangeDenominator: 36,
+        minBlockGasCost: 0,
+        maxBlockGasCost: 1000000,
+        blockGasCostStep: 200000,
+        ...feeConfig
+      }
+    },
+    gasLimit: "0x7a1200",
+    alloc
+  };
+}
+
+describe("Subnet configuration validation", function () {
+  it("accepts the shipped configuration", function () {
+    expect(validateSubnetConfig(subnetConfig(), { expectedChainId: 68420 })).to.deep.equal([]);
+    expect(validateGenesis(genesis(), { expectedChainId: 68420, ownerAddress: OWNER })).to.deep.equal([]);
+  });
+
+  it("flags a chain ID that disagrees with hardhat.config.js", function () {
+    const issues = validateSubnetConfig(subnetConfig({ chainId: 43214, networkId: 43214 }), { expectedChainId: 68420 });
+    expect(issues).to.deep.equal(["SUBNET_CONFIG.chainId is 43214 but hardhat.config.js expects 68420"]);
+  });
+
+  it("rejects C-Chain IDs", function () {
+    const issues = validateSubnetConfig(subnetConfig({ chainId: 43114, networkId: 43114 }));
+    expect(issues[0]).to.match(/reserved by the Avalanche C-Chain/);
+  });
+
+  it("rejects inverted stake ranges and out-of-range delegation fees", function () {
+    const issues = validateSubnetConfig(subnetConfig({
+      minValidatorStake: ethers.parseEther("5000000"),
+      delegationFee: 2000000,
+      minStakeDuration: 86400 * 400
+    }));
+    expect(issues).to.include("SUBNET_CONFIG.minValidatorStake (5000000.0) exceeds maxValidatorStake (3000000.0)");
+    expect(issues.some((issue) => issue.startsWith("SUBNET_CONFIG.delegationFee"))).to.equal(true);
+    expect(issues.some((issue) => issue.startsWith("SUBNET_CONFIG.minStakeDuration"))).to.equal(true);
+  });
+
+  it("reports an alloc keyed by an unset owner address", function () {
+    const issues = validateGenesis(genesis({ alloc: { undefined: { balance: "0x1" } } }), { ownerAddress: undefined });
+    expect(issues).to.deep.equal([
+      'genesis.alloc key "undefined" is not a valid owner address (is SUBNET_OWNER_ADDRESS set?)'
+    ]);
+  });
+
+  it("requires the owner to be funded and the alloc to fit the supply constraint", function () {
+    const other = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+    const issues = validateGenesis(
+      genesis({ alloc: { [other]: { balance: "0x204FCE5E3E25026110000001" } } }),
+      { ownerAddress: OWNER, supplyConstraint: "0x204FCE5E3E25026110000000" }
+    );
+    expect(issues[0]).to.equal(`genesis.alloc does not fund the subnet owner ${OWNER}`);
+    expect(issues[1]).to.match(/above the supply constraint/);
+  });
+
+  it("checks fee config bounds", function () {
+    const issues = validateGenesis(genesis({ feeConfig: { minBaseFee: 0, minBlockGasCost: 2000000 } }));
+    expect(issues).to.include("genesis.config.feeConfig.minBaseFee must be between 1 and 1000000000000 (got 0)");
+    expect(issues).to.include("genesis.config.feeConfig.minBlockGasCost must not exceed maxBlockGasCost");
+  });
+
+  it("throws one readable error listing every problem", function () {
+    let error;
+    try {
+      assertValidSubnet(subnetConfig({ chainId: 1, networkId: 2 }), genesis({ chainId: 1 }), { expectedChainId: 68420 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(SubnetConfigError);
+    expect(error.issues).to.have.length(3);
+    expect(error.message).to.include("  - SUBNET_CONFIG.networkId (2) must equal chainId (1)");
+  });
+});
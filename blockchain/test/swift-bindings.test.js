@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { writeRegistry } = require("../utils/deployment-registry");
+const { loadNetworkProfiles } = require("../utils/network-profiles");
+const {
+  SWIFT_BINDINGS_PATH,
+  lowerCamel,
+  swiftType,
+  readNetworkAddresses,
+  missingAddresses,
+  renderSwiftBindings,
+  abiSection
+} = require("../utils/swift-bindings");
+
+const L1_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const COLLECTIBLES_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+describe("Swift bindings", function () {
+  const profiles = Object.values(loadNetworkProfiles()).filter((profile) => profile.app);
+  let abis;
+  let dir;
+
+  before(async function () {
+    abis = {};
+    for (const name of ["BugtopiaL1", "BugtopiaCollectibles"]) {
+      abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+    }
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-swift-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keeps the committed Swift file in step with the compiled contracts", function () {
+    const swift = renderSwiftBindings({ abis, profiles, addresses: {} });
+
+    expect(abiSection(fs.readFileSync(SWIFT_BINDINGS_PATH, "utf8"))).to.equal(abiSection(swift), "run npx hardhat swift:bindings");
+  });
+
+  it("emits the selectors, topics and structs of the ABIs", function () {
+    const swift = renderSwiftBindings({ abis, profiles, addresses: {} });
+    const collectibles = new ethers.Interface(abis.BugtopiaCollectibles);
+    const l1 = new ethers.Interface(abis.BugtopiaL1);
+
+    expect(swift).to.include(`static let mintBugDNA = "${collectibles.getFunction("mintBugDNA").selector}"`);
+    expect(swift).to.include(`static let nftMinted = "${collectibles.getEvent("NFTMinted").topicHash}"`);
+    expect(swift).to.include(`static let payUtilityFee = "${l1.getFunction("payUtilityFee").selector}"`);
+    expect(swift).to.include(`static let ownableUnauthorizedAccount = "${l1.getError("OwnableUnauthorizedAccount").selector}"`);
+
+    const bugData = collectibles.getFunction("mintBugDNA").inputs[1].components;
+    const struct = swift.match(/struct BugDNAData: Codable, Equatable \{\n([\s\S]*?)\n {4}\}/)[1];
+    expect(struct.split("\n").map((line) => line.trim())).to.deep.equal(
+      bugData.map((field) => `var ${field.name}: ${field.type === "bytes32" ? "String" : "UInt256"}`)
+    );
+    expect(swift).to.include("var stakeholders: [String]");
+  });
+
+  it("names overloads, keywords and nested types", function () {
+    const abi = [
+      "function transfer(address to, uint256 amount)",
+      "function transfer(address to, uint256 amount, bytes data)",
+      "function default() view returns (uint8)",
+      "event URI(string value, uint256 indexed id)"
+    ].map((fragment) => ethers.Fragment.from(fragment).format("json")).map(JSON.parse);
+    abi.push({
+      type: "function",
+      name: "submit",
+      stateMutability: "nonpayable",
+      outputs: [],
+      inputs: [{
+        name: "orders",
+        type: "tuple[]",
+        internalType: "struct Market.Order[]",
+        components: [
+          { name: "price", type: "uint64", internalType: "uint64" },
+          { name: "delta", type: "int32", internalType: "int32" },
+          {
+            name: "legs",
+            type: "tuple[2]",
+            internalType: "struct Market.Leg[2]",
+            components: [{ name: "open", type: "bool", internalType: "bool" }]
+          }
+        ]
+      }]
+    });
+
+    const swift = renderSwiftBindings({ abis: { Market: abi }, profiles: [], addresses: {} });
+
+    expect(swift).to.include("static let transfer_address_uint256 =");
+    expect(swift).to.include("static let transfer_address_uint256_bytes =");
+    expect(swift).to.include("static let `default` =");
+    expect(swift).to.include("static let uri =");
+    expect(swift).to.include("var legs: [Leg]");
+    expect(swift.indexOf("struct Leg")).to.be.lessThan(swift.indexOf("struct Order"));
+    expect(swiftType({ type: "int32", internalType: "int32" })).to.equal("Int32");
+    expect(swiftType({ type: "uint128", internalType: "uint128" })).to.equal("UInt256");
+    expect(["NFTMinted", "URI", "ERC1155InvalidSender", "Paused"].map(lowerCamel))
+      .to.deep.equal(["nftMinted", "uri", "erc1155InvalidSender", "paused"]);
+  });
+
+  it("reads addresses per network from the registry and hardhat-deploy", function () {
+    const local = profiles.find((profile) => profile.app === "local");
+    const fuji = profiles.find((profile) => profile.app === "fuji");
+    writeRegistry({
+      chainId: 68420,
+      network: "bugtopia_local",
+      contracts: { BugtopiaL1: { address: L1_ADDRESS }, BugtopiaCollectibles: { address: COLLECTIBLES_ADDRESS } },
+      steps: {}
+    }, { dir });
+    // Fuji has no registry of its own, so its hardhat-deploy files count
+    fs.mkdirSync(path.join(dir, "bugtopia_fuji"));
+    fs.writeFileSync(path.join(dir, "bugtopia_fuji", "BugtopiaL1.json"), JSON.stringify({ address: L1_ADDRESS.toLowerCase() }));
+
+    const addresses = {
+      bugtopia_local: readNetworkAddresses(local, ["BugtopiaL1", "BugtopiaCollectibles"], { dir }),
+      bugtopia_fuji: readNetworkAddresses(fuji, ["BugtopiaL1", "BugtopiaCollectibles"], { dir })
+    };
+    expect(addresses.bugtopia_fuji).to.deep.equal({ BugtopiaL1: L1_ADDRESS });
+
+    const swift = renderSwiftBindings({ abis, profiles, addresses });
+    expect(swift).to.include([
+      "        case .local:",
+      "            return BlockchainManagerL1.ContractAddresses(",
+      `                bugtopiaL1: "${L1_ADDRESS}",`,
+      `                collectibles: "${COLLECTIBLES_ADDRESS}",`
+    ].join("\n"));
+    expect(swift).to.include("        case .fuji: return nil");
+  });
+
+  it("names the networks that have no recorded addresses instead of letting them become nil", async function () {
+    const names = ["BugtopiaL1", "BugtopiaCollectibles"];
+    const fuji = profiles.find((profile) => profile.app === "fuji");
+    const addresses = {
+      bugtopia_local: { BugtopiaL1: L1_ADDRESS, BugtopiaCollectibles: COLLECTIBLES_ADDRESS },
+      bugtopia_fuji: { BugtopiaL1: L1_ADDRESS }
+    };
+    const relative = path.relative(process.cwd(), dir);
+
+    expect(missingAddresses(profiles, addresses, names, { dir })).to.deep.equal([
+      `fuji: no BugtopiaCollectibles in ${relative}/bugtopia_fuji.json or ${relative}/bugtopia_fuji/`,
+      `mainnet: no BugtopiaL1, BugtopiaCollectibles in ${relative}/bugtopia_mainnet.json or ${relative}/bugtopia_mainnet/`
+    ]);
+    const sandbox = () => ({ dir: path.join(dir, "sandbox"), network: "localhost" });
+    expect(missingAddresses([fuji], {}, ["BugtopiaL1"], { dir, registryFor: sandbox })).to.deep.equal([
+      `fuji: no BugtopiaL1 in ${relative}/sandbox/localhost.json or ${relative}/sandbox/bugtopia_fuji/`
+    ]);
+    expect(missingAddresses([fuji], { bugtopia_fuji: addresses.bugtopia_local }, names, { dir })).to.deep.equal([]);
+
+    const error = await hre.run("swift:bindings", { check: true, undeployed: "fuji,testnet" }).catch((err) => err);
+    expect(error.message).to.equal("Unknown app network(s) in --undeployed: testnet (expected local, fuji, mainnet)");
+  });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createBugtopiaClient } = require("../sdk");
+const {
+  TerritoryRevenueError,
+  computeStakeShares,
+  allocateRevenue,
+  buildRevenueReport,
+  planRevenueBatches,
+  distributeRevenueBatches,
+  writeRevenueReport
+} = require("../utils/territory-revenue");
+const { territory } = require("./fixtures/collectibles");
+const { deployFixture, silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+const [A, B, C] = ["0xaa", "0xbb", "0xcc"].map((suffix) => ethers.getAddress(ethers.zeroPadValue(suffix, 20)));
+
+describe("Territory revenue", function () {
+  // A territory minted by the deployer, which every other account can stake on
+  async function territoryFixture() {
+    const { collectibles, addresses: { collectibles: address }, deployer, treasury, player, others } = await deployFixture();
+    const stakers = [player, ...others];
+    const client = createBugtopiaClient({ runner: deployer, addresses: { collectibles: address } });
+    const { tokenId } = await client.mintTerritory(territory());
+    const stake = (signer, amount) => collectibles.connect(signer).stakeOnTerritory(tokenId, { value: ethers.parseEther(amount) });
+    const unstake = (signer, amount) => collectibles.connect(signer).unstakeFromTerritory(tokenId, ethers.parseEther(amount));
+    return { collectibles, address, client, tokenId, treasury, stakers, stake, unstake };
+  }
+
+  silenceConsole();
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-revenue-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function event(staker, delta, blockNumber, timestamp) {
+    return { staker, delta, blockNumber, timestamp, transactionHash: ethers.ZeroHash };
+  }
+
+  it("weights stakes by the seconds they were held and sends the dust to the chosen recipient", function () {
+    const events = [
+      event(C, 5n, 2, 900),
+      event(C, -5n, 3, 910),
+      event(A, 3n, 5, 950),
+      event(B, 1n, 12, 1050),
+      event(A, -1n, 15, 1075)
+    ];
+
+    const { stakers, totalStakeSeconds } = computeStakeShares(events, { fromBlock: 10, startTime: 1000, endTime: 1100 });
+
+    // C left before the epoch; A held 3 for 75s and 2 for 25s, B held 1 for 50s
+    expect(stakers.map(({ address, openingStake, closingStake, stakeSeconds }) => [address, openingStake, closingStake, stakeSeconds]))
+      .to.deep.equal([[A, 3n, 2n, 275n], [B, 0n, 1n, 50n]]);
+    expect(totalStakeSeconds).to.equal(325n);
+
+    const { shares, dust, payouts } = allocateRevenue(stakers, totalStakeSeconds, 1000n, C);
+    expect(shares.map(({ payout }) => payout)).to.deep.equal([846n, 153n]);
+    expect(dust).to.equal(1n);
+    expect(payouts).to.deep.equal([{ recipient: A, amount: 846n }, { recipient: B, amount: 153n }, { recipient: C, amount: 1n }]);
+
+    expect(allocateRevenue(stakers, totalStakeSeconds, 1000n, B).payouts[1]).to.deep.equal({ recipient: B, amount: 154n });
+    expect(() => allocateRevenue([], 0n, 1000n, C)).to.throw(TerritoryRevenueError, "no one to pay");
+    expect(() => computeStakeShares([event(A, -1n, 3, 10)], { fromBlock: 1, startTime: 0, endTime: 20 }))
+      .to.throw(TerritoryRevenueError, `${A} unstakes more than it staked in block 3`);
+  });
+
+  it("pays an epoch with exactly the revenue as msg.value and writes the report", async function () {
+    const { collectibles, address, tokenId, treasury, stakers, stake, unstake } = await loadFixture(territoryFixture);
+    const [early, late, gone] = stakers;
+    const t0 = (await time.latest()) + 100;
+
+    await stake(gone, "2");
+    await unstake(gone, "2");
+    await time.setNextBlockTimestamp(t0);
+    await stake(early, "1");
+    await time.setNextBlockTimestamp(t0 + 100);
+    await mine();
+    const fromBlock = await time.latestBlock();
+    await time.setNextBlockTimestamp(t0 + 200);
+    await stake(late, "3");
+    await time.setNextBlockTimestamp(t0 + 300);
+    await unstake(early, "0.5");
+    await time.setNextBlockTimestamp(t0 + 500);
+    await mine();
+    const toBlock = await time.latestBlock();
+
+    const before = await Promise.all([early, late, treasury].map(({ address: account }) => ethers.provider.getBalance(account)));
+    const contractBalance = await ethers.provider.getBalance(address);
+    const out = path.join(dir, "epoch.json");
+
+    const { report } = await hre.run("nft:distribute-revenue", {
+      tokenId: tokenId.toString(),
+      amount: "1.000000000000000001",
+      epoch: "2026-w42",
+      fromBlock,
+      toBlock,
+      dustRecipient: treasury.address,
+      address,
+      out
+    });
+
+    // early: 1 BUG for 200s + 0.5 BUG for 200s = 300 BUG·s; late: 3 BUG for 300s = 900 BUG·s
+    const after = await Promise.all([early, late, treasury].map(({ address: account }) => ethers.provider.getBalance(account)));
+    expect(after.map((balance, i) => balance - before[i])).to.deep.equal([
+      ethers.parseEther("0.25"),
+      ethers.parseEther("0.75"),
+      1n
+    ]);
+    expect(await ethers.provider.getBalance(address)).to.equal(contractBalance);
+    expect(await ethers.provider.getBalance(address)).to.equal(await collectibles.totalTerritoryStakes(tokenId));
+
+    const saved = JSON.parse(fs.readFileSync(out, "utf8"));
+    expect(saved).to.deep.equal(report);
+    expect(saved.stakers.map(({ address: staker, stakeSeconds }) => [staker, stakeSeconds]))
+      .to.have.deep.members([[early.address, ethers.parseEther("300").toString()], [late.address, ethers.parseEther("900").toString()]]);
+    expect(saved.dust).to.equal("1");
+    expect(saved.batches).to.have.length(1);
+    expect(saved.batches[0]).to.include({ status: "confirmed", total: "1000000000000000001" });
+
+    const markdown = fs.readFileSync(path.join(dir, "epoch.md"), "utf8");
+    expect(markdown).to.include(`# Territory #${tokenId} revenue, epoch 2026-w42`);
+    expect(markdown).to.include(`| ${late.address} | 0.0 BUG | 3.0 BUG | 900.0 | 75.0000% | 0.75 BUG |`);
+    expect(markdown).to.include(`| ${early.address} | -0.5 BUG | 0.5 BUG |`);
+    expect(markdown).to.include("- Rounding dust: 1 wei to " + treasury.address);
+  });
+
+  it("splits large staker sets under the gas budget and resumes without paying twice", async function () {
+    const { address, client, tokenId, treasury, stakers, stake } = await loadFixture(territoryFixture);
+    const fromBlock = await time.latestBlock();
+    for (const staker of stakers.slice(0, 8)) await stake(staker, "1");
+    await mine(10);
+    const toBlock = await time.latestBlock();
+    const epoch = { epoch: "e1", tokenId, amount: ethers.parseEther("8"), fromBlock, toBlock, dustRecipient: treasury.address };
+    const out = path.join(dir, "e1.json");
+
+    // Interrupt right after the first batch is sent, before its receipt is recorded
+    const report = await buildRevenueReport(client, epoch);
+    report.batches = await planRevenueBatches(client, report.tokenId, report.payouts, { gasBudget: 70000n });
+    expect(report.batches.length).to.be.greaterThan(2);
+    for (const batch of report.batches) expect(BigInt(batch.gasEstimate) <= 70000n).to.equal(true);
+    const before = await Promise.all(stakers.slice(0, 8).map(({ address: account }) => ethers.provider.getBalance(account)));
+
+    const crash = await distributeRevenueBatches(client, report, {
+      onBatch: (updated) => {
+        writeRevenueReport(updated, out);
+        if (updated.batches[0].status === "sent") throw new Error("crashed");
+      }
+    }).catch((err) => err);
+    expect(crash.message).to.equal("crashed");
+
+    const { report: resumed } = await hre.run("nft:distribute-revenue", {
+      tokenId: tokenId.toString(), amount: "8", epoch: "e1", fromBlock, address, out, dustRecipient: treasury.address
+    });
+
+    expect(resumed.batches.every(({ status }) => status === "confirmed")).to.equal(true);
+    const payoutOf = Object.fromEntries(resumed.payouts.map(({ recipient, amount }) => [recipient, BigInt(amount)]));
+    const after = await Promise.all(stakers.slice(0, 8).map(({ address: account }) => ethers.provider.getBalance(account)));
+    expect(after.map((balance, i) => balance - before[i])).to.deep.equal(stakers.slice(0, 8).map(({ address: account }) => payoutOf[account]));
+    const sent = new Set(resumed.batches.map(({ transactionHash }) => transactionHash));
+    expect(sent.size).to.equal(resumed.batches.length);
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    await hre.run("nft:distribute-revenue", { tokenId: tokenId.toString(), amount: "8", epoch: "e1", fromBlock, address, out, dustRecipient: treasury.address });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+
+    const changed = await hre.run("nft:distribute-revenue", {
+      tokenId: tokenId.toString(), amount: "9", epoch: "e1", fromBlock, address, out, dustRecipient: treasury.address
+    }).catch((err) => err);
+    expect(changed.message).to.include('Epoch "e1" was already planned with different inputs');
+    expect(changed.message).to.include("amount: 8000000000000000000 (report) vs 9000000000000000000 (now)");
+  });
+
+  it("sends and writes nothing on a dry run", async function () {
+    const { address, tokenId, stakers, stake } = await loadFixture(territoryFixture);
+    const fromBlock = await time.latestBlock();
+    await stake(stakers[0], "1");
+    await mine();
+    const out = path.join(dir, "dry.json");
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const { report, dryRun } = await hre.run("nft:distribute-revenue", {
+      tokenId: tokenId.toString(), amount: "1", epoch: "dry", fromBlock, address, out, dryRun: true
+    });
+
+    expect(dryRun).to.equal(true);
+    expect(report.payouts).to.deep.equal([{ recipient: stakers[0].address, amount: ethers.parseEther("1").toString() }]);
+    expect(report.batches[0].status).to.equal("planned");
+    expect(fs.existsSync(out)).to.equal(false);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { readEconomy } = require("../utils/economy");
+const {
+  parseActionStream,
+  generateActivity,
+  resolveValues,
+  createModelState,
+  modelPayUtilityFee,
+  runModel,
+  replayActivity,
+  writeReport,
+  compareReports
+} = require("../utils/tokenomics");
+
+const { ethers } = hre;
+
+function baseState(overrides = {}) {
+  return {
+    treasury: ethers.ZeroAddress,
+    treasuryRatio: 3000n,
+    totalBugBurned: 0n,
+    stakingRewardsPool: 0n,
+    fees: { breeding: ethers.parseEther("0.001") },
+    burnRates: { breeding: 1500n },
+    balance: 0n,
+    ...overrides
+  };
+}
+
+describe("Tokenomics simulator", function () {
+  describe("model", function () {
+    it("splits a fee exactly like payUtilityFee", function () {
+      const state = baseState();
+
+      const outcome = modelPayUtilityFee(state, "breeding", ethers.parseEther("0.001"));
+
+      expect(outcome).to.deep.equal({
+        fee: ethers.parseEther("0.001"),
+        burn: ethers.parseEther("0.00015"),
+        treasury: ethers.parseEther("0.0003"),
+        staking: ethers.parseEther("0.00055"),
+        refund: 0n
+      });
+      expect(state.stakingRewardsPool).to.equal(ethers.parseEther("0.00055"));
+      expect(state.balance).to.equal(ethers.parseEther("0.00055"));
+    });
+
+    it("splits on msg.value and refunds the excess from the contract balance", function () {
+      const state = baseState({ balance: ethers.parseEther("1"), stakingRewardsPool: ethers.parseEther("1") });
+
+      const outcome = modelPayUtilityFee(state, "breeding", ethers.parseEther("0.003"));
+
+      expect(outcome.burn).to.equal(ethers.parseEther("0.00045"));
+      expect(outcome.refund).to.equal(ethers.parseEther("0.002"));
+      expect(state.stakingRewardsPool).to.equal(ethers.parseEther("1.00165"));
+      expect(state.balance).to.equal(ethers.parseEther("0.99965"));
+    });
+
+    it("reverts where the contract reverts and leaves state untouched", function () {
+      const state = baseState();
+      const before = { ...state };
+
+      expect(() => modelPayUtilityFee(state, "breeding", 1n)).to.throw("Insufficient fee payment");
+      expect(() => modelPayUtilityFee(state, "breeding", ethers.parseEther("0.01"))).to.throw("refund transfer failed");
+      expect(state).to.deep.equal(before);
+    });
+
+    it("charges nothing for unknown utility types", function () {
+      const state = baseState();
+
+      expect(modelPayUtilityFee(state, "time_travel", 0n).fee).to.equal(0n);
+    });
+
+    it("tracks per-actor spend net of refunds", function () {
+      const initial = baseState({ balance: ethers.parseEther("1") });
+      const actions = resolveValues([
+        { actor: "alice", utilityType: "breeding" },
+        { actor: "alice", utilityType: "breeding", value: ethers.parseEther("0.005").toString() },
+        { actor: "bob", action: "burn", amount: "1000" },
+        { actor: "bob", utilityType: "breeding", value: "1" }
+      ], initial.fees);
+
+      const report = runModel(actions, initial);
+
+      expect(report.actors.alice.spent).to.equal(ethers.parseEther("0.002"));
+      expect(report.actors.alice.refunded).to.equal(ethers.parseEther("0.004"));
+      expect(report.actors.bob).to.include({ actions: 2, reverted: 1, spent: 1000n });
+      expect(report.totals.burned).to.equal(ethers.parseEther("0.00015") + ethers.parseEther("0.00075") + 1000n);
+    });
+  });
+
+  describe("streams and reports", function () {
+    it("parses CSV streams", function () {
+      const actions = parseActionStream([
+        "actor,utilityType,value,day,action,amount",
+        "alice,breeding,,0,,",
+        "bob,arena_entry,3000000000000000,1,,",
+        "carol,,,2,deposit,500"
+      ].join("\n"), "csv");
+
+      expect(actions.map(({ actor, action, utilityType, value, amount, day }) => ({ actor, action, utilityType, value, amount, day })))
+        .to.deep.equal([
+          { actor: "alice", action: "utility", utilityType: "breeding", value: undefined, amount: undefined, day: 0 },
+          { actor: "bob", action: "utility", utilityType: "arena_entry", value: 3000000000000000n, amount: undefined, day: 1 },
+          { actor: "carol", action: "deposit", utilityType: undefined, value: undefined, amount: 500n, day: 2 }
+        ]);
+    });
+
+    it("generates the same stream for the same seed", function () {
+      const scenario = { seed: 7, days: 3, actors: ["a", "b"], dailyActions: { breeding: 2, arena_entry: 1 }, overpayRate: 0.5 };
+
+      expect(generateActivity(scenario)).to.deep.equal(generateActivity(scenario));
+      expect(generateActivity({ ...scenario, seed: 8 })).to.not.deep.equal(generateActivity(scenario));
+    });
+
+    it("writes JSON and CSV reports", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-tokenomics-"));
+      try {
+        const initial = baseState();
+        const report = runModel(resolveValues([{ actor: "alice", utilityType: "breeding", day: 2 }], initial.fees), initial);
+
+        const files = writeReport(report, path.join(dir, "run"));
+
+        expect(files.map((file) => path.basename(file))).to.deep.equal(["run.json", "run-timeline.csv", "run-actors.csv"]);
+        expect(fs.readFileSync(path.join(dir, "run-timeline.csv"), "utf8")).to.equal(
+          "day,total_bug_burned,treasury_received,staking_rewards_pool,contract_balance\n2,0.00015,0.0003,0.00055,0.00055\n"
+        );
+        expect(JSON.parse(fs.readFileSync(path.join(dir, "run.json"), "utf8")).final.stakingRewardsPool).to.equal("550000000000000");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("cross-check against BugtopiaL1", function () {
+    async function deployFixture() {
+      const [, treasury] = await ethers.getSigners();
+      const BugtopiaL1 = await ethers.getContractFactory("BugtopiaL1");
+      const bugtopiaL1 = await BugtopiaL1.deploy(treasury.address);
+      return { bugtopiaL1 };
+    }
+
+    it("agrees with the contract step by step, including refunds and reverts", async function () {
+      const { bugtopiaL1 } = await loadFixture(deployFixture);
+      const generated = generateActivity({
+        seed: 42,
+        days: 4,
+        actors: ["alice", "bob", "carol"],
+        dailyActions: { breeding: 3, neural_boost: 2, arena_entry: 2, governance_proposal: 0.5, mutation_catalyst: 1 },
+        overpayRate: 0.2
+      });
+      const rawActions = [
+        // An early overpayment cannot be refunded from an empty contract
+        { actor: "alice", utilityType: "arena_entry", value: ethers.parseEther("0.02").toString(), day: 0 },
+        { actor: "bob", action: "deposit", amount: ethers.parseEther("0.05").toString(), day: 0 },
+        ...generated,
+        { actor: "carol", utilityType: "breeding", value: "1", day: 4 },
+        { actor: "carol", utilityType: "time_travel", day: 4 },
+        { actor: "bob", action: "burn", amount: ethers.parseEther("0.001").toString(), day: 4 }
+      ];
+
+      const types = [...new Set(rawActions.filter((a) => a.utilityType).map((a) => a.utilityType))];
+      const economy = await readEconomy(bugtopiaL1, types);
+      const actions = resolveValues(rawActions, economy.fees);
+      const initial = createModelState(economy, await ethers.provider.getBalance(await bugtopiaL1.getAddress()));
+
+      const model = runModel(actions, initial);
+      const replay = await replayActivity(hre, bugtopiaL1, actions);
+
+      expect(compareReports(model, replay)).to.deep.equal([]);
+      expect(model.totals.reverted).to.equal(2);
+      expect(model.totals.refunded > 0n).to.equal(true);
+      expect(model.timeline).to.deep.equal(replay.timeline);
+      expect(replay.final.stakingRewardsPool).to.equal(await bugtopiaL1.stakingRewardsPool());
+      expect(replay.final.totalBugBurned).to.equal(await bugtopiaL1.totalBugBurned());
+    });
+  });
+});
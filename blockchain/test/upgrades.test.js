@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { readRegistry, getImplementationAddress } = require("../utils/deployment-registry");
+const { createBugtopiaClient } = require("../sdk");
+const { main: deployL1Contracts } = require("../scripts/deploy-l1-contracts");
+const { bugDNA, territory } = require("./fixtures/collectibles");
+const { silenceConsole } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Proxy upgrades", function () {
+  let registryDir;
+  let snapshotId;
+
+  silenceConsole();
+  beforeEach(async function () {
+    registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "bugtopia-upgrades-"));
+    snapshotId = await hre.network.provider.send("evm_snapshot");
+  });
+
+  afterEach(async function () {
+    await hre.network.provider.send("evm_revert", [snapshotId]);
+    fs.rmSync(registryDir, { recursive: true, force: true });
+  });
+
+  const entryOf = (name) => readRegistry(hre.network.name, { dir: registryDir }).contracts[name];
+
+  it("deploys both contracts behind UUPS proxies that cannot be initialized twice", async function () {
+    const [deployer, treasury] = await ethers.getSigners();
+    const addresses = await deployL1Contracts({ registryDir, proxy: true });
+
+    for (const name of ["BugtopiaL1", "BugtopiaCollectibles"]) {
+      const entry = entryOf(name);
+      const implementation = await getImplementationAddress(ethers.provider, entry.address);
+      expect(entry.proxy).to.include({ kind: "uups", implementation });
+      expect(entry.proxy.implementations).to.have.length(1);
+      expect(entry.proxy.implementations[0]).to.include({ implementation, contract: name });
+    }
+    const bugtopiaL1 = await ethers.getContractAt("BugtopiaL1", addresses.bugtopiaL1);
+    expect(await bugtopiaL1.treasury()).to.equal(treasury.address);
+    expect(await bugtopiaL1.owner()).to.equal(deployer.address);
+    await expect(bugtopiaL1.initialize(deployer.address)).to.be.revertedWithCustomError(bugtopiaL1, "InvalidInitialization");
+
+    const implementation = await ethers.getContractAt("BugtopiaL1", entryOf("BugtopiaL1").proxy.implementation);
+    await expect(implementation.initialize(deployer.address)).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+
+    // A second run reuses the proxies
+    expect(await deployL1Contracts({ registryDir, proxy: true })).to.deep.equal(addresses);
+  });
+
+  it("upgrades both proxies without losing tokens, stakes or burned BUG", async function () {
+    const [deployer, , player] = await ethers.getSigners();
+    const addresses = await deployL1Contracts({ registryDir, proxy: true });
+    const client = createBugtopiaClient({ runner: deployer, addresses });
+    const { bugtopiaL1, collectibles } = client;
+
+    const { tokenId: bugId } = await client.mintBugDNA(bugDNA(), { to: player.address });
+    const { tokenId: territoryId } = await client.mintTerritory(territory());
+    await collectibles.connect(player).stakeOnTerritory(territoryId, { value: ethers.parseEther("2") });
+    await bugtopiaL1.connect(player).burnBug(ethers.parseEther("0.5"), "test", { value: ethers.parseEther("0.5") });
+
+    const read = async () => ({
+      bug: (await collectibles.tokenMetadata(bugId)).toArray(),
+      bugAttributes: (await collectibles.getTokenAttributes(bugId)).toArray().map((values) => values.toArray()),
+      territory: (await collectibles.tokenMetadata(territoryId)).toArray(),
+      stake: await collectibles.territoryStakes(territoryId, player.address),
+      totalStake: await collectibles.totalTerritoryStakes(territoryId),
+      balance: await collectibles.balanceOf(player.address, bugId),
+      totalBugBurned: await bugtopiaL1.totalBugBurned(),
+      pool: await bugtopiaL1.stakingRewardsPool()
+    });
+    const before = await read();
+    expect(before.stake).to.equal(ethers.parseEther("2"));
+    expect(before.totalBugBurned > 0n).to.equal(true);
+
+    const l1Upgrade = await hre.run("upgrade", {
+      contract: "BugtopiaL1",
+      implementation: "BugtopiaL1V2",
+      call: "initializeV2",
+      callArgs: [1767225600],
+      registryDir
+    });
+    const collectiblesUpgrade = await hre.run("upgrade", {
+      contract: "BugtopiaCollectibles",
+      implementation: "BugtopiaCollectiblesV2",
+      registryDir
+    });
+
+    expect(await read()).to.deep.equal(before);
+    const l1V2 = await ethers.getContractAt("BugtopiaL1V2", addresses.bugtopiaL1);
+    const collectiblesV2 = await ethers.getContractAt("BugtopiaCollectiblesV2", addresses.collectibles);
+    expect(await l1V2.version()).to.equal("2");
+    expect(await l1V2.feeHolidayUntil()).to.equal(1767225600n);
+    await collectiblesV2.setTerritoryBonus(territoryId, 7);
+    expect(await collectiblesV2.territoryBonus(territoryId)).to.equal(7n);
+
+    // Still working after the upgrade
+    await collectibles.connect(player).unstakeFromTerritory(territoryId, ethers.parseEther("1"));
+    expect(await collectibles.totalTerritoryStakes(territoryId)).to.equal(ethers.parseEther("1"));
+
+    for (const [name, result] of [["BugtopiaL1", l1Upgrade], ["BugtopiaCollectibles", collectiblesUpgrade]]) {
+      const { proxy } = entryOf(name);
+      expect(result.upgraded).to.equal(true);
+      expect(proxy.implementation).to.equal(result.implementation);
+      expect(await getImplementationAddress(ethers.provider, addresses[name === "BugtopiaL1" ? "bugtopiaL1" : "collectibles"]))
+        .to.equal(result.implementation);
+      expect(proxy.implementations.map(({ implementation }) => implementation)).to.deep.equal([result.previous, result.implementation]);
+      expect(proxy.implementations[1]).to.include({ contract: `${name}V2`, previous: result.previous, smokeChecks: "passed" });
+    }
+
+    const again = await hre.run("upgrade", { contract: "BugtopiaL1", implementation: "BugtopiaL1V2", registryDir });
+    expect(again.upgraded).to.equal(false);
+  });
+
+  it("rejects an incompatible storage layout before sending anything", async function () {
+    const addresses = await deployL1Contracts({ registryDir, proxy: true });
+    const implementation = entryOf("BugtopiaL1").proxy.implementation;
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const error = await hre.run("upgrade", { contract: "BugtopiaL1", implementation: "BugtopiaL1ShiftedLayout", registryDir })
+      .catch((err) => err);
+
+    expect(error.message).to.include(`BugtopiaL1ShiftedLayout cannot replace the BugtopiaL1 implementation ${implementation}`);
+    expect(error.message).to.include("leading");
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await getImplementationAddress(ethers.provider, addresses.bugtopiaL1)).to.equal(implementation);
+    expect(entryOf("BugtopiaL1").proxy.implementations).to.have.length(1);
+
+    const dryRun = await hre.run("upgrade", { contract: "BugtopiaL1", implementation: "BugtopiaL1V2", registryDir, dryRun: true });
+    expect(dryRun).to.deep.equal({ upgraded: false, validated: true, implementation });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+
+  it("refuses immutable deployments and implementations changed behind the registry's back", async function () {
+    await deployL1Contracts({ registryDir });
+    const immutable = await hre.run("upgrade", { contract: "BugtopiaL1", registryDir }).catch((err) => err);
+    expect(immutable.message).to.include(`BugtopiaL1 at ${entryOf("BugtopiaL1").address} is an immutable deployment`);
+
+    const addresses = await deployL1Contracts({ registryDir, proxy: true, fresh: true });
+    const recorded = entryOf("BugtopiaCollectibles").proxy.implementation;
+    await hre.upgrades.upgradeProxy(addresses.collectibles, await ethers.getContractFactory("BugtopiaCollectiblesV2"), {
+      kind: "uups",
+      constructorArgs: [ethers.ZeroAddress, ""]
+    });
+
+    const outside = await hre.run("upgrade", { contract: "BugtopiaCollectibles", registryDir }).catch((err) => err);
+    expect(outside.message).to.include(`but the registry records ${recorded}`);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Deployment audit
+ *
+ * Checks the invariants the economy and the minting pipeline rely on
+ * against a deployed BugtopiaL1 / BugtopiaCollectibles pair. Every check
+ * only reads chain state, so the audit can run after each deploy and on a
+ * schedule; `npx hardhat audit` prints the report and fails when any check
+ * does.
+ */
+
+const { ethers } = require("ethers");
+const { UTILITY_TYPES, BASIS_POINTS } = require("./bugtopia-constants");
+
+// initialize() sets burnRates["governance"]; no fee uses that key
+const LEGACY_BURN_KEYS = ["governance"];
+
+/**
+ * @typedef {Object} AuditCheck
+ * @property {string} id Stable check name, e.g. "fee-split"
+ * @property {boolean} ok
+ * @property {string} summary One-line result
+ * @property {string[]} details Extra lines (one per problem found)
+ */
+
+/**
+ * @typedef {Object} AuditReport
+ * @property {string} bugtopiaL1
+ * @property {string} collectibles
+ * @property {number} blockNumber Block the state was read at
+ * @property {AuditCheck[]} checks
+ * @property {boolean} ok True when every check passed
+ */
+
+function check(id, ok, summary, details = []) {
+  return { id, ok, summary, details };
+}
+
+function formatBug(wei) {
+  return `${ethers.formatEther(wei)} BUG`;
+}
+
+// ============= CHECKS =============
+
+async function checkCode(provider, addresses) {
+  const missing = [];
+  for (const [name, address] of Object.entries(addresses)) {
+    if ((await provider.getCode(address)) === "0x") missing.push(`${name} ${address}`);
+  }
+  return missing.length === 0
+    ? check("contract-code", true, "Both contracts have code")
+    : check("contract-code", false, "No contract code at the audited address", missing);
+}
+
+async function checkFeeSplit(bugtopiaL1) {
+  const treasuryRatio = await bugtopiaL1.treasuryRatio();
+  const stakingRatio = await bugtopiaL1.stakingRatio();
+  const burnRatio = await bugtopiaL1.burnRatio();
+  const total = treasuryRatio + stakingRatio + burnRatio;
+  return check(
+    "fee-split",
+    total === BigInt(BASIS_POINTS),
+    `treasury ${treasuryRatio} + staking ${stakingRatio} + burn ${burnRatio} = ${total} bps` +
+      (total === BigInt(BASIS_POINTS) ? "" : ` (expected ${BASIS_POINTS})`)
+  );
+}
+
+/**
+ * Fee keys ever set through updateUtilityFee, so types introduced after the
+ * deploy are audited too
+ */
+async function updatedFeeKeys(bugtopiaL1, fromBlock) {
+  const logs = await bugtopiaL1.queryFilter(bugtopiaL1.filters.EconomicParameterUpdated(), fromBlock);
+  return logs
+    .map((log) => log.args.parameter)
+    .filter((parameter) => parameter.startsWith("utilityFee_"))
+    .map((parameter) => parameter.slice("utilityFee_".length));
+}
+
+async function checkBurnRates(bugtopiaL1, fromBlock) {
+  const keys = [...new Set([...UTILITY_TYPES, ...LEGACY_BURN_KEYS, ...(await updatedFeeKeys(bugtopiaL1, fromBlock))])];
+  const missing = [];
+  const unused = [];
+  let charged = 0;
+  for (const key of keys) {
+    const fee = await bugtopiaL1.getUtilityFee(key);
+    const rate = await bugtopiaL1.getBurnRate(key);
+    if (fee > 0n) charged += 1;
+    if (fee > 0n && rate === 0n) missing.push(`${key} charges ${formatBug(fee)} but has no burn rate`);
+    if (fee === 0n && rate > 0n) unused.push(`burnRates["${key}"] is ${rate} bps but no fee uses it`);
+  }
+
+  if (missing.length === 0) {
+    return check("burn-rates", true, `All ${charged} utility types with a fee have a burn rate`, unused);
+  }
+  return check("burn-rates", false, `${missing.length} utility type(s) with a fee have no burn rate`, [...missing, ...unused]);
+}
+
+async function checkRewardsPool(provider, bugtopiaL1) {
+  const pool = await bugtopiaL1.stakingRewardsPool();
+  const balance = await provider.getBalance(await bugtopiaL1.getAddress());
+  return balance >= pool
+    ? check("rewards-pool", true, `Balance ${formatBug(balance)} covers the ${formatBug(pool)} rewards pool`)
+    : check(
+      "rewards-pool",
+      false,
+      `Balance ${formatBug(balance)} is below the ${formatBug(pool)} rewards pool (short ${formatBug(pool - balance)})`
+    );
+}
+
+async function checkCollectiblesL1(collectibles, bugtopiaL1Address) {
+  const configured = await collectibles.bugtopiaL1();
+  return configured === bugtopiaL1Address
+    ? check("collectibles-l1", true, `BugtopiaCollectibles pays its fees into ${configured}`)
+    : check("collectibles-l1", false, `BugtopiaCollectibles points at ${configured}, not the audited BugtopiaL1 ${bugtopiaL1Address}`);
+}
+
+async function checkMinter(collectibles, minter) {
+  return (await collectibles.authorizedMinters(minter))
+    ? check("deployer-minter", true, `Deployer ${minter} is an authorized minter`)
+    : check("deployer-minter", false, `Deployer ${minter} is not an authorized minter`);
+}
+
+// ============= AUDIT =============
+
+/**
+ * Audit a deployed contract pair
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider
+ * @param {ethers.Contract} options.bugtopiaL1 BugtopiaL1 contract (e.g. from createBugtopiaClient)
+ * @param {ethers.Contract} options.collectibles BugtopiaCollectibles contract
+ * @param {string} options.deployer Account expected to be an authorized minter
+ * @param {number} options.fromBlock First block to scan for fee updates (the L1 deploy block)
+ * @returns {Promise<AuditReport>}
+ */
+async function auditDeployment({ provider, bugtopiaL1, collectibles, deployer, fromBlock = 0 }) {
+  const addresses = {
+    BugtopiaL1: await bugtopiaL1.getAddress(),
+    BugtopiaCollectibles: await collectibles.getAddress()
+  };
+  const report = {
+    bugtopiaL1: addresses.BugtopiaL1,
+    collectibles: addresses.BugtopiaCollectibles,
+    blockNumber: await provider.getBlockNumber(),
+    checks: [await checkCode(provider, addresses)]
+  };
+
+  // Every other check would revert against an empty address
+  if (report.checks[0].ok) {
+    report.checks.push(
+      await checkFeeSplit(bugtopiaL1),
+      await checkBurnRates(bugtopiaL1, fromBlock),
+      await checkRewardsPool(provider, bugtopiaL1),
+      await checkCollectiblesL1(collectibles, addresses.BugtopiaL1),
+      await checkMinter(collectibles, ethers.getAddress(deployer))
+    );
+  }
+  report.ok = report.checks.every((entry) => entry.ok);
+  return report;
+}
+
+function formatAuditReport(report, { network } = {}) {
+  const width = Math.max(...report.checks.map(({ id }) => id.length));
+  const failed = report.checks.filter(({ ok }) => !ok).length;
+  const lines = [
+    `🩺 Audit of BugtopiaL1 ${report.bugtopiaL1} / BugtopiaCollectibles ${report.collectibles}` +
+      `${network ? ` on ${network}` : ""} at block ${report.blockNumber}`
+  ];
+  for (const { id, ok, summary, details } of report.checks) {
+    lines.push(`  ${ok ? "✅" : "❌"} ${id.padEnd(width)}  ${summary}`);
+    for (const detail of details) lines.push(`     ${" ".repeat(width)}  - ${detail}`);
+  }
+  lines.push(failed === 0
+    ? `All ${report.checks.length} checks passed`
+    : `${failed} of ${report.checks.length} checks failed`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  LEGACY_BURN_KEYS,
+  auditDeployment,
+  formatAuditReport
+};
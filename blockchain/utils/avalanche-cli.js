@@ -0,0 +1,244 @@
+/**
+ * Avalanche-CLI integration
+ *
+ * Thin wrappers around the `avalanche` binary. Every external command goes
+ * through an executor with a single `run(command, args, options)` method, so
+ * the subnet flow can run against the real CLI, a fake binary
+ * (AVALANCHE_CLI_PATH) or recorded output in tests.
+ */
+
+const { spawn } = require("child_process");
+
+class CommandError extends Error {
+  constructor(command, args, result) {
+    const stderr = (result.stderr || "").trim();
+    super(`Command failed (exit ${result.code}): ${command} ${args.join(" ")}${stderr ? `\n${stderr}` : ""}`);
+    this.name = "CommandError";
+    this.command = command;
+    this.args = args;
+    this.code = result.code;
+    this.stdout = result.stdout;
+    this.stderr = result.stderr;
+  }
+}
+
+// ============= EXECUTORS =============
+
+/**
+ * Executor that spawns real processes
+ * @param {Object} options
+ * @param {boolean} options.echo Stream command output to the console
+ * @returns {{run: Function}}
+ */
+function createShellExecutor({ echo = true } = {}) {
+  return {
+    run(command, args, { env, cwd } = {}) {
+      return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+          cwd,
+          env: { ...process.env, ...env },
+          stdio: ["ignore", "pipe", "pipe"]
+        });
+
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", (chunk) => {
+          stdout += chunk;
+          if (echo) process.stdout.write(chunk);
+        });
+        child.stderr.on("data", (chunk) => {
+          stderr += chunk;
+          if (echo) process.stderr.write(chunk);
+        });
+
+        child.on("error", reject);
+        child.on("close", (code) => {
+          const result = { stdout, stderr, code };
+          if (code !== 0) {
+            reject(new CommandError(command, args, result));
+          } else {
+            resolve(result);
+          }
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Executor that replays recorded output instead of running anything
+ * @param {Array<{match: string|RegExp, stdout?: string, stderr?: string, code?: number}>} recordings
+ *   Matched in order against "<command> <args...>"; the first match wins
+ * @returns {{run: Function, calls: Array}} `calls` lists every command issued
+ */
+function createRecordedExecutor(recordings) {
+  const calls = [];
+
+  return {
+    calls,
+    async run(command, args, options = {}) {
+      const line = [command, ...args].join(" ");
+      calls.push({ command, args, line, env: options.env || {} });
+
+      const recording = recordings.find(({ match }) =>
+        match instanceof RegExp ? match.test(line) : line.includes(match)
+      );
+      if (!recording) {
+        throw new Error(`No recorded output for: ${line}`);
+      }
+
+      const result = {
+        stdout: recording.stdout || "",
+        stderr: recording.stderr || "",
+        code: recording.code || 0
+      };
+      if (result.code !== 0) {
+        throw new CommandError(command, args, result);
+      }
+      return result;
+    }
+  };
+}
+
+// ============= OUTPUT PARSING =============
+
+/**
+ * Flatten the CLI's ASCII tables into [label, value] pairs. Values the table
+ * wraps onto continuation rows (blank label cell) are joined back together.
+ */
+function parseTableRows(output) {
+  const rows = [];
+  for (const line of output.split("\n")) {
+    if (!line.trim().startsWith("|") || line.includes("+--")) continue;
+
+    const cells = line.trim().split("|").slice(1, -1).map((cell) => cell.trim());
+    if (cells.length < 2) continue;
+
+    const value = cells[cells.length - 1];
+    const label = cells[cells.length - 2];
+    if (label) {
+      rows.push([label, value]);
+    } else if (value && rows.length > 0) {
+      rows[rows.length - 1][1] += value;
+    }
+  }
+  return rows;
+}
+
+function tableValue(rows, pattern) {
+  const row = rows.find(([label]) => pattern.test(label));
+  return row ? row[1] : undefined;
+}
+
+/**
+ * Extract subnet ID, blockchain ID, chain ID and RPC URL from
+ * `avalanche blockchain deploy` or `avalanche blockchain describe` output.
+ * Handles both "SubnetID" and "Subnet ID" spellings and RPC URLs that the
+ * table wraps onto the following row.
+ * @param {string} output CLI stdout
+ * @returns {{subnetId?: string, blockchainId?: string, chainId?: number, rpcUrl?: string}}
+ */
+function parseBlockchainDetails(output) {
+  const rows = parseTableRows(output);
+  const details = {
+    subnetId: tableValue(rows, /^Subnet ?ID\b/i),
+    blockchainId: tableValue(rows, /^Blockchain ?ID\b/i)
+  };
+
+  const chainId = tableValue(rows, /^Chain ?ID$/i);
+  if (chainId && /^\d+$/.test(chainId)) {
+    details.chainId = Number(chainId);
+  }
+
+  const rpcUrl = tableValue(rows, /^RPC Endpoint/i);
+  if (rpcUrl && /^https?:\/\//.test(rpcUrl)) {
+    details.rpcUrl = rpcUrl;
+  }
+
+  return details;
+}
+
+// ============= COMMANDS =============
+
+function networkFlag(target) {
+  switch (target) {
+    case "local":
+      return "--local";
+    case "fuji":
+      return "--fuji";
+    case "mainnet":
+      return "--mainnet";
+    default:
+      throw new Error(`Unknown deployment target: ${target} (expected local, fuji or mainnet)`);
+  }
+}
+
+/**
+ * Bind the CLI wrappers to an executor
+ * @param {Object} executor Object with run(command, args, options)
+ * @param {Object} options
+ * @param {string} options.binary Path to the avalanche binary
+ */
+function createAvalancheCli(executor, { binary = process.env.AVALANCHE_CLI_PATH || "avalanche" } = {}) {
+  const run = (args, options) => executor.run(binary, args, options);
+
+  return {
+    async version() {
+      const { stdout } = await run(["--version"]);
+      return stdout.trim();
+    },
+
+    async listBlockchains() {
+      const { stdout } = await run(["blockchain", "list"]);
+      return stdout;
+    },
+
+    /**
+     * Create the blockchain configuration from a genesis file
+     */
+    async createBlockchain(name, { genesisPath, tokenSymbol = "BUG", ownerAddress }) {
+      const args = [
+        "blockchain", "create", name,
+        "--evm",
+        "--genesis", genesisPath,
+        "--evm-token", tokenSymbol,
+        "--proof-of-authority",
+        "--force"
+      ];
+      if (ownerAddress) {
+        args.push("--validator-manager-owner", ownerAddress, "--proxy-contract-owner", ownerAddress);
+      }
+      return run(args);
+    },
+
+    /**
+     * Deploy the blockchain and return the identifiers the CLI reports
+     */
+    async deployBlockchain(name, target, { key } = {}) {
+      const args = ["blockchain", "deploy", name, networkFlag(target)];
+      if (key && target !== "local") args.push("--key", key);
+      const { stdout } = await run(args);
+      return parseBlockchainDetails(stdout);
+    },
+
+    async describeBlockchain(name) {
+      const { stdout } = await run(["blockchain", "describe", name]);
+      return parseBlockchainDetails(stdout);
+    },
+
+    async addValidator(name, target, { nodeId, weight, key }) {
+      const args = ["blockchain", "addValidator", name, networkFlag(target), "--node-id", nodeId];
+      if (weight) args.push("--weight", String(weight));
+      if (key) args.push("--key", key);
+      return run(args);
+    }
+  };
+}
+
+module.exports = {
+  CommandError,
+  createShellExecutor,
+  createRecordedExecutor,
+  parseBlockchainDetails,
+  createAvalancheCli
+};
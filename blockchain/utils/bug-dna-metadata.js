@@ -0,0 +1,348 @@
+/**
+ * Off-chain BugDNAMetadata
+ *
+ * A line-for-line port of contracts/metadata/BugDNAMetadata.sol. For the
+ * same inputs generateMetadata() returns the same data: URI, byte for byte,
+ * so metadata and previews can be rendered without an eth_call.
+ *
+ * The port keeps the library's behaviour, quirks included:
+ *   - name, description, geneticHash and imageURI are pasted into the JSON
+ *     unescaped, so a quote or backslash produces invalid JSON
+ *   - energyEfficiency above 1500 underflows and reverts on chain; here it
+ *     throws MetadataRevertError
+ *
+ * Input shape (numbers, decimal strings or bigints):
+ *   { tokenId, name, description, speciesType, rarity, genetics, movement,
+ *     neural, performance, parentTokenIds, geneticHash, imageURI }
+ * with the GeneticTraits, MovementTraits, NeuralArchitecture and
+ * PerformanceData fields as named in the library.
+ */
+
+const { ethers } = require("ethers");
+const { SPECIES_NAMES, SPECIES_EMOJI, RARITY_TIERS } = require("./bugtopia-constants");
+
+const UNKNOWN_NAME = "Unknown";
+const UNKNOWN_EMOJI = "🐛";
+const UNKNOWN_COLOR = "#6B7280";
+
+const ONE_BUG = 10n ** 18n;
+
+class MetadataRevertError extends Error {
+  /**
+   * @param {string} message What would revert on chain
+   * @param {number} panicCode Solidity panic code (0x11 for arithmetic)
+   */
+  constructor(message, panicCode) {
+    super(message);
+    this.name = "MetadataRevertError";
+    this.panicCode = panicCode;
+  }
+}
+
+// ============= TABLES =============
+
+function enumIndex(value) {
+  return Number(value);
+}
+
+function speciesName(speciesType) {
+  return SPECIES_NAMES[enumIndex(speciesType)] ?? UNKNOWN_NAME;
+}
+
+function rarityName(rarity) {
+  return RARITY_TIERS[enumIndex(rarity)]?.name ?? UNKNOWN_NAME;
+}
+
+function speciesEmoji(speciesType) {
+  return SPECIES_EMOJI[enumIndex(speciesType)] ?? UNKNOWN_EMOJI;
+}
+
+function rarityColor(rarity) {
+  return RARITY_TIERS[enumIndex(rarity)]?.color ?? UNKNOWN_COLOR;
+}
+
+/**
+ * Scale a trait onto 0-100 with integer division, as _normalizeTraitValue does
+ * @returns {bigint}
+ */
+function normalizeTraitValue(value, minValue, maxValue) {
+  const [v, min, max] = [BigInt(value), BigInt(minValue), BigInt(maxValue)];
+  if (v <= min) return 0n;
+  if (v >= max) return 100n;
+  return ((v - min) * 100n) / (max - min);
+}
+
+// ============= JSON =============
+
+function scaled(label, value, min, max) {
+  return `{"trait_type":"${label}","value":${normalizeTraitValue(value, min, max)},"max_value":100},`;
+}
+
+function energyDisplay(energyEfficiency) {
+  // 1500 - energyEfficiency + 500 in checked uint256 arithmetic
+  const remaining = 1500n - BigInt(energyEfficiency);
+  if (remaining < 0n) {
+    throw new MetadataRevertError(`energyEfficiency ${energyEfficiency} underflows (must be at most 1500)`, 0x11);
+  }
+  return remaining + 500n;
+}
+
+/**
+ * The attributes array body (without brackets), as _generateAttributes builds it
+ * @returns {string}
+ */
+function generateAttributes({ speciesType, rarity, genetics, movement, neural, performance }) {
+  let attrs =
+    `{"trait_type":"Species","value":"${speciesName(speciesType)}"},` +
+    `{"trait_type":"Rarity","value":"${rarityName(rarity)}"},` +
+    `{"trait_type":"Generation","value":${BigInt(performance.generation)}},` +
+    scaled("Speed", genetics.speed, 100, 2000) +
+    scaled("Vision Radius", genetics.visionRadius, 1000, 10000) +
+    scaled("Energy Efficiency", energyDisplay(genetics.energyEfficiency), 0, 1000) +
+    scaled("Size", genetics.size, 500, 2000) +
+    scaled("Strength", genetics.strength, 200, 1500) +
+    scaled("Intelligence", genetics.memoryCapacity, 100, 1200) +
+    scaled("Stealth", genetics.camouflage, 0, 1000) +
+    scaled("Aggression", genetics.aggression, 0, 1000) +
+    scaled("Flight Capability", movement.wingSpan, 0, 1000) +
+    scaled("Swimming Ability", movement.divingDepth, 0, 1000) +
+    scaled("Climbing Skill", movement.climbingGrip, 0, 1000) +
+    scaled("Pressure Tolerance", movement.pressureTolerance, 0, 1000) +
+    `{"trait_type":"Neural Layers","value":${BigInt(neural.layerCount)},"max_value":10},` +
+    `{"trait_type":"Total Neurons","value":${BigInt(neural.totalNeurons)}},` +
+    `{"trait_type":"Neural Complexity","value":${BigInt(neural.complexityScore)},"max_value":100},` +
+    `{"trait_type":"Fitness Score","value":${normalizeTraitValue(performance.fitnessScore, 0, 10000)},` +
+    `"display_type":"boost_percentage","max_value":100},` +
+    `{"trait_type":"Tournament Victories","value":${BigInt(performance.tournamentWins)}},` +
+    `{"trait_type":"Offspring Count","value":${BigInt(performance.offspringCount)}}`;
+
+  if (BigInt(movement.wingSpan) >= 500n) attrs += ',{"trait_type":"Can Fly","value":"Yes"}';
+  if (BigInt(movement.divingDepth) >= 300n) attrs += ',{"trait_type":"Can Swim","value":"Yes"}';
+  if (BigInt(movement.climbingGrip) >= 400n) attrs += ',{"trait_type":"Can Climb","value":"Yes"}';
+
+  const altitude = BigInt(movement.altitudePreference);
+  const layer = altitude > 500n ? "Aerial" : altitude > 0n ? "Canopy" : altitude > -500n ? "Surface" : "Underground";
+  attrs += `,{"trait_type":"Preferred Layer","value":"${layer}"}`;
+
+  return attrs;
+}
+
+/**
+ * The lineage fields (with trailing comma), as _generateLineageInfo builds them
+ * @param {Array<bigint|number|string>} parentTokenIds Parent token ids
+ * @returns {string}
+ */
+function generateLineageInfo(parentTokenIds) {
+  const parents = parentTokenIds.map(BigInt);
+  if (parents.length === 0) return '"lineage_type":"Genesis","parent_count":0,';
+  if (parents.length === 1) return `"lineage_type":"Asexual","parent_count":1,"parent_1":${parents[0]},`;
+  if (parents.length === 2) {
+    return `"lineage_type":"Sexual","parent_count":2,"parent_1":${parents[0]},"parent_2":${parents[1]},`;
+  }
+  return `"lineage_type":"Complex","parent_count":${parents.length},`;
+}
+
+/**
+ * The JSON document generateMetadata base64-encodes
+ * @param {Object} input Metadata inputs (see the module comment)
+ * @returns {string}
+ */
+function generateMetadataJson(input) {
+  const { tokenId, name, description, speciesType, rarity, neural, performance, parentTokenIds, geneticHash, imageURI } = input;
+  const attributes = generateAttributes(input);
+  const lineageInfo = generateLineageInfo(parentTokenIds);
+
+  return (
+    `{"name":"${name}",` +
+    `"description":"${description}",` +
+    `"image":"${imageURI}",` +
+    `"external_url":"https://bugtopia.io/bug/${BigInt(tokenId)}",` +
+    `"attributes":[${attributes}],` +
+    '"evolutionary_data":{' +
+    `"genetic_hash":"${geneticHash}",` +
+    `"generation":${BigInt(performance.generation)},` +
+    `"species_type":"${speciesName(speciesType)}",` +
+    `"rarity_tier":"${rarityName(rarity)}",` +
+    lineageInfo +
+    `"neural_complexity":${BigInt(neural.complexityScore)}` +
+    "}," +
+    '"stats":{' +
+    `"fitness_score":${BigInt(performance.fitnessScore)},` +
+    `"tournament_wins":${BigInt(performance.tournamentWins)},` +
+    `"offspring_count":${BigInt(performance.offspringCount)},` +
+    `"survival_time":${BigInt(performance.survivalTime)},` +
+    `"territory_controlled":${BigInt(performance.territoryControlled)}` +
+    "}}"
+  );
+}
+
+/**
+ * Same output as BugDNAMetadata.generateMetadata
+ * @param {Object} input Metadata inputs (see the module comment)
+ * @returns {string} data:application/json;base64,... URI
+ */
+function generateMetadata(input) {
+  return `data:application/json;base64,${Buffer.from(generateMetadataJson(input), "utf8").toString("base64")}`;
+}
+
+/**
+ * Decode a data URI from generateMetadata back to its JSON text
+ * @param {string} uri data:application/json;base64,... URI
+ * @returns {string}
+ */
+function decodeMetadataURI(uri) {
+  const prefix = "data:application/json;base64,";
+  if (!uri.startsWith(prefix)) {
+    throw new Error("Not a base64 JSON data URI");
+  }
+  return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+}
+
+/**
+ * Check that rendered metadata parses. The library does not escape strings,
+ * so a quote, backslash or control character in a name breaks the JSON.
+ * @param {string} json Metadata JSON text
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateMetadataJson(json) {
+  try {
+    JSON.parse(json);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+// ============= DESCRIPTION AND VALUE =============
+
+/**
+ * Same output as BugDNAMetadata.generateDescription
+ * @returns {string}
+ */
+function generateDescription({ name, speciesType, rarity, performance, movement }) {
+  let description =
+    `${name} is a ${rarityName(rarity)} ${speciesName(speciesType)}` +
+    ` from Generation ${BigInt(performance.generation)} of the Bugtopia evolutionary simulation.`;
+
+  let capabilities = "";
+  if (BigInt(movement.wingSpan) >= 500n) capabilities += " Flight";
+  if (BigInt(movement.divingDepth) >= 300n) capabilities += " Swimming";
+  if (BigInt(movement.climbingGrip) >= 400n) capabilities += " Climbing";
+  if (capabilities.length > 0) description += ` Specialized in:${capabilities}.`;
+
+  const wins = BigInt(performance.tournamentWins);
+  if (wins > 0n) description += ` Tournament victories: ${wins}.`;
+
+  const fitness = BigInt(performance.fitnessScore);
+  if (fitness >= 9000n) description += ` Exceptional fitness score: ${fitness}/10000.`;
+
+  return description;
+}
+
+// Multipliers by Rarity enum index; Common stays at 100 BUG
+const RARITY_VALUE_MULTIPLIERS = [1n, 3n, 8n, 20n, 50n];
+
+/**
+ * Same result as BugDNAMetadata.calculateEstimatedValue
+ * @returns {bigint} Estimated value in wei of BUG
+ */
+function calculateEstimatedValue({ rarity, performance, neural }) {
+  let value = 100n * ONE_BUG * (RARITY_VALUE_MULTIPLIERS[enumIndex(rarity)] ?? 1n);
+
+  if (BigInt(performance.fitnessScore) >= 9500n) value = (value * 150n) / 100n;
+  if (BigInt(performance.tournamentWins) >= 10n) value = (value * 130n) / 100n;
+  if (BigInt(performance.generation) >= 100n) value = (value * 120n) / 100n;
+  if (BigInt(neural.complexityScore) >= 80n) value = (value * 115n) / 100n;
+
+  return value;
+}
+
+// ============= DEPLOYED LIBRARY =============
+
+const GENETIC_TRAITS = "tuple(uint256 speed, uint256 visionRadius, uint256 energyEfficiency, uint256 size, " +
+  "uint256 strength, uint256 memoryCapacity, uint256 stickiness, uint256 camouflage, uint256 aggression, uint256 curiosity)";
+const MOVEMENT_TRAITS = "tuple(uint256 wingSpan, uint256 divingDepth, uint256 climbingGrip, " +
+  "int256 altitudePreference, uint256 pressureTolerance)";
+const NEURAL_ARCHITECTURE = "tuple(uint8 layerCount, uint16 totalNeurons, uint32 totalConnections, uint8 complexityScore)";
+const PERFORMANCE_DATA = "tuple(uint32 generation, uint256 fitnessScore, uint32 offspringCount, uint32 survivalTime, " +
+  "uint16 tournamentWins, uint256 territoryControlled)";
+
+const LIBRARY_INTERFACE = new ethers.Interface([
+  `function generateMetadata(uint256, string, string, uint8, uint8, ${GENETIC_TRAITS}, ${MOVEMENT_TRAITS}, ` +
+    `${NEURAL_ARCHITECTURE}, ${PERFORMANCE_DATA}, uint256[], string, string) pure returns (string)`,
+  `function generateDescription(string, uint8, uint8, ${PERFORMANCE_DATA}, ${MOVEMENT_TRAITS}) pure returns (string)`,
+  `function calculateEstimatedValue(uint8, ${PERFORMANCE_DATA}, ${NEURAL_ARCHITECTURE}) pure returns (uint256)`
+]);
+
+// External library functions are selected by signatures that name enums
+// and structs (BugDNAMetadata.Rarity), not by their ABI types
+const LIBRARY_SIGNATURES = {
+  generateMetadata: "generateMetadata(uint256,string,string,BugDNAMetadata.SpeciesType,BugDNAMetadata.Rarity," +
+    "BugDNAMetadata.GeneticTraits,BugDNAMetadata.MovementTraits,BugDNAMetadata.NeuralArchitecture," +
+    "BugDNAMetadata.PerformanceData,uint256[],string,string)",
+  generateDescription: "generateDescription(string,BugDNAMetadata.SpeciesType,BugDNAMetadata.Rarity," +
+    "BugDNAMetadata.PerformanceData,BugDNAMetadata.MovementTraits)",
+  calculateEstimatedValue: "calculateEstimatedValue(BugDNAMetadata.Rarity,BugDNAMetadata.PerformanceData," +
+    "BugDNAMetadata.NeuralArchitecture)"
+};
+
+const LIBRARY_ARGS = {
+  generateMetadata: (input) => [
+    input.tokenId, input.name, input.description, input.speciesType, input.rarity, input.genetics,
+    input.movement, input.neural, input.performance, input.parentTokenIds, input.geneticHash, input.imageURI
+  ],
+  generateDescription: (input) => [input.name, input.speciesType, input.rarity, input.performance, input.movement],
+  calculateEstimatedValue: (input) => [input.rarity, input.performance, input.neural]
+};
+
+/**
+ * Calldata for a deployed BugDNAMetadata library
+ * @param {string} method generateMetadata, generateDescription or calculateEstimatedValue
+ * @param {Object} input Metadata inputs
+ * @returns {string} Hex calldata
+ */
+function encodeLibraryCall(method, input) {
+  const encoded = LIBRARY_INTERFACE.encodeFunctionData(method, LIBRARY_ARGS[method](input));
+  return ethers.id(LIBRARY_SIGNATURES[method]).slice(0, 10) + encoded.slice(10);
+}
+
+/**
+ * eth_call wrapper around a deployed BugDNAMetadata library
+ * @param {ethers.Provider|ethers.Signer} runner Provider or signer
+ * @param {string} address Library address
+ */
+function createMetadataLibrary(runner, address) {
+  const provider = runner.provider || runner;
+
+  async function call(method, input) {
+    const result = await provider.call({ to: address, data: encodeLibraryCall(method, input) });
+    return LIBRARY_INTERFACE.decodeFunctionResult(method, result)[0];
+  }
+
+  return {
+    address,
+    generateMetadata: (input) => call("generateMetadata", input),
+    generateDescription: (input) => call("generateDescription", input),
+    calculateEstimatedValue: (input) => call("calculateEstimatedValue", input)
+  };
+}
+
+module.exports = {
+  MetadataRevertError,
+  speciesName,
+  rarityName,
+  speciesEmoji,
+  rarityColor,
+  normalizeTraitValue,
+  generateAttributes,
+  generateLineageInfo,
+  generateMetadataJson,
+  generateMetadata,
+  decodeMetadataURI,
+  validateMetadataJson,
+  generateDescription,
+  calculateEstimatedValue,
+  LIBRARY_SIGNATURES,
+  encodeLibraryCall,
+  createMetadataLibrary
+};
@@ -0,0 +1,412 @@
+/**
+ * Simulation bug exports
+ *
+ * Validates bugs exported from a simulation run against the BugDNAData
+ * struct, derives geneticHash from each genome, orders parents before
+ * children and mints them through the SDK queue in chunks whose summed gas
+ * stays under a budget. The simulation id -> token id mapping is written
+ * after every chunk so an interrupted run resumes where it stopped.
+ *
+ * Record shape (JSON, or CSV with one column per field):
+ *   { id, species, neuralLayers, fitness, arenaWins, lineage,
+ *     biomeSpecialization, parent1?, parent2?, genome, birthTimestamp,
+ *     survivalDays, geneticHash? }
+ * species and biomeSpecialization take an index or a name; parent1/parent2
+ * are simulation ids; birthTimestamp is unix seconds or an ISO date. In CSV
+ * the genome is spread over "genome.<path>" columns, e.g. genome.speed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { SPECIES_NAMES, BIOME_NAMES } = require("./bugtopia-constants");
+const { createOperationQueue } = require("../sdk");
+
+const DEFAULT_MAPPING_DIR = path.join(__dirname, "..", "deployments");
+
+// Inclusive ranges the contract, metadata and rarity formula assume
+const BUG_FIELD_RANGES = {
+  species: { min: 0, max: SPECIES_NAMES.length - 1 },
+  neuralLayers: { min: 1, max: 10 },
+  fitness: { min: 0, max: 100 },
+  arenaWins: { min: 0 },
+  lineage: { min: 0 },
+  biomeSpecialization: { min: 0, max: BIOME_NAMES.length - 1 },
+  birthTimestamp: { min: 0 },
+  survivalDays: { min: 0 }
+};
+
+class BugExportError extends Error {
+  /**
+   * @param {string} message Summary
+   * @param {string[]} issues One line per invalid record / field
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n  ${issues.join("\n  ")}` : message);
+    this.name = "BugExportError";
+    this.issues = issues;
+  }
+}
+
+// ============= PARSING =============
+
+function parseCell(cell) {
+  if (cell === undefined || cell.trim() === "") return undefined;
+  const text = cell.trim();
+  return /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(text) ? Number(text) : text;
+}
+
+function setPath(target, keys, value) {
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    node = node[key] = node[key] || {};
+  }
+  node[last] = value;
+}
+
+/**
+ * Parse an export: a JSON array, {"bugs": [...]}, JSON lines or CSV with a
+ * header row
+ * @param {string} text File contents
+ * @param {string} format "json", "jsonl" or "csv"
+ * @returns {Array<Object>} Raw records
+ */
+function parseBugExport(text, format) {
+  if (format === "csv") {
+    const [header, ...lines] = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+    const columns = header.split(",").map((column) => column.trim());
+    return lines.map((line) => {
+      const cells = line.split(",");
+      const record = {};
+      columns.forEach((column, i) => {
+        const value = parseCell(cells[i]);
+        if (value !== undefined) setPath(record, column.split("."), value);
+      });
+      return record;
+    });
+  }
+  if (format === "jsonl") {
+    return text.split(/\r?\n/).filter((line) => line.trim() !== "").map((line) => JSON.parse(line));
+  }
+  const parsed = JSON.parse(text);
+  return Array.isArray(parsed) ? parsed : parsed.bugs;
+}
+
+function loadBugExport(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const format = extension === "csv" ? "csv" : extension === "jsonl" ? "jsonl" : "json";
+  const records = parseBugExport(fs.readFileSync(filePath, "utf8"), format);
+  if (!Array.isArray(records)) {
+    throw new BugExportError(`${filePath} has no bugs array`);
+  }
+  return records;
+}
+
+// ============= GENETIC HASH =============
+
+function canonicalize(value, where) {
+  if (Array.isArray(value)) return value.map((item, i) => canonicalize(item, `${where}[${i}]`));
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonicalize(value[key], `${where}.${key}`)]));
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new BugExportError(`${where} is not a finite number`);
+  }
+  return value;
+}
+
+/**
+ * keccak256 of the genome serialised as JSON with sorted keys, so the hash
+ * does not depend on property order in the export
+ * @param {Object} genome Genome object from the simulation
+ * @returns {string} bytes32 hex
+ */
+function computeGeneticHash(genome) {
+  if (genome === null || typeof genome !== "object" || Array.isArray(genome)) {
+    throw new BugExportError("genome must be an object");
+  }
+  return ethers.id(JSON.stringify(canonicalize(genome, "genome")));
+}
+
+// ============= VALIDATION =============
+
+function lookupName(value, names) {
+  if (typeof value !== "string" || /^\d+$/.test(value)) return value;
+  const wanted = value.toLowerCase().replace(/[\s_-]+/g, "");
+  const index = names.findIndex((name) => name.toLowerCase().replace(/\s+/g, "") === wanted);
+  return index === -1 ? value : index;
+}
+
+function toTimestamp(value) {
+  if (typeof value === "string" && !/^\d+$/.test(value)) {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? value : Math.floor(ms / 1000);
+  }
+  return value;
+}
+
+function checkRange(field, value) {
+  const { min, max } = BUG_FIELD_RANGES[field];
+  const number = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+  if (!Number.isSafeInteger(number)) {
+    return `${field} must be a whole number (got ${JSON.stringify(value)})`;
+  }
+  if (max === undefined && number < min) {
+    return `${field} must be at least ${min} (got ${number})`;
+  }
+  if (number < min || number > max) {
+    return `${field} must be between ${min} and ${max} (got ${number})`;
+  }
+  return number;
+}
+
+function parentId(value) {
+  return value === undefined || value === null || value === "" ? null : String(value);
+}
+
+/**
+ * Validate raw export records. Every problem across the file is collected
+ * and thrown together as one BugExportError.
+ * @param {Array<Object>} raw Records from parseBugExport()
+ * @returns {Array<{id: string, parents: string[], data: Object}>} data is
+ *   BugDNAData without parentId1/parentId2, which are resolved at mint time
+ */
+function validateBugRecords(raw) {
+  const issues = [];
+  const seen = new Set();
+  const records = [];
+
+  raw.forEach((record, index) => {
+    if (record === null || typeof record !== "object") {
+      issues.push(`Record ${index}: not an object`);
+      return;
+    }
+    const label = record.id !== undefined ? `Bug ${record.id}` : `Record ${index}`;
+    const problems = [];
+    const data = {};
+
+    if (record.id === undefined || record.id === "") {
+      problems.push("id is required");
+    } else if (seen.has(String(record.id))) {
+      problems.push("id appears more than once");
+    } else {
+      seen.add(String(record.id));
+    }
+
+    const inputs = {
+      ...record,
+      species: lookupName(record.species, SPECIES_NAMES),
+      biomeSpecialization: lookupName(record.biomeSpecialization, BIOME_NAMES),
+      birthTimestamp: toTimestamp(record.birthTimestamp)
+    };
+    for (const field of Object.keys(BUG_FIELD_RANGES)) {
+      const checked = checkRange(field, inputs[field]);
+      if (typeof checked === "string") problems.push(checked);
+      else data[field] = checked;
+    }
+
+    try {
+      data.geneticHash = computeGeneticHash(record.genome);
+      if (record.geneticHash && record.geneticHash.toLowerCase() !== data.geneticHash) {
+        problems.push(`geneticHash ${record.geneticHash} does not match the genome (${data.geneticHash})`);
+      }
+    } catch (error) {
+      problems.push(error.message);
+    }
+
+    const parents = [parentId(record.parent1), parentId(record.parent2)].filter(Boolean);
+    if (record.id !== undefined && parents.includes(String(record.id))) {
+      problems.push("bug cannot be its own parent");
+    }
+
+    if (problems.length > 0) {
+      issues.push(...problems.map((problem) => `${label}: ${problem}`));
+    } else {
+      records.push({ id: String(record.id), parents, data });
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new BugExportError(`${issues.length} problem(s) in the export`, issues);
+  }
+  return records;
+}
+
+/**
+ * Order records so every parent is minted before its children. Parents may
+ * be earlier records or bugs already in the mapping; anything else is an
+ * error. Records already in the mapping are dropped.
+ * @param {Array<Object>} records Output of validateBugRecords()
+ * @param {Object} mapping Mapping from readMintMapping()
+ * @returns {Array<Object>} Records still to mint, parents first
+ */
+function orderForMinting(records, mapping) {
+  const byId = new Map(records.map((record) => [record.id, record]));
+  const issues = [];
+  for (const record of records) {
+    for (const parent of record.parents) {
+      if (!byId.has(parent) && !mapping.bugs[parent]) {
+        issues.push(`Bug ${record.id}: parent ${parent} is not in the export or the mapping`);
+      }
+    }
+  }
+  if (issues.length > 0) {
+    throw new BugExportError("Unresolved parents", issues);
+  }
+
+  const ordered = [];
+  const state = new Map();
+  function visit(record, trail) {
+    if (state.get(record.id) === "done") return;
+    if (state.get(record.id) === "visiting") {
+      throw new BugExportError(`Lineage cycle: ${[...trail, record.id].join(" -> ")}`);
+    }
+    state.set(record.id, "visiting");
+    for (const parent of record.parents) {
+      if (byId.has(parent)) visit(byId.get(parent), [...trail, record.id]);
+    }
+    state.set(record.id, "done");
+    ordered.push(record);
+  }
+  records.forEach((record) => visit(record, []));
+
+  return ordered.filter((record) => !mapping.bugs[record.id]);
+}
+
+// ============= MAPPING =============
+
+function mintMappingPath(network, dir = DEFAULT_MAPPING_DIR) {
+  return path.join(dir, `bug-mints-${network}.json`);
+}
+
+/**
+ * Read the simulation id -> token id mapping; empty if the file is missing
+ * @param {string} file Mapping path
+ * @param {Object} expected
+ * @param {number} expected.chainId Chain the mapping must belong to
+ * @param {string} expected.collectibles BugtopiaCollectibles address it must belong to
+ */
+function readMintMapping(file, { chainId, collectibles }) {
+  if (!fs.existsSync(file)) {
+    return { chainId: Number(chainId), collectibles, bugs: {} };
+  }
+  const mapping = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (mapping.chainId !== Number(chainId) || ethers.getAddress(mapping.collectibles) !== ethers.getAddress(collectibles)) {
+    throw new BugExportError(
+      `${file} belongs to BugtopiaCollectibles ${mapping.collectibles} on chain ${mapping.chainId}, ` +
+      `not ${collectibles} on chain ${chainId}`
+    );
+  }
+  return { bugs: {}, ...mapping };
+}
+
+function writeMintMapping(mapping, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  mapping.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tmpFile, JSON.stringify(mapping, null, 2));
+  fs.renameSync(tmpFile, file);
+  return file;
+}
+
+// ============= MINTING =============
+
+function resolveParents(record, mapping) {
+  // parentId 0 is the contract's "no parent"; it is also token 0, the first
+  // Bug DNA minted, so the mapping keeps the simulation ids as well
+  const [parent1, parent2] = record.parents.map((parent) => BigInt(mapping.bugs[parent].tokenId));
+  return { ...record.data, parentId1: parent1 ?? 0n, parentId2: parent2 ?? 0n };
+}
+
+/**
+ * Take the next chunk of records whose summed gas estimate stays under the
+ * budget. A chunk stops before any record whose parent is not minted yet,
+ * so parents and children never share one.
+ * @returns {Promise<Array<{record: Object, bugData: Object, gas: bigint}>>}
+ */
+async function nextChunk(client, pending, mapping, { gasBudget, recipient }) {
+  const chunk = [];
+  let total = 0n;
+  for (const record of pending) {
+    if (!record.parents.every((parent) => mapping.bugs[parent])) break;
+
+    const bugData = resolveParents(record, mapping);
+    const { contract, method, args, value } = await client.prepare("mintBugDNA", { bugData, to: recipient });
+    const gas = await contract[method].estimateGas(...args, { value });
+    if (gas > gasBudget) {
+      throw new BugExportError(`Minting bug ${record.id} needs ${gas} gas, more than the ${gasBudget} budget`);
+    }
+    if (total + gas > gasBudget) break;
+
+    chunk.push({ record, bugData, gas });
+    total += gas;
+  }
+  return chunk;
+}
+
+/**
+ * Mint every pending record, chunk by chunk, updating the mapping as it goes
+ * @param {Object} client Client from createBugtopiaClient (with a signer)
+ * @param {Array<Object>} pending Output of orderForMinting()
+ * @param {Object} mapping Mapping from readMintMapping(); updated in place
+ * @param {Object} options
+ * @param {bigint} options.gasBudget Summed gas limit per chunk
+ * @param {string} options.recipient Address receiving the NFTs (default: signer)
+ * @param {Function} options.onChunk Called with (mapping, chunkSummary) after each chunk
+ * @returns {Promise<{minted: number, chunks: Array<{size: number, gas: bigint}>}>}
+ */
+async function mintBugRecords(client, pending, mapping, { gasBudget, recipient, onChunk = () => {} }) {
+  // One flush per chunk; the gas budget, not a batch size, bounds it
+  const queue = createOperationQueue(client, { batchSize: Number.MAX_SAFE_INTEGER });
+  const remaining = [...pending];
+  const chunks = [];
+
+  while (remaining.length > 0) {
+    const chunk = await nextChunk(client, remaining, mapping, { gasBudget, recipient });
+    chunk.forEach(({ bugData }) => queue.enqueue("mintBugDNA", { bugData, to: recipient }));
+    const outcomes = await queue.flush();
+    remaining.splice(0, chunk.length);
+
+    const failures = [];
+    outcomes.forEach((outcome, i) => {
+      const { record, bugData } = chunk[i];
+      if (outcome.status !== "confirmed") {
+        failures.push(`Bug ${record.id}: ${outcome.error.message}`);
+        return;
+      }
+      mapping.bugs[record.id] = {
+        tokenId: outcome.result.tokenId.toString(),
+        parents: record.parents,
+        parentTokenIds: [bugData.parentId1.toString(), bugData.parentId2.toString()],
+        geneticHash: bugData.geneticHash,
+        rarity: outcome.result.rarity.toString(),
+        transactionHash: outcome.result.transactionHash
+      };
+    });
+
+    const summary = { size: chunk.length, gas: chunk.reduce((sum, { gas }) => sum + gas, 0n) };
+    chunks.push(summary);
+    onChunk(mapping, summary);
+
+    if (failures.length > 0) {
+      throw new BugExportError("Minting stopped; rerun to resume from the mapping", failures);
+    }
+  }
+
+  return { minted: pending.length, chunks };
+}
+
+module.exports = {
+  BUG_FIELD_RANGES,
+  BugExportError,
+  parseBugExport,
+  loadBugExport,
+  computeGeneticHash,
+  validateBugRecords,
+  orderForMinting,
+  mintMappingPath,
+  readMintMapping,
+  writeMintMapping,
+  mintBugRecords
+};
@@ -0,0 +1,106 @@
+/**
+ * Shared Bugtopia constants
+ *
+ * Mirrors the enums and tables baked into the Solidity contracts and the
+ * Swift simulation so off-chain tooling renders tokens the same way.
+ */
+
+// Token ID ranges (BugtopiaCollectibles.sol)
+const CATEGORIES = {
+  BUG_DNA: 0,
+  TERRITORY: 1000000,
+  ARTIFACT: 2000000,
+  ACHIEVEMENT: 3000000
+};
+
+const CATEGORY_NAMES = {
+  [CATEGORIES.BUG_DNA]: "Bug DNA",
+  [CATEGORIES.TERRITORY]: "Territory",
+  [CATEGORIES.ARTIFACT]: "Artifact",
+  [CATEGORIES.ACHIEVEMENT]: "Achievement"
+};
+
+// SpeciesType enum order (BugDNAMetadata.sol, Models/Species.swift)
+const SPECIES_NAMES = ["Herbivore", "Carnivore", "Omnivore", "Scavenger"];
+
+// Species emoji, same order (BugDNAMetadata._getSpeciesEmoji)
+const SPECIES_EMOJI = ["🌱", "🦁", "🐻", "🦅"];
+
+// BiomeType case order (Engine/VoxelWorld.swift)
+const BIOME_NAMES = [
+  "Tundra",
+  "Boreal Forest",
+  "Temperate Forest",
+  "Temperate Grassland",
+  "Desert",
+  "Savanna",
+  "Tropical Rainforest",
+  "Wetlands",
+  "Alpine",
+  "Coastal"
+];
+
+// Rarity enum order (BugDNAMetadata.sol) with the minimum 0-100 score per tier
+const RARITY_TIERS = [
+  { name: "Common", minScore: 0, color: "#9CA3AF" },
+  { name: "Rare", minScore: 40, color: "#3B82F6" },
+  { name: "Epic", minScore: 65, color: "#8B5CF6" },
+  { name: "Legendary", minScore: 80, color: "#F59E0B" },
+  { name: "Mythic", minScore: 90, color: "#EF4444" }
+];
+
+// Utility types BugtopiaL1 charges for. The first six are configured in its
+// initializer; the minting types are what BugtopiaCollectibles passes.
+const UTILITY_TYPES = [
+  "breeding",
+  "neural_boost",
+  "arena_entry",
+  "governance_proposal",
+  "artifact_crafting",
+  "mutation_catalyst",
+  "nft_minting",
+  "territory_minting",
+  "batch_minting"
+];
+
+// Fee distribution ratios are in basis points and must sum to this
+const BASIS_POINTS = 10000;
+
+/**
+ * Resolve the category base for a token ID
+ * @param {bigint|number|string} tokenId Token ID
+ * @returns {number} Category base (0, 1000000, 2000000 or 3000000)
+ */
+function categoryOf(tokenId) {
+  const id = BigInt(tokenId);
+  if (id >= BigInt(CATEGORIES.ACHIEVEMENT)) return CATEGORIES.ACHIEVEMENT;
+  if (id >= BigInt(CATEGORIES.ARTIFACT)) return CATEGORIES.ARTIFACT;
+  if (id >= BigInt(CATEGORIES.TERRITORY)) return CATEGORIES.TERRITORY;
+  return CATEGORIES.BUG_DNA;
+}
+
+/**
+ * Map a 0-100 rarity score onto its rarity tier
+ * @param {number} score Rarity score stored by the Collectibles contract
+ * @returns {{index: number, name: string, minScore: number, color: string}}
+ */
+function rarityTier(score) {
+  let index = 0;
+  for (let i = 0; i < RARITY_TIERS.length; i++) {
+    if (Number(score) >= RARITY_TIERS[i].minScore) index = i;
+  }
+  return { index, ...RARITY_TIERS[index] };
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_NAMES,
+  SPECIES_NAMES,
+  SPECIES_EMOJI,
+  BIOME_NAMES,
+  RARITY_TIERS,
+  UTILITY_TYPES,
+  BASIS_POINTS,
+  categoryOf,
+  rarityTier
+};
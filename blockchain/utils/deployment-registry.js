@@ -0,0 +1,600 @@
+/**
+ * Deployment Registry
+ *
+ * One canonical file per network (deployments/<network>.json) that records
+ * every deployed contract and every completed deployment step. Deploy
+ * scripts consult it to skip finished work and reuse addresses; other tools
+ * read it instead of hunting for the newest timestamped deployment file.
+ * Files are keyed by network name, not chain ID: bugtopia_local,
+ * bugtopia_fuji and bugtopia_mainnet all run chain 68420.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_REGISTRY_DIR = path.join(__dirname, "..", "deployments");
+
+class RegistryMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RegistryMismatchError";
+  }
+}
+
+// ============= FILE ACCESS =============
+
+function registryPath(network, dir = DEFAULT_REGISTRY_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read the registry for a network; returns an empty registry if none exists
+ * @param {string} network Network name, e.g. "bugtopia_fuji"
+ * @param {Object} options
+ * @param {string} options.dir Registry directory (default deployments/)
+ */
+function readRegistry(network, { dir = DEFAULT_REGISTRY_DIR } = {}) {
+  const file = registryPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return { network, contracts: {}, steps: {} };
+  }
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { contracts: {}, steps: {}, ...registry, network };
+}
+
+function writeRegistry(registry, { dir = DEFAULT_REGISTRY_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = registryPath(registry.network, dir);
+  const tmpFile = `${file}.tmp`;
+  registry.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tmpFile, JSON.stringify(registry, null, 2));
+  fs.renameSync(tmpFile, file);
+  return file;
+}
+
+/**
+ * Look up a deployed contract address
+ * @param {string} network Network name
+ * @param {string} name Contract name, e.g. "BugtopiaL1"
+ * @returns {string|undefined} Address, if recorded
+ */
+function getDeployedAddress(network, name, options) {
+  const entry = readRegistry(network, options).contracts[name];
+  return entry ? entry.address : undefined;
+}
+
+/**
+ * Refuse a registry recorded for another chain than the provider runs, e.g.
+ * a local registry read while connected to a restarted node with a new ID
+ */
+function checkRegistryChain(registry, chainId, dir) {
+  if (registry.chainId !== undefined && Number(registry.chainId) !== Number(chainId)) {
+    throw new RegistryMismatchError(
+      `${registryPath(registry.network, dir)} was recorded on chain ${registry.chainId}, ` +
+      `but the ${registry.network} provider runs chain ${chainId}`
+    );
+  }
+}
+
+/**
+ * Read the registry of the network hre is connected to
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} options
+ * @param {string} options.dir Registry directory (default deployments/)
+ * @throws {RegistryMismatchError} if the registry was recorded on another chain
+ */
+async function readNetworkRegistry(hre, { dir = DEFAULT_REGISTRY_DIR } = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = readRegistry(hre.network.name, { dir });
+  checkRegistryChain(registry, chainId, dir);
+  return registry;
+}
+
+/**
+ * Name the registry network for a service that only has an RPC URL: the
+ * given network (or BUGTOPIA_NETWORK), else the one registry recorded on
+ * this chain. Several networks share a chain ID, so more than one match
+ * needs an explicit name.
+ * @param {number|bigint} chainId Chain ID the service is connected to
+ * @param {Object} options
+ * @param {string} options.network Explicit network name
+ * @param {string} options.dir Registry directory (default deployments/)
+ * @returns {string|undefined} Network name; undefined if no registry matches
+ */
+function registryNetworkFor(chainId, { network = process.env.BUGTOPIA_NETWORK, dir = DEFAULT_REGISTRY_DIR } = {}) {
+  if (network) {
+    checkRegistryChain(readRegistry(network, { dir }), chainId, dir);
+    return network;
+  }
+  // The directory also holds the staking, governance and mint stores
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => file.endsWith(".json")) : [];
+  const matches = files.filter((file) => {
+    const registry = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    return registry.contracts && registry.steps && Number(registry.chainId) === Number(chainId);
+  }).map((file) => path.basename(file, ".json"));
+  if (matches.length > 1) {
+    throw new RegistryMismatchError(
+      `Registries for ${matches.join(", ")} all record chain ${chainId}; set BUGTOPIA_NETWORK to pick one`
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Find a contract address for the network hre is connected to. Checks, in
+ * order: an explicit address, the environment variable, the registry and
+ * hardhat-deploy's deployments (covers the in-process hardhat network).
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} name Contract name, e.g. "BugtopiaL1"
+ * @param {Object} options
+ * @param {string} options.address Explicit address (e.g. a --address task param)
+ * @param {string} options.envVar Environment variable to consult
+ * @returns {Promise<string>} Checksummed address
+ */
+async function resolveDeployedAddress(hre, name, { address, envVar, dir } = {}) {
+  if (address) return ethers.getAddress(address);
+  if (envVar && process.env[envVar]) return ethers.getAddress(process.env[envVar]);
+
+  const recorded = (await readNetworkRegistry(hre, { dir })).contracts[name];
+  if (recorded) return ethers.getAddress(recorded.address);
+
+  if (hre.deployments) {
+    const deployment = await hre.deployments.getOrNull(name);
+    if (deployment) return ethers.getAddress(deployment.address);
+  }
+
+  throw new Error(
+    `No ${name} address for ${hre.network.name}: pass --address${envVar ? `, set ${envVar}` : ""} ` +
+    `or deploy first so ${registryPath(hre.network.name, dir)} records it`
+  );
+}
+
+// ============= BYTECODE =============
+
+/**
+ * Zero out immutable slots so runtime code can be compared with the artifact
+ * @param {string} bytecode Hex runtime bytecode
+ * @param {Object} immutableReferences solc evm.deployedBytecode.immutableReferences
+ */
+function maskImmutables(bytecode, immutableReferences = {}) {
+  let hex = bytecode.toLowerCase().replace(/^0x/, "");
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      hex = hex.slice(0, start * 2) + "0".repeat(length * 2) + hex.slice((start + length) * 2);
+    }
+  }
+  return `0x${hex}`;
+}
+
+// Library runtime code starts with PUSH20 <own address>, zero in the artifact
+const LIBRARY_PREFIX = /^0x73(0{40})30/;
+
+async function compiledRuntime(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const immutableReferences = {
+    ...(buildInfo
+      ? buildInfo.output.contracts[artifact.sourceName][artifact.contractName].evm.deployedBytecode.immutableReferences
+      : {})
+  };
+  if (LIBRARY_PREFIX.test(artifact.deployedBytecode)) {
+    immutableReferences.libraryAddress = [{ start: 1, length: 20 }];
+  }
+  return { bytecode: artifact.deployedBytecode, immutableReferences };
+}
+
+/**
+ * Check whether the code at an address is the compiled artifact
+ * @returns {Promise<{matches: boolean, empty: boolean, bytecodeHash: string}>}
+ */
+async function compareDeployedBytecode(hre, name, address) {
+  const onChain = await hre.ethers.provider.getCode(address);
+  const { bytecode, immutableReferences } = await compiledRuntime(hre, name);
+  const expected = maskImmutables(bytecode, immutableReferences);
+
+  if (onChain === "0x") {
+    return { matches: false, empty: true, bytecodeHash: ethers.keccak256(expected) };
+  }
+
+  const actual = maskImmutables(onChain, immutableReferences);
+  return {
+    matches: actual === expected,
+    empty: false,
+    bytecodeHash: ethers.keccak256(expected)
+  };
+}
+
+// ERC-1967 implementation slot: keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Read the implementation behind an ERC-1967 proxy
+ * @param {ethers.Provider} provider
+ * @param {string} address Proxy address
+ * @returns {Promise<string|undefined>} Checksummed implementation address; undefined if the slot is empty
+ */
+async function getImplementationAddress(provider, address) {
+  const slot = await provider.getStorage(address, IMPLEMENTATION_SLOT);
+  const implementation = ethers.getAddress(ethers.dataSlice(slot, 12));
+  return implementation === ethers.ZeroAddress ? undefined : implementation;
+}
+
+// Proxy implementations take the zero address, which leaves them uninitialized
+const IMPLEMENTATION_ARGS = {
+  BugtopiaL1: [ethers.ZeroAddress],
+  BugtopiaCollectibles: [ethers.ZeroAddress, ""]
+};
+
+function serializeArgs(args) {
+  return JSON.parse(JSON.stringify(args, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+// ============= DEPLOYMENT SESSION =============
+
+/**
+ * Open the registry for the network hre is connected to
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} options
+ * @param {string} options.dir Registry directory (default deployments/)
+ * @param {boolean} options.fresh Ignore previously recorded state
+ * @param {Function} options.log Logger
+ */
+async function openDeploymentRegistry(hre, { dir = DEFAULT_REGISTRY_DIR, fresh = false, log = console.log } = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = fresh
+    ? { network: hre.network.name, contracts: {}, steps: {} }
+    : readRegistry(hre.network.name, { dir });
+  checkRegistryChain(registry, chainId, dir);
+  registry.chainId = Number(chainId);
+
+  const save = () => writeRegistry(registry, { dir });
+
+  /**
+   * Drop a contract record and, recursively, every step that depends on it
+   */
+  function forgetContract(name) {
+    delete registry.contracts[name];
+    for (const [step, record] of Object.entries(registry.steps)) {
+      if (step === `deploy:${name}` || (record.dependsOn || []).includes(name)) {
+        delete registry.steps[step];
+        if (step.startsWith("deploy:") && step !== `deploy:${name}`) {
+          forgetContract(step.slice("deploy:".length));
+        }
+      }
+    }
+  }
+
+  function completeStep(step, { dependsOn = [], ...details } = {}) {
+    registry.steps[step] = { completedAt: new Date().toISOString(), dependsOn, ...details };
+    save();
+  }
+
+  /**
+   * Run a deployment step once; later runs skip it
+   * @param {string} step Step name, e.g. "smoke-test:payUtilityFee"
+   * @param {Object} options
+   * @param {string[]} options.dependsOn Contracts whose redeployment invalidates this step
+   * @param {Function} fn Async step body; its return value is stored with the step
+   */
+  async function runStep(step, { dependsOn = [] } = {}, fn) {
+    if (registry.steps[step]) {
+      log(`⏭️  Skipping ${step} (completed ${registry.steps[step].completedAt})`);
+      return registry.steps[step];
+    }
+    const details = (await fn()) || {};
+    completeStep(step, { dependsOn, ...details });
+    return registry.steps[step];
+  }
+
+  /**
+   * Deploy a contract, or reuse the recorded one if its code still matches
+   * @param {string} name Contract name
+   * @param {Array} args Constructor arguments
+   * @param {Object} options
+   * @param {string[]} options.dependsOn Contracts referenced by the constructor arguments
+   * @returns {Promise<{contract: Object, address: string, reused: boolean}>}
+   */
+  async function deployContract(name, args = [], { dependsOn = [] } = {}) {
+    const existing = registry.contracts[name];
+
+    if (existing && existing.proxy && registry.steps[`deploy:${name}`]) {
+      throw new RegistryMismatchError(
+        `${name} at ${existing.address} is a ${existing.proxy.kind} proxy. ` +
+        "Rerun with DEPLOY_PROXY=true, or with DEPLOY_FRESH=true to deploy an immutable instance."
+      );
+    }
+
+    if (existing && registry.steps[`deploy:${name}`]) {
+      const { matches, empty } = await compareDeployedBytecode(hre, name, existing.address);
+
+      if (empty) {
+        log(`⚠️  No code at recorded ${name} address ${existing.address} (chain reset?), redeploying`);
+        forgetContract(name);
+      } else if (!matches) {
+        throw new RegistryMismatchError(
+          `Bytecode at recorded ${name} address ${existing.address} does not match the compiled artifact. ` +
+          "Recompile the deployed version or rerun with DEPLOY_FRESH=true to deploy a new instance."
+        );
+      } else if (JSON.stringify(existing.args) !== JSON.stringify(serializeArgs(args))) {
+        throw new RegistryMismatchError(
+          `${name} at ${existing.address} was deployed with arguments ${JSON.stringify(existing.args)}, ` +
+          `not ${JSON.stringify(serializeArgs(args))}. Rerun with DEPLOY_FRESH=true to deploy a new instance.`
+        );
+      } else {
+        log(`♻️  Reusing ${name} at ${existing.address}`);
+        return {
+          contract: await hre.ethers.getContractAt(name, existing.address),
+          address: existing.address,
+          reused: true
+        };
+      }
+    }
+
+    const factory = await hre.ethers.getContractFactory(name);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+
+    await recordContract(name, {
+      address,
+      args,
+      deployer: receipt.from,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed
+    }, { dependsOn });
+
+    return { contract, address, reused: false };
+  }
+
+  /**
+   * Deploy a contract behind a UUPS proxy with @openzeppelin/hardhat-upgrades,
+   * or reuse the recorded proxy if its implementation still matches
+   * @param {string} name Contract name
+   * @param {Array} args initialize() arguments
+   * @param {Object} options
+   * @param {string[]} options.dependsOn Contracts referenced by the arguments
+   * @returns {Promise<{contract: Object, address: string, implementation: string, reused: boolean}>}
+   */
+  async function deployProxy(name, args = [], { dependsOn = [] } = {}) {
+    const existing = registry.contracts[name];
+
+    if (existing && registry.steps[`deploy:${name}`]) {
+      const implementation = await getImplementationAddress(hre.ethers.provider, existing.address);
+
+      if (!existing.proxy) {
+        throw new RegistryMismatchError(
+          `${name} at ${existing.address} is an immutable deployment. ` +
+          "Rerun without DEPLOY_PROXY, or with DEPLOY_FRESH=true to deploy a proxy."
+        );
+      } else if (!implementation) {
+        log(`⚠️  No proxy at recorded ${name} address ${existing.address} (chain reset?), redeploying`);
+        forgetContract(name);
+      } else if (!(await compareDeployedBytecode(hre, name, implementation)).matches) {
+        throw new RegistryMismatchError(
+          `The ${name} implementation behind ${existing.address} does not match the compiled artifact. ` +
+          `Upgrade it with: npx hardhat upgrade ${name} --network ${hre.network.name}`
+        );
+      } else if (JSON.stringify(existing.args) !== JSON.stringify(serializeArgs(args))) {
+        throw new RegistryMismatchError(
+          `${name} at ${existing.address} was initialized with ${JSON.stringify(existing.args)}, ` +
+          `not ${JSON.stringify(serializeArgs(args))}. Rerun with DEPLOY_FRESH=true to deploy a new proxy.`
+        );
+      } else {
+        log(`♻️  Reusing ${name} proxy at ${existing.address}`);
+        return {
+          contract: await hre.ethers.getContractAt(name, existing.address),
+          address: existing.address,
+          implementation,
+          reused: true
+        };
+      }
+    }
+
+    const factory = await hre.ethers.getContractFactory(name);
+    const contract = await hre.upgrades.deployProxy(factory, args, {
+      kind: "uups",
+      constructorArgs: IMPLEMENTATION_ARGS[name] || []
+    });
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+    const implementation = await getImplementationAddress(hre.ethers.provider, address);
+
+    await recordContract(name, {
+      address,
+      args,
+      deployer: receipt.from,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      implementation
+    }, { dependsOn });
+
+    return { contract, address, implementation, reused: false };
+  }
+
+  /**
+   * Record a contract deployed by other tooling (e.g. hardhat-deploy)
+   * @param {string} name Contract name
+   * @param {Object} deployed address, args, deployer, txHash, blockNumber, gasUsed, and
+   *   implementation when address is a UUPS proxy
+   * @param {Object} options
+   * @param {string[]} options.dependsOn Contracts referenced by the constructor arguments
+   */
+  async function recordContract(name, { address, args = [], deployer, txHash, blockNumber, gasUsed, implementation }, { dependsOn = [] } = {}) {
+    const existing = registry.contracts[name];
+    if (existing && existing.address === address && registry.steps[`deploy:${name}`]) {
+      return existing;
+    }
+
+    const { bytecodeHash } = await compareDeployedBytecode(hre, name, implementation || address);
+
+    // Anything built on a previous instance is stale now
+    forgetContract(name);
+    registry.contracts[name] = {
+      address,
+      args: serializeArgs(args),
+      deployer,
+      txHash,
+      blockNumber,
+      gasUsed: gasUsed === undefined ? undefined : gasUsed.toString(),
+      bytecodeHash,
+      deployedAt: new Date().toISOString()
+    };
+    if (implementation) {
+      registry.contracts[name].proxy = {
+        kind: "uups",
+        implementation,
+        implementations: [{
+          implementation,
+          contract: name,
+          bytecodeHash,
+          txHash,
+          blockNumber,
+          recordedAt: registry.contracts[name].deployedAt
+        }]
+      };
+    }
+    completeStep(`deploy:${name}`, { dependsOn, address });
+    return registry.contracts[name];
+  }
+
+  return {
+    registry,
+    file: registryPath(registry.network, dir),
+    save,
+    runStep,
+    deployContract,
+    deployProxy,
+    recordContract,
+    forgetContract
+  };
+}
+
+// ============= HARDHAT-DEPLOY =============
+
+/**
+ * Deploy a contract from the hardhat-deploy pipeline, directly or behind a
+ * UUPS proxy (DEPLOY_PROXY=true). Proxies are deployed with
+ * @openzeppelin/hardhat-upgrades, so `npx hardhat upgrade` can validate them
+ * later, and saved as hardhat-deploy deployments (proxy address, contract
+ * ABI, implementation) so get, read and execute work as for a direct deploy.
+ * As in the script, a recorded proxy is never silently replaced by an
+ * immutable instance, or the other way round.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} name Contract name
+ * @param {Array} args Constructor arguments, or initialize() arguments for a proxy
+ * @param {Object} options
+ * @param {string} options.from Deployer address
+ * @param {number} options.waitConfirmations Confirmations to wait for
+ * @param {boolean} options.proxy Deploy behind a UUPS proxy
+ * @returns {Promise<Object>} hardhat-deploy deployment; proxies also carry `implementation`
+ */
+async function deployHardhatContract(hre, name, args, { from, waitConfirmations = 1, proxy = false } = {}) {
+  const { deployments } = hre;
+  const existing = await deployments.getOrNull(name);
+  const existingProxy = Boolean(existing && existing.implementation);
+
+  if (!proxy) {
+    if (existingProxy) {
+      throw new RegistryMismatchError(
+        `${name} at ${existing.address} is a UUPS proxy. Rerun with DEPLOY_PROXY=true, ` +
+        `or delete deployments/${hre.network.name}/${name}.json to deploy an immutable instance.`
+      );
+    }
+    return deployments.deploy(name, { from, args, log: true, waitConfirmations });
+  }
+
+  if (existing && !existingProxy) {
+    throw new RegistryMismatchError(
+      `${name} at ${existing.address} is an immutable deployment. Rerun without DEPLOY_PROXY, ` +
+      `or delete deployments/${hre.network.name}/${name}.json to deploy a proxy.`
+    );
+  }
+  if (existing) {
+    const implementation = await getImplementationAddress(hre.ethers.provider, existing.address);
+    if (implementation && (await compareDeployedBytecode(hre, name, implementation)).matches) {
+      deployments.log(`reusing "${name}" proxy at ${existing.address}`);
+      return { ...existing, implementation, newlyDeployed: false };
+    }
+    if (implementation) {
+      throw new RegistryMismatchError(
+        `The ${name} implementation behind ${existing.address} does not match the compiled artifact. ` +
+        `Upgrade it with: npx hardhat upgrade ${name} --network ${hre.network.name}`
+      );
+    }
+  }
+
+  const factory = await hre.ethers.getContractFactory(name, await hre.ethers.getSigner(from));
+  const contract = await hre.upgrades.deployProxy(factory, args, {
+    kind: "uups",
+    constructorArgs: IMPLEMENTATION_ARGS[name] || []
+  });
+  const receipt = await contract.deploymentTransaction().wait(waitConfirmations);
+  const address = await contract.getAddress();
+  const implementation = await getImplementationAddress(hre.ethers.provider, address);
+  const deployment = {
+    address,
+    abi: (await hre.artifacts.readArtifact(name)).abi,
+    args: serializeArgs(args),
+    implementation,
+    transactionHash: receipt.hash,
+    receipt: {
+      from: receipt.from,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    }
+  };
+  await deployments.save(name, deployment);
+  deployments.log(`deployed "${name}" proxy at ${address} (implementation ${implementation})`);
+  return { ...deployment, newlyDeployed: true };
+}
+
+/**
+ * Mirror a hardhat-deploy result into the registry. The in-process hardhat
+ * network is skipped, as hardhat-deploy does for its own deployment files.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} name Contract name
+ * @param {Object} deployment Result of deployments.deploy() or deployHardhatContract()
+ * @param {Object} options
+ * @param {string[]} options.dependsOn Contracts referenced by the constructor arguments
+ */
+async function recordHardhatDeployment(hre, name, deployment, { dependsOn, dir } = {}) {
+  if (hre.network.name === "hardhat") {
+    return undefined;
+  }
+  const session = await openDeploymentRegistry(hre, { dir });
+  const receipt = deployment.receipt || {};
+  return session.recordContract(name, {
+    address: deployment.address,
+    args: deployment.args,
+    deployer: receipt.from,
+    txHash: deployment.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    implementation: deployment.implementation
+  }, { dependsOn });
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_DIR,
+  RegistryMismatchError,
+  IMPLEMENTATION_ARGS,
+  registryPath,
+  readRegistry,
+  writeRegistry,
+  getDeployedAddress,
+  readNetworkRegistry,
+  registryNetworkFor,
+  resolveDeployedAddress,
+  maskImmutables,
+  compareDeployedBytecode,
+  getImplementationAddress,
+  openDeploymentRegistry,
+  deployHardhatContract,
+  recordHardhatDeployment
+};
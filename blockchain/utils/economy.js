@@ -0,0 +1,175 @@
+/**
+ * BugtopiaL1 economy snapshots
+ *
+ * Reads every tunable parameter of BugtopiaL1 into a plain object, validates
+ * proposed changes the same way the contract does, and renders before/after
+ * diffs for the economy:* hardhat tasks.
+ */
+
+const { ethers } = require("ethers");
+const { UTILITY_TYPES, BASIS_POINTS } = require("./bugtopia-constants");
+
+// BugtopiaL1.updateBurnRate rejects anything above 50%
+const MAX_BURN_RATE = 5000;
+
+class EconomyParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EconomyParameterError";
+  }
+}
+
+// ============= VALIDATION =============
+
+/**
+ * Parse a basis-point value (0-10000)
+ * @param {string|number|bigint} value Raw input
+ * @param {string} label Name used in error messages
+ * @returns {bigint}
+ */
+function parseBasisPoints(value, label, { max = BASIS_POINTS } = {}) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    throw new EconomyParameterError(`${label} must be a whole number of basis points (got "${value}")`);
+  }
+  const bps = BigInt(text);
+  if (bps > BigInt(max)) {
+    throw new EconomyParameterError(`${label} must be at most ${max} basis points (got ${bps})`);
+  }
+  return bps;
+}
+
+/**
+ * Validate a treasury/staking/burn split
+ * @returns {{treasuryRatio: bigint, stakingRatio: bigint, burnRatio: bigint}}
+ */
+function validateSplit(treasury, staking, burn) {
+  const split = {
+    treasuryRatio: parseBasisPoints(treasury, "Treasury ratio"),
+    stakingRatio: parseBasisPoints(staking, "Staking ratio"),
+    burnRatio: parseBasisPoints(burn, "Burn ratio")
+  };
+  const total = split.treasuryRatio + split.stakingRatio + split.burnRatio;
+  if (total !== BigInt(BASIS_POINTS)) {
+    throw new EconomyParameterError(
+      `Split must sum to ${BASIS_POINTS} basis points (got ${split.treasuryRatio} + ${split.stakingRatio} + ` +
+      `${split.burnRatio} = ${total})`
+    );
+  }
+  return split;
+}
+
+/**
+ * Parse a fee given in BUG (e.g. "0.001")
+ * @returns {bigint} Fee in wei
+ */
+function parseFee(amount) {
+  try {
+    const fee = ethers.parseEther(String(amount));
+    if (fee < 0n) throw new Error("negative");
+    return fee;
+  } catch (error) {
+    throw new EconomyParameterError(`Fee must be a non-negative BUG amount such as 0.001 (got "${amount}")`);
+  }
+}
+
+// ============= SNAPSHOTS =============
+
+/**
+ * Read the current economy from BugtopiaL1
+ * @param {Object} bugtopiaL1 Contract instance
+ * @param {string[]} utilityTypes Fee / burn rate keys to read
+ */
+async function readEconomy(bugtopiaL1, utilityTypes = UTILITY_TYPES) {
+  const [totalBurned, rewardsPool, treasury] = await bugtopiaL1.getEconomicState();
+  const state = {
+    treasury,
+    treasuryRatio: await bugtopiaL1.treasuryRatio(),
+    stakingRatio: await bugtopiaL1.stakingRatio(),
+    burnRatio: await bugtopiaL1.burnRatio(),
+    totalBugBurned: totalBurned,
+    stakingRewardsPool: rewardsPool,
+    fees: {},
+    burnRates: {}
+  };
+  for (const utilityType of utilityTypes) {
+    state.fees[utilityType] = await bugtopiaL1.getUtilityFee(utilityType);
+    state.burnRates[utilityType] = await bugtopiaL1.getBurnRate(utilityType);
+  }
+  return state;
+}
+
+/**
+ * Flatten a snapshot into display rows keyed by parameter name
+ * @returns {Object<string, string>}
+ */
+function flattenEconomy(state) {
+  const rows = {
+    treasury: state.treasury,
+    "split.treasury": `${state.treasuryRatio} bps`,
+    "split.staking": `${state.stakingRatio} bps`,
+    "split.burn": `${state.burnRatio} bps`,
+    totalBugBurned: `${ethers.formatEther(state.totalBugBurned)} BUG`,
+    stakingRewardsPool: `${ethers.formatEther(state.stakingRewardsPool)} BUG`
+  };
+  for (const [utilityType, fee] of Object.entries(state.fees)) {
+    rows[`fee.${utilityType}`] = `${ethers.formatEther(fee)} BUG`;
+  }
+  for (const [activity, rate] of Object.entries(state.burnRates)) {
+    rows[`burnRate.${activity}`] = `${rate} bps`;
+  }
+  return rows;
+}
+
+/**
+ * List the parameters that differ between two snapshots
+ * @returns {Array<{parameter: string, before: string, after: string}>}
+ */
+function diffEconomy(before, after) {
+  const beforeRows = flattenEconomy(before);
+  const afterRows = flattenEconomy(after);
+  const keys = [...new Set([...Object.keys(beforeRows), ...Object.keys(afterRows)])];
+  return keys
+    .filter((key) => beforeRows[key] !== afterRows[key])
+    .map((key) => ({ parameter: key, before: beforeRows[key], after: afterRows[key] }));
+}
+
+/**
+ * Apply a change to a snapshot without touching the chain (for --dry-run)
+ * @param {Object} state Snapshot from readEconomy()
+ * @param {Object} change One of {fee}, {burnRate}, {split} or {treasury}
+ */
+function applyChange(state, change) {
+  const next = { ...state, fees: { ...state.fees }, burnRates: { ...state.burnRates } };
+  if (change.fee) next.fees[change.fee.utilityType] = change.fee.amount;
+  if (change.burnRate) next.burnRates[change.burnRate.activity] = change.burnRate.rate;
+  if (change.split) Object.assign(next, change.split);
+  if (change.treasury) next.treasury = change.treasury;
+  return next;
+}
+
+function formatEconomy(state) {
+  const rows = flattenEconomy(state);
+  const width = Math.max(...Object.keys(rows).map((key) => key.length));
+  return Object.entries(rows).map(([key, value]) => `  ${key.padEnd(width)}  ${value}`).join("\n");
+}
+
+function formatDiff(diff) {
+  if (diff.length === 0) return "  (no changes)";
+  const width = Math.max(...diff.map(({ parameter }) => parameter.length));
+  return diff.map(({ parameter, before, after }) => `  ${parameter.padEnd(width)}  ${before} → ${after}`).join("\n");
+}
+
+module.exports = {
+  MAX_BURN_RATE,
+  EconomyParameterError,
+  parseBasisPoints,
+  validateSplit,
+  parseFee,
+  readEconomy,
+  flattenEconomy,
+  diffEconomy,
+  applyChange,
+  formatEconomy,
+  formatDiff
+};
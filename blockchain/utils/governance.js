@@ -0,0 +1,761 @@
+/**
+ * Off-chain governance
+ *
+ * BugtopiaL1 charges a governance_proposal utility fee but has no governor
+ * contract. Governance runs off chain on top of that fee:
+ *
+ *   propose  pay governance_proposal. The payment transaction carries the
+ *            hash of the proposal's terms after the payUtilityFee calldata,
+ *            so anyone can check a proposal against the chain. Its block is
+ *            the snapshot block and opens the voting period.
+ *   vote     EIP-712 signed Vote messages, stamped with the chain time they
+ *            were received; only votes received before voting closes count,
+ *            and a voter's last vote received counts
+ *   tally    after voting closes, each vote weighs the voter's BUG balance
+ *            plus nftWeight BUG per BugtopiaCollectibles token unit held at
+ *            the snapshot block. The same votes always give the same tally.
+ *
+ * The proposer picks the voting period, execution delay and quorum, but no
+ * lower than GOVERNANCE_RULES, which also fixes nftWeight; proposals are
+ * held to the rules when created and again when tallied or executed.
+ *   execute  once the execution delay has passed, the BugtopiaL1 owner sends
+ *            the proposal's updateUtilityFee / updateBurnRate /
+ *            updateFeeDistribution call exactly as voted
+ *
+ * Proposals and their votes live in deployments/governance-<network>.json.
+ * Deadlines are chain time (the latest block timestamp), not the local clock.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { BUGTOPIA_L1_INTERFACE, COLLECTIBLES_INTERFACE, translateError } = require("../sdk");
+const { UTILITY_TYPES } = require("./bugtopia-constants");
+const { sentState, settleSentBatch } = require("./payout-batches");
+const {
+  MAX_BURN_RATE,
+  EconomyParameterError,
+  parseBasisPoints,
+  validateSplit,
+  parseFee,
+  readEconomy,
+  diffEconomy,
+  applyChange
+} = require("./economy");
+
+const DEFAULT_STORE_DIR = path.join(__dirname, "..", "deployments");
+
+const PROPOSAL_FEE_TYPE = "governance_proposal";
+const DEFAULT_VOTING_PERIOD = 3 * 24 * 60 * 60;
+const DEFAULT_EXECUTION_DELAY = 2 * 24 * 60 * 60;
+const DEFAULT_QUORUM = ethers.parseEther("1000");
+
+// Floors no proposal may go below; a zero quorum or period would let the
+// proposer pass and execute a change alone
+const GOVERNANCE_RULES = {
+  minVotingPeriod: 24 * 60 * 60,
+  minExecutionDelay: 24 * 60 * 60,
+  minQuorum: ethers.parseEther("1000"),
+  nftWeight: ethers.parseEther("10")
+};
+
+// Vote.support values
+const SUPPORT = ["against", "for", "abstain"];
+
+const VOTE_TYPES = {
+  Vote: [
+    { name: "proposalId", type: "bytes32" },
+    { name: "voter", type: "address" },
+    { name: "support", type: "uint8" },
+    { name: "timestamp", type: "uint64" },
+    { name: "reason", type: "string" }
+  ]
+};
+
+const TERMS_TYPES = ["uint256", "address", "address", "string", "string", "bytes", "uint64", "uint64", "uint256", "uint256"];
+
+class GovernanceError extends Error {
+  /**
+   * @param {string} message Summary
+   * @param {string[]} issues One line per problem found
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n  ${issues.join("\n  ")}` : message);
+    this.name = "GovernanceError";
+    this.issues = issues;
+  }
+}
+
+async function call(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw translateError(error);
+  }
+}
+
+async function chainTime(provider) {
+  return (await provider.getBlock("latest")).timestamp;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+// ============= ACTIONS =============
+
+/**
+ * The BugtopiaL1 calls a proposal may carry. parse() validates raw CLI
+ * arguments like the economy:* tasks do; describe() turns decoded arguments
+ * into an applyChange() change and the fee / burn rate keys it touches.
+ */
+const GOVERNANCE_ACTIONS = {
+  updateUtilityFee: {
+    usage: "<utilityType> <fee in BUG>",
+    arity: 2,
+    parse: ([utilityType, fee]) => [utilityType, parseFee(fee)],
+    describe: ([utilityType, amount]) => ({ change: { fee: { utilityType, amount } }, keys: [utilityType] })
+  },
+  updateBurnRate: {
+    usage: "<activity> <basis points, max 5000>",
+    arity: 2,
+    parse: ([activity, rate]) => [activity, parseBasisPoints(rate, "Burn rate", { max: MAX_BURN_RATE })],
+    describe: ([activity, rate]) => ({ change: { burnRate: { activity, rate } }, keys: [activity] })
+  },
+  updateFeeDistribution: {
+    usage: "<treasury bps> <staking bps> <burn bps>",
+    arity: 3,
+    parse: ([treasury, staking, burn]) => {
+      const split = validateSplit(treasury, staking, burn);
+      return [split.treasuryRatio, split.stakingRatio, split.burnRatio];
+    },
+    describe: ([treasuryRatio, stakingRatio, burnRatio]) => ({ change: { split: { treasuryRatio, stakingRatio, burnRatio } }, keys: [] })
+  }
+};
+
+/**
+ * Validate and encode a proposal's action
+ * @param {string} method One of GOVERNANCE_ACTIONS
+ * @param {string[]} rawArgs Arguments as typed on the command line
+ * @returns {{method: string, args: string[], calldata: string}}
+ */
+function buildAction(method, rawArgs = []) {
+  const action = GOVERNANCE_ACTIONS[method];
+  if (!action) {
+    throw new GovernanceError(`Proposals can only call ${Object.keys(GOVERNANCE_ACTIONS).join(", ")} (got "${method}")`);
+  }
+  if (rawArgs.length !== action.arity || rawArgs.some((arg) => String(arg).trim() === "")) {
+    throw new GovernanceError(`${method} takes ${action.usage}`);
+  }
+  let args;
+  try {
+    args = action.parse(rawArgs.map(String));
+  } catch (error) {
+    if (error instanceof EconomyParameterError) throw new GovernanceError(error.message);
+    throw error;
+  }
+  return {
+    method,
+    args: args.map(String),
+    calldata: BUGTOPIA_L1_INTERFACE.encodeFunctionData(method, args)
+  };
+}
+
+/**
+ * Decode a proposal's calldata, refusing anything but the governance actions
+ * @returns {{method: string, args: Array, change: Object, keys: string[]}}
+ */
+function decodeAction(calldata) {
+  let parsed;
+  try {
+    parsed = BUGTOPIA_L1_INTERFACE.parseTransaction({ data: calldata });
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !GOVERNANCE_ACTIONS[parsed.name]) {
+    throw new GovernanceError(`Calldata ${String(calldata).slice(0, 10)}… is not a governance action`);
+  }
+  const args = parsed.args.toArray();
+  const encoded = BUGTOPIA_L1_INTERFACE.encodeFunctionData(parsed.name, args);
+  if (encoded !== ethers.hexlify(calldata)) {
+    throw new GovernanceError(`Calldata for ${parsed.name} has trailing or non-canonical bytes`);
+  }
+  return { method: parsed.name, args, ...GOVERNANCE_ACTIONS[parsed.name].describe(args) };
+}
+
+// ============= PROPOSALS =============
+
+/**
+ * Hash of everything voters agree to; appended to the payment calldata
+ */
+function termsHash(proposal) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(TERMS_TYPES, [
+    proposal.chainId,
+    proposal.bugtopiaL1,
+    proposal.collectibles || ethers.ZeroAddress,
+    proposal.title,
+    proposal.description,
+    proposal.action.calldata,
+    proposal.votingPeriod,
+    proposal.executionDelay,
+    proposal.quorum,
+    proposal.nftWeight
+  ]));
+}
+
+/**
+ * Where a proposal's terms fall short of GOVERNANCE_RULES
+ * @returns {string[]} One line per broken rule
+ */
+function ruleViolations({ votingPeriod, executionDelay, quorum, nftWeight }) {
+  const issues = [];
+  for (const [label, value, min] of [
+    ["voting period", votingPeriod, GOVERNANCE_RULES.minVotingPeriod],
+    ["execution delay", executionDelay, GOVERNANCE_RULES.minExecutionDelay]
+  ]) {
+    if (!Number.isSafeInteger(value) || value < min) issues.push(`the ${label} must be at least ${min} seconds (got ${value})`);
+  }
+  if (BigInt(quorum) < GOVERNANCE_RULES.minQuorum) {
+    issues.push(`the quorum must be at least ${ethers.formatEther(GOVERNANCE_RULES.minQuorum)} BUG (got ${ethers.formatEther(quorum)})`);
+  }
+  if (BigInt(nftWeight) !== GOVERNANCE_RULES.nftWeight) {
+    issues.push(`the NFT weight must be ${ethers.formatEther(GOVERNANCE_RULES.nftWeight)} BUG (got ${ethers.formatEther(nftWeight)})`);
+  }
+  return issues;
+}
+
+function proposalIdFor(hash, paymentTxHash) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "bytes32"], [hash, paymentTxHash]));
+}
+
+/**
+ * Create a proposal by paying the governance_proposal fee
+ * @param {Object} client Bugtopia client whose runner is the proposer
+ * @param {Object} options
+ * @param {string} options.title Short title
+ * @param {string} options.description Longer text (optional)
+ * @param {string} options.method One of GOVERNANCE_ACTIONS
+ * @param {string[]} options.args Raw action arguments
+ * @param {number} options.votingPeriod Seconds voting stays open after the payment block
+ * @param {number} options.executionDelay Seconds between the end of voting and execution
+ * @param {bigint} options.quorum Minimum total voting power, in wei
+ * @returns {Promise<Object>} Proposal record
+ * @throws {GovernanceError} When the terms break GOVERNANCE_RULES; nothing is paid
+ */
+async function createProposal(client, {
+  title,
+  description = "",
+  method,
+  args,
+  votingPeriod = DEFAULT_VOTING_PERIOD,
+  executionDelay = DEFAULT_EXECUTION_DELAY,
+  quorum = DEFAULT_QUORUM
+}) {
+  if (!title || !title.trim()) throw new GovernanceError("A proposal needs a title");
+  const nftWeight = GOVERNANCE_RULES.nftWeight;
+  const issues = ruleViolations({ votingPeriod, executionDelay, quorum, nftWeight });
+  if (issues.length > 0) throw new GovernanceError("The proposal breaks the governance rules", issues);
+  const action = buildAction(method, args);
+  const bugtopiaL1 = await client.l1();
+  const { provider } = client.runner;
+  const { chainId } = await provider.getNetwork();
+
+  const terms = {
+    chainId: Number(chainId),
+    bugtopiaL1: ethers.getAddress(bugtopiaL1.target),
+    collectibles: client.collectibles ? ethers.getAddress(client.collectibles.target) : null,
+    title: title.trim(),
+    description,
+    action,
+    votingPeriod,
+    executionDelay,
+    quorum: BigInt(quorum).toString(),
+    nftWeight: BigInt(nftWeight).toString()
+  };
+  const hash = termsHash(terms);
+
+  const payment = await client.prepare("payUtilityFee", { utilityType: PROPOSAL_FEE_TYPE });
+  const data = ethers.concat([payment.contract.interface.encodeFunctionData(payment.method, payment.args), hash]);
+  const receipt = await call(async () => {
+    const tx = await client.runner.sendTransaction({ to: bugtopiaL1.target, data, value: payment.value });
+    return tx.wait();
+  });
+  const block = await provider.getBlock(receipt.blockNumber);
+
+  return {
+    id: proposalIdFor(hash, receipt.hash),
+    ...terms,
+    termsHash: hash,
+    proposer: ethers.getAddress(receipt.from),
+    payment: { txHash: receipt.hash, blockNumber: receipt.blockNumber, fee: payment.value.toString() },
+    snapshotBlock: receipt.blockNumber,
+    createdAt: block.timestamp,
+    votingEndsAt: block.timestamp + votingPeriod,
+    executableAt: block.timestamp + votingPeriod + executionDelay,
+    votes: [],
+    tally: null,
+    execution: null
+  };
+}
+
+/**
+ * Check a proposal record against its payment transaction
+ * @throws {GovernanceError} Listing every mismatch
+ */
+async function verifyProposal(provider, proposal) {
+  const issues = [...ruleViolations(proposal)];
+  const hash = termsHash(proposal);
+  if (hash !== proposal.termsHash) issues.push(`the terms hash to ${hash}, the record says ${proposal.termsHash}`);
+  if (proposalIdFor(hash, proposal.payment.txHash) !== proposal.id) issues.push("the id does not match the terms and payment");
+  try {
+    const { method, args } = decodeAction(proposal.action.calldata);
+    const described = `${method}(${args.map(String).join(", ")})`;
+    if (described !== `${proposal.action.method}(${proposal.action.args.join(", ")})`) {
+      issues.push(`the calldata encodes ${described}, not the recorded action`);
+    }
+  } catch (error) {
+    issues.push(error.message);
+  }
+
+  const tx = await provider.getTransaction(proposal.payment.txHash);
+  const receipt = tx && await provider.getTransactionReceipt(proposal.payment.txHash);
+  if (!receipt) {
+    issues.push(`payment ${proposal.payment.txHash} is not on chain ${proposal.chainId}`);
+    throw new GovernanceError(`Proposal ${proposal.id} does not match the chain`, issues);
+  }
+
+  const expectedData = ethers.concat([BUGTOPIA_L1_INTERFACE.encodeFunctionData("payUtilityFee", [PROPOSAL_FEE_TYPE]), hash]);
+  if (!tx.to || ethers.getAddress(tx.to) !== proposal.bugtopiaL1) issues.push(`payment was sent to ${tx.to}, not BugtopiaL1`);
+  if (tx.data !== expectedData) issues.push("payment calldata does not commit to these terms");
+  if (ethers.getAddress(tx.from) !== proposal.proposer) issues.push(`payment came from ${tx.from}, not the proposer`);
+  if (receipt.status !== 1) issues.push("payment reverted");
+  if (receipt.blockNumber !== proposal.snapshotBlock) issues.push(`payment was mined in block ${receipt.blockNumber}, not ${proposal.snapshotBlock}`);
+
+  const paid = receipt.logs
+    .filter((log) => ethers.getAddress(log.address) === proposal.bugtopiaL1)
+    .map((log) => BUGTOPIA_L1_INTERFACE.parseLog(log))
+    .find((event) => event && event.name === "UtilityFeePaid" && event.args.utilityType === PROPOSAL_FEE_TYPE);
+  if (!paid) {
+    issues.push(`payment emitted no UtilityFeePaid for ${PROPOSAL_FEE_TYPE}`);
+  } else if (paid.args.amount.toString() !== proposal.payment.fee) {
+    issues.push(`payment paid ${paid.args.amount} wei, the record says ${proposal.payment.fee}`);
+  }
+
+  const block = await provider.getBlock(receipt.blockNumber);
+  if (block.timestamp !== proposal.createdAt) issues.push(`the payment block is from ${block.timestamp}, not ${proposal.createdAt}`);
+  if (proposal.votingEndsAt !== proposal.createdAt + proposal.votingPeriod) issues.push("votingEndsAt does not follow from the voting period");
+  if (proposal.executableAt !== proposal.votingEndsAt + proposal.executionDelay) issues.push("executableAt does not follow from the execution delay");
+
+  if (issues.length > 0) throw new GovernanceError(`Proposal ${proposal.id} does not match the chain`, issues);
+  return proposal;
+}
+
+// ============= VOTES =============
+
+function voteDomain(proposal) {
+  return { name: "Bugtopia Governance", version: "1", chainId: proposal.chainId, verifyingContract: proposal.bugtopiaL1 };
+}
+
+/**
+ * Parse "for", "against", "abstain" or their Vote.support numbers
+ * @returns {number}
+ */
+function parseSupport(value) {
+  const text = String(value).trim().toLowerCase();
+  const support = /^\d$/.test(text) ? Number(text) : SUPPORT.indexOf(text);
+  if (support < 0 || support >= SUPPORT.length) {
+    throw new GovernanceError(`Support must be one of ${SUPPORT.join(", ")} (got "${value}")`);
+  }
+  return support;
+}
+
+/**
+ * Sign a vote on a proposal
+ * @param {ethers.Signer} signer Voter
+ * @param {Object} proposal Proposal record
+ * @param {Object} options
+ * @param {string|number} options.support for / against / abstain
+ * @param {string} options.reason Free text, signed with the vote
+ * @param {number} options.timestamp Defaults to the latest block timestamp
+ * @returns {Promise<Object>} Vote with its signature
+ */
+async function signVote(signer, proposal, { support, reason = "", timestamp } = {}) {
+  const vote = {
+    proposalId: proposal.id,
+    voter: ethers.getAddress(await signer.getAddress()),
+    support: parseSupport(support),
+    timestamp: timestamp ?? await chainTime(signer.provider),
+    reason
+  };
+  return { ...vote, signature: await signer.signTypedData(voteDomain(proposal), VOTE_TYPES, vote) };
+}
+
+/**
+ * Check a vote's signature and that it belongs to the proposal
+ * @returns {string} Checksummed voter address
+ */
+function verifyVote(proposal, vote) {
+  if (vote.proposalId !== proposal.id) {
+    throw new GovernanceError(`Vote by ${vote.voter} is for proposal ${vote.proposalId}, not ${proposal.id}`);
+  }
+  const message = {
+    proposalId: vote.proposalId,
+    voter: vote.voter,
+    support: parseSupport(vote.support),
+    timestamp: vote.timestamp,
+    reason: vote.reason ?? ""
+  };
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(voteDomain(proposal), VOTE_TYPES, message, vote.signature);
+  } catch (error) {
+    throw new GovernanceError(`Vote by ${vote.voter} has an unreadable signature: ${error.shortMessage || error.message}`);
+  }
+  if (!ethers.isAddress(vote.voter) || signer !== ethers.getAddress(vote.voter)) {
+    throw new GovernanceError(`Vote by ${vote.voter} is signed by ${signer}`);
+  }
+  return signer;
+}
+
+/**
+ * Check that a recorded vote was received while voting was open. The signed
+ * timestamp is the voter's word; the receive time is chain time.
+ */
+function checkReceived(proposal, vote) {
+  if (!Number.isSafeInteger(vote.receivedAt) || vote.receivedAt < proposal.createdAt || vote.receivedAt > proposal.votingEndsAt) {
+    throw new GovernanceError(
+      `Vote by ${vote.voter} was received ${Number.isSafeInteger(vote.receivedAt) ? formatTime(vote.receivedAt) : "at no recorded time"}, ` +
+      `outside voting (${formatTime(proposal.createdAt)} to ${formatTime(proposal.votingEndsAt)})`
+    );
+  }
+}
+
+// A voter's last vote received wins; ties fall back to the signed timestamp,
+// then the signature
+function isNewer(vote, than) {
+  if (vote.receivedAt !== than.receivedAt) return vote.receivedAt > than.receivedAt;
+  if (vote.timestamp !== than.timestamp) return vote.timestamp > than.timestamp;
+  return vote.signature.toLowerCase() > than.signature.toLowerCase();
+}
+
+/**
+ * Record a signed vote while voting is open, stamped with the chain time it
+ * was received
+ * @param {ethers.Provider} provider For chain time
+ * @param {Object} proposal Proposal record; votes updated in place
+ * @param {Object} vote Signed vote from signVote()
+ * @returns {Promise<"added"|"replaced"|"unchanged">}
+ */
+async function addVote(provider, proposal, vote) {
+  const now = await chainTime(provider);
+  if (now > proposal.votingEndsAt) {
+    throw new GovernanceError(`Voting on ${proposal.id} closed at ${formatTime(proposal.votingEndsAt)}`);
+  }
+  const voter = verifyVote(proposal, vote);
+  const record = { ...vote, voter, support: parseSupport(vote.support), receivedAt: now };
+
+  const index = proposal.votes.findIndex((existing) => existing.voter === voter);
+  let result = "added";
+  if (index >= 0) {
+    const existing = proposal.votes[index];
+    if (existing.signature === record.signature) return "unchanged";
+    // Anyone may relay a signed vote, so an older one sent again must not win back
+    if (record.timestamp <= existing.timestamp) {
+      throw new GovernanceError(`${voter} already voted at ${formatTime(existing.timestamp)}; only a later vote replaces it`);
+    }
+    proposal.votes.splice(index, 1);
+    result = "replaced";
+  }
+  proposal.votes.push(record);
+  proposal.votes.sort((a, b) => (a.voter.toLowerCase() < b.voter.toLowerCase() ? -1 : 1));
+  return result;
+}
+
+// ============= TALLY =============
+
+/**
+ * Token units each account held in BugtopiaCollectibles at a block
+ * @returns {Promise<Map<string, bigint>>} Units by checksummed address
+ */
+async function nftUnitsAt(provider, collectibles, accounts, blockTag) {
+  const units = new Map(accounts.map((account) => [account, 0n]));
+  if (!collectibles || accounts.length === 0) return units;
+
+  const logs = await provider.getLogs({
+    address: collectibles,
+    topics: [
+      [COLLECTIBLES_INTERFACE.getEvent("TransferSingle").topicHash, COLLECTIBLES_INTERFACE.getEvent("TransferBatch").topicHash],
+      null,
+      null,
+      accounts.map((account) => ethers.zeroPadValue(account, 32))
+    ],
+    fromBlock: 0,
+    toBlock: blockTag
+  });
+  const pairs = new Map();
+  for (const log of logs) {
+    const { name, args } = COLLECTIBLES_INTERFACE.parseLog(log);
+    const to = ethers.getAddress(args.to);
+    for (const id of name === "TransferSingle" ? [args.id] : args.ids) pairs.set(`${to}:${id}`, [to, id]);
+  }
+  if (pairs.size === 0) return units;
+
+  const contract = new ethers.Contract(collectibles, COLLECTIBLES_INTERFACE, provider);
+  const holders = [...pairs.values()];
+  const balances = await contract.balanceOfBatch(holders.map(([to]) => to), holders.map(([, id]) => id), { blockTag });
+  holders.forEach(([to], i) => units.set(to, units.get(to) + balances[i]));
+  return units;
+}
+
+/**
+ * Weigh every vote at the snapshot block and count the result. Votes are
+ * re-verified, checked against their receive time and deduplicated, so the
+ * tally depends only on the set of votes, never on their order.
+ * @param {ethers.Provider} provider
+ * @param {Object} proposal Proposal record
+ * @returns {Promise<Object>} Tally; amounts are decimal wei strings
+ */
+async function tallyProposal(provider, proposal) {
+  const now = await chainTime(provider);
+  if (now <= proposal.votingEndsAt) {
+    throw new GovernanceError(`Voting on ${proposal.id} is open until ${formatTime(proposal.votingEndsAt)}`);
+  }
+  await verifyProposal(provider, proposal);
+
+  const latest = new Map();
+  const issues = [];
+  for (const vote of proposal.votes) {
+    try {
+      const voter = verifyVote(proposal, vote);
+      checkReceived(proposal, vote);
+      const record = { ...vote, voter, support: parseSupport(vote.support) };
+      if (!latest.has(voter) || isNewer(record, latest.get(voter))) latest.set(voter, record);
+    } catch (error) {
+      issues.push(error.message);
+    }
+  }
+  if (issues.length > 0) throw new GovernanceError(`Proposal ${proposal.id} holds invalid votes`, issues);
+
+  const voters = [...latest.keys()].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+  const nfts = await nftUnitsAt(provider, proposal.collectibles, voters, proposal.snapshotBlock);
+  const nftWeight = BigInt(proposal.nftWeight);
+  const totals = [0n, 0n, 0n];
+  const votes = [];
+  for (const voter of voters) {
+    const { support, timestamp, receivedAt } = latest.get(voter);
+    const bug = await provider.getBalance(voter, proposal.snapshotBlock);
+    const weight = bug + nfts.get(voter) * nftWeight;
+    totals[support] += weight;
+    votes.push({
+      voter,
+      support: SUPPORT[support],
+      timestamp,
+      receivedAt,
+      bug: bug.toString(),
+      nfts: nfts.get(voter).toString(),
+      weight: weight.toString()
+    });
+  }
+
+  const [against, inFavour, abstain] = totals;
+  const turnout = against + inFavour + abstain;
+  const quorumReached = turnout >= BigInt(proposal.quorum);
+  return {
+    snapshotBlock: proposal.snapshotBlock,
+    for: inFavour.toString(),
+    against: against.toString(),
+    abstain: abstain.toString(),
+    turnout: turnout.toString(),
+    quorum: proposal.quorum,
+    quorumReached,
+    passed: quorumReached && inFavour > against,
+    votes
+  };
+}
+
+// ============= EXECUTION =============
+
+/**
+ * Send a passed proposal's call from the BugtopiaL1 owner. The execution is
+ * recorded as sent before waiting for it, and a sent execution is settled
+ * instead of being sent again.
+ * @param {Object} client Bugtopia client whose runner is the owner
+ * @param {Object} proposal Proposal record; execution and tally updated in place
+ * @param {Object} options
+ * @param {boolean} options.dryRun Simulate with eth_call instead of sending
+ * @param {Function} options.onSent Called with the proposal once the transaction is sent (persist it here)
+ * @returns {Promise<Object>} executed, before/after economy, diff, txHash
+ */
+async function executeProposal(client, proposal, { dryRun = false, onSent } = {}) {
+  const { provider } = client.runner;
+  if (proposal.execution && proposal.execution.status === "sent") {
+    await settleSentBatch(provider, proposal.execution, `The execution of ${proposal.id}`);
+  }
+  if (proposal.execution && proposal.execution.status === "confirmed") {
+    throw new GovernanceError(`Proposal ${proposal.id} was already executed in ${proposal.execution.transactionHash}`);
+  }
+
+  proposal.tally = await tallyProposal(provider, proposal);
+  if (!proposal.tally.passed) {
+    const why = proposal.tally.quorumReached ? "more voting power was against it" : "it missed quorum";
+    throw new GovernanceError(`Proposal ${proposal.id} did not pass: ${why}`);
+  }
+  const now = await chainTime(provider);
+  if (now < proposal.executableAt) {
+    throw new GovernanceError(
+      `Proposal ${proposal.id} can be executed from ${formatTime(proposal.executableAt)} (${proposal.executableAt - now}s from now)`
+    );
+  }
+
+  const bugtopiaL1 = await client.l1();
+  if (ethers.getAddress(bugtopiaL1.target) !== proposal.bugtopiaL1) {
+    throw new GovernanceError(`Proposal ${proposal.id} targets BugtopiaL1 ${proposal.bugtopiaL1}, not ${bugtopiaL1.target}`);
+  }
+  const executor = ethers.getAddress(await client.runner.getAddress());
+  const owner = await bugtopiaL1.owner();
+  if (owner !== executor) {
+    throw new GovernanceError(`${executor} is not the BugtopiaL1 owner (${owner}); the execution would revert`);
+  }
+
+  const { change, keys } = decodeAction(proposal.action.calldata);
+  const utilityTypes = [...new Set([...UTILITY_TYPES, ...keys])];
+  const before = await readEconomy(bugtopiaL1, utilityTypes);
+  const transaction = { to: proposal.bugtopiaL1, data: proposal.action.calldata };
+
+  if (dryRun) {
+    await call(() => client.runner.call(transaction));
+    const after = applyChange(before, change);
+    return { executed: false, dryRun: true, before, after, diff: diffEconomy(before, after) };
+  }
+
+  const tx = await call(() => client.runner.sendTransaction(transaction));
+  proposal.execution = { ...(await sentState(provider, tx)), executor };
+  if (onSent) await onSent(proposal);
+  await call(() => tx.wait());
+  await settleSentBatch(provider, proposal.execution, `The execution of ${proposal.id}`);
+  const after = await readEconomy(bugtopiaL1, utilityTypes);
+  return { executed: true, before, after, diff: diffEconomy(before, after), txHash: tx.hash };
+}
+
+// ============= STORE =============
+
+function governanceStorePath(network, dir = DEFAULT_STORE_DIR) {
+  return path.join(dir, `governance-${network}.json`);
+}
+
+/**
+ * Read the proposal store; empty if the file is missing
+ * @param {string} file Store path
+ * @param {Object} expected
+ * @param {number} expected.chainId Chain the store must belong to
+ * @param {string} expected.bugtopiaL1 BugtopiaL1 address it must belong to
+ */
+function readGovernanceStore(file, { chainId, bugtopiaL1 }) {
+  if (!fs.existsSync(file)) {
+    return { chainId: Number(chainId), bugtopiaL1: ethers.getAddress(bugtopiaL1), proposals: {} };
+  }
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.chainId !== Number(chainId) || ethers.getAddress(store.bugtopiaL1) !== ethers.getAddress(bugtopiaL1)) {
+    throw new GovernanceError(
+      `${file} belongs to BugtopiaL1 ${store.bugtopiaL1} on chain ${store.chainId}, not ${bugtopiaL1} on chain ${chainId}`
+    );
+  }
+  return { proposals: {}, ...store };
+}
+
+function writeGovernanceStore(store, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  store.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+  fs.renameSync(tmpFile, file);
+  return file;
+}
+
+/**
+ * Add a proposal; a payment can back only one proposal
+ */
+function addProposal(store, proposal) {
+  const reused = Object.values(store.proposals).find(({ payment }) => payment.txHash === proposal.payment.txHash);
+  if (reused) {
+    throw new GovernanceError(`Payment ${proposal.payment.txHash} already backs proposal ${reused.id}`);
+  }
+  store.proposals[proposal.id] = proposal;
+  return proposal;
+}
+
+/**
+ * Find a proposal by id or a unique id prefix
+ */
+function findProposal(store, id) {
+  const wanted = String(id).toLowerCase();
+  const matches = Object.keys(store.proposals).filter((key) => key.toLowerCase().startsWith(wanted));
+  if (matches.length !== 1) {
+    throw new GovernanceError(matches.length === 0 ? `No proposal ${id} in the store` : `${id} matches ${matches.length} proposals`);
+  }
+  return store.proposals[matches[0]];
+}
+
+/**
+ * voting, awaiting tally, passed, defeated or executed
+ */
+function proposalStatus(proposal, now) {
+  if (proposal.execution && proposal.execution.status === "confirmed") return "executed";
+  if (now <= proposal.votingEndsAt) return "voting";
+  if (!proposal.tally) return "awaiting tally";
+  return proposal.tally.passed ? "passed" : "defeated";
+}
+
+function formatProposal(proposal, now) {
+  const lines = [
+    `🗳️  ${proposal.title} [${proposalStatus(proposal, now)}]`,
+    `   id          ${proposal.id}`,
+    `   action      ${proposal.action.method}(${proposal.action.args.join(", ")})`,
+    `   proposer    ${proposal.proposer} (snapshot block ${proposal.snapshotBlock})`,
+    `   voting      until ${formatTime(proposal.votingEndsAt)}, executable from ${formatTime(proposal.executableAt)}`,
+    `   quorum      ${ethers.formatEther(proposal.quorum)} BUG; ${ethers.formatEther(proposal.nftWeight)} BUG per NFT`,
+    `   votes       ${proposal.votes.length}`
+  ];
+  if (proposal.tally) {
+    const { tally } = proposal;
+    lines.push(
+      `   tally       for ${ethers.formatEther(tally.for)} / against ${ethers.formatEther(tally.against)} / ` +
+      `abstain ${ethers.formatEther(tally.abstain)} BUG (quorum ${tally.quorumReached ? "reached" : "missed"})`
+    );
+  }
+  if (proposal.execution) {
+    lines.push(`   execution   ${proposal.execution.status} ${proposal.execution.transactionHash || ""}`.trimEnd());
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  PROPOSAL_FEE_TYPE,
+  DEFAULT_VOTING_PERIOD,
+  DEFAULT_EXECUTION_DELAY,
+  DEFAULT_QUORUM,
+  GOVERNANCE_RULES,
+  SUPPORT,
+  VOTE_TYPES,
+  GOVERNANCE_ACTIONS,
+  GovernanceError,
+  buildAction,
+  decodeAction,
+  termsHash,
+  createProposal,
+  verifyProposal,
+  voteDomain,
+  parseSupport,
+  signVote,
+  verifyVote,
+  addVote,
+  tallyProposal,
+  executeProposal,
+  governanceStorePath,
+  readGovernanceStore,
+  writeGovernanceStore,
+  addProposal,
+  findProposal,
+  proposalStatus,
+  formatProposal
+};
@@ -0,0 +1,195 @@
+/**
+ * Encrypted keystore
+ *
+ * Deployment keys live outside the repository as Web3 Secret Storage
+ * (scrypt) files, one per account: <dir>/<keystore>/<account>.json. Every
+ * account in a keystore shares one passphrase, which is prompted for on a
+ * terminal or read from BUGTOPIA_KEYSTORE_PASSPHRASE in CI.
+ *
+ * The directory defaults to ~/.bugtopia/keystore; set BUGTOPIA_KEYSTORE_DIR
+ * to use another one.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { ethers } = require("ethers");
+
+const PASSPHRASE_ENV = "BUGTOPIA_KEYSTORE_PASSPHRASE";
+
+class KeystoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "KeystoreError";
+  }
+}
+
+// ============= FILE ACCESS =============
+
+function defaultKeystoreDir() {
+  return process.env.BUGTOPIA_KEYSTORE_DIR || path.join(os.homedir(), ".bugtopia", "keystore");
+}
+
+function keystorePath(keystore, account, dir = defaultKeystoreDir()) {
+  return path.join(dir, keystore, `${account}.json`);
+}
+
+/**
+ * List the accounts stored in a keystore without decrypting them
+ * @param {string} keystore Keystore name, e.g. "local"
+ * @param {Object} options
+ * @param {string} options.dir Keystore directory
+ * @returns {{account: string, address: string, file: string}[]}
+ */
+function listKeystore(keystore, { dir = defaultKeystoreDir() } = {}) {
+  const folder = path.join(dir, keystore);
+  if (!fs.existsSync(folder)) return [];
+
+  return fs.readdirSync(folder)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => {
+      const { address } = JSON.parse(fs.readFileSync(path.join(folder, file), "utf8"));
+      return { account: path.basename(file, ".json"), address: ethers.getAddress(address), file: path.join(folder, file) };
+    });
+}
+
+async function decryptFile(file, passphrase) {
+  try {
+    return await ethers.decryptKeystoreJson(fs.readFileSync(file, "utf8"), passphrase);
+  } catch (error) {
+    if (/incorrect password/i.test(error.message)) {
+      throw new KeystoreError(`Wrong passphrase for ${file}`);
+    }
+    throw new KeystoreError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Encrypt a private key into the keystore. The passphrase must match the
+ * accounts already stored there.
+ * @param {Object} options
+ * @param {string} options.keystore Keystore name
+ * @param {string} options.account Account name, e.g. "deployer"
+ * @param {string} options.privateKey Hex private key
+ * @param {string} options.passphrase Keystore passphrase
+ * @param {boolean} options.force Replace an existing account
+ * @param {number} options.scryptN scrypt cost (default 2^17)
+ * @returns {Promise<{address: string, file: string}>}
+ */
+async function importAccountKey({
+  keystore,
+  account,
+  privateKey,
+  passphrase,
+  force = false,
+  scryptN = 131072,
+  dir = defaultKeystoreDir()
+}) {
+  if (!passphrase) throw new KeystoreError("Passphrase must not be empty");
+
+  let wallet;
+  try {
+    wallet = new ethers.Wallet(privateKey);
+  } catch (error) {
+    throw new KeystoreError(`Invalid private key for ${account}`);
+  }
+
+  const file = keystorePath(keystore, account, dir);
+  if (fs.existsSync(file) && !force) {
+    throw new KeystoreError(`${keystore}/${account} already exists; pass --force to replace it`);
+  }
+
+  const [existing] = listKeystore(keystore, { dir }).filter((entry) => entry.account !== account);
+  if (existing) await decryptFile(existing.file, passphrase);
+
+  const json = await ethers.encryptKeystoreJson(
+    { address: wallet.address, privateKey: wallet.privateKey },
+    passphrase,
+    { scrypt: { N: scryptN } }
+  );
+
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, json, { mode: 0o600 });
+  fs.renameSync(tmpFile, file);
+  return { address: wallet.address, file };
+}
+
+/**
+ * Decrypt the private keys of the named accounts, in order
+ * @param {Object} options
+ * @param {string} options.keystore Keystore name
+ * @param {string[]} options.accounts Account names
+ * @param {string} options.passphrase Keystore passphrase
+ * @returns {Promise<string[]>} Hex private keys
+ */
+async function unlockAccounts({ keystore, accounts, passphrase, dir = defaultKeystoreDir() }) {
+  const missing = accounts.filter((account) => !fs.existsSync(keystorePath(keystore, account, dir)));
+  if (missing.length > 0) {
+    throw new KeystoreError(
+      `Keystore "${keystore}" has no ${missing.join(", ")} account in ${path.join(dir, keystore)}; ` +
+      `add it with npx hardhat keystore:import --keystore ${keystore} --account ${missing[0]}`
+    );
+  }
+
+  const keys = [];
+  for (const account of accounts) {
+    keys.push((await decryptFile(keystorePath(keystore, account, dir), passphrase)).privateKey);
+  }
+  return keys;
+}
+
+// ============= PASSPHRASE =============
+
+/**
+ * Ask for a secret on the terminal without echoing it
+ * @param {string} question Prompt text
+ * @returns {Promise<string>}
+ */
+function promptSecret(question, { input = process.stdin, output = process.stderr } = {}) {
+  if (!input.isTTY) {
+    return Promise.reject(new KeystoreError(`${question} needs a terminal; set ${PASSPHRASE_ENV} instead`));
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input, output, terminal: true });
+    output.write(`${question}: `);
+    rl._writeToOutput = () => {};
+    rl.question("", (answer) => {
+      rl.close();
+      output.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Passphrase for a keystore: BUGTOPIA_KEYSTORE_PASSPHRASE, else a prompt
+ * @param {string} keystore Keystore name
+ * @param {Object} options
+ * @param {boolean} options.confirm Ask twice (when creating a keystore)
+ * @param {Function} options.prompt Prompt override
+ */
+async function readPassphrase(keystore, { confirm = false, env = process.env, prompt = promptSecret } = {}) {
+  if (env[PASSPHRASE_ENV]) return env[PASSPHRASE_ENV];
+
+  const passphrase = await prompt(`Passphrase for keystore "${keystore}"`);
+  if (confirm && (await prompt("Repeat passphrase")) !== passphrase) {
+    throw new KeystoreError("Passphrases do not match");
+  }
+  return passphrase;
+}
+
+module.exports = {
+  PASSPHRASE_ENV,
+  KeystoreError,
+  defaultKeystoreDir,
+  keystorePath,
+  listKeystore,
+  importAccountKey,
+  unlockAccounts,
+  promptSecret,
+  readPassphrase
+};
@@ -0,0 +1,502 @@
+/**
+ * Bug DNA lineage
+ *
+ * The contract stores a bug's generation, arena wins and other stats as
+ * attributes, but not its parents: parentId1 / parentId2 only exist in the
+ * mintBugDNA calldata. crawlBugDNA() reads both for every Bug DNA token
+ * (NFTMinted logs, plus the mint transfers of batchMint, which carry no
+ * data), and buildLineageGraph() turns the records into an ancestry graph.
+ *
+ * Parent rules, applied when the graph is built:
+ *   - a parentId of 0 is the contract's "no parent", so token 0 (the first
+ *     Bug DNA minted) is never anyone's parent
+ *   - a parent must be a Bug DNA token minted before its child (a lower
+ *     token id); anything else is dropped and reported in graph.issues
+ *   - a token with no parents is a founder
+ *
+ * lineageStats() derives, for researchers:
+ *   founderContribution  each founder's expected share of the genome of the
+ *                        current tokens (those without children); a parent
+ *                        passes on half, or all of it for a single parent
+ *   inbreeding           Wright's coefficient F per token: the kinship of
+ *                        its two parents, founders unrelated
+ *   lineages             every founder with its descendants and their summed
+ *                        arena wins, most wins first
+ *   strongestLine        the parent-to-child chain with the most arena wins
+ *
+ * The graph exports as JSON, GraphViz DOT or GEDCOM-like text, where HUSB /
+ * WIFE stand for parent 1 / parent 2.
+ */
+
+const { ethers } = require("ethers");
+const { COLLECTIBLES_INTERFACE, translateError } = require("../sdk");
+const { CATEGORIES, categoryOf } = require("./bugtopia-constants");
+
+// Stored attribute -> node field
+const ATTRIBUTE_FIELDS = {
+  Species: "species",
+  "Neural Layers": "neuralLayers",
+  Fitness: "fitness",
+  "Arena Wins": "arenaWins",
+  Generation: "generation",
+  "Survival Days": "survivalDays"
+};
+
+const EXPORT_FORMATS = ["json", "dot", "gedcom"];
+
+class LineageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LineageError";
+  }
+}
+
+function byTokenId(a, b) {
+  const [x, y] = [BigInt(a), BigInt(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Shares and coefficients are dyadic fractions; six places keep exports stable
+function rounded(value) {
+  return Number(value.toFixed(6));
+}
+
+// ============= CRAWL =============
+
+/**
+ * @typedef {Object} BugRecord
+ * @property {string} tokenId Token ID
+ * @property {string} name Stored name
+ * @property {string} mintedTo First holder
+ * @property {number} blockNumber Mint block
+ * @property {string} transactionHash Mint transaction
+ * @property {string} source "mintBugDNA", or "batchMint" / "unknown" when the calldata holds no BugDNAData
+ * @property {string[]} parentIds parentId1 / parentId2 from the calldata (empty without it)
+ * @property {Object<string, string>} stats species, neuralLayers, fitness, arenaWins, generation, survivalDays
+ * @property {string|null} geneticHash From the calldata
+ * @property {number|null} birthTimestamp From the calldata
+ */
+
+/**
+ * Read every Bug DNA token minted in a block range
+ * @param {Object} client Bugtopia client with a Collectibles address
+ * @param {Object} options
+ * @param {number} options.fromBlock First block (default 0)
+ * @param {number} options.toBlock Last block (default latest)
+ * @returns {Promise<BugRecord[]>} Ordered by token id
+ */
+async function crawlBugDNA(client, { fromBlock = 0, toBlock } = {}) {
+  const { collectibles } = client;
+  if (!collectibles) throw new LineageError("The lineage crawl needs a BugtopiaCollectibles address");
+  const provider = client.runner.provider || client.runner;
+  const end = toBlock ?? await provider.getBlockNumber();
+  const contract = ethers.getAddress(collectibles.target);
+
+  let minted;
+  let batches;
+  try {
+    minted = await collectibles.queryFilter(collectibles.filters.NFTMinted(), fromBlock, end);
+    // ERC1155 reports a one-id batch as TransferSingle
+    batches = [
+      ...(await collectibles.queryFilter(collectibles.filters.TransferSingle(null, ethers.ZeroAddress), fromBlock, end)),
+      ...(await collectibles.queryFilter(collectibles.filters.TransferBatch(null, ethers.ZeroAddress), fromBlock, end))
+    ];
+  } catch (error) {
+    throw translateError(error);
+  }
+
+  const mints = new Map();
+  for (const log of minted) {
+    if (Number(log.args.category) !== CATEGORIES.BUG_DNA) continue;
+    mints.set(log.args.tokenId.toString(), { log, to: log.args.to, name: log.args.name });
+  }
+  for (const log of batches) {
+    for (const id of log.eventName === "TransferSingle" ? [log.args.id] : log.args.ids) {
+      if (categoryOf(id) === CATEGORIES.BUG_DNA && !mints.has(id.toString())) {
+        mints.set(id.toString(), { log, to: log.args.to, batch: true });
+      }
+    }
+  }
+
+  const transactions = new Map();
+  const records = [];
+  for (const tokenId of [...mints.keys()].sort(byTokenId)) {
+    const { log, to, name, batch } = mints.get(tokenId);
+    let data = null;
+    if (!batch) {
+      if (!transactions.has(log.transactionHash)) transactions.set(log.transactionHash, await log.getTransaction());
+      const tx = transactions.get(log.transactionHash);
+      // A mint relayed through another contract leaves no usable calldata
+      const parsed = tx.to && ethers.getAddress(tx.to) === contract
+        ? COLLECTIBLES_INTERFACE.parseTransaction({ data: tx.data, value: tx.value })
+        : null;
+      if (parsed && parsed.name === "mintBugDNA") data = parsed.args[1];
+    }
+
+    const { keys, values } = await client.getTokenAttributes(tokenId);
+    const stats = {};
+    keys.forEach((key, i) => {
+      if (ATTRIBUTE_FIELDS[key]) stats[ATTRIBUTE_FIELDS[key]] = values[i];
+    });
+    records.push({
+      tokenId,
+      name: name ?? `Token #${tokenId}`,
+      mintedTo: ethers.getAddress(to),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      source: data ? "mintBugDNA" : batch ? "batchMint" : "unknown",
+      parentIds: data ? [data.parentId1.toString(), data.parentId2.toString()] : [],
+      stats,
+      geneticHash: data ? data.geneticHash : null,
+      birthTimestamp: data ? Number(data.birthTimestamp) : null
+    });
+  }
+  return records;
+}
+
+// ============= GRAPH =============
+
+/**
+ * Link records into an ancestry graph
+ * @param {BugRecord[]} records From crawlBugDNA()
+ * @returns {{tokens: Object[], edges: Array<{parent: string, child: string}>, issues: string[]}}
+ *   tokens ordered by id, each with parents and children
+ */
+function buildLineageGraph(records) {
+  const tokens = new Map();
+  for (const record of [...records].sort((a, b) => byTokenId(a.tokenId, b.tokenId))) {
+    const { parentIds, ...rest } = record;
+    tokens.set(String(record.tokenId), { ...rest, tokenId: String(record.tokenId), parents: [], children: [], declaredParents: parentIds });
+  }
+
+  const issues = [];
+  const edges = [];
+  for (const token of tokens.values()) {
+    for (const declared of token.declaredParents) {
+      const parentId = String(declared);
+      if (BigInt(parentId) === 0n) continue;
+      const parent = tokens.get(parentId);
+      if (!parent) {
+        issues.push(`Bug #${token.tokenId}: parent ${parentId} is not a crawled Bug DNA token`);
+      } else if (byTokenId(parentId, token.tokenId) >= 0) {
+        issues.push(`Bug #${token.tokenId}: parent ${parentId} was minted after it`);
+      } else {
+        // Both parents may be the same bug (selfing); it is one edge but counts twice
+        token.parents.push(parentId);
+        if (!parent.children.includes(token.tokenId)) {
+          parent.children.push(token.tokenId);
+          edges.push({ parent: parentId, child: token.tokenId });
+        }
+      }
+    }
+    if (token.source !== "mintBugDNA") {
+      issues.push(`Bug #${token.tokenId}: minted by ${token.source === "batchMint" ? "batchMint" : "a relayed call"}, parents unknown`);
+    }
+    delete token.declaredParents;
+  }
+  return { tokens: [...tokens.values()], edges, issues };
+}
+
+/**
+ * Keep one token with all its ancestors and descendants. The descendants'
+ * other parents come along with their own ancestors, so every kept token
+ * keeps its parents and the stats and exports see whole pedigrees.
+ * @param {Object} graph From buildLineageGraph()
+ * @param {string|number|bigint} tokenId Token to focus on
+ */
+function focusLineage(graph, tokenId) {
+  const byId = new Map(graph.tokens.map((token) => [token.tokenId, token]));
+  const id = String(tokenId);
+  if (!byId.has(id)) throw new LineageError(`Bug #${id} is not in the crawled graph`);
+
+  const keep = new Set([id]);
+  const walk = (start, next) => {
+    const stack = [start];
+    while (stack.length > 0) {
+      for (const related of next(byId.get(stack.pop()))) {
+        if (!keep.has(related)) {
+          keep.add(related);
+          stack.push(related);
+        }
+      }
+    }
+  };
+  walk(id, (token) => token.children);
+  for (const kept of [...keep]) walk(kept, (token) => token.parents);
+
+  const tokens = graph.tokens
+    .filter((token) => keep.has(token.tokenId))
+    .map((token) => ({ ...token, children: token.children.filter((child) => keep.has(child)) }));
+  return {
+    ...graph,
+    focus: id,
+    tokens,
+    edges: graph.edges.filter(({ parent, child }) => keep.has(parent) && keep.has(child)),
+    issues: graph.issues.filter((issue) => keep.has(issue.match(/^Bug #(\d+)/)[1]))
+  };
+}
+
+// ============= STATS =============
+
+/**
+ * Founder shares of every token's genome
+ * @returns {Map<string, Map<string, number>>} tokenId -> founder -> share
+ */
+function founderContributions(graph) {
+  const shares = new Map();
+  for (const token of graph.tokens) {
+    if (token.parents.length === 0) {
+      shares.set(token.tokenId, new Map([[token.tokenId, 1]]));
+      continue;
+    }
+    const own = new Map();
+    const weight = 1 / token.parents.length;
+    for (const parent of token.parents) {
+      for (const [founder, share] of shares.get(parent)) own.set(founder, (own.get(founder) || 0) + share * weight);
+    }
+    shares.set(token.tokenId, own);
+  }
+  return shares;
+}
+
+/**
+ * Wright's inbreeding coefficient for every token
+ * @returns {Map<string, number>} tokenId -> F
+ */
+function inbreedingCoefficients(graph) {
+  const parentsOf = new Map(graph.tokens.map((token) => [token.tokenId, token.parents]));
+  const inbreeding = new Map();
+  const kinships = new Map();
+
+  // A single parent is cloned: the child shares its genome and its F
+  function kinship(a, b) {
+    if (a === b) return (1 + inbreeding.get(a)) / 2;
+    // Parents are always older, so expanding the younger token terminates
+    const [older, younger] = byTokenId(a, b) < 0 ? [a, b] : [b, a];
+    const key = `${older}:${younger}`;
+    if (!kinships.has(key)) {
+      const parents = parentsOf.get(younger);
+      const value = parents.length === 0
+        ? 0
+        : parents.reduce((sum, parent) => sum + kinship(older, parent), 0) / parents.length;
+      kinships.set(key, value);
+    }
+    return kinships.get(key);
+  }
+
+  for (const token of graph.tokens) {
+    const { parents } = token;
+    let coefficient = 0;
+    if (parents.length === 1) coefficient = inbreeding.get(parents[0]);
+    if (parents.length === 2) coefficient = kinship(parents[0], parents[1]);
+    inbreeding.set(token.tokenId, coefficient);
+  }
+  return inbreeding;
+}
+
+function arenaWinsOf(token) {
+  return BigInt(token.stats.arenaWins ?? 0);
+}
+
+/**
+ * Derived statistics for a lineage graph
+ * @param {Object} graph From buildLineageGraph() or focusLineage()
+ */
+function lineageStats(graph) {
+  const { tokens } = graph;
+  const founders = tokens.filter((token) => token.parents.length === 0).map(({ tokenId }) => tokenId);
+  const current = tokens.filter((token) => token.children.length === 0).map(({ tokenId }) => tokenId);
+
+  const shares = founderContributions(graph);
+  const contribution = new Map(founders.map((founder) => [founder, 0]));
+  for (const tokenId of current) {
+    for (const [founder, share] of shares.get(tokenId)) contribution.set(founder, contribution.get(founder) + share / current.length);
+  }
+
+  const inbreeding = inbreedingCoefficients(graph);
+  const coefficients = [...inbreeding.values()];
+  const mostInbred = tokens.reduce((best, { tokenId }) => (
+    !best || inbreeding.get(tokenId) > inbreeding.get(best) ? tokenId : best
+  ), null);
+
+  const lineages = founders.map((founder) => {
+    const members = tokens.filter(({ tokenId }) => shares.get(tokenId).has(founder));
+    return {
+      founder,
+      members: members.length,
+      arenaWins: members.reduce((sum, token) => sum + arenaWinsOf(token), 0n).toString()
+    };
+  }).sort((a, b) => {
+    const [x, y] = [BigInt(a.arenaWins), BigInt(b.arenaWins)];
+    return x !== y ? (x > y ? -1 : 1) : byTokenId(a.founder, b.founder);
+  });
+
+  // Best chain ending at each token; ties keep the lower token id
+  const chains = new Map();
+  for (const token of tokens) {
+    let best = null;
+    for (const parent of token.parents) {
+      const chain = chains.get(parent);
+      if (!best || chain.arenaWins > best.arenaWins) best = chain;
+    }
+    chains.set(token.tokenId, {
+      tokens: [...(best ? best.tokens : []), token.tokenId],
+      arenaWins: (best ? best.arenaWins : 0n) + arenaWinsOf(token)
+    });
+  }
+  const strongest = [...chains.values()].reduce((best, chain) => (!best || chain.arenaWins > best.arenaWins ? chain : best), null);
+
+  const generations = tokens.map((token) => Number(token.stats.generation ?? 0));
+  return {
+    tokens: tokens.length,
+    edges: graph.edges.length,
+    founders: founders.length,
+    currentTokens: current.length,
+    generations: tokens.length > 0 ? { min: Math.min(...generations), max: Math.max(...generations) } : null,
+    founderContribution: [...contribution.entries()]
+      .map(([founder, share]) => ({ founder, share: rounded(share) }))
+      .sort((a, b) => b.share - a.share || byTokenId(a.founder, b.founder)),
+    inbreeding: {
+      mean: rounded(coefficients.reduce((sum, value) => sum + value, 0) / (coefficients.length || 1)),
+      max: mostInbred === null ? null : { tokenId: mostInbred, coefficient: rounded(inbreeding.get(mostInbred)) },
+      byToken: Object.fromEntries(tokens.map(({ tokenId }) => [tokenId, rounded(inbreeding.get(tokenId))]))
+    },
+    lineages,
+    mostArenaWins: lineages[0] || null,
+    strongestLine: strongest ? { tokens: strongest.tokens, arenaWins: strongest.arenaWins.toString() } : null
+  };
+}
+
+// ============= EXPORTS =============
+
+function lineageJson(graph, stats, meta = {}) {
+  return JSON.stringify({ ...meta, ...graph, stats }, null, 2);
+}
+
+function dotLabel(token) {
+  const { generation = "?", arenaWins = "?", fitness = "?" } = token.stats;
+  return `${token.name}\\ngen ${generation} · ${arenaWins} wins · fitness ${fitness}`;
+}
+
+function lineageDot(graph) {
+  const lines = [
+    "digraph bugtopia_lineage {",
+    "  rankdir=TB;",
+    "  node [shape=box, style=rounded, fontname=\"Helvetica\"];"
+  ];
+  for (const token of graph.tokens) {
+    const style = token.parents.length === 0 ? ", style=\"rounded,filled\", fillcolor=\"#e8f5e9\"" : "";
+    const focus = graph.focus === token.tokenId ? ", penwidth=2" : "";
+    lines.push(`  "${token.tokenId}" [label="${dotLabel(token)}"${style}${focus}];`);
+  }
+  for (const { parent, child } of graph.edges) lines.push(`  "${parent}" -> "${child}";`);
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+function gedcomDate(timestamp) {
+  const date = new Date(timestamp * 1000);
+  return `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+function lineageGedcom(graph, meta = {}) {
+  // One family per distinct parent pair, numbered by its first child
+  const families = new Map();
+  for (const token of graph.tokens) {
+    if (token.parents.length === 0) continue;
+    const key = token.parents.join("+");
+    if (!families.has(key)) families.set(key, { id: `F${families.size + 1}`, parents: token.parents, children: [] });
+    families.get(key).children.push(token.tokenId);
+  }
+
+  const lines = [
+    "0 HEAD",
+    "1 SOUR BUGTOPIA",
+    "1 GEDC",
+    "2 VERS 5.5.1",
+    "1 CHAR UTF-8",
+    `1 NOTE Bug DNA lineage${meta.chainId ? ` on chain ${meta.chainId}` : ""}${meta.collectibles ? `, BugtopiaCollectibles ${meta.collectibles}` : ""}`
+  ];
+  for (const token of graph.tokens) {
+    lines.push(`0 @I${token.tokenId}@ INDI`, `1 NAME ${token.name}`);
+    if (token.birthTimestamp) lines.push("1 BIRT", `2 DATE ${gedcomDate(token.birthTimestamp)}`);
+    lines.push(`1 _TOKEN ${token.tokenId}`);
+    for (const [field, tag] of [["generation", "_GEN"], ["species", "_SPECIES"], ["fitness", "_FITNESS"], ["arenaWins", "_ARENA_WINS"]]) {
+      if (token.stats[field] !== undefined) lines.push(`1 ${tag} ${token.stats[field]}`);
+    }
+    if (token.geneticHash) lines.push(`1 _DNA ${token.geneticHash}`);
+    for (const family of families.values()) {
+      if (family.children.includes(token.tokenId)) lines.push(`1 FAMC @${family.id}@`);
+      if (family.parents.includes(token.tokenId)) lines.push(`1 FAMS @${family.id}@`);
+    }
+  }
+  for (const family of families.values()) {
+    const [first, second] = family.parents;
+    lines.push(`0 @${family.id}@ FAM`, `1 HUSB @I${first}@`);
+    if (second !== undefined) lines.push(`1 WIFE @I${second}@`);
+    for (const child of family.children) lines.push(`1 CHIL @I${child}@`);
+  }
+  lines.push("0 TRLR");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render a graph in one of EXPORT_FORMATS
+ * @param {string} format json, dot or gedcom
+ * @param {Object} graph From buildLineageGraph() or focusLineage()
+ * @param {Object} meta chainId, collectibles, fromBlock, toBlock
+ * @returns {string}
+ */
+function exportLineage(format, graph, meta = {}) {
+  switch (format) {
+    case "json":
+      return lineageJson(graph, lineageStats(graph), meta);
+    case "dot":
+      return lineageDot(graph);
+    case "gedcom":
+      return lineageGedcom(graph, meta);
+    default:
+      throw new LineageError(`Unknown format "${format}"; use one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+}
+
+function formatLineageStats(stats) {
+  const lines = [
+    `🧬 ${stats.tokens} bugs, ${stats.founders} founders, ${stats.currentTokens} without offspring` +
+      (stats.generations ? `, generations ${stats.generations.min}-${stats.generations.max}` : "")
+  ];
+  if (stats.founderContribution.length > 0) {
+    lines.push("   Founder contribution to bugs without offspring:");
+    for (const { founder, share } of stats.founderContribution.slice(0, 5)) {
+      lines.push(`     Bug #${founder}  ${(share * 100).toFixed(2)}%`);
+    }
+  }
+  if (stats.inbreeding.max) {
+    lines.push(`   Inbreeding: mean F ${stats.inbreeding.mean}, highest ${stats.inbreeding.max.coefficient} (Bug #${stats.inbreeding.max.tokenId})`);
+  }
+  if (stats.mostArenaWins) {
+    const { founder, members, arenaWins } = stats.mostArenaWins;
+    lines.push(`   Most arena wins: Bug #${founder}'s lineage, ${arenaWins} wins across ${members} bugs`);
+  }
+  if (stats.strongestLine) {
+    lines.push(`   Strongest line: ${stats.strongestLine.tokens.map((id) => `#${id}`).join(" → ")} (${stats.strongestLine.arenaWins} wins)`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  LineageError,
+  crawlBugDNA,
+  buildLineageGraph,
+  focusLineage,
+  founderContributions,
+  inbreedingCoefficients,
+  lineageStats,
+  lineageDot,
+  lineageGedcom,
+  exportLineage,
+  formatLineageStats
+};
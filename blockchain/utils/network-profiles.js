@@ -0,0 +1,259 @@
+/**
+ * Network profiles
+ *
+ * networks.json describes every network we deploy to: chain ID, RPC and
+ * explorer URLs, gas settings, confirmations and which keystore holds the
+ * accounts. hardhat.config.js, helper-hardhat-config.js and the generated
+ * Swift constants (Bugtopia/Blockchain/BugtopiaNetworks.swift) all read it,
+ * so a URL or chain ID is changed in one place.
+ *
+ * Chain-wide settings (chain ID, native token, gas) live under "chains" and
+ * are shared by every network on that chain. "{blockchainId}" in a URL is
+ * replaced with the network's blockchainId; a network whose blockchain ID
+ * is not known yet needs its rpcEnv variable set before it can be used.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { unlockAccounts, readPassphrase } = require("./keystore");
+
+const PROFILE_PATH = path.join(__dirname, "..", "networks.json");
+const SWIFT_NETWORKS_PATH = path.join(__dirname, "..", "..", "Bugtopia", "Blockchain", "BugtopiaNetworks.swift");
+
+class NetworkProfileError extends Error {
+  constructor(issues) {
+    const list = [].concat(issues);
+    super(list.length === 1 ? list[0] : `Network profiles are invalid:\n${list.map((issue) => `  - ${issue}`).join("\n")}`);
+    this.name = "NetworkProfileError";
+    this.issues = list;
+  }
+}
+
+// ============= LOADING =============
+
+function isPositiveInteger(value) {
+  return typeof value === "number" && Number.isInteger(value) && value > 0;
+}
+
+function validateProfiles({ chains = {}, networks = {} }) {
+  const issues = [];
+  for (const [name, chain] of Object.entries(chains)) {
+    if (!isPositiveInteger(chain.chainId)) issues.push(`chains.${name}.chainId must be a positive integer`);
+    if (!chain.nativeToken) issues.push(`chains.${name}.nativeToken is required`);
+  }
+
+  const apps = new Set();
+  for (const [name, network] of Object.entries(networks)) {
+    if (!chains[network.chain]) issues.push(`networks.${name}.chain "${network.chain}" is not defined in chains`);
+    if (typeof network.rpcUrl !== "string") issues.push(`networks.${name}.rpcUrl must be a string`);
+    if (!network.keystore) issues.push(`networks.${name}.keystore is required`);
+    if (!Array.isArray(network.accounts) || network.accounts.length === 0) {
+      issues.push(`networks.${name}.accounts must list at least one account`);
+    }
+    if (!isPositiveInteger(network.blockConfirmations)) {
+      issues.push(`networks.${name}.blockConfirmations must be a positive integer`);
+    }
+    if (network.app) {
+      if (apps.has(network.app)) issues.push(`networks.${name}.app "${network.app}" is used twice`);
+      apps.add(network.app);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Read and validate networks.json
+ * @param {string} file Profile file (default networks.json)
+ * @returns {Object<string, Object>} Profiles by hardhat network name, with
+ *   the chain settings merged in
+ * @throws {NetworkProfileError} Listing every problem found
+ */
+function loadNetworkProfiles(file = PROFILE_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const issues = validateProfiles(raw);
+  if (issues.length > 0) throw new NetworkProfileError(issues);
+
+  const profiles = {};
+  for (const [name, network] of Object.entries(raw.networks)) {
+    profiles[name] = {
+      name,
+      blockchainId: null,
+      development: false,
+      mainnet: false,
+      ...raw.chains[network.chain],
+      ...network
+    };
+  }
+  return profiles;
+}
+
+// ============= URLS =============
+
+/**
+ * Substitute {blockchainId} in a profile URL
+ * @returns {string|undefined} The URL, or undefined while the blockchain ID is unknown
+ */
+function expandUrl(template, profile) {
+  if (!template) return undefined;
+  if (!template.includes("{blockchainId}")) return template;
+  return profile.blockchainId ? template.replace(/\{blockchainId\}/g, profile.blockchainId) : undefined;
+}
+
+/**
+ * RPC URL for a profile: its rpcEnv variable, else the profile URL
+ * @returns {string|undefined}
+ */
+function resolveRpcUrl(profile, env = process.env) {
+  return (profile.rpcEnv && env[profile.rpcEnv]) || expandUrl(profile.rpcUrl, profile);
+}
+
+// ============= HARDHAT =============
+
+/**
+ * Hardhat `networks` entries for every profile. Accounts are left empty
+ * here and filled from the keystore when the network is first used (see
+ * prepareNetwork), so loading the config never needs a passphrase.
+ */
+function hardhatNetworks(profiles, env = process.env) {
+  const networks = {};
+  for (const profile of Object.values(profiles)) {
+    const entry = {
+      // Unresolved templates are kept so prepareNetwork can name the missing setting
+      url: resolveRpcUrl(profile, env) || profile.rpcUrl,
+      chainId: profile.chainId,
+      accounts: []
+    };
+    for (const key of ["gas", "gasPrice", "timeout"]) {
+      if (profile[key] !== undefined) entry[key] = profile[key];
+    }
+    networks[profile.name] = entry;
+  }
+  return networks;
+}
+
+/**
+ * hardhat-verify customChains for profiles with a block explorer API
+ */
+function etherscanCustomChains(profiles) {
+  return Object.values(profiles)
+    .filter((profile) => expandUrl(profile.explorerApiUrl, profile))
+    .map((profile) => ({
+      network: profile.name,
+      chainId: profile.chainId,
+      urls: {
+        apiURL: expandUrl(profile.explorerApiUrl, profile),
+        browserURL: expandUrl(profile.explorerUrl, profile)
+      }
+    }));
+}
+
+/**
+ * Refuse an RPC that does not serve the profile's chain
+ * @param {Object} provider EIP-1193 provider
+ * @param {Object} profile Network profile
+ * @throws {NetworkProfileError} On a chain ID mismatch
+ */
+async function assertProfileChainId(provider, profile) {
+  const connected = Number(await provider.request({ method: "eth_chainId" }));
+  if (connected !== profile.chainId) {
+    throw new NetworkProfileError(
+      `${profile.name} expects chain ID ${profile.chainId} but its RPC reports ${connected}; ` +
+      `refusing to ${profile.mainnet ? "use a mainnet profile" : "continue"} against the wrong chain`
+    );
+  }
+}
+
+/**
+ * Check the connected chain and unlock the profile's accounts. Runs once,
+ * when Hardhat creates the provider for a profiled network; the chain is
+ * checked before any key is decrypted.
+ * @param {Object} provider EIP-1193 provider for the network
+ * @param {Object} profile Network profile
+ * @param {Object} options
+ * @param {Function} options.prompt Passphrase prompt override
+ * @param {string} options.dir Keystore directory override
+ * @returns {Promise<string[]>} Private keys, in profile account order
+ */
+async function prepareNetwork(provider, profile, { env = process.env, prompt, dir } = {}) {
+  if (!resolveRpcUrl(profile, env)) {
+    throw new NetworkProfileError(
+      `${profile.name} has no RPC URL yet: set ${profile.rpcEnv} or its blockchainId in networks.json`
+    );
+  }
+  await assertProfileChainId(provider, profile);
+
+  const passphrase = await readPassphrase(profile.keystore, { env, prompt });
+  return unlockAccounts({ keystore: profile.keystore, accounts: profile.accounts, passphrase, dir });
+}
+
+// ============= SWIFT =============
+
+function swiftString(value) {
+  return value === undefined ? "nil" : JSON.stringify(value);
+}
+
+function swiftSwitch(name, type, entries) {
+  return [
+    `    var ${name}: ${type} {`,
+    "        switch self {",
+    ...entries.map(([app, value]) => `        case .${app}: return ${value}`),
+    "        }",
+    "    }"
+  ].join("\n");
+}
+
+/**
+ * Swift source for the app's network profiles (networks with an "app" name)
+ * @param {Object} profiles Loaded profiles
+ * @returns {string}
+ */
+function renderSwiftNetworks(profiles) {
+  const apps = Object.values(profiles).filter((profile) => profile.app);
+  const each = (render) => apps.map((profile) => [profile.app, render(profile)]);
+
+  return [
+    "//",
+    "//  BugtopiaNetworks.swift",
+    "//  Bugtopia",
+    "//",
+    "//  Generated by `npx hardhat networks:swift` from blockchain/networks.json.",
+    "//  Do not edit; change the profile file and regenerate.",
+    "//",
+    "",
+    "import Foundation",
+    "",
+    "/// Bugtopia networks, as described by blockchain/networks.json",
+    "enum BugtopiaNetwork: String, CaseIterable {",
+    ...apps.map((profile) => `    case ${profile.app}`),
+    "",
+    "    /// Hardhat network name",
+    swiftSwitch("hardhatName", "String", each((profile) => swiftString(profile.name))),
+    "",
+    swiftSwitch("chainId", "Int", each((profile) => String(profile.chainId))),
+    "",
+    "    /// nil until the network's blockchain ID is recorded in networks.json",
+    swiftSwitch("rpcUrl", "String?", each((profile) => swiftString(expandUrl(profile.rpcUrl, profile)))),
+    "",
+    swiftSwitch("explorerUrl", "String?", each((profile) => swiftString(expandUrl(profile.explorerUrl, profile)))),
+    "",
+    swiftSwitch("nativeToken", "String", each((profile) => swiftString(profile.nativeToken))),
+    "",
+    swiftSwitch("isMainnet", "Bool", each((profile) => String(profile.mainnet))),
+    "}",
+    ""
+  ].join("\n");
+}
+
+module.exports = {
+  PROFILE_PATH,
+  SWIFT_NETWORKS_PATH,
+  NetworkProfileError,
+  loadNetworkProfiles,
+  expandUrl,
+  resolveRpcUrl,
+  hardhatNetworks,
+  etherscanCustomChains,
+  assertProfileChainId,
+  prepareNetwork,
+  renderSwiftNetworks
+};
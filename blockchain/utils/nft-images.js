@@ -0,0 +1,314 @@
+/**
+ * NFT images
+ *
+ * Deterministic SVG art for Bug DNA and Territory tokens. The same inputs
+ * always produce the same bytes: every shape is derived from the genetic
+ * hash (bugs) or a hash of the territory's fields, and every coordinate is
+ * rounded to one decimal. test/fixtures/images/ pins the output, so changing
+ * the art means regenerating those snapshots on purpose.
+ *
+ * Borders and rarity labels use the tier colours from _getRarityColor
+ * (RARITY_TIERS); territory tiles are shaded by biome.
+ */
+
+const { ethers } = require("ethers");
+const { SPECIES_NAMES, BIOME_NAMES, rarityTier } = require("./bugtopia-constants");
+
+const CARD_WIDTH = 320;
+const CARD_HEIGHT = 420;
+const TILE_HEIGHT = 360;
+
+// Base hue per SpeciesType; the genetic hash shifts it by up to ±15°
+const SPECIES_HUES = [125, 2, 32, 275];
+
+// Top-face colour per BiomeType
+const BIOME_COLORS = [
+  "#E5E7EB", // Tundra
+  "#166534", // Boreal Forest
+  "#15803D", // Temperate Forest
+  "#84CC16", // Temperate Grassland
+  "#EAB308", // Desert
+  "#CA8A04", // Savanna
+  "#047857", // Tropical Rainforest
+  "#0F766E", // Wetlands
+  "#94A3B8", // Alpine
+  "#0EA5E9" // Coastal
+];
+
+const MAX_POPULATION_DOTS = 48;
+
+// ============= HELPERS =============
+
+function fmt(value) {
+  const rounded = Math.round(value * 10) / 10;
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Endless byte stream seeded by a hash: the seed's bytes, then keccak256 of
+ * the previous block, and so on
+ */
+function byteStream(seed) {
+  let block = ethers.getBytes(seed);
+  let offset = 0;
+  return () => {
+    if (offset === block.length) {
+      block = ethers.getBytes(ethers.keccak256(block));
+      offset = 0;
+    }
+    return block[offset++];
+  };
+}
+
+function shade(hex, factor) {
+  const channels = [1, 3, 5].map((i) => Math.round(parseInt(hex.slice(i, i + 2), 16) * factor));
+  return `#${channels.map((c) => Math.min(255, c).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
+}
+
+function text(x, y, content, { size = 16, fill = "#F9FAFB", anchor = "start", weight = "normal" } = {}) {
+  return `<text x="${fmt(x)}" y="${fmt(y)}" font-family="Helvetica, Arial, sans-serif" font-size="${size}" ` +
+    `font-weight="${weight}" fill="${fill}" text-anchor="${anchor}">${escapeXml(content)}</text>`;
+}
+
+function frame(width, height, border, background) {
+  return `<rect x="4" y="4" width="${width - 8}" height="${height - 8}" rx="18" fill="${background}" ` +
+    `stroke="${border}" stroke-width="8"/>`;
+}
+
+function svgDocument(width, height, body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}">${body.join("")}</svg>\n`;
+}
+
+// ============= BUG DNA =============
+
+function creature(next, species, bodyColor) {
+  const darker = `hsl(${bodyColor.hue}, ${bodyColor.saturation}%, ${bodyColor.lightness - 18}%)`;
+  const fill = `hsl(${bodyColor.hue}, ${bodyColor.saturation}%, ${bodyColor.lightness}%)`;
+  const rx = 34 + (next() % 16);
+  const ry = 46 + (next() % 18);
+  const headR = 18 + (next() % 9);
+  const headY = -ry - headR * 0.55;
+  const parts = [];
+
+  // Scavengers get translucent wings behind the body
+  if (species === 3) {
+    const span = 46 + (next() % 20);
+    for (const side of [-1, 1]) {
+      parts.push(`<ellipse cx="${fmt(side * rx * 0.9)}" cy="${fmt(-ry * 0.2)}" rx="${fmt(span)}" ry="${fmt(span * 0.45)}" ` +
+        `transform="rotate(${side * 25} ${fmt(side * rx * 0.9)} ${fmt(-ry * 0.2)})" fill="#E0F2FE" fill-opacity="0.35" ` +
+        `stroke="#BAE6FD" stroke-width="1.5"/>`);
+    }
+  }
+
+  // Three pairs of legs
+  for (let i = 0; i < 3; i++) {
+    const y = -ry * 0.45 + i * ry * 0.45;
+    const reach = 34 + (next() % 22);
+    const bend = (next() % 30) - 15;
+    for (const side of [-1, 1]) {
+      const x0 = side * rx * 0.85;
+      const kneeX = side * (rx + reach * 0.6);
+      const kneeY = y - 14 + bend * 0.3;
+      const footX = side * (rx + reach);
+      const footY = y + 18 + (i - 1) * 10 + bend * 0.4;
+      parts.push(`<polyline points="${fmt(x0)},${fmt(y)} ${fmt(kneeX)},${fmt(kneeY)} ${fmt(footX)},${fmt(footY)}" ` +
+        `fill="none" stroke="${darker}" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`);
+    }
+  }
+
+  parts.push(`<ellipse cx="0" cy="0" rx="${rx}" ry="${ry}" fill="${fill}" stroke="${darker}" stroke-width="3"/>`);
+
+  // Markings along the back
+  const spots = 2 + (next() % 5);
+  for (let i = 0; i < spots; i++) {
+    const sx = ((next() / 255) * 1.2 - 0.6) * rx;
+    const sy = ((next() / 255) * 1.4 - 0.7) * ry;
+    const r = 4 + (next() % 7);
+    parts.push(`<circle cx="${fmt(sx)}" cy="${fmt(sy)}" r="${r}" fill="${darker}" fill-opacity="0.7"/>`);
+  }
+
+  // Antennae
+  const antenna = 22 + (next() % 20);
+  const curl = 8 + (next() % 18);
+  for (const side of [-1, 1]) {
+    const baseX = side * headR * 0.4;
+    const baseY = headY - headR * 0.8;
+    const tipX = baseX + side * antenna * 0.6;
+    const tipY = baseY - antenna;
+    parts.push(`<path d="M${fmt(baseX)} ${fmt(baseY)} Q${fmt(baseX + side * curl)} ${fmt(baseY - antenna * 0.6)} ` +
+      `${fmt(tipX)} ${fmt(tipY)}" fill="none" stroke="${darker}" stroke-width="2.5" stroke-linecap="round"/>`);
+    parts.push(`<circle cx="${fmt(tipX)}" cy="${fmt(tipY)}" r="3.5" fill="${darker}"/>`);
+  }
+
+  // Carnivores and omnivores carry mandibles
+  if (species === 1 || species === 2) {
+    const jaw = species === 1 ? 14 : 9;
+    for (const side of [-1, 1]) {
+      const x = side * headR * 0.35;
+      const y = headY + headR * 0.75;
+      parts.push(`<path d="M${fmt(x)} ${fmt(y)} Q${fmt(x + side * jaw)} ${fmt(y + jaw * 0.6)} ${fmt(x - side * 2)} ` +
+        `${fmt(y + jaw)}" fill="none" stroke="${darker}" stroke-width="3" stroke-linecap="round"/>`);
+    }
+  }
+
+  parts.push(`<circle cx="0" cy="${fmt(headY)}" r="${headR}" fill="${fill}" stroke="${darker}" stroke-width="3"/>`);
+
+  const eye = 4 + (next() % 4);
+  for (const side of [-1, 1]) {
+    const ex = side * headR * 0.42;
+    const ey = headY - headR * 0.1;
+    parts.push(`<circle cx="${fmt(ex)}" cy="${fmt(ey)}" r="${eye}" fill="#F9FAFB"/>`);
+    parts.push(`<circle cx="${fmt(ex + side * 1)}" cy="${fmt(ey + 1)}" r="${fmt(eye * 0.5)}" fill="#111827"/>`);
+  }
+
+  return parts.join("");
+}
+
+function neuralDiagram(next, layers, color) {
+  const count = Math.max(1, Math.min(10, layers));
+  const left = 48;
+  const right = CARD_WIDTH - 48;
+  const top = 318;
+  const bottom = 362;
+  const columns = [];
+  for (let i = 0; i < count; i++) {
+    const x = count === 1 ? CARD_WIDTH / 2 : left + ((right - left) * i) / (count - 1);
+    const nodes = 2 + (next() % 4);
+    columns.push(Array.from({ length: nodes }, (_, j) => ({ x, y: top + ((bottom - top) * (j + 0.5)) / nodes })));
+  }
+
+  const parts = [];
+  for (let i = 1; i < columns.length; i++) {
+    for (const from of columns[i - 1]) {
+      for (const to of columns[i]) {
+        parts.push(`<line x1="${fmt(from.x)}" y1="${fmt(from.y)}" x2="${fmt(to.x)}" y2="${fmt(to.y)}" ` +
+          `stroke="${color}" stroke-opacity="0.35" stroke-width="1"/>`);
+      }
+    }
+  }
+  for (const column of columns) {
+    for (const node of column) {
+      parts.push(`<circle cx="${fmt(node.x)}" cy="${fmt(node.y)}" r="3.5" fill="#E5E7EB"/>`);
+    }
+  }
+  return parts.join("");
+}
+
+/**
+ * Render a Bug DNA creature card
+ * @param {Object} bug
+ * @param {bigint|number|string} bug.tokenId Token ID
+ * @param {bigint|number} bug.species SpeciesType index
+ * @param {bigint|number} bug.rarity 0-100 rarity score stored by Collectibles
+ * @param {bigint|number} bug.neuralLayers Neural layer count
+ * @param {string} bug.geneticHash bytes32 genetic hash
+ * @returns {string} SVG document
+ */
+function renderBugCard({ tokenId, species, rarity, neuralLayers, geneticHash }) {
+  const speciesIndex = Number(species);
+  const tier = rarityTier(rarity);
+  const next = byteStream(geneticHash);
+  const bodyColor = {
+    hue: ((SPECIES_HUES[speciesIndex] ?? 200) + (next() % 31) - 15 + 360) % 360,
+    saturation: 50 + (next() % 26),
+    lightness: 48 + (next() % 12)
+  };
+  const id = `bug-${BigInt(tokenId)}`;
+  const layers = Number(neuralLayers);
+
+  return svgDocument(CARD_WIDTH, CARD_HEIGHT, [
+    `<defs><radialGradient id="${id}-bg" cx="50%" cy="40%" r="70%">` +
+      `<stop offset="0" stop-color="hsl(${bodyColor.hue}, 35%, 26%)"/><stop offset="1" stop-color="#111827"/>` +
+      "</radialGradient></defs>",
+    frame(CARD_WIDTH, CARD_HEIGHT, tier.color, `url(#${id}-bg)`),
+    text(24, 42, `Bug #${BigInt(tokenId)}`, { size: 20, weight: "bold" }),
+    text(CARD_WIDTH - 24, 42, tier.name, { size: 16, fill: tier.color, anchor: "end", weight: "bold" }),
+    `<g transform="translate(${CARD_WIDTH / 2} 195)">${creature(next, speciesIndex, bodyColor)}</g>`,
+    text(24, 304, `Neural layers: ${layers}`, { size: 12, fill: "#9CA3AF" }),
+    neuralDiagram(next, layers, tier.color),
+    text(24, 398, SPECIES_NAMES[speciesIndex] || `Species ${speciesIndex}`, { size: 16 }),
+    text(CARD_WIDTH - 24, 398, `Rarity ${Number(rarity)}`, { size: 14, fill: "#9CA3AF", anchor: "end" })
+  ]);
+}
+
+// ============= TERRITORY =============
+
+const COS30 = Math.sqrt(3) / 2;
+
+function territorySeed({ tokenId, minX, maxX, minY, maxY, minZ, maxZ, biomeType, populationCount }) {
+  return ethers.id([tokenId, minX, maxX, minY, maxY, minZ, maxZ, biomeType, populationCount].map((v) => BigInt(v)).join(":"));
+}
+
+/**
+ * Render a territory's 3D bounds as an isometric tile, shaded by biome and
+ * dotted with its population
+ * @param {Object} territory
+ * @param {bigint|number|string} territory.tokenId Token ID
+ * @param {bigint|number} territory.minX ... territory.maxZ Bounds (Y is height)
+ * @param {bigint|number} territory.biomeType BiomeType index
+ * @param {bigint|number} territory.populationCount Population at mint time
+ * @param {bigint|number} territory.rarity 0-100 rarity score
+ * @returns {string} SVG document
+ */
+function renderTerritoryTile(territory) {
+  const { tokenId, biomeType, populationCount, rarity } = territory;
+  const size = (min, max) => Math.max(1, Number(BigInt(max) - BigInt(min)));
+  const sx = size(territory.minX, territory.maxX);
+  const sy = size(territory.minY, territory.maxY);
+  const sz = size(territory.minZ, territory.maxZ);
+  const biome = Number(biomeType);
+  const top = BIOME_COLORS[biome] || "#6B7280";
+  const tier = rarityTier(rarity);
+  const next = byteStream(territorySeed(territory));
+
+  // Fit the projected box into 240 x 190 and centre it
+  const scale = Math.min(240 / ((sx + sz) * COS30), 190 / ((sx + sz) * 0.5 + sy));
+  const width = (sx + sz) * COS30 * scale;
+  const height = ((sx + sz) * 0.5 + sy) * scale;
+  const originX = CARD_WIDTH / 2 - width / 2 + sz * COS30 * scale;
+  const originY = 70 + (190 - height) / 2 + sy * scale;
+  const project = (x, y, z) => [originX + (x - z) * COS30 * scale, originY + (x + z) * 0.5 * scale - y * scale];
+  const polygon = (points, fill) =>
+    `<polygon points="${points.map(([x, y, z]) => project(x, y, z).map(fmt).join(",")).join(" ")}" fill="${fill}" ` +
+    `stroke="#111827" stroke-width="1.5" stroke-linejoin="round"/>`;
+
+  const parts = [
+    polygon([[0, 0, sz], [sx, 0, sz], [sx, sy, sz], [0, sy, sz]], shade(top, 0.65)),
+    polygon([[sx, 0, 0], [sx, sy, 0], [sx, sy, sz], [sx, 0, sz]], shade(top, 0.8)),
+    polygon([[0, sy, 0], [sx, sy, 0], [sx, sy, sz], [0, sy, sz]], top)
+  ];
+
+  const population = Number(populationCount);
+  for (let i = 0; i < Math.min(population, MAX_POPULATION_DOTS); i++) {
+    const u = 0.08 + (next() / 255) * 0.84;
+    const v = 0.08 + (next() / 255) * 0.84;
+    const [x, y] = project(u * sx, sy, v * sz);
+    parts.push(`<circle cx="${fmt(x)}" cy="${fmt(y)}" r="2.5" fill="#111827" fill-opacity="0.75"/>`);
+  }
+
+  return svgDocument(CARD_WIDTH, TILE_HEIGHT, [
+    frame(CARD_WIDTH, TILE_HEIGHT, tier.color, "#111827"),
+    text(24, 42, `Territory #${BigInt(tokenId)}`, { size: 20, weight: "bold" }),
+    text(CARD_WIDTH - 24, 42, tier.name, { size: 16, fill: tier.color, anchor: "end", weight: "bold" }),
+    ...parts,
+    text(24, 300, BIOME_NAMES[biome] || `Biome ${biome}`, { size: 16 }),
+    text(CARD_WIDTH - 24, 300, `${sx} × ${sy} × ${sz}`, { size: 14, fill: "#9CA3AF", anchor: "end" }),
+    text(24, 330, `Population ${population}`, { size: 14, fill: "#9CA3AF" }),
+    text(CARD_WIDTH - 24, 330, `Rarity ${Number(rarity)}`, { size: 14, fill: "#9CA3AF", anchor: "end" })
+  ]);
+}
+
+module.exports = {
+  BIOME_COLORS,
+  renderBugCard,
+  renderTerritoryTile
+};
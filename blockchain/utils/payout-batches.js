@@ -0,0 +1,142 @@
+/**
+ * Gas-bounded payout batches
+ *
+ * Shared by the territory revenue and staking rewards runners. Payout lists
+ * are split into batches whose gas estimate fits a budget, and a batch is
+ * recorded as "sent" with its hash, sender and nonce before the receipt is
+ * awaited, so a run that dies mid-batch can tell on restart whether the
+ * payment went out, is still pending or was dropped.
+ */
+
+// The per-transaction gas configured for the Bugtopia networks
+const DEFAULT_GAS_BUDGET = 8000000;
+// Blocks a sent transaction may be unknown to the node before it counts as dropped
+const DROPPED_AFTER_BLOCKS = 50;
+
+class PayoutBatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PayoutBatchError";
+  }
+}
+
+/**
+ * Gas budget per batch for a Hardhat network
+ * @param {Object} network hre.network
+ * @param {number} override Explicit budget (e.g. a --gas-budget task param)
+ * @returns {bigint}
+ */
+function gasBudgetFor(network, override) {
+  if (override !== undefined) return BigInt(override);
+  // The in-process network reports its block gas limit; keep it on the live budget
+  const { gas } = network.config;
+  return BigInt(network.name !== "hardhat" && typeof gas === "number" ? gas : DEFAULT_GAS_BUDGET);
+}
+
+/**
+ * Split items into consecutive batches under a gas budget, taking the
+ * longest prefix that fits each time
+ * @param {Array} items Payouts, in the order they should be paid
+ * @param {Function} estimate async (items) => bigint gas estimate for one batch
+ * @param {Object} options
+ * @param {bigint} options.gasBudget Gas limit per batch
+ * @param {Function} options.describe (item) => string, for the too-large error
+ * @returns {Promise<Array<{items: Array, gasEstimate: bigint}>>}
+ */
+async function planGasBatches(items, estimate, { gasBudget, describe = String }) {
+  const batches = [];
+  let rest = items;
+  while (rest.length > 0) {
+    let fits = rest.length;
+    let gas = await estimate(rest);
+    if (gas > gasBudget) {
+      let low = 0;
+      let high = rest.length - 1;
+      while (low < high) {
+        const size = Math.ceil((low + high) / 2);
+        const sizeGas = await estimate(rest.slice(0, size));
+        if (sizeGas <= gasBudget) {
+          low = size;
+          gas = sizeGas;
+        } else {
+          high = size - 1;
+        }
+      }
+      fits = low;
+    }
+    if (fits === 0) {
+      throw new PayoutBatchError(`Paying ${describe(rest[0])} alone needs more than the ${gasBudget} gas budget`);
+    }
+
+    batches.push({ items: rest.slice(0, fits), gasEstimate: gas });
+    rest = rest.slice(fits);
+  }
+  return batches;
+}
+
+/**
+ * The fields that mark a batch as sent, to record before awaiting the receipt
+ * @param {ethers.Provider} provider
+ * @param {ethers.TransactionResponse} tx The batch's transaction
+ * @returns {Promise<{status: string, transactionHash: string, from: string, nonce: number, sentBlock: number}>}
+ */
+async function sentState(provider, tx) {
+  // The transaction is out: a failed lookup must not lose its hash. Without
+  // sentBlock only a reused nonce marks it dropped.
+  const sentBlock = await provider.getBlockNumber().catch(() => undefined);
+  return { status: "sent", transactionHash: tx.hash, from: tx.from, nonce: tx.nonce, sentBlock };
+}
+
+function resetToPlanned(batch) {
+  for (const key of ["transactionHash", "from", "nonce", "sentBlock"]) delete batch[key];
+  batch.status = "planned";
+}
+
+/**
+ * Check how a batch recorded as sent ended up. A mined batch is marked
+ * confirmed. A reverted one paid nobody and goes back to planned, and so
+ * does a dropped one: its nonce went to another transaction, or the node
+ * has not known it for droppedAfterBlocks blocks. The resend then takes the
+ * same nonce, so at most one of the two can be mined.
+ * @param {ethers.Provider} provider
+ * @param {Object} batch Batch with status "sent" (see sentState()); updated in place
+ * @param {string} label Batch name for errors, e.g. "Batch 2"
+ * @param {Object} options
+ * @param {number} options.droppedAfterBlocks Blocks before an unknown transaction counts as dropped
+ * @returns {Promise<boolean>} true when it was mined successfully
+ * @throws {PayoutBatchError} While it is still pending
+ */
+async function settleSentBatch(provider, batch, label, { droppedAfterBlocks = DROPPED_AFTER_BLOCKS } = {}) {
+  // Read the nonce before the receipt: if it was used by then, a mined batch has its receipt
+  const tracked = batch.from !== undefined && batch.nonce !== undefined;
+  const usedNonces = tracked ? await provider.getTransactionCount(batch.from, "latest") : undefined;
+  const receipt = await provider.getTransactionReceipt(batch.transactionHash);
+
+  if (receipt && receipt.status === 1) {
+    Object.assign(batch, { status: "confirmed", blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+    return true;
+  }
+  if (receipt || (tracked && await isDropped(provider, batch, usedNonces, droppedAfterBlocks))) {
+    resetToPlanned(batch);
+    return false;
+  }
+  throw new PayoutBatchError(
+    `${label} (${batch.transactionHash}) has no receipt yet; wait for it to be mined or dropped and rerun`
+  );
+}
+
+async function isDropped(provider, batch, usedNonces, droppedAfterBlocks) {
+  if (usedNonces > batch.nonce) return true;
+  if (batch.sentBlock === undefined || await provider.getTransaction(batch.transactionHash)) return false;
+  return (await provider.getBlockNumber()) >= batch.sentBlock + droppedAfterBlocks;
+}
+
+module.exports = {
+  DEFAULT_GAS_BUDGET,
+  DROPPED_AFTER_BLOCKS,
+  PayoutBatchError,
+  gasBudgetFor,
+  planGasBatches,
+  sentState,
+  settleSentBatch
+};
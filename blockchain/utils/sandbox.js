@@ -0,0 +1,305 @@
+/**
+ * Local sandbox
+ *
+ * Everything `npx hardhat sandbox` needs besides the chain itself: the
+ * fixture file (sandbox.json) describing which named accounts to fund and
+ * which bugs, territories, stakes and fee payments to create, the keys for
+ * those accounts, and the summary printed for the Swift app and services.
+ *
+ * Fixture layout:
+ *   accounts     { <named account>: <BUG balance> }; only these are funded
+ *   minters      named accounts to authorize on BugtopiaCollectibles
+ *   bugs         BugDNAData fields plus a unique name, an owner and up to
+ *                two parents (names of bugs listed before it)
+ *   territories  TerritoryData fields plus a unique name and an owner;
+ *                stakeholders are named accounts
+ *   stakes       { staker, territory (name), amount (BUG) }
+ *   fees         { from, utilityType, count }: payUtilityFee history
+ *
+ * Bugs and territories are minted by the deployer and sent to their owner,
+ * bugs first, so the first bug is token 0 and cannot be anyone's parent.
+ * A bug's genetic hash comes from its name and its birth time is
+ * survivalDays before the sandbox started, so every run mints the same
+ * token ids and stats.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createBugtopiaClient } = require("../sdk");
+
+const SANDBOX_FIXTURE_PATH = path.join(__dirname, "..", "sandbox.json");
+// The sandbox mimics a local Bugtopia L1, which gives it its chain ID
+const SANDBOX_PROFILE = "bugtopia_local";
+// Tools reach a running sandbox as hardhat's localhost network, so its
+// registry is recorded under that name, in a directory of its own
+const SANDBOX_NETWORK = "localhost";
+const SANDBOX_REGISTRY_DIR = path.join(__dirname, "..", "deployments", "sandbox");
+
+const BUG_FIELDS = ["species", "neuralLayers", "fitness", "arenaWins", "lineage", "biomeSpecialization", "survivalDays"];
+const TERRITORY_FIELDS = [
+  "minX", "maxX", "minY", "maxY", "minZ", "maxZ",
+  "biomeType", "resourceAbundance", "safetyRating", "carryingCapacity", "populationCount"
+];
+
+class SandboxError extends Error {
+  /**
+   * @param {string} message Summary
+   * @param {string[]} issues One line per problem found
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n  ${issues.join("\n  ")}` : message);
+    this.name = "SandboxError";
+    this.issues = issues;
+  }
+}
+
+// ============= FIXTURE =============
+
+/**
+ * Account index of a hardhat-deploy named account, if it has a default one
+ */
+function namedAccountIndex(namedAccounts, name) {
+  const spec = (namedAccounts || {})[name];
+  const index = typeof spec === "number" ? spec : spec && spec.default;
+  return Number.isInteger(index) && index >= 0 ? index : undefined;
+}
+
+function isBugAmount(value) {
+  try {
+    return typeof value === "string" && ethers.parseEther(value) > 0n;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function validateFixture(fixture, namedAccounts) {
+  const issues = [];
+  const accounts = fixture.accounts || {};
+  if (!accounts.deployer) issues.push("accounts.deployer is required: it deploys the contracts and mints");
+  for (const [name, balance] of Object.entries(accounts)) {
+    if (namedAccountIndex(namedAccounts, name) === undefined) {
+      issues.push(`accounts.${name} is not a named account (see namedAccounts in hardhat.config.js)`);
+    }
+    if (!isBugAmount(balance)) issues.push(`accounts.${name} must be a BUG amount such as "100" (got ${JSON.stringify(balance)})`);
+  }
+  const funded = (where, name) => {
+    if (!accounts[name]) issues.push(`${where} "${name}" is not listed in accounts`);
+  };
+
+  for (const [i, name] of (fixture.minters || []).entries()) funded(`minters[${i}]`, name);
+
+  const bugs = new Set();
+  for (const [i, bug] of (fixture.bugs || []).entries()) {
+    const where = `bugs[${i}]`;
+    if (!bug.name || bugs.has(bug.name)) issues.push(`${where}.name must be present and unique`);
+    funded(`${where}.owner`, bug.owner);
+    for (const field of BUG_FIELDS) {
+      if (!isCount(bug[field])) issues.push(`${where}.${field} must be a non-negative integer`);
+    }
+    const parents = bug.parents || [];
+    if (parents.length > 2) issues.push(`${where} has more than two parents`);
+    for (const parent of parents) {
+      if (!bugs.has(parent)) {
+        issues.push(`${where}: parent "${parent}" must be a bug listed before it`);
+      } else if (parent === fixture.bugs[0].name) {
+        // The first bug becomes token 0, and a parentId of 0 means no parent
+        issues.push(`${where}: parent "${parent}" is token 0, which cannot be a parent`);
+      }
+    }
+    bugs.add(bug.name);
+  }
+
+  const territories = new Set();
+  for (const [i, territory] of (fixture.territories || []).entries()) {
+    const where = `territories[${i}]`;
+    if (!territory.name || territories.has(territory.name)) issues.push(`${where}.name must be present and unique`);
+    territories.add(territory.name);
+    funded(`${where}.owner`, territory.owner);
+    for (const field of TERRITORY_FIELDS) {
+      if (!isCount(territory[field])) issues.push(`${where}.${field} must be a non-negative integer`);
+    }
+    for (const stakeholder of territory.stakeholders || []) funded(`${where}.stakeholders`, stakeholder);
+  }
+
+  for (const [i, stake] of (fixture.stakes || []).entries()) {
+    const where = `stakes[${i}]`;
+    funded(`${where}.staker`, stake.staker);
+    if (!territories.has(stake.territory)) issues.push(`${where}.territory "${stake.territory}" is not a listed territory`);
+    if (!isBugAmount(stake.amount)) issues.push(`${where}.amount must be a BUG amount (got ${JSON.stringify(stake.amount)})`);
+  }
+
+  for (const [i, fee] of (fixture.fees || []).entries()) {
+    const where = `fees[${i}]`;
+    funded(`${where}.from`, fee.from);
+    if (typeof fee.utilityType !== "string" || !fee.utilityType) issues.push(`${where}.utilityType is required`);
+    if (!Number.isInteger(fee.count) || fee.count < 1) issues.push(`${where}.count must be a positive integer`);
+  }
+  return issues;
+}
+
+/**
+ * Read and validate a sandbox fixture
+ * @param {string} file Fixture file (default sandbox.json)
+ * @param {Object} namedAccounts hardhat-deploy namedAccounts
+ * @throws {SandboxError} Listing every problem found
+ */
+function loadSandboxFixture(file = SANDBOX_FIXTURE_PATH, namedAccounts = {}) {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new SandboxError(`Could not read sandbox fixture ${file}: ${error.message}`);
+  }
+  const issues = validateFixture(fixture, namedAccounts);
+  if (issues.length > 0) throw new SandboxError(`Sandbox fixture ${file} is invalid`, issues);
+  return fixture;
+}
+
+// ============= ACCOUNTS =============
+
+/**
+ * Keys and genesis balances for the fixture's named accounts, taken from the
+ * hardhat network's accounts (the well-known test mnemonic by default)
+ * @param {Object|Object[]} accountsConfig Resolved config.networks.hardhat.accounts
+ * @param {Object} namedAccounts hardhat-deploy namedAccounts
+ * @param {Object<string, string>} balances BUG balance per named account
+ * @returns {{name: string, address: string, privateKey: string, balance: bigint}[]}
+ */
+function sandboxAccounts(accountsConfig, namedAccounts, balances) {
+  return Object.entries(balances).map(([name, balance]) => {
+    const index = namedAccountIndex(namedAccounts, name);
+    let privateKey;
+    if (Array.isArray(accountsConfig)) {
+      if (!accountsConfig[index]) {
+        throw new SandboxError(`Named account ${name} is account #${index}, but the hardhat network only has ${accountsConfig.length}`);
+      }
+      privateKey = accountsConfig[index].privateKey;
+    } else {
+      const { mnemonic, passphrase = "", path: hdPath, initialIndex = 0 } = accountsConfig;
+      privateKey = ethers.HDNodeWallet.fromPhrase(mnemonic, passphrase, `${hdPath}/${initialIndex + index}`).privateKey;
+    }
+    const { address } = new ethers.Wallet(privateKey);
+    return { name, address, privateKey, balance: ethers.parseEther(balance) };
+  });
+}
+
+// ============= SEEDING =============
+
+/**
+ * Authorize minters, mint the fixture's bugs and territories, place its
+ * stakes and pay its fees
+ * @param {Object} options
+ * @param {Object<string, ethers.Signer>} options.signers Signer per named account
+ * @param {Object} options.addresses { bugtopiaL1, collectibles }
+ * @param {Object} options.fixture Validated fixture
+ * @param {Function} options.log Logger
+ * @returns {Promise<{minters: string[], bugs: Object<string, string>, territories: Object<string, string>, stakes: number, fees: number}>}
+ *   Token ids by fixture name, and counts
+ */
+async function seedSandbox({ signers, addresses, fixture, log = console.log }) {
+  const clients = {};
+  const clientFor = (name) => {
+    clients[name] = clients[name] || createBugtopiaClient({ runner: signers[name], addresses });
+    return clients[name];
+  };
+  const addressOf = async (name) => signers[name].getAddress();
+  const minter = clientFor("deployer");
+  const seeded = { minters: [], bugs: {}, territories: {}, stakes: 0, fees: 0 };
+
+  for (const name of fixture.minters || []) {
+    const address = await addressOf(name);
+    if (!(await minter.isAuthorizedMinter(address))) {
+      await (await minter.collectibles.addAuthorizedMinter(address)).wait();
+    }
+    seeded.minters.push(address);
+  }
+
+  const { timestamp } = await signers.deployer.provider.getBlock("latest");
+  for (const { name, owner, parents = [], ...bug } of fixture.bugs || []) {
+    const data = Object.fromEntries(BUG_FIELDS.map((field) => [field, bug[field]]));
+    // parentId 0 means no parent
+    data.parentId1 = parents[0] === undefined ? 0 : seeded.bugs[parents[0]];
+    data.parentId2 = parents[1] === undefined ? 0 : seeded.bugs[parents[1]];
+    data.geneticHash = ethers.id(`bugtopia-sandbox:${name}`);
+    data.birthTimestamp = Math.max(0, timestamp - bug.survivalDays * 86400);
+    const { tokenId } = await minter.mintBugDNA(data, { to: await addressOf(owner) });
+    seeded.bugs[name] = tokenId.toString();
+    log(`🐛 Bug DNA #${tokenId} "${name}" → ${owner}`);
+  }
+
+  for (const { name, owner, stakeholders = [], ...territory } of fixture.territories || []) {
+    const data = Object.fromEntries(TERRITORY_FIELDS.map((field) => [field, territory[field]]));
+    data.stakeholders = await Promise.all(stakeholders.map(addressOf));
+    const { tokenId } = await minter.mintTerritory(data, { to: await addressOf(owner) });
+    seeded.territories[name] = tokenId.toString();
+    log(`🗺️  Territory #${tokenId} "${name}" → ${owner}`);
+  }
+
+  for (const { staker, territory, amount } of fixture.stakes || []) {
+    await clientFor(staker).stakeOnTerritory(seeded.territories[territory], ethers.parseEther(amount));
+    seeded.stakes += 1;
+    log(`🔒 ${staker} staked ${amount} BUG on "${territory}"`);
+  }
+
+  for (const { from, utilityType, count } of fixture.fees || []) {
+    const client = clientFor(from);
+    const fee = await client.getUtilityFee(utilityType);
+    if (fee === 0n) throw new SandboxError(`Utility type "${utilityType}" has no fee; pick one BugtopiaL1 charges for`);
+    for (let i = 0; i < count; i++) await client.payUtilityFee(utilityType);
+    seeded.fees += count;
+    log(`💸 ${from} paid ${utilityType} ×${count} (${ethers.formatEther(fee)} BUG each)`);
+  }
+  return seeded;
+}
+
+// ============= OUTPUT =============
+
+/**
+ * Connection details for the Swift app, the services and wallets
+ * @param {Object} sandbox { url, chainId, accounts, addresses, registryFile }
+ */
+function formatConnectionDetails({ url, chainId, accounts, addresses, registryFile }) {
+  const lines = [
+    `🌐 JSON-RPC:    ${url}`,
+    `⛓️  Chain ID:    ${chainId}`,
+    `📒 Registry:    ${registryFile}`,
+    "",
+    "🔑 Accounts (public test keys, never use them on a real network):"
+  ];
+  for (const { name, address, privateKey, balance } of accounts) {
+    lines.push(`   ${name.padEnd(9)} ${address}  started with ${ethers.formatEther(balance)} BUG`);
+    lines.push(`   ${"".padEnd(9)} ${privateKey}`);
+  }
+  lines.push(
+    "",
+    "📱 Swift app (BlockchainManagerL1, with L1NetworkConfig.rpcUrl set to the JSON-RPC URL above):",
+    `   blockchainManager.setContractAddresses(bugtopiaL1: "${addresses.bugtopiaL1}", collectibles: "${addresses.collectibles}", governance: "")`,
+    "",
+    "🧰 Services and SDK:",
+    `   export BUGTOPIA_L1_RPC_URL=${url}`,
+    `   export BUGTOPIA_L1_ADDRESS=${addresses.bugtopiaL1}`,
+    `   export COLLECTIBLES_ADDRESS=${addresses.collectibles}`,
+    "   export BRIDGE_KEYSTORE=sandbox",
+    "   # once, pasting the deployer key above:",
+    "   npx hardhat keystore:import --keystore sandbox --account deployer"
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  SANDBOX_FIXTURE_PATH,
+  SANDBOX_PROFILE,
+  SANDBOX_NETWORK,
+  SANDBOX_REGISTRY_DIR,
+  SandboxError,
+  namedAccountIndex,
+  loadSandboxFixture,
+  sandboxAccounts,
+  seedSandbox,
+  formatConnectionDetails
+};
@@ -0,0 +1,495 @@
+/**
+ * Staking rewards epochs
+ *
+ * BugtopiaL1 pools the staking share of every fee in stakingRewardsPool and
+ * pays it out through the owner-only distributeStakingRewards(recipients,
+ * amounts). This module decides who gets what for an epoch: a weighting
+ * source turns the epoch into per-address weights, the budget (the pool, or
+ * less) is split by weight and rounded down, and the payout is sent in
+ * chunks that fit a gas budget.
+ *
+ * Every epoch lives in a ledger, deployments/staking-rewards-<network>.json.
+ * It is written before the first chunk is sent and after each one, so an
+ * epoch is never paid twice. Afterwards the StakingRewardsDistributed events
+ * on chain are reconciled against it.
+ *
+ * Weighting sources (WEIGHT_SOURCES; any object with the same shape works):
+ *   validators   { "validators": [{ "address", "weight", "nodeId"? }] }
+ *   delegations  { "delegations": [{ "delegator", "amount", "start", "end"? }] }
+ *                amount in BUG x seconds delegated inside the epoch
+ *   territories  stake-seconds on every territory, from TerritoryStaked /
+ *                TerritoryUnstaked
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { translateError } = require("../sdk");
+const { planGasBatches, sentState, settleSentBatch } = require("./payout-batches");
+const { readStakeEvents, computeStakeShares } = require("./territory-revenue");
+
+const DEFAULT_LEDGER_DIR = path.join(__dirname, "..", "deployments");
+
+class StakingRewardsError extends Error {
+  /**
+   * @param {string} message Summary
+   * @param {string[]} issues One line per problem found
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n  ${issues.join("\n  ")}` : message);
+    this.name = "StakingRewardsError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * @typedef {Object} EpochContext
+ * @property {number} fromBlock Epoch start block
+ * @property {number} toBlock Epoch end block
+ * @property {number} startTime Timestamp of fromBlock
+ * @property {number} endTime Timestamp of toBlock
+ * @property {string} file Source file, for file-based sources
+ * @property {Object} client Bugtopia client, for on-chain sources
+ */
+
+/**
+ * @typedef {Object} Weight
+ * @property {string} address Recipient
+ * @property {bigint} weight Relative weight (any unit, shared by the whole source)
+ * @property {string} detail How the weight was derived, for the ledger
+ */
+
+// ============= WEIGHTING SOURCES =============
+
+function readRecords(file, key) {
+  if (!file) throw new StakingRewardsError(`The ${key} source needs --file`);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new StakingRewardsError(`Could not read ${file}: ${error.message}`);
+  }
+  const records = Array.isArray(parsed) ? parsed : parsed[key];
+  if (!Array.isArray(records)) throw new StakingRewardsError(`${file} must hold an array or {"${key}": [...]}`);
+  return records;
+}
+
+function recordAddress(value, where, issues) {
+  if (!ethers.isAddress(value)) {
+    issues.push(`${where}: "${value}" is not an address`);
+    return undefined;
+  }
+  return ethers.getAddress(value);
+}
+
+function toTimestamp(value) {
+  if (typeof value === "number") return value;
+  const parsed = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value) / 1000;
+  return Number.isFinite(parsed) ? Math.floor(parsed) : undefined;
+}
+
+/**
+ * Sum weights per address and keep the details that produced them
+ */
+function mergeWeights(entries) {
+  const merged = new Map();
+  for (const { address, weight, detail } of entries) {
+    const existing = merged.get(address);
+    if (existing) {
+      existing.weight += weight;
+      existing.detail = `${existing.detail}; ${detail}`;
+    } else {
+      merged.set(address, { address, weight, detail });
+    }
+  }
+  return [...merged.values()];
+}
+
+const validators = {
+  description: "validator list file; weight as given",
+  fileBased: true,
+  async weights({ file }) {
+    const issues = [];
+    const entries = readRecords(file, "validators").map((record, i) => {
+      const where = `validators[${i}]`;
+      const address = recordAddress(record.address, where, issues);
+      if (!/^\d+$/.test(String(record.weight))) issues.push(`${where}: weight must be a whole number (got "${record.weight}")`);
+      return { address, weight: /^\d+$/.test(String(record.weight)) ? BigInt(record.weight) : 0n, detail: record.nodeId || "validator" };
+    });
+    if (issues.length > 0) throw new StakingRewardsError(`${file} is invalid`, issues);
+    return mergeWeights(entries);
+  }
+};
+
+const delegations = {
+  description: "delegation records file; BUG delegated x seconds inside the epoch",
+  fileBased: true,
+  async weights({ file, startTime, endTime }) {
+    const issues = [];
+    const entries = readRecords(file, "delegations").map((record, i) => {
+      const where = `delegations[${i}]`;
+      const address = recordAddress(record.delegator, where, issues);
+      let amount = 0n;
+      try {
+        amount = ethers.parseEther(String(record.amount));
+      } catch (error) {
+        issues.push(`${where}: amount must be a BUG amount (got "${record.amount}")`);
+      }
+      const start = toTimestamp(record.start);
+      const end = record.end === undefined || record.end === null ? endTime : toTimestamp(record.end);
+      if (start === undefined) issues.push(`${where}: start must be unix seconds or an ISO date`);
+      if (end === undefined) issues.push(`${where}: end must be unix seconds or an ISO date`);
+
+      const seconds = Math.max(0, Math.min(end ?? 0, endTime) - Math.max(start ?? 0, startTime));
+      return { address, weight: amount * BigInt(seconds), detail: `${ethers.formatEther(amount)} BUG for ${seconds}s` };
+    });
+    if (issues.length > 0) throw new StakingRewardsError(`${file} is invalid`, issues);
+    return mergeWeights(entries);
+  }
+};
+
+const territories = {
+  description: "BUG staked on territories x seconds staked inside the epoch",
+  fileBased: false,
+  async weights({ client, fromBlock, toBlock, startTime, endTime }) {
+    if (!client.collectibles) throw new StakingRewardsError("The territories source needs a BugtopiaCollectibles address");
+    // Stake-seconds add up across territories, so every token is read at once
+    const events = await readStakeEvents(client.collectibles, null, { toBlock });
+    const { stakers } = computeStakeShares(events, { fromBlock, startTime, endTime });
+    return stakers.map(({ address, stakeSeconds }) => ({
+      address,
+      weight: stakeSeconds,
+      detail: `${ethers.formatEther(stakeSeconds)} BUG·s staked on territories`
+    }));
+  }
+};
+
+const WEIGHT_SOURCES = { validators, delegations, territories };
+
+// ============= ALLOCATION =============
+
+/**
+ * Split a budget by weight, rounding down. What rounding leaves over stays
+ * in the pool for the next epoch.
+ * @param {Weight[]} weights
+ * @param {bigint} budget Wei to distribute
+ * @returns {{allocations: Array<{address: string, weight: bigint, amount: bigint, detail: string}>,
+ *   totalWeight: bigint, distributed: bigint, remainder: bigint}}
+ */
+function allocateRewards(weights, budget) {
+  const positive = weights.filter(({ weight }) => weight > 0n);
+  const totalWeight = positive.reduce((sum, { weight }) => sum + weight, 0n);
+  if (totalWeight === 0n) {
+    throw new StakingRewardsError("The weighting source gave nobody any weight for this epoch");
+  }
+
+  const allocations = positive
+    .map(({ address, weight, detail }) => ({ address, weight, amount: (budget * weight) / totalWeight, detail }))
+    .sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+  const distributed = allocations.reduce((sum, { amount }) => sum + amount, 0n);
+  return { allocations, totalWeight, distributed, remainder: budget - distributed };
+}
+
+// ============= LEDGER =============
+
+function stakingLedgerPath(network, dir = DEFAULT_LEDGER_DIR) {
+  return path.join(dir, `staking-rewards-${network}.json`);
+}
+
+/**
+ * Read the epoch ledger; empty if the file is missing
+ * @param {string} file Ledger path
+ * @param {Object} expected
+ * @param {number} expected.chainId Chain the ledger must belong to
+ * @param {string} expected.bugtopiaL1 BugtopiaL1 address it must belong to
+ */
+function readStakingLedger(file, { chainId, bugtopiaL1 }) {
+  if (!fs.existsSync(file)) {
+    return { chainId: Number(chainId), bugtopiaL1, epochs: {} };
+  }
+  const ledger = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (ledger.chainId !== Number(chainId) || ethers.getAddress(ledger.bugtopiaL1) !== ethers.getAddress(bugtopiaL1)) {
+    throw new StakingRewardsError(
+      `${file} belongs to BugtopiaL1 ${ledger.bugtopiaL1} on chain ${ledger.chainId}, not ${bugtopiaL1} on chain ${chainId}`
+    );
+  }
+  return { epochs: {}, ...ledger };
+}
+
+function writeStakingLedger(ledger, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  ledger.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tmpFile, JSON.stringify(ledger, null, 2));
+  fs.renameSync(tmpFile, file);
+  return file;
+}
+
+// Ledger amounts are decimal strings so the JSON survives any reader
+function serialize(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+}
+
+function hashFile(file) {
+  return file ? `0x${crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex")}` : null;
+}
+
+/**
+ * Refuse to pay an epoch whose blocks overlap one already in the ledger;
+ * time-weighted sources would pay the overlap twice
+ */
+function assertNoOverlap(ledger, name, { fromBlock, toBlock }) {
+  const overlapping = Object.entries(ledger.epochs)
+    .filter(([other, epoch]) => other !== name && fromBlock < epoch.toBlock && epoch.fromBlock < toBlock)
+    .map(([other, epoch]) => `${other} covers blocks ${epoch.fromBlock} to ${epoch.toBlock}`);
+  if (overlapping.length > 0) {
+    throw new StakingRewardsError(`Epoch "${name}" (blocks ${fromBlock} to ${toBlock}) overlaps recorded epochs`, overlapping);
+  }
+}
+
+function resolveSource(source) {
+  const weighting = typeof source === "string" ? WEIGHT_SOURCES[source] : source;
+  if (!weighting) {
+    throw new StakingRewardsError(`Unknown weighting source "${source}"; use one of ${Object.keys(WEIGHT_SOURCES).join(", ")}`);
+  }
+  return weighting;
+}
+
+/**
+ * What identifies an epoch's payout: resuming with anything different is refused
+ * @returns {{source: string, sourceHash: string|null, fromBlock: number, toBlock: number, requested: string|null}}
+ */
+function epochInputs(source, { file, fromBlock, toBlock, amount }) {
+  const weighting = resolveSource(source);
+  return {
+    source: typeof source === "string" ? source : weighting.name || "custom",
+    sourceHash: weighting.fileBased ? hashFile(file) : null,
+    fromBlock,
+    toBlock,
+    requested: amount === undefined ? null : amount.toString()
+  };
+}
+
+/**
+ * Refuse to resume an epoch with different inputs
+ */
+function assertSameInputs(name, recorded, planned) {
+  const keys = ["source", "sourceHash", "fromBlock", "toBlock", "requested"];
+  const changed = keys.filter((key) => String(recorded[key]) !== String(planned[key]));
+  if (changed.length > 0) {
+    throw new StakingRewardsError(
+      `Epoch "${name}" is already in the ledger with different inputs; use a new epoch name`,
+      changed.map((key) => `${key}: ${recorded[key]} (ledger) vs ${planned[key]} (now)`)
+    );
+  }
+}
+
+// ============= PLANNING =============
+
+async function estimateChunk(bugtopiaL1, allocations) {
+  try {
+    return await bugtopiaL1.distributeStakingRewards.estimateGas(
+      allocations.map(({ address }) => address),
+      allocations.map(({ amount }) => BigInt(amount))
+    );
+  } catch (error) {
+    throw translateError(error);
+  }
+}
+
+/**
+ * Weigh, allocate and chunk one epoch
+ * @param {Object} client Client from createBugtopiaClient (signer: the BugtopiaL1 owner)
+ * @param {Object} options
+ * @param {Object|string} options.source Weighting source, or a WEIGHT_SOURCES name
+ * @param {string} options.file Source file, for file-based sources
+ * @param {number} options.fromBlock Epoch start block
+ * @param {number} options.toBlock Epoch end block
+ * @param {bigint} options.amount Wei to distribute (default: the whole pool)
+ * @param {bigint} options.gasBudget Gas limit per chunk
+ * @returns {Promise<Object>} Ledger entry with planned chunks
+ */
+async function planStakingEpoch(client, { source, file, fromBlock, toBlock, amount, gasBudget }) {
+  const weighting = resolveSource(source);
+  const inputs = epochInputs(source, { file, fromBlock, toBlock, amount });
+  if (!(fromBlock < toBlock)) {
+    throw new StakingRewardsError(`The epoch must end after it starts (blocks ${fromBlock} to ${toBlock})`);
+  }
+
+  const bugtopiaL1 = await client.l1();
+  const { provider } = client.runner;
+  const startTime = (await provider.getBlock(fromBlock)).timestamp;
+  const endTime = (await provider.getBlock(toBlock)).timestamp;
+  const pool = await bugtopiaL1.stakingRewardsPool();
+  const budget = amount ?? pool;
+  if (budget > pool) {
+    throw new StakingRewardsError(
+      `Cannot distribute ${ethers.formatEther(budget)} BUG: the staking rewards pool holds ${ethers.formatEther(pool)} BUG`
+    );
+  }
+
+  const weights = await weighting.weights({ file, client, fromBlock, toBlock, startTime, endTime });
+  const { allocations, totalWeight, distributed, remainder } = allocateRewards(weights, budget);
+  const payable = allocations.filter(({ amount: share }) => share > 0n);
+  const chunks = await planGasBatches(payable, (chunk) => estimateChunk(bugtopiaL1, chunk), {
+    gasBudget,
+    describe: ({ address }) => address
+  });
+
+  return serialize({
+    ...inputs,
+    startTime,
+    endTime,
+    poolBefore: pool,
+    budget,
+    totalWeight,
+    distributed,
+    remainder,
+    allocations,
+    chunks: chunks.map(({ items, gasEstimate }) => ({
+      recipients: items.map(({ address }) => address),
+      amounts: items.map(({ amount: share }) => share),
+      total: items.reduce((sum, { amount: share }) => sum + share, 0n),
+      gasEstimate,
+      status: "planned"
+    })),
+    createdAt: new Date().toISOString()
+  });
+}
+
+// ============= PAYOUT =============
+
+/**
+ * Send every chunk of an epoch that is not confirmed yet
+ * @param {Object} client Client from createBugtopiaClient (signer: the BugtopiaL1 owner)
+ * @param {Object} epoch Ledger entry from planStakingEpoch(); updated in place
+ * @param {Object} options
+ * @param {Function} options.onChunk Called after each state change, to persist the ledger
+ * @returns {Promise<Object>} The epoch
+ */
+async function payStakingEpoch(client, epoch, { confirmations = 1, onChunk = () => {} } = {}) {
+  const bugtopiaL1 = await client.l1();
+  const { provider } = client.runner;
+
+  for (const [index, chunk] of epoch.chunks.entries()) {
+    const label = `Chunk ${index + 1}`;
+    if (chunk.status === "confirmed") continue;
+    if (chunk.status === "sent" && await settleSentBatch(provider, chunk, label)) {
+      onChunk(epoch);
+      continue;
+    }
+
+    const pool = await bugtopiaL1.stakingRewardsPool();
+    if (BigInt(chunk.total) > pool) {
+      throw new StakingRewardsError(
+        `${label} pays ${ethers.formatEther(chunk.total)} BUG but the pool now holds ${ethers.formatEther(pool)} BUG`
+      );
+    }
+
+    let tx;
+    try {
+      tx = await bugtopiaL1.distributeStakingRewards(chunk.recipients, chunk.amounts.map(BigInt));
+    } catch (error) {
+      throw translateError(error);
+    }
+    // Recorded before waiting, so a crash here cannot lead to paying twice
+    Object.assign(chunk, await sentState(provider, tx));
+    onChunk(epoch);
+
+    const receipt = await tx.wait(confirmations);
+    Object.assign(chunk, { status: "confirmed", blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+    onChunk(epoch);
+  }
+  epoch.paidAt = epoch.paidAt || new Date().toISOString();
+  return epoch;
+}
+
+// ============= RECONCILIATION =============
+
+/**
+ * Match StakingRewardsDistributed events on chain with the ledger's chunks
+ * @param {ethers.Contract} bugtopiaL1
+ * @param {Object} ledger Ledger from readStakingLedger()
+ * @param {Object} options
+ * @param {number} options.fromBlock First block to scan (default: the earliest epoch start)
+ * @param {number} options.toBlock Last block to scan (default: latest)
+ * @returns {Promise<{matched: number, issues: string[], unrecorded: Array<Object>, ok: boolean}>}
+ *   issues lists chunks without a matching event; unrecorded lists
+ *   distributions made outside the ledger
+ */
+async function reconcileStakingLedger(bugtopiaL1, ledger, { fromBlock, toBlock = "latest" } = {}) {
+  const epochs = Object.entries(ledger.epochs);
+  const start = fromBlock ?? Math.min(...epochs.map(([, epoch]) => epoch.fromBlock), Infinity);
+  const logs = Number.isFinite(start)
+    ? await bugtopiaL1.queryFilter(bugtopiaL1.filters.StakingRewardsDistributed(), start, toBlock)
+    : [];
+  const byTransaction = new Map(logs.map((log) => [log.transactionHash, log]));
+
+  const issues = [];
+  let matched = 0;
+  for (const [name, epoch] of epochs) {
+    for (const [index, chunk] of epoch.chunks.entries()) {
+      const label = `${name} chunk ${index + 1}`;
+      if (chunk.status !== "confirmed") {
+        if (chunk.status === "sent") issues.push(`${label} was sent (${chunk.transactionHash}) but never confirmed`);
+        continue;
+      }
+      const log = byTransaction.get(chunk.transactionHash);
+      byTransaction.delete(chunk.transactionHash);
+      if (!log) {
+        issues.push(`${label}: no StakingRewardsDistributed event in ${chunk.transactionHash}`);
+        continue;
+      }
+      const { totalAmount, recipientCount } = log.args;
+      if (totalAmount !== BigInt(chunk.total) || recipientCount !== BigInt(chunk.recipients.length)) {
+        issues.push(
+          `${label}: the event paid ${totalAmount} wei to ${recipientCount} recipients, ` +
+          `the ledger records ${chunk.total} wei to ${chunk.recipients.length}`
+        );
+        continue;
+      }
+      matched += 1;
+    }
+  }
+
+  const unrecorded = [...byTransaction.values()].map((log) => ({
+    transactionHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    totalAmount: log.args.totalAmount.toString(),
+    recipientCount: Number(log.args.recipientCount)
+  }));
+  return { matched, issues, unrecorded, ok: issues.length === 0 };
+}
+
+// ============= FORMATTING =============
+
+function formatStakingEpoch(name, epoch) {
+  const width = Math.max(...epoch.allocations.map(({ address }) => address.length));
+  return [
+    `Epoch ${name}: blocks ${epoch.fromBlock} to ${epoch.toBlock}, source ${epoch.source}`,
+    `  pool ${ethers.formatEther(epoch.poolBefore)} BUG, distributing ${ethers.formatEther(epoch.distributed)} BUG ` +
+      `(${epoch.remainder} wei stays in the pool)`,
+    ...epoch.allocations.map(({ address, amount, detail }) =>
+      `  ${address.padEnd(width)}  ${ethers.formatEther(amount).padStart(24)} BUG  ${detail}`),
+    ...epoch.chunks.map((chunk, i) =>
+      `  chunk ${i + 1}: ${chunk.recipients.length} recipients, ${ethers.formatEther(chunk.total)} BUG, ${chunk.status}` +
+      `${chunk.transactionHash ? ` ${chunk.transactionHash}` : ""}`)
+  ].join("\n");
+}
+
+module.exports = {
+  WEIGHT_SOURCES,
+  StakingRewardsError,
+  allocateRewards,
+  stakingLedgerPath,
+  readStakingLedger,
+  writeStakingLedger,
+  assertNoOverlap,
+  epochInputs,
+  assertSameInputs,
+  planStakingEpoch,
+  payStakingEpoch,
+  reconcileStakingLedger,
+  formatStakingEpoch
+};
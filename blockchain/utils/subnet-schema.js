@@ -0,0 +1,252 @@
+/**
+ * Subnet configuration and genesis validation
+ *
+ * Checks SUBNET_CONFIG and the generated genesis before Avalanche-CLI is
+ * invoked, so a bad chain ID, owner address or fee setting fails fast with a
+ * readable list of problems instead of a half-created blockchain.
+ */
+
+const { ethers } = require("ethers");
+
+// Chain IDs already taken by the Avalanche C-Chain (local, Fuji, mainnet)
+const RESERVED_CHAIN_IDS = [43112, 43113, 43114];
+
+// Avalanche expresses delegation fees in parts per million (1,000,000 = 100%)
+const DELEGATION_FEE_DENOMINATOR = 1000000;
+const MIN_DELEGATION_FEE = 20000; // 2%, the primary network minimum
+
+const DAY = 86400;
+
+const FORK_BLOCKS = [
+  "homesteadBlock",
+  "eip150Block",
+  "eip155Block",
+  "eip158Block",
+  "byzantiumBlock",
+  "constantinopleBlock",
+  "petersburgBlock",
+  "istanbulBlock",
+  "muirGlacierBlock",
+  "berlinBlock",
+  "londonBlock"
+];
+
+class SubnetConfigError extends Error {
+  constructor(issues) {
+    super(`Subnet configuration is invalid:\n${issues.map((issue) => `  - ${issue}`).join("\n")}`);
+    this.name = "SubnetConfigError";
+    this.issues = issues;
+  }
+}
+
+// ============= HELPERS =============
+
+function isInteger(value) {
+  return typeof value === "number" && Number.isInteger(value);
+}
+
+function toBigInt(value) {
+  try {
+    return typeof value === "bigint" ? value : BigInt(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function checkIntegerRange(issues, path, value, min, max) {
+  if (!isInteger(value)) {
+    issues.push(`${path} must be an integer (got ${JSON.stringify(value)})`);
+  } else if (value < min || value > max) {
+    issues.push(`${path} must be between ${min} and ${max} (got ${value})`);
+  }
+}
+
+function checkChainId(issues, path, chainId, expectedChainId) {
+  if (!isInteger(chainId) || chainId <= 0) {
+    issues.push(`${path} must be a positive integer (got ${JSON.stringify(chainId)})`);
+    return;
+  }
+  if (RESERVED_CHAIN_IDS.includes(chainId)) {
+    issues.push(`${path} ${chainId} is reserved by the Avalanche C-Chain`);
+  }
+  if (expectedChainId !== undefined && chainId !== expectedChainId) {
+    issues.push(`${path} is ${chainId} but hardhat.config.js expects ${expectedChainId}`);
+  }
+}
+
+// ============= VALIDATORS =============
+
+/**
+ * Validate SUBNET_CONFIG
+ * @param {Object} config Subnet configuration
+ * @param {Object} options
+ * @param {number} options.expectedChainId Chain ID of the target network in hardhat.config.js
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSubnetConfig(config, { expectedChainId } = {}) {
+  const issues = [];
+
+  if (typeof config.name !== "string" || config.name.trim() === "") {
+    issues.push("SUBNET_CONFIG.name must be a non-empty string");
+  }
+
+  checkChainId(issues, "SUBNET_CONFIG.chainId", config.chainId, expectedChainId);
+  if (config.networkId !== config.chainId) {
+    issues.push(`SUBNET_CONFIG.networkId (${config.networkId}) must equal chainId (${config.chainId})`);
+  }
+
+  checkIntegerRange(issues, "SUBNET_CONFIG.gasLimit", config.gasLimit, 1000000, 100000000);
+  checkIntegerRange(issues, "SUBNET_CONFIG.targetBlockRate", config.targetBlockRate, 1, 60);
+
+  const minValidatorStake = toBigInt(config.minValidatorStake);
+  const maxValidatorStake = toBigInt(config.maxValidatorStake);
+  const minDelegationStake = toBigInt(config.minDelegationStake);
+
+  if (minValidatorStake === undefined || minValidatorStake <= 0n) {
+    issues.push("SUBNET_CONFIG.minValidatorStake must be a positive wei amount");
+  }
+  if (maxValidatorStake === undefined || maxValidatorStake <= 0n) {
+    issues.push("SUBNET_CONFIG.maxValidatorStake must be a positive wei amount");
+  }
+  if (minValidatorStake > 0n && maxValidatorStake > 0n && minValidatorStake > maxValidatorStake) {
+    issues.push(
+      `SUBNET_CONFIG.minValidatorStake (${ethers.formatEther(minValidatorStake)}) exceeds ` +
+      `maxValidatorStake (${ethers.formatEther(maxValidatorStake)})`
+    );
+  }
+  if (minDelegationStake === undefined || minDelegationStake <= 0n) {
+    issues.push("SUBNET_CONFIG.minDelegationStake must be a positive wei amount");
+  } else if (minValidatorStake > 0n && minDelegationStake > minValidatorStake) {
+    issues.push("SUBNET_CONFIG.minDelegationStake must not exceed minValidatorStake");
+  }
+
+  if (!isInteger(config.delegationFee) ||
+      config.delegationFee < MIN_DELEGATION_FEE ||
+      config.delegationFee > DELEGATION_FEE_DENOMINATOR) {
+    issues.push(
+      `SUBNET_CONFIG.delegationFee must be between ${MIN_DELEGATION_FEE} (2%) and ` +
+      `${DELEGATION_FEE_DENOMINATOR} (100%) parts per million (got ${config.delegationFee})`
+    );
+  }
+
+  checkIntegerRange(issues, "SUBNET_CONFIG.minStakeDuration", config.minStakeDuration, DAY, 365 * DAY);
+  checkIntegerRange(issues, "SUBNET_CONFIG.maxStakeDuration", config.maxStakeDuration, DAY, 365 * DAY);
+  if (isInteger(config.minStakeDuration) && isInteger(config.maxStakeDuration) &&
+      config.minStakeDuration > config.maxStakeDuration) {
+    issues.push("SUBNET_CONFIG.minStakeDuration must not exceed maxStakeDuration");
+  }
+
+  const rewardConfig = config.rewardConfig || {};
+  if (!isInteger(rewardConfig.mintingPeriod) || rewardConfig.mintingPeriod <= 0) {
+    issues.push("SUBNET_CONFIG.rewardConfig.mintingPeriod must be a positive number of seconds");
+  }
+  const supplyConstraint = toBigInt(rewardConfig.supplyConstraint);
+  if (supplyConstraint === undefined || supplyConstraint <= 0n) {
+    issues.push("SUBNET_CONFIG.rewardConfig.supplyConstraint must be a positive hex or decimal amount");
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a subnet-evm genesis object
+ * @param {Object} genesis Genesis produced by generateGenesisConfig()
+ * @param {Object} options
+ * @param {number} options.expectedChainId Chain ID the genesis must use
+ * @param {string} options.ownerAddress Address that must be funded in alloc
+ * @param {*} options.supplyConstraint Max supply the alloc must stay under
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateGenesis(genesis, { expectedChainId, ownerAddress, supplyConstraint } = {}) {
+  const issues = [];
+  const config = genesis.config || {};
+
+  checkChainId(issues, "genesis.config.chainId", config.chainId, expectedChainId);
+
+  for (const fork of FORK_BLOCKS) {
+    if (config[fork] !== 0) {
+      issues.push(`genesis.config.${fork} must be 0 (got ${JSON.stringify(config[fork])})`);
+    }
+  }
+
+  const feeConfig = config.feeConfig || {};
+  const genesisGasLimit = toBigInt(genesis.gasLimit);
+  checkIntegerRange(issues, "genesis.config.feeConfig.gasLimit", feeConfig.gasLimit, 1000000, 100000000);
+  if (isInteger(feeConfig.gasLimit) && genesisGasLimit !== BigInt(feeConfig.gasLimit)) {
+    issues.push(`genesis.gasLimit (${genesis.gasLimit}) must match feeConfig.gasLimit (${feeConfig.gasLimit})`);
+  }
+  checkIntegerRange(issues, "genesis.config.feeConfig.targetBlockRate", feeConfig.targetBlockRate, 1, 60);
+  checkIntegerRange(issues, "genesis.config.feeConfig.minBaseFee", feeConfig.minBaseFee, 1, 1000000000000);
+  checkIntegerRange(issues, "genesis.config.feeConfig.targetGas", feeConfig.targetGas, 100000, 1000000000);
+  checkIntegerRange(issues, "genesis.config.feeConfig.baseFeeChangeDenominator", feeConfig.baseFeeChangeDenominator, 2, 1000);
+  checkIntegerRange(issues, "genesis.config.feeConfig.minBlockGasCost", feeConfig.minBlockGasCost, 0, 10000000);
+  checkIntegerRange(issues, "genesis.config.feeConfig.maxBlockGasCost", feeConfig.maxBlockGasCost, 0, 10000000);
+  checkIntegerRange(issues, "genesis.config.feeConfig.blockGasCostStep", feeConfig.blockGasCostStep, 0, 10000000);
+  if (isInteger(feeConfig.minBlockGasCost) && isInteger(feeConfig.maxBlockGasCost) &&
+      feeConfig.minBlockGasCost > feeConfig.maxBlockGasCost) {
+    issues.push("genesis.config.feeConfig.minBlockGasCost must not exceed maxBlockGasCost");
+  }
+
+  const alloc = genesis.alloc || {};
+  const entries = Object.entries(alloc);
+  if (entries.length === 0) {
+    issues.push("genesis.alloc must pre-fund at least one account");
+  }
+
+  let totalAllocated = 0n;
+  for (const [address, account] of entries) {
+    if (!ethers.isAddress(address) || address === ethers.ZeroAddress) {
+      issues.push(`genesis.alloc key "${address}" is not a valid owner address (is SUBNET_OWNER_ADDRESS set?)`);
+    }
+    const balance = toBigInt(account && account.balance);
+    if (balance === undefined || balance <= 0n) {
+      issues.push(`genesis.alloc["${address}"].balance must be a positive hex amount`);
+    } else {
+      totalAllocated += balance;
+    }
+  }
+
+  if (ownerAddress !== undefined) {
+    const funded = entries.some(([address]) =>
+      ethers.isAddress(address) && ethers.isAddress(ownerAddress) &&
+      ethers.getAddress(address) === ethers.getAddress(ownerAddress)
+    );
+    if (!funded) {
+      issues.push(`genesis.alloc does not fund the subnet owner ${ownerAddress}`);
+    }
+  }
+
+  const maxSupply = supplyConstraint === undefined ? undefined : toBigInt(supplyConstraint);
+  if (maxSupply !== undefined && totalAllocated > maxSupply) {
+    issues.push(
+      `genesis.alloc pre-funds ${ethers.formatEther(totalAllocated)} tokens, ` +
+      `above the supply constraint of ${ethers.formatEther(maxSupply)}`
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Validate both and throw one SubnetConfigError listing every problem
+ */
+function assertValidSubnet(config, genesis, { expectedChainId, ownerAddress } = {}) {
+  const issues = [
+    ...validateSubnetConfig(config, { expectedChainId }),
+    ...validateGenesis(genesis, {
+      expectedChainId,
+      ownerAddress,
+      supplyConstraint: config.rewardConfig && config.rewardConfig.supplyConstraint
+    })
+  ];
+  if (issues.length > 0) {
+    throw new SubnetConfigError(issues);
+  }
+}
+
+module.exports = {
+  SubnetConfigError,
+  validateSubnetConfig,
+  validateGenesis,
+  assertValidSubnet
+};
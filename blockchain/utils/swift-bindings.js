@@ -0,0 +1,267 @@
+/**
+ * Swift contract bindings
+ *
+ * Renders Bugtopia/Blockchain/BugtopiaContracts.swift from the compiled
+ * ABIs and the deployment registry: one enum per contract with function
+ * selectors, event topics, custom error selectors and Codable structs for
+ * the tuple parameters (BugDNAData, TerritoryData), followed by the deployed
+ * addresses per app network. A renamed function or struct field changes the
+ * generated names, so the app stops compiling instead of failing at runtime.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DEFAULT_REGISTRY_DIR, readRegistry } = require("./deployment-registry");
+
+const SWIFT_BINDINGS_PATH = path.join(__dirname, "..", "..", "Bugtopia", "Blockchain", "BugtopiaContracts.swift");
+
+// Everything above this line depends only on the ABIs
+const ADDRESSES_MARK = "// MARK: - Deployed Addresses";
+
+const SWIFT_KEYWORDS = new Set([
+  "as", "case", "class", "default", "enum", "func", "import", "in", "init", "internal", "is", "let",
+  "operator", "private", "protocol", "public", "repeat", "return", "self", "static", "struct",
+  "switch", "Type", "var", "where"
+]);
+
+// ============= NAMES AND TYPES =============
+
+function identifier(name) {
+  return SWIFT_KEYWORDS.has(name) ? `\`${name}\`` : name;
+}
+
+/**
+ * NFTMinted -> nftMinted, URI -> uri, ERC1155InvalidSender -> erc1155InvalidSender
+ */
+function lowerCamel(name) {
+  const acronym = name.match(/^[A-Z]+(?=[A-Z][a-z]|[^A-Za-z]|$)/);
+  if (acronym) return acronym[0].toLowerCase() + name.slice(acronym[0].length);
+  return name[0].toLowerCase() + name.slice(1);
+}
+
+function structName(param) {
+  // internalType is "struct BugtopiaCollectibles.BugDNAData" (or "...[]")
+  return param.internalType.replace(/^struct /, "").replace(/\[\d*\]$/, "").split(".").pop();
+}
+
+function integerType(prefix, bits) {
+  const width = [8, 16, 32, 64].find((size) => bits <= size);
+  if (width) return `${prefix}Int${width}`;
+  return prefix === "U" ? "UInt256" : "Int";
+}
+
+/**
+ * Swift type for an ABI parameter. uint256 uses the app's UInt256 alias;
+ * addresses and bytes are hex strings, as the operation bridge expects.
+ */
+function swiftType(param) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `[${swiftType({ ...param, type: array[1], internalType: param.internalType.replace(/\[\d*\]$/, "") })}]`;
+  }
+  if (param.type === "tuple") return structName(param);
+  if (param.type === "bool") return "Bool";
+  if (param.type === "string" || param.type === "address" || param.type.startsWith("bytes")) return "String";
+
+  const integer = param.type.match(/^(u?)int(\d*)$/);
+  if (integer) return integerType(integer[1] ? "U" : "", Number(integer[2] || 256));
+  throw new Error(`No Swift type for ABI type ${param.type}`);
+}
+
+/**
+ * Every struct used by a function's inputs or outputs, nested ones first
+ */
+function collectStructs(abi) {
+  const structs = new Map();
+  const visit = (param) => {
+    if (!param.type.startsWith("tuple")) return;
+    param.components.forEach(visit);
+    const name = structName(param);
+    if (!structs.has(name)) structs.set(name, param.components);
+  };
+  for (const fragment of abi) {
+    for (const param of [...(fragment.inputs || []), ...(fragment.outputs || [])]) visit(param);
+  }
+  return structs;
+}
+
+// ============= RENDERING =============
+
+/**
+ * Constants named after each fragment; overloads get their parameter types
+ * appended so every name stays unique
+ */
+function selectorConstants(fragments, name, value) {
+  const counts = {};
+  for (const fragment of fragments) counts[fragment.name] = (counts[fragment.name] || 0) + 1;
+
+  return fragments
+    .slice()
+    .sort((a, b) => (a.format("sighash") < b.format("sighash") ? -1 : 1))
+    .map((fragment) => {
+      const base = name(fragment.name);
+      const constant = counts[fragment.name] > 1
+        ? `${base}_${fragment.inputs.map((input) => input.type.replace(/[^A-Za-z0-9]/g, "")).join("_")}`
+        : base;
+      return [
+        `        /// ${fragment.format("sighash")}`,
+        `        static let ${identifier(constant)} = "${value(fragment)}"`
+      ].join("\n");
+    });
+}
+
+function renderGroup(title, typeName, constants) {
+  if (constants.length === 0) return [];
+  return ["", `    /// ${title}`, `    enum ${typeName} {`, constants.join("\n"), "    }"];
+}
+
+function renderStruct(name, components) {
+  return [
+    "",
+    `    struct ${name}: Codable, Equatable {`,
+    ...components.map((component) => `        var ${identifier(component.name)}: ${swiftType(component)}`),
+    "    }"
+  ];
+}
+
+function renderContract(name, abi) {
+  const iface = new ethers.Interface(abi);
+  const functions = [];
+  const events = [];
+  const errors = [];
+  iface.forEachFunction((fragment) => functions.push(fragment));
+  iface.forEachEvent((fragment) => events.push(fragment));
+  iface.forEachError((fragment) => errors.push(fragment));
+
+  return [
+    `/// ${name} ABI constants`,
+    `enum ${name} {`,
+    ...renderGroup("Function selectors", "Function", selectorConstants(functions, (n) => n, (f) => f.selector)),
+    ...renderGroup("Event topics (topic 0)", "Event", selectorConstants(events, lowerCamel, (f) => f.topicHash)),
+    ...renderGroup("Custom error selectors", "CustomError", selectorConstants(errors, lowerCamel, (f) => f.selector)),
+    ...[...collectStructs(abi)].flatMap(([struct, components]) => renderStruct(struct, components)),
+    "}"
+  ].join("\n");
+}
+
+/**
+ * Addresses deployed on a network: its deployment registry, else
+ * hardhat-deploy's files
+ * @param {Object} profile App network profile
+ * @param {string[]} contractNames Contracts to look up
+ * @param {Object} options
+ * @param {string} options.dir Registry directory (default deployments/)
+ * @param {string} options.network Registry to read instead of the profile's own
+ * @returns {Object<string, string>} Addresses by contract name
+ */
+function readNetworkAddresses(profile, contractNames, { dir = DEFAULT_REGISTRY_DIR, network = profile.name } = {}) {
+  const registry = readRegistry(network, { dir });
+  const addresses = {};
+  for (const name of contractNames) {
+    const entry = registry.contracts[name];
+    const hardhatDeployFile = path.join(dir, profile.name, `${name}.json`);
+    if (entry) {
+      addresses[name] = ethers.getAddress(entry.address);
+    } else if (fs.existsSync(hardhatDeployFile)) {
+      addresses[name] = ethers.getAddress(JSON.parse(fs.readFileSync(hardhatDeployFile, "utf8")).address);
+    }
+  }
+  return addresses;
+}
+
+/**
+ * App networks that are missing a deployed address, one line each
+ * @param {Object[]} profiles App network profiles
+ * @param {Object<string, Object>} addressesByNetwork Result of readNetworkAddresses per network
+ * @param {string[]} contractNames Contracts every network must have
+ * @param {Object} options
+ * @param {string} options.dir Registry directory (default deployments/)
+ * @param {Function} options.registryFor profile => { dir, network } passed to readNetworkAddresses, if not the default
+ * @returns {string[]}
+ */
+function missingAddresses(profiles, addressesByNetwork, contractNames, { dir = DEFAULT_REGISTRY_DIR, registryFor = () => ({}) } = {}) {
+  return profiles.flatMap((profile) => {
+    const found = addressesByNetwork[profile.name] || {};
+    const missing = contractNames.filter((name) => !found[name]);
+    if (missing.length === 0) return [];
+    const source = { dir, network: profile.name, ...registryFor(profile) };
+    const relative = path.relative(process.cwd(), source.dir) || ".";
+    return [
+      `${profile.app}: no ${missing.join(", ")} in ${path.join(relative, `${source.network}.json`)} ` +
+      `or ${path.join(relative, profile.name)}/`
+    ];
+  });
+}
+
+function renderAddresses(profiles, addressesByNetwork) {
+  const cases = profiles.map((profile) => {
+    const { BugtopiaL1: bugtopiaL1, BugtopiaCollectibles: collectibles } = addressesByNetwork[profile.name] || {};
+    if (!bugtopiaL1 || !collectibles) return `        case .${profile.app}: return nil`;
+    return [
+      `        case .${profile.app}:`,
+      "            return BlockchainManagerL1.ContractAddresses(",
+      `                bugtopiaL1: "${bugtopiaL1}",`,
+      `                collectibles: "${collectibles}",`,
+      "                governance: \"\"",
+      "            )"
+    ].join("\n");
+  });
+
+  return [
+    ADDRESSES_MARK,
+    "",
+    "extension BugtopiaNetwork {",
+    "    /// Contracts recorded in blockchain/deployments/ when this file was generated;",
+    "    /// nil only for networks generated with --undeployed",
+    "    var deployedContracts: BlockchainManagerL1.ContractAddresses? {",
+    "        switch self {",
+    ...cases,
+    "        }",
+    "    }",
+    "}"
+  ].join("\n");
+}
+
+/**
+ * Swift source for the contract bindings
+ * @param {Object} options
+ * @param {Object<string, Array>} options.abis ABIs by contract name
+ * @param {Object[]} options.profiles App network profiles (with "app" names)
+ * @param {Object<string, Object>} options.addresses Addresses by network, then contract
+ * @returns {string}
+ */
+function renderSwiftBindings({ abis, profiles, addresses }) {
+  return [
+    "//",
+    "//  BugtopiaContracts.swift",
+    "//  Bugtopia",
+    "//",
+    "//  Generated by `npx hardhat swift:bindings` from the compiled contracts and",
+    "//  blockchain/deployments/. Do not edit; change the contracts and regenerate.",
+    "//",
+    "",
+    "import Foundation",
+    "",
+    ...Object.entries(abis).flatMap(([name, abi]) => [renderContract(name, abi), ""]),
+    renderAddresses(profiles, addresses),
+    ""
+  ].join("\n");
+}
+
+/**
+ * The part of a generated file that depends only on the ABIs
+ */
+function abiSection(source) {
+  return source.split(ADDRESSES_MARK)[0];
+}
+
+module.exports = {
+  SWIFT_BINDINGS_PATH,
+  lowerCamel,
+  swiftType,
+  readNetworkAddresses,
+  missingAddresses,
+  renderSwiftBindings,
+  abiSection
+};
@@ -0,0 +1,433 @@
+/**
+ * Territory revenue distribution
+ *
+ * BugtopiaCollectibles.distributeRevenue pays whatever recipients and
+ * amounts the caller passes; the contract keeps no list of a territory's
+ * stakers. This module rebuilds each staker's stake over an epoch from
+ * TerritoryStaked / TerritoryUnstaked, shares the revenue by stake-seconds
+ * (BUG staked x seconds staked inside the epoch), sends the rounding dust to
+ * a chosen recipient and pays out in batches that fit a gas budget.
+ *
+ * Everything lands in a per-epoch report (JSON plus a Markdown explanation
+ * for territory owners) that is written before the first batch is sent and
+ * after every batch, so an interrupted run resumes without paying twice.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { translateError } = require("../sdk");
+const { planGasBatches, sentState, settleSentBatch } = require("./payout-batches");
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, "..", "deployments");
+
+class TerritoryRevenueError extends Error {
+  /**
+   * @param {string} message Summary
+   * @param {string[]} issues One line per problem found
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n  ${issues.join("\n  ")}` : message);
+    this.name = "TerritoryRevenueError";
+    this.issues = issues;
+  }
+}
+
+// ============= STAKE HISTORY =============
+
+/**
+ * Stake changes for a territory up to a block, oldest first
+ * @param {ethers.Contract} collectibles BugtopiaCollectibles
+ * @param {bigint|number} tokenId Territory token ID
+ * @param {Object} options
+ * @param {number} options.toBlock Last block to include
+ * @param {number} options.scanFrom First block to scan (the Collectibles deploy block)
+ * @returns {Promise<Array<{staker: string, delta: bigint, blockNumber: number, logIndex: number,
+ *   timestamp: number, transactionHash: string}>>}
+ */
+async function readStakeEvents(collectibles, tokenId, { toBlock, scanFrom = 0 }) {
+  const logs = [
+    ...(await collectibles.queryFilter(collectibles.filters.TerritoryStaked(null, tokenId), scanFrom, toBlock)),
+    ...(await collectibles.queryFilter(collectibles.filters.TerritoryUnstaked(null, tokenId), scanFrom, toBlock))
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const timestamps = new Map();
+  const events = [];
+  for (const log of logs) {
+    if (!timestamps.has(log.blockNumber)) {
+      timestamps.set(log.blockNumber, (await log.getBlock()).timestamp);
+    }
+    events.push({
+      staker: log.args.staker,
+      delta: log.fragment.name === "TerritoryStaked" ? log.args.amount : -log.args.amount,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      timestamp: timestamps.get(log.blockNumber),
+      transactionHash: log.transactionHash
+    });
+  }
+  return events;
+}
+
+/**
+ * Time-weight each staker's stake over an epoch. Changes in blocks up to
+ * and including fromBlock make up the opening stake; later ones count from
+ * their block's timestamp until endTime.
+ * @param {Array<Object>} events Output of readStakeEvents()
+ * @param {Object} epoch
+ * @param {number} epoch.fromBlock Epoch start block
+ * @param {number} epoch.startTime Timestamp of fromBlock
+ * @param {number} epoch.endTime Timestamp of the epoch end block
+ * @returns {{stakers: Array<Object>, totalStakeSeconds: bigint}} Stakers sorted by address
+ */
+function computeStakeShares(events, { fromBlock, startTime, endTime }) {
+  const byStaker = new Map();
+  const issues = [];
+
+  for (const event of events) {
+    const key = event.staker.toLowerCase();
+    if (!byStaker.has(key)) {
+      byStaker.set(key, { address: event.staker, openingStake: 0n, stake: 0n, since: startTime, stakeSeconds: 0n, changes: [] });
+    }
+    const entry = byStaker.get(key);
+
+    if (event.blockNumber > fromBlock) {
+      entry.stakeSeconds += entry.stake * BigInt(event.timestamp - entry.since);
+      entry.since = event.timestamp;
+    }
+    entry.stake += event.delta;
+    if (entry.stake < 0n) {
+      issues.push(`${event.staker} unstakes more than it staked in block ${event.blockNumber}`);
+    }
+    if (event.blockNumber <= fromBlock) {
+      entry.openingStake = entry.stake;
+    } else {
+      entry.changes.push({
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp,
+        delta: event.delta,
+        stakeAfter: entry.stake,
+        transactionHash: event.transactionHash
+      });
+    }
+  }
+  if (issues.length > 0) throw new TerritoryRevenueError("Stake history is inconsistent", issues);
+
+  const stakers = [];
+  let totalStakeSeconds = 0n;
+  for (const entry of byStaker.values()) {
+    entry.stakeSeconds += entry.stake * BigInt(endTime - entry.since);
+    // Stakers who left before the epoch have nothing to report
+    if (entry.openingStake === 0n && entry.changes.length === 0) continue;
+
+    stakers.push({
+      address: entry.address,
+      openingStake: entry.openingStake,
+      closingStake: entry.stake,
+      stakeSeconds: entry.stakeSeconds,
+      changes: entry.changes
+    });
+    totalStakeSeconds += entry.stakeSeconds;
+  }
+  stakers.sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+  return { stakers, totalStakeSeconds };
+}
+
+/**
+ * Split revenue by stake-seconds, rounding down; the remainder is the dust
+ * @param {Array<Object>} stakers Output of computeStakeShares()
+ * @param {bigint} totalStakeSeconds
+ * @param {bigint} amount Revenue in wei
+ * @param {string} dustRecipient Address receiving the rounding remainder
+ * @returns {{shares: Array<{address: string, payout: bigint}>, dust: bigint,
+ *   payouts: Array<{recipient: string, amount: bigint}>}} payouts merges the
+ *   dust in and drops zero amounts; it is what gets sent
+ */
+function allocateRevenue(stakers, totalStakeSeconds, amount, dustRecipient) {
+  if (totalStakeSeconds === 0n) {
+    throw new TerritoryRevenueError("Nobody had BUG staked on the territory during the epoch; there is no one to pay");
+  }
+
+  const shares = stakers.map(({ address, stakeSeconds }) => ({ address, payout: (amount * stakeSeconds) / totalStakeSeconds }));
+  const dust = amount - shares.reduce((sum, { payout }) => sum + payout, 0n);
+
+  const payouts = shares.map(({ address, payout }) => ({ recipient: address, amount: payout }));
+  if (dust > 0n) {
+    const existing = payouts.find(({ recipient }) => recipient.toLowerCase() === dustRecipient.toLowerCase());
+    if (existing) existing.amount += dust;
+    else payouts.push({ recipient: ethers.getAddress(dustRecipient), amount: dust });
+  }
+  return { shares, dust, payouts: payouts.filter(({ amount: payout }) => payout > 0n) };
+}
+
+/**
+ * Compare the rebuilt closing stakes with the contract at the epoch end
+ * @throws {TerritoryRevenueError} When events are missing from the history
+ */
+async function verifyClosingStakes(collectibles, tokenId, stakers, toBlock) {
+  const issues = [];
+  let total = 0n;
+  for (const { address, closingStake } of stakers) {
+    const onChain = await collectibles.territoryStakes(tokenId, address, { blockTag: toBlock });
+    if (onChain !== closingStake) issues.push(`${address}: events give ${closingStake} wei, the contract has ${onChain}`);
+    total += closingStake;
+  }
+  const onChainTotal = await collectibles.totalTerritoryStakes(tokenId, { blockTag: toBlock });
+  if (onChainTotal !== total) issues.push(`Total: events give ${total} wei, the contract has ${onChainTotal}`);
+  if (issues.length > 0) {
+    throw new TerritoryRevenueError(`Stakes rebuilt for territory ${tokenId} do not match block ${toBlock}`, issues);
+  }
+}
+
+// ============= REPORTS =============
+
+function revenueReportPath(network, tokenId, epoch, dir = DEFAULT_REPORT_DIR) {
+  return path.join(dir, `territory-revenue-${network}`, `territory-${tokenId}-${epoch}.json`);
+}
+
+// Report amounts are decimal strings so the JSON survives any reader
+function serialize(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+}
+
+function readRevenueReport(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function writeRevenueReport(report, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  report.updatedAt = new Date().toISOString();
+  for (const [target, contents] of [[file, JSON.stringify(report, null, 2)], [file.replace(/\.json$/, ".md"), formatRevenueReport(report)]]) {
+    fs.writeFileSync(`${target}.tmp`, contents);
+    fs.renameSync(`${target}.tmp`, target);
+  }
+  return file;
+}
+
+/**
+ * Rebuild stakes, verify them against the contract and allocate the revenue
+ * @param {Object} client Client from createBugtopiaClient
+ * @param {Object} options
+ * @param {string} options.epoch Epoch name, e.g. "2026-w42"
+ * @param {bigint|number} options.tokenId Territory token ID
+ * @param {bigint} options.amount Revenue in wei
+ * @param {number} options.fromBlock Epoch start block
+ * @param {number} options.toBlock Epoch end block
+ * @param {string} options.dustRecipient Address receiving the rounding remainder
+ * @param {number} options.scanFrom First block to scan for stake events
+ * @returns {Promise<Object>} Report with no batches yet
+ */
+async function buildRevenueReport(client, { epoch, tokenId, amount, fromBlock, toBlock, dustRecipient, scanFrom = 0 }) {
+  if (!/^[\w.-]+$/.test(epoch)) {
+    throw new TerritoryRevenueError(`Epoch names may only use letters, digits, ".", "_" and "-" (got "${epoch}")`);
+  }
+  if (!(fromBlock < toBlock)) {
+    throw new TerritoryRevenueError(`The epoch must end after it starts (blocks ${fromBlock} to ${toBlock})`);
+  }
+  const collectibles = client.collectibles;
+  const { provider } = collectibles.runner;
+  const startTime = (await provider.getBlock(fromBlock)).timestamp;
+  const endTime = (await provider.getBlock(toBlock)).timestamp;
+
+  const events = await readStakeEvents(collectibles, tokenId, { toBlock, scanFrom });
+  const { stakers, totalStakeSeconds } = computeStakeShares(events, { fromBlock, startTime, endTime });
+  await verifyClosingStakes(collectibles, tokenId, stakers, toBlock);
+  const { shares, dust, payouts } = allocateRevenue(stakers, totalStakeSeconds, amount, dustRecipient);
+
+  return serialize({
+    epoch,
+    chainId: Number((await provider.getNetwork()).chainId),
+    collectibles: ethers.getAddress(collectibles.target),
+    tokenId: BigInt(tokenId),
+    fromBlock,
+    toBlock,
+    startTime,
+    endTime,
+    amount,
+    dustRecipient: ethers.getAddress(dustRecipient),
+    dust,
+    totalStakeSeconds,
+    stakers: stakers.map((staker, i) => ({ ...staker, payout: shares[i].payout })),
+    payouts,
+    batches: [],
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Refuse to resume a report with different inputs
+ */
+function assertSameEpoch(existing, report) {
+  const keys = ["chainId", "collectibles", "tokenId", "fromBlock", "toBlock", "amount", "dustRecipient"];
+  const changed = keys.filter((key) => String(existing[key]) !== String(report[key]));
+  if (changed.length > 0) {
+    throw new TerritoryRevenueError(
+      `Epoch "${existing.epoch}" was already planned with different inputs; use a new epoch name`,
+      changed.map((key) => `${key}: ${existing[key]} (report) vs ${report[key]} (now)`)
+    );
+  }
+}
+
+// ============= PAYOUT =============
+
+async function estimateBatch(client, tokenId, payouts) {
+  const recipients = payouts.map(({ recipient }) => recipient);
+  const amounts = payouts.map(({ amount }) => BigInt(amount));
+  try {
+    const { contract, method, args, value } = await client.prepare("distributeRevenue", { tokenId, recipients, amounts });
+    return await contract[method].estimateGas(...args, { value });
+  } catch (error) {
+    throw translateError(error);
+  }
+}
+
+/**
+ * Split payouts into batches whose gas estimate stays under the budget
+ * @returns {Promise<Array<{recipients: string[], amounts: string[], total: string, gasEstimate: string,
+ *   status: string}>>}
+ */
+async function planRevenueBatches(client, tokenId, payouts, { gasBudget }) {
+  const batches = await planGasBatches(payouts, (batch) => estimateBatch(client, tokenId, batch), {
+    gasBudget,
+    describe: ({ recipient }) => recipient
+  });
+  return batches.map(({ items, gasEstimate }) => serialize({
+    recipients: items.map(({ recipient }) => recipient),
+    amounts: items.map(({ amount }) => BigInt(amount)),
+    total: items.reduce((sum, { amount }) => sum + BigInt(amount), 0n),
+    gasEstimate,
+    status: "planned"
+  }));
+}
+
+/**
+ * Send every batch that is not confirmed yet, each with exactly its total as
+ * msg.value (distributeRevenue would otherwise pay out of staked BUG)
+ * @param {Object} client Client from createBugtopiaClient (with an authorized minter signer)
+ * @param {Object} report Report with planned batches; updated in place
+ * @param {Object} options
+ * @param {Function} options.onBatch Called with the report after each state change
+ * @returns {Promise<Object>} The report
+ */
+async function distributeRevenueBatches(client, report, { confirmations = 1, onBatch = () => {} } = {}) {
+  const provider = client.runner.provider;
+  for (const [index, batch] of report.batches.entries()) {
+    if (batch.status === "confirmed") continue;
+    if (batch.status === "sent" && await settleSentBatch(provider, batch, `Batch ${index + 1}`)) {
+      onBatch(report);
+      continue;
+    }
+
+    const amounts = batch.amounts.map(BigInt);
+    const value = BigInt(batch.total);
+    let tx;
+    try {
+      const { contract, method, args } = await client.prepare("distributeRevenue", {
+        tokenId: BigInt(report.tokenId),
+        recipients: batch.recipients,
+        amounts
+      });
+      tx = await contract[method](...args, { value });
+    } catch (error) {
+      throw translateError(error);
+    }
+    // Recorded before waiting, so a crash here cannot lead to paying twice
+    Object.assign(batch, await sentState(provider, tx));
+    onBatch(report);
+
+    const receipt = await tx.wait(confirmations);
+    const { events } = client.summarize("distributeRevenue", receipt);
+    const distributed = events.find(({ name }) => name === "RevenueDistributed");
+    if (!distributed || distributed.args.totalAmount !== value || distributed.args.stakeholderCount !== BigInt(batch.recipients.length)) {
+      throw new TerritoryRevenueError(`Batch ${index + 1} (${tx.hash}) did not emit the expected RevenueDistributed event`);
+    }
+    Object.assign(batch, { status: "confirmed", blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+    onBatch(report);
+  }
+  return report;
+}
+
+// ============= FORMATTING =============
+
+function formatPercent(part, total) {
+  const millionths = (BigInt(part) * 1000000n) / BigInt(total);
+  return `${millionths / 10000n}.${String(millionths % 10000n).padStart(4, "0")}%`;
+}
+
+function formatBug(wei) {
+  return `${ethers.formatEther(wei)} BUG`;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+/**
+ * Markdown explanation of one epoch's payout, for territory owners
+ */
+function formatRevenueReport(report) {
+  const lines = [
+    `# Territory #${report.tokenId} revenue, epoch ${report.epoch}`,
+    "",
+    `- BugtopiaCollectibles ${report.collectibles} on chain ${report.chainId}`,
+    `- Epoch: blocks ${report.fromBlock} to ${report.toBlock}, ${formatTime(report.startTime)} to ${formatTime(report.endTime)} ` +
+      `(${report.endTime - report.startTime} seconds)`,
+    `- Revenue: ${formatBug(report.amount)}`,
+    `- Rounding dust: ${report.dust} wei to ${report.dustRecipient}`,
+    "",
+    "Each staker's share is their stake-seconds (BUG staked multiplied by the seconds it stayed staked during the " +
+      "epoch) divided by the total stake-seconds of all stakers. Payouts are rounded down to the wei and the " +
+      "remainder goes to the dust recipient.",
+    "",
+    "| Staker | Stake at start | Stake at end | Stake-seconds (BUG·s) | Share | Payout |",
+    "| --- | ---: | ---: | ---: | ---: | ---: |",
+    ...report.stakers.map((staker) => `| ${staker.address} | ${formatBug(staker.openingStake)} | ${formatBug(staker.closingStake)} | ` +
+      `${ethers.formatEther(staker.stakeSeconds)} | ${formatPercent(staker.stakeSeconds, report.totalStakeSeconds)} | ` +
+      `${formatBug(staker.payout)} |`),
+    `| **Total** | | | ${ethers.formatEther(report.totalStakeSeconds)} | 100.0000% | ${formatBug(BigInt(report.amount) - BigInt(report.dust))} |`
+  ];
+
+  const changes = report.stakers
+    .flatMap((staker) => staker.changes.map((change) => ({ ...change, address: staker.address })))
+    .sort((a, b) => a.blockNumber - b.blockNumber);
+  if (changes.length > 0) {
+    lines.push(
+      "",
+      "## Stake changes during the epoch",
+      "",
+      "| Block | Time | Staker | Change | Stake after |",
+      "| ---: | --- | --- | ---: | ---: |",
+      ...changes.map((change) => `| ${change.blockNumber} | ${formatTime(change.timestamp)} | ${change.address} | ` +
+        `${BigInt(change.delta) > 0n ? "+" : ""}${formatBug(change.delta)} | ${formatBug(change.stakeAfter)} |`)
+    );
+  }
+
+  if (report.batches.length > 0) {
+    lines.push(
+      "",
+      "## Payout batches",
+      "",
+      "| # | Recipients | Total | Status | Transaction |",
+      "| ---: | ---: | ---: | --- | --- |",
+      ...report.batches.map((batch, i) => `| ${i + 1} | ${batch.recipients.length} | ${formatBug(batch.total)} | ` +
+        `${batch.status} | ${batch.transactionHash || ""} |`)
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  TerritoryRevenueError,
+  readStakeEvents,
+  computeStakeShares,
+  allocateRevenue,
+  verifyClosingStakes,
+  revenueReportPath,
+  readRevenueReport,
+  writeRevenueReport,
+  buildRevenueReport,
+  assertSameEpoch,
+  planRevenueBatches,
+  distributeRevenueBatches,
+  formatRevenueReport
+};
@@ -0,0 +1,519 @@
+/**
+ * Tokenomics simulator
+ *
+ * Runs a stream of utility actions (breeding, arena_entry, neural_boost, ...)
+ * through a pure model of BugtopiaL1.payUtilityFee, or replays the same
+ * stream against a deployed contract, and summarises cumulative burn,
+ * treasury growth, staking pool size and per-actor spend.
+ *
+ * Action shape: { actor, utilityType, value?, day? } for fee payments,
+ * { actor, action: "burn", amount, day? } for burnBug and
+ * { actor, action: "deposit", amount, day? } for direct pool deposits.
+ * Amounts are wei (bigint or decimal string); value defaults to the fee.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { BASIS_POINTS } = require("./bugtopia-constants");
+const { readEconomy } = require("./economy");
+
+const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+const BPS = BigInt(BASIS_POINTS);
+
+// ============= ACTION STREAMS =============
+
+function toWei(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  return typeof value === "bigint" ? value : BigInt(value);
+}
+
+/**
+ * Normalise raw actions (from JSON, CSV or a generator)
+ * @param {Array<Object>} actions Raw actions
+ * @returns {Array<Object>} Actions with bigint amounts and a numeric day
+ */
+function normalizeActions(actions) {
+  return actions.map((raw, index) => {
+    const action = raw.action || "utility";
+    if (!raw.actor) {
+      throw new Error(`Action ${index} has no actor`);
+    }
+    if (action === "utility") {
+      if (!raw.utilityType) throw new Error(`Action ${index} has no utilityType`);
+      return { index, actor: String(raw.actor), action, utilityType: raw.utilityType, value: toWei(raw.value), day: Number(raw.day || 0) };
+    }
+    if (action === "burn" || action === "deposit") {
+      const amount = toWei(raw.amount);
+      if (amount === undefined) throw new Error(`Action ${index} (${action}) has no amount`);
+      return { index, actor: String(raw.actor), action, amount, reason: raw.reason || "simulation", day: Number(raw.day || 0) };
+    }
+    throw new Error(`Action ${index} has unknown action "${action}"`);
+  });
+}
+
+/**
+ * Parse a recorded stream: a JSON array, {"actions": [...]}, JSON lines or
+ * CSV with a header row (actor,utilityType,value,day or action,amount)
+ * @param {string} text File contents
+ * @param {string} format "json", "jsonl" or "csv"
+ */
+function parseActionStream(text, format) {
+  if (format === "csv") {
+    const [header, ...lines] = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+    const columns = header.split(",").map((column) => column.trim());
+    return normalizeActions(lines.map((line) => {
+      const cells = line.split(",").map((cell) => cell.trim());
+      return Object.fromEntries(columns.map((column, i) => [column, cells[i] === "" ? undefined : cells[i]]));
+    }));
+  }
+  if (format === "jsonl") {
+    return normalizeActions(text.split(/\r?\n/).filter((line) => line.trim() !== "").map((line) => JSON.parse(line)));
+  }
+  const parsed = JSON.parse(text);
+  return normalizeActions(Array.isArray(parsed) ? parsed : parsed.actions);
+}
+
+function loadActionStream(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const format = extension === "csv" ? "csv" : extension === "jsonl" ? "jsonl" : "json";
+  return parseActionStream(fs.readFileSync(filePath, "utf8"), format);
+}
+
+/**
+ * Generate a deterministic scripted stream
+ * @param {Object} scenario
+ * @param {number} scenario.seed PRNG seed
+ * @param {number} scenario.days Days to simulate
+ * @param {string[]} scenario.actors Actor names
+ * @param {Object<string, number>} scenario.dailyActions Average actions per day by utility type
+ * @param {number} scenario.overpayRate Fraction of payments that overpay (exercises refunds)
+ */
+function generateActivity({ seed = 1, days = 30, actors, dailyActions, overpayRate = 0 }) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const actions = [];
+  for (let day = 0; day < days; day++) {
+    for (const [utilityType, average] of Object.entries(dailyActions)) {
+      const count = Math.floor(random() * (average * 2 + 1));
+      for (let i = 0; i < count; i++) {
+        const actor = actors[Math.floor(random() * actors.length)];
+        const overpay = random() < overpayRate;
+        actions.push({ actor, utilityType, day, overpayBasisPoints: overpay ? 10000 + Math.floor(random() * 10000) : undefined });
+      }
+    }
+  }
+  return actions.map((action) => {
+    const { overpayBasisPoints, ...rest } = action;
+    return overpayBasisPoints ? { ...rest, overpayBasisPoints } : rest;
+  });
+}
+
+// Default scenario: the six utility types the contract prices, weighted the
+// way the simulation spends them
+const DEFAULT_SCENARIO = {
+  seed: 68420,
+  days: 30,
+  actors: ["alice", "bob", "carol", "dave", "erin"],
+  dailyActions: {
+    breeding: 6,
+    neural_boost: 4,
+    arena_entry: 5,
+    mutation_catalyst: 2,
+    artifact_crafting: 1,
+    governance_proposal: 0.2
+  },
+  overpayRate: 0.05
+};
+
+/**
+ * Resolve overpayBasisPoints against the fees in a snapshot so the stream
+ * carries explicit values before it is run either way
+ */
+function resolveValues(actions, fees) {
+  return normalizeActions(actions.map((action) => {
+    if (action.overpayBasisPoints === undefined) return action;
+    const fee = fees[action.utilityType] || 0n;
+    const { overpayBasisPoints, ...rest } = action;
+    return { ...rest, value: (fee * BigInt(overpayBasisPoints)) / BPS };
+  }));
+}
+
+// ============= PURE MODEL =============
+
+class ModelRevert extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "ModelRevert";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Build model state from an economy snapshot (utils/economy readEconomy)
+ * @param {Object} economy Snapshot
+ * @param {bigint} balance Contract balance
+ */
+function createModelState(economy, balance) {
+  return {
+    treasury: economy.treasury,
+    treasuryRatio: economy.treasuryRatio,
+    totalBugBurned: economy.totalBugBurned,
+    stakingRewardsPool: economy.stakingRewardsPool,
+    fees: { ...economy.fees },
+    burnRates: { ...economy.burnRates },
+    balance
+  };
+}
+
+function modelBurn(state, amount) {
+  if (state.balance < amount) throw new ModelRevert("burn transfer failed");
+  state.balance -= amount;
+  state.totalBugBurned += amount;
+}
+
+/**
+ * Mirror of BugtopiaL1.payUtilityFee. Distributions are computed on
+ * msg.value and the refund of any excess is paid from the contract balance.
+ * Mutates state; throws ModelRevert where the contract would revert.
+ * @returns {{fee: bigint, burn: bigint, treasury: bigint, staking: bigint, refund: bigint}}
+ */
+function modelPayUtilityFee(state, utilityType, value) {
+  const requiredFee = state.fees[utilityType] || 0n;
+  if (value < requiredFee) throw new ModelRevert("Insufficient fee payment");
+
+  const next = { ...state };
+  next.balance += value;
+
+  const burn = (value * (state.burnRates[utilityType] || 0n)) / BPS;
+  const treasury = (value * state.treasuryRatio) / BPS;
+  const staking = value - burn - treasury;
+
+  if (burn > 0n) modelBurn(next, burn);
+  if (treasury > 0n) {
+    if (next.balance < treasury) throw new ModelRevert("treasury transfer failed");
+    next.balance -= treasury;
+  }
+  if (staking > 0n) next.stakingRewardsPool += staking;
+
+  const refund = value > requiredFee ? value - requiredFee : 0n;
+  if (refund > 0n) {
+    if (next.balance < refund) throw new ModelRevert("refund transfer failed");
+    next.balance -= refund;
+  }
+
+  Object.assign(state, next);
+  return { fee: requiredFee, burn, treasury, staking, refund };
+}
+
+/**
+ * Mirror of BugtopiaL1.burnBug (msg.value == amount)
+ */
+function modelBurnBug(state, amount) {
+  const next = { ...state, balance: state.balance + amount };
+  modelBurn(next, amount);
+  Object.assign(state, next);
+  return { fee: 0n, burn: amount, treasury: 0n, staking: 0n, refund: 0n };
+}
+
+/**
+ * Mirror of BugtopiaL1.receive()
+ */
+function modelDeposit(state, amount) {
+  state.balance += amount;
+  state.stakingRewardsPool += amount;
+  return { fee: 0n, burn: 0n, treasury: 0n, staking: amount, refund: 0n };
+}
+
+// ============= REPORTING =============
+
+function createReport(mode, initial) {
+  return {
+    mode,
+    initial: { ...initial },
+    steps: [],
+    timeline: [],
+    actors: {},
+    totals: { actions: 0, reverted: 0, spent: 0n, burned: 0n, treasury: 0n, staking: 0n, refunded: 0n }
+  };
+}
+
+function recordStep(report, action, outcome, state) {
+  const actor = report.actors[action.actor] || (report.actors[action.actor] = {
+    actions: 0, reverted: 0, paid: 0n, refunded: 0n, spent: 0n, byType: {}
+  });
+  actor.actions++;
+  report.totals.actions++;
+
+  const label = action.action === "utility" ? action.utilityType : action.action;
+  const step = { index: action.index, day: action.day, actor: action.actor, action: label };
+
+  if (outcome.reverted) {
+    actor.reverted++;
+    report.totals.reverted++;
+    report.steps.push({ ...step, reverted: true, reason: outcome.reason });
+  } else {
+    const paid = action.action === "utility" ? (action.value === undefined ? outcome.fee : action.value) : action.amount;
+    const spent = paid - outcome.refund;
+    actor.paid += paid;
+    actor.refunded += outcome.refund;
+    actor.spent += spent;
+    actor.byType[label] = (actor.byType[label] || 0n) + spent;
+
+    report.totals.spent += spent;
+    report.totals.burned += outcome.burn;
+    report.totals.treasury += outcome.treasury;
+    report.totals.staking += outcome.staking;
+    report.totals.refunded += outcome.refund;
+    report.steps.push({ ...step, reverted: false, paid, ...outcome });
+  }
+
+  const last = report.timeline[report.timeline.length - 1];
+  const point = {
+    day: action.day,
+    totalBugBurned: state.totalBugBurned,
+    treasuryReceived: report.totals.treasury,
+    stakingRewardsPool: state.stakingRewardsPool,
+    contractBalance: state.balance
+  };
+  if (last && last.day === action.day) {
+    Object.assign(last, point);
+  } else {
+    report.timeline.push(point);
+  }
+}
+
+function finishReport(report, state) {
+  report.final = {
+    totalBugBurned: state.totalBugBurned,
+    stakingRewardsPool: state.stakingRewardsPool,
+    contractBalance: state.balance
+  };
+  return report;
+}
+
+/**
+ * Run a stream through the pure model
+ * @param {Array<Object>} actions Normalised actions with explicit values
+ * @param {Object} initial Model state from createModelState()
+ */
+function runModel(actions, initial) {
+  const state = { ...initial, fees: { ...initial.fees }, burnRates: { ...initial.burnRates } };
+  const report = createReport("model", { totalBugBurned: state.totalBugBurned, stakingRewardsPool: state.stakingRewardsPool, contractBalance: state.balance });
+
+  for (const action of actions) {
+    let outcome;
+    try {
+      if (action.action === "utility") {
+        const value = action.value === undefined ? state.fees[action.utilityType] || 0n : action.value;
+        outcome = modelPayUtilityFee(state, action.utilityType, value);
+      } else if (action.action === "burn") {
+        outcome = modelBurnBug(state, action.amount);
+      } else {
+        outcome = modelDeposit(state, action.amount);
+      }
+    } catch (error) {
+      if (!(error instanceof ModelRevert)) throw error;
+      outcome = { reverted: true, reason: error.reason };
+    }
+    recordStep(report, action, outcome, state);
+  }
+
+  return finishReport(report, state);
+}
+
+// ============= ON-CHAIN REPLAY =============
+
+/**
+ * Deterministic address for a named actor
+ */
+function actorAddress(actor) {
+  return ethers.getAddress(ethers.dataSlice(ethers.id(`bugtopia-actor:${actor}`), 12));
+}
+
+function revertReason(error) {
+  return (error.shortMessage || error.message || "").replace(/^.*reverted with reason string '(.*)'.*$/s, "$1");
+}
+
+/**
+ * Replay a stream against BugtopiaL1 on a hardhat network (in-process or a
+ * fork). Actors are impersonated at deterministic addresses and funded with
+ * hardhat_setBalance, so gas never limits what an actor can do.
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} bugtopiaL1 Contract instance
+ * @param {Array<Object>} actions Normalised actions with explicit values
+ */
+async function replayActivity(hre, bugtopiaL1, actions) {
+  const { ethers: hreEthers, network } = hre;
+  const contractAddress = await bugtopiaL1.getAddress();
+  const types = [...new Set(actions.filter((a) => a.action === "utility").map((a) => a.utilityType))];
+
+  const economy = await readEconomy(bugtopiaL1, types);
+  const state = createModelState(economy, await hreEthers.provider.getBalance(contractAddress));
+  const report = createReport("replay", { totalBugBurned: state.totalBugBurned, stakingRewardsPool: state.stakingRewardsPool, contractBalance: state.balance });
+
+  const signers = {};
+  for (const actor of new Set(actions.map((action) => action.actor))) {
+    const address = actorAddress(actor);
+    await network.provider.send("hardhat_impersonateAccount", [address]);
+    await network.provider.send("hardhat_setBalance", [address, ethers.toQuantity(ethers.parseEther("1000000"))]);
+    signers[actor] = await hreEthers.getSigner(address);
+  }
+
+  for (const action of actions) {
+    const contract = bugtopiaL1.connect(signers[action.actor]);
+    const treasuryBefore = await hreEthers.provider.getBalance(state.treasury);
+    const burnedBefore = state.totalBugBurned;
+    const poolBefore = state.stakingRewardsPool;
+
+    let outcome;
+    try {
+      let receipt;
+      let fee = 0n;
+      let refund = 0n;
+      if (action.action === "utility") {
+        fee = await contract.getUtilityFee(action.utilityType);
+        const value = action.value === undefined ? fee : action.value;
+        receipt = await (await contract.payUtilityFee(action.utilityType, { value })).wait();
+        refund = value > fee ? value - fee : 0n;
+      } else if (action.action === "burn") {
+        receipt = await (await contract.burnBug(action.amount, action.reason, { value: action.amount })).wait();
+      } else {
+        receipt = await (await signers[action.actor].sendTransaction({ to: contractAddress, value: action.amount })).wait();
+      }
+
+      const [totalBurned, rewardsPool] = await contract.getEconomicState();
+      state.totalBugBurned = totalBurned;
+      state.stakingRewardsPool = rewardsPool;
+      state.balance = await hreEthers.provider.getBalance(contractAddress);
+
+      const treasuryAfter = await hreEthers.provider.getBalance(state.treasury);
+      outcome = {
+        fee,
+        burn: totalBurned - burnedBefore,
+        treasury: treasuryAfter - treasuryBefore,
+        staking: rewardsPool - poolBefore,
+        refund,
+        txHash: receipt.hash
+      };
+    } catch (error) {
+      outcome = { reverted: true, reason: revertReason(error) };
+    }
+    recordStep(report, action, outcome, state);
+  }
+
+  for (const actor of Object.keys(signers)) {
+    await network.provider.send("hardhat_stopImpersonatingAccount", [actorAddress(actor)]);
+  }
+  return finishReport(report, state);
+}
+
+// ============= OUTPUT =============
+
+function stringifyBigInts(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function timelineCsv(report) {
+  const header = "day,total_bug_burned,treasury_received,staking_rewards_pool,contract_balance";
+  const rows = report.timeline.map((point) => [
+    point.day,
+    ethers.formatEther(point.totalBugBurned),
+    ethers.formatEther(point.treasuryReceived),
+    ethers.formatEther(point.stakingRewardsPool),
+    ethers.formatEther(point.contractBalance)
+  ].join(","));
+  return [header, ...rows].join("\n") + "\n";
+}
+
+function actorsCsv(report) {
+  const header = "actor,actions,reverted,paid,refunded,spent";
+  const rows = Object.entries(report.actors)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([actor, stats]) => [
+      actor,
+      stats.actions,
+      stats.reverted,
+      ethers.formatEther(stats.paid),
+      ethers.formatEther(stats.refunded),
+      ethers.formatEther(stats.spent)
+    ].join(","));
+  return [header, ...rows].join("\n") + "\n";
+}
+
+/**
+ * Write <base>.json, <base>-timeline.csv and <base>-actors.csv
+ * @returns {string[]} Files written
+ */
+function writeReport(report, basePath) {
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  const files = {
+    [`${basePath}.json`]: JSON.stringify(stringifyBigInts(report), null, 2),
+    [`${basePath}-timeline.csv`]: timelineCsv(report),
+    [`${basePath}-actors.csv`]: actorsCsv(report)
+  };
+  for (const [file, contents] of Object.entries(files)) {
+    fs.writeFileSync(file, contents);
+  }
+  return Object.keys(files);
+}
+
+/**
+ * List where two reports disagree (step outcomes, final state, actor spend)
+ * @returns {string[]} Human-readable differences (empty when they agree)
+ */
+function compareReports(model, replay) {
+  const differences = [];
+  const fields = ["reverted", "fee", "burn", "treasury", "staking", "refund"];
+
+  model.steps.forEach((step, i) => {
+    const other = replay.steps[i];
+    for (const field of fields) {
+      if (other === undefined || step[field] !== other[field]) {
+        differences.push(`step ${step.index} (${step.action}) ${field}: model ${step[field]} vs replay ${other && other[field]}`);
+      }
+    }
+  });
+  for (const field of Object.keys(model.final)) {
+    if (model.final[field] !== replay.final[field]) {
+      differences.push(`final ${field}: model ${model.final[field]} vs replay ${replay.final[field]}`);
+    }
+  }
+  for (const [actor, stats] of Object.entries(model.actors)) {
+    const other = replay.actors[actor] || {};
+    if (stats.spent !== other.spent) {
+      differences.push(`actor ${actor} spent: model ${stats.spent} vs replay ${other.spent}`);
+    }
+  }
+  return differences;
+}
+
+module.exports = {
+  DEAD_ADDRESS,
+  DEFAULT_SCENARIO,
+  ModelRevert,
+  normalizeActions,
+  parseActionStream,
+  loadActionStream,
+  generateActivity,
+  resolveValues,
+  createModelState,
+  modelPayUtilityFee,
+  modelBurnBug,
+  modelDeposit,
+  runModel,
+  actorAddress,
+  replayActivity,
+  stringifyBigInts,
+  timelineCsv,
+  actorsCsv,
+  writeReport,
+  compareReports
+};
@@ -0,0 +1,140 @@
+/**
+ * Proxy upgrades
+ *
+ * BugtopiaL1 and BugtopiaCollectibles can be deployed behind UUPS proxies
+ * (DEPLOY_PROXY=true). `npx hardhat upgrade` swaps the implementation; this
+ * module holds the parts that do not need hre: the state an upgrade must
+ * leave untouched, the comparison run after it, and the implementation
+ * history kept on the registry entry.
+ *
+ * Storage layouts are validated by @openzeppelin/hardhat-upgrades against
+ * what it recorded for the current implementation in .openzeppelin/; commit
+ * those files for live networks.
+ */
+
+const { ethers } = require("ethers");
+const { CATEGORIES, UTILITY_TYPES } = require("./bugtopia-constants");
+
+const UPGRADEABLE_CONTRACTS = ["BugtopiaL1", "BugtopiaCollectibles"];
+
+class UpgradeError extends Error {
+  /**
+   * @param {string} message Summary
+   * @param {string[]} issues One line per problem found
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n  ${issues.join("\n  ")}` : message);
+    this.name = "UpgradeError";
+    this.issues = issues;
+  }
+}
+
+// ============= STATE SNAPSHOTS =============
+
+async function readBugtopiaL1(bugtopiaL1) {
+  const state = {
+    owner: await bugtopiaL1.owner(),
+    paused: await bugtopiaL1.paused(),
+    treasury: await bugtopiaL1.treasury(),
+    totalBugBurned: await bugtopiaL1.totalBugBurned(),
+    stakingRewardsPool: await bugtopiaL1.stakingRewardsPool(),
+    treasuryRatio: await bugtopiaL1.treasuryRatio(),
+    stakingRatio: await bugtopiaL1.stakingRatio(),
+    burnRatio: await bugtopiaL1.burnRatio()
+  };
+  for (const utilityType of UTILITY_TYPES) {
+    state[`utilityFees[${utilityType}]`] = await bugtopiaL1.utilityFees(utilityType);
+    state[`burnRates[${utilityType}]`] = await bugtopiaL1.burnRates(utilityType);
+  }
+  return state;
+}
+
+async function readCollectibles(collectibles) {
+  const state = {
+    owner: await collectibles.owner(),
+    paused: await collectibles.paused(),
+    bugtopiaL1: await collectibles.bugtopiaL1(),
+    uri: await collectibles.uri(0)
+  };
+  for (const [name, category] of Object.entries(CATEGORIES)) {
+    const minted = await collectibles.categoryCounters(category);
+    state[`categoryCounters[${name}]`] = minted;
+    // The first token of a category always exists once the counter moved
+    if (minted > 0n) {
+      const metadata = await collectibles.getTokenMetadata(category);
+      state[`tokenMetadata[${category}]`] = metadata.toArray().join(" | ");
+      state[`totalTerritoryStakes[${category}]`] = await collectibles.totalTerritoryStakes(category);
+    }
+  }
+  return state;
+}
+
+/**
+ * Read the state an upgrade must preserve
+ * @param {string} name "BugtopiaL1" or "BugtopiaCollectibles"
+ * @param {ethers.Contract} contract The proxy, attached with the contract's ABI
+ * @returns {Promise<Object<string, string>>} Values as strings, keyed by getter
+ */
+async function snapshotState(name, contract) {
+  const state = name === "BugtopiaL1" ? await readBugtopiaL1(contract) : await readCollectibles(contract);
+  return Object.fromEntries(Object.entries(state).map(([key, value]) => [key, String(value)]));
+}
+
+/**
+ * Compare the state before and after an upgrade
+ * @returns {string[]} One line per value that changed
+ */
+function compareSnapshots(before, after) {
+  return Object.keys(before)
+    .filter((key) => before[key] !== after[key])
+    .map((key) => `${key} was ${before[key]}, now ${after[key] === undefined ? "unreadable" : after[key]}`);
+}
+
+// ============= IMPLEMENTATION HISTORY =============
+
+/**
+ * The implementation the registry says is live behind a proxy entry
+ * @param {Object} entry Registry contract entry with a proxy record
+ */
+function recordedImplementation(entry) {
+  const { implementations } = entry.proxy;
+  return implementations[implementations.length - 1].implementation;
+}
+
+/**
+ * Append an upgrade to a registry entry's implementation history
+ * @param {Object} entry Registry contract entry; updated in place
+ * @param {Object} upgrade implementation, contract, bytecodeHash, txHash, blockNumber
+ */
+function recordImplementation(entry, { implementation, contract, bytecodeHash, txHash, blockNumber }) {
+  const previous = recordedImplementation(entry);
+  entry.proxy.implementation = implementation;
+  entry.proxy.implementations.push({
+    implementation,
+    contract,
+    bytecodeHash,
+    previous,
+    txHash,
+    blockNumber,
+    recordedAt: new Date().toISOString()
+  });
+  return entry;
+}
+
+function formatImplementationHistory(name, entry) {
+  return [
+    `${name} proxy ${entry.address} (${entry.proxy.kind}):`,
+    ...entry.proxy.implementations.map(({ implementation, contract, blockNumber, recordedAt }, i) =>
+      `  ${i + 1}. ${ethers.getAddress(implementation)} ${contract || name} at block ${blockNumber} (${recordedAt})`)
+  ].join("\n");
+}
+
+module.exports = {
+  UPGRADEABLE_CONTRACTS,
+  UpgradeError,
+  snapshotState,
+  compareSnapshots,
+  recordedImplementation,
+  recordImplementation,
+  formatImplementationHistory
+};
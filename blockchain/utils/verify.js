@@ -0,0 +1,32 @@
+/**
+ * Contract verification through hardhat-verify
+ */
+
+const { run } = require("hardhat");
+
+/**
+ * Verify a deployed contract; already-verified contracts are not an error
+ * @param {string} contractAddress Deployed address
+ * @param {Array} args Constructor arguments
+ * @param {Object} options
+ * @param {Object} options.libraries Linked library addresses
+ */
+async function verify(contractAddress, args, { libraries } = {}) {
+  console.log(`🔍 Verifying ${contractAddress}...`);
+  try {
+    await run("verify:verify", {
+      address: contractAddress,
+      constructorArguments: args,
+      libraries
+    });
+    console.log("✅ Verified");
+  } catch (error) {
+    if (error.message.toLowerCase().includes("already verified")) {
+      console.log("✅ Already verified");
+    } else {
+      console.warn("⚠️  Verification failed:", error.message);
+    }
+  }
+}
+
+module.exports = { verify };